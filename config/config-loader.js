@@ -0,0 +1,472 @@
+/**
+ * Runtime Configuration Loader
+ * hybridConfig (hybrid-config.js) holds the defaults; load() layers on top of them:
+ *   1. the JSON file at HYBRID_CONFIG_FILE, if set
+ *   2. environment overrides: HYBRID__<PATH> with "__" between keys, matched without case or
+ *      underscores (HYBRID__PERFORMANCE__BATCH_WINDOW_MS=30,
+ *      HYBRID__EXTRACTORS__LANGUAGES__DE__NATURAL__MAX_CHUNK_WORDS=20), plus the older
+ *      variables in LEGACY_ENV (TRANSLATION_TIMEOUT_MS...)
+ *
+ * The result is checked against the shape of the defaults (unknown keys, types, ranges) and
+ * written into hybridConfig in place, so code reading hybridConfig at use time sees it at
+ * once; 'change' is emitted for modules that keep derived state. Sections of the form
+ * { default, languages } take per-language overrides (see getLanguageSettings).
+ *
+ * An invalid configuration fails startup with every problem listed. watch() reloads when the
+ * file changes; an invalid reload is logged and the running configuration stays in place.
+ *
+ * Sessions can override the TUNING_SECTIONS live (mergeTuning); those overrides are passed to
+ * the extractors with each call and win over the configured values.
+ */
+
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { hybridConfig } from './hybrid-config.js';
+import { normalizeLanguage } from '../server/language-codes.js';
+
+// Modules import the config from here so it is loaded before their first read
+export { hybridConfig, getLanguageSettings, getLanguageConfig, getExtractorConfig, getVoiceForLanguage } from './hybrid-config.js';
+
+const ENV_PREFIX = 'HYBRID__';
+
+// Older environment variables, still honoured
+const LEGACY_ENV = {
+    TRANSLATION_TIMEOUT_MS: 'translation.timeoutMs',
+    TRANSLATION_BREAKER_THRESHOLD: 'translation.failureThreshold',
+    TRANSLATION_BREAKER_RESET_MS: 'translation.resetTimeoutMs',
+    TRANSLATION_CONTEXT_SENTENCES: 'translation.contextSentences',
+    ALERT_WEBHOOK_URL: 'monitoring.alerts.webhookUrl'
+};
+
+// Settings limited to a range or a set of values (paths use * for any key)
+const CONSTRAINTS = {
+    'confidence.weights.*': { min: 0, max: 1 },
+    'confidence.levels.*': { min: 0, max: 1 },
+    'extractors.*.conference.similarityThreshold': { min: 0, max: 1 },
+    'audio.streaming.*.stability': { min: 0, max: 1 },
+    'audio.streaming.*.similarityBoost': { min: 0, max: 1 },
+    'audio.streaming.*.style': { min: 0, max: 1 },
+    'audio.quality': { values: ['fast', 'balanced', 'premium'] },
+    'audio.format': { values: ['mp3', 'wav', 'ogg'] },
+    'monitoring.logLevel': { values: ['debug', 'info', 'warn', 'error'] },
+    'monitoring.alerts.lowConfidence': { min: 0, max: 1 },
+    'usage.warnAt': { min: 0, max: 1 },
+    'usage.whenExhausted': { values: ['text-only'] }
+};
+
+// Maps keyed by language code whose values are plain strings
+const STRING_LANGUAGE_MAPS = ['audio.voices'];
+
+// Maps with keys of any (lowercase) name whose values are numbers ≥ 0
+const NUMBER_MAPS = ['usage.prices.translation', 'usage.prices.synthesis', 'usage.tenantBudgets'];
+
+export class ConfigError extends Error {
+    constructor(problems, source) {
+        super(`Invalid configuration${source ? ` (${source})` : ''}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) {
+        return override === undefined ? structuredClone(base) : structuredClone(override);
+    }
+    const result = structuredClone(base);
+    Object.entries(override).forEach(([key, value]) => {
+        result[key] = key in result ? deepMerge(result[key], value) : structuredClone(value);
+    });
+    return result;
+}
+
+function constraintFor(path) {
+    const parts = path.split('.');
+    const match = Object.keys(CONSTRAINTS).find(pattern => {
+        const expected = pattern.split('.');
+        return expected.length === parts.length && expected.every((part, i) => part === '*' || part === parts[i]);
+    });
+    return match ? CONSTRAINTS[match] : null;
+}
+
+function describe(value) {
+    return Array.isArray(value) ? 'an array' : value === null ? 'null' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Check `value` against the default it replaces; problems are collected, not thrown
+ */
+function validate(value, shape, path, problems) {
+    if (isPlainObject(shape)) {
+        if (!isPlainObject(value)) {
+            problems.push(`${path}: expected an object, got ${describe(value)}`);
+            return;
+        }
+        if (STRING_LANGUAGE_MAPS.includes(path)) {
+            Object.entries(value).forEach(([lang, voice]) => {
+                if (!normalizeLanguage(lang)) problems.push(`${path}.${lang}: not a language code`);
+                if (typeof voice !== 'string' || !voice.trim()) problems.push(`${path}.${lang}: expected a non-empty string`);
+            });
+            return;
+        }
+        if (NUMBER_MAPS.includes(path)) {
+            Object.entries(value).forEach(([key, number]) => {
+                if (key !== key.toLowerCase()) problems.push(`${path}.${key}: expected a lowercase name`);
+                if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+                    problems.push(`${path}.${key}: expected a number ≥ 0, got ${describe(number)}`);
+                }
+            });
+            return;
+        }
+        const overridable = 'default' in shape && 'languages' in shape;
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = path ? `${path}.${key}` : key;
+            if (overridable && key === 'languages') {
+                if (!isPlainObject(child)) {
+                    problems.push(`${childPath}: expected an object keyed by language code`);
+                    return;
+                }
+                // Overrides are partial: only the keys they set are checked
+                Object.entries(child).forEach(([lang, override]) => {
+                    if (!normalizeLanguage(lang)) {
+                        problems.push(`${childPath}.${lang}: not a language code`);
+                        return;
+                    }
+                    validate(override, shape.default, `${childPath}.${lang}`, problems);
+                });
+                return;
+            }
+            if (!(key in shape)) {
+                problems.push(`${childPath}: unknown setting`);
+                return;
+            }
+            validate(child, shape[key], childPath, problems);
+        });
+        return;
+    }
+
+    if (Array.isArray(shape)) {
+        if (!Array.isArray(value) || value.some(item => typeof item !== typeof shape[0])) {
+            problems.push(`${path}: expected an array of ${typeof shape[0]}s, got ${describe(value)}`);
+        }
+        return;
+    }
+
+    if (typeof shape === 'number') {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            problems.push(`${path}: expected a number ≥ 0, got ${describe(value)}`);
+            return;
+        }
+    } else if (typeof value !== typeof shape) {
+        problems.push(`${path}: expected a ${typeof shape}, got ${describe(value)}`);
+        return;
+    }
+
+    const constraint = constraintFor(path);
+    if (constraint?.values && !constraint.values.includes(value)) {
+        problems.push(`${path}: expected one of ${constraint.values.join(', ')}, got ${describe(value)}`);
+    }
+    if (constraint?.max !== undefined && (value < constraint.min || value > constraint.max)) {
+        problems.push(`${path}: expected a number between ${constraint.min} and ${constraint.max}, got ${value}`);
+    }
+}
+
+/**
+ * Rules spanning several settings
+ */
+function validateRelations(config, problems) {
+    const sections = [
+        ['extractors.default', config.extractors.default],
+        ...Object.entries(config.extractors.languages).map(([lang, override]) => [
+            `extractors.languages.${lang}`,
+            deepMerge(config.extractors.default, override)
+        ])
+    ];
+    sections.forEach(([path, { natural, ultraLowLatency }]) => {
+        if (!(natural.minChunkWords <= natural.idealChunkWords && natural.idealChunkWords <= natural.maxChunkWords)) {
+            problems.push(`${path}.natural: expected minChunkWords ≤ idealChunkWords ≤ maxChunkWords`);
+        }
+        if (ultraLowLatency.minChunkWords > ultraLowLatency.maxChunkWords) {
+            problems.push(`${path}.ultraLowLatency: expected minChunkWords ≤ maxChunkWords`);
+        }
+    });
+
+    const weights = Object.values(config.confidence.weights).reduce((sum, weight) => sum + weight, 0);
+    if (Math.abs(weights - 1) > 0.001) {
+        problems.push(`confidence.weights: expected weights adding up to 1, got ${weights}`);
+    }
+
+    const { webhookUrl } = config.monitoring.alerts;
+    if (webhookUrl && !/^https?:\/\/\S+$/.test(webhookUrl)) {
+        problems.push(`monitoring.alerts.webhookUrl: expected an http(s) URL, got ${describe(webhookUrl)}`);
+    }
+}
+
+// Settings a session may override live (path in the config, and the keys allowed when not all)
+export const TUNING_SECTIONS = {
+    stability: { path: 'stability.default' },
+    continuous: { path: 'extractors.default.continuous' },
+    natural: { path: 'extractors.default.natural' },
+    conference: { path: 'extractors.default.conference' },
+    ultraLowLatency: { path: 'extractors.default.ultraLowLatency' },
+    streaming: { path: 'audio.streaming.default', keys: ['chunkSize', 'flushAfterSilenceMs'] }
+};
+
+function getPath(target, path) {
+    return path.split('.').reduce((node, key) => node?.[key], target);
+}
+
+/**
+ * The configured values a session's tuning starts from (language overrides aside)
+ */
+export function getTuningDefaults() {
+    return Object.fromEntries(Object.entries(TUNING_SECTIONS).map(([section, { path, keys }]) => {
+        const values = getPath(hybridConfig, path);
+        return [section, structuredClone(keys ? Object.fromEntries(keys.map(key => [key, values[key]])) : values)];
+    }));
+}
+
+/**
+ * Apply a patch to a session's tuning ({ natural: { minChunkWords: 3 } }; null clears a setting,
+ * a section or, as the whole patch, everything). Returns the new tuning, or null when nothing is
+ * overridden; throws ConfigError listing every invalid setting.
+ */
+export function mergeTuning(current, patch) {
+    if (patch === null) return null;
+    const problems = [];
+    if (!isPlainObject(patch)) {
+        throw new ConfigError(['expected an object of tuning sections'], 'session tuning');
+    }
+
+    const tuning = structuredClone(current || {});
+    Object.entries(patch).forEach(([section, values]) => {
+        const spec = TUNING_SECTIONS[section];
+        if (!spec) {
+            problems.push(`${section}: unknown section (expected one of ${Object.keys(TUNING_SECTIONS).join(', ')})`);
+            return;
+        }
+        if (values === null) {
+            delete tuning[section];
+            return;
+        }
+        if (!isPlainObject(values)) {
+            problems.push(`${section}: expected an object, got ${describe(values)}`);
+            return;
+        }
+        const shape = getPath(hybridConfig, spec.path);
+        Object.entries(values).forEach(([key, value]) => {
+            if (spec.keys && !spec.keys.includes(key)) {
+                problems.push(`${section}.${key}: cannot be tuned per session`);
+                return;
+            }
+            if (value === null) {
+                if (tuning[section]) delete tuning[section][key];
+                return;
+            }
+            const before = problems.length;
+            validate({ [key]: value }, shape, spec.path, problems);
+            // Report problems under the section name the caller used
+            for (let i = before; i < problems.length; i++) {
+                problems[i] = problems[i].replace(`${spec.path}.`, `${section}.`);
+            }
+            tuning[section] = { ...tuning[section], [key]: value };
+        });
+        if (tuning[section] && Object.keys(tuning[section]).length === 0) delete tuning[section];
+    });
+
+    if (problems.length === 0) {
+        const effective = structuredClone(hybridConfig);
+        Object.entries(tuning).forEach(([section, values]) => {
+            Object.assign(getPath(effective, TUNING_SECTIONS[section].path), values);
+        });
+        validateRelations(effective, problems);
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems, 'session tuning');
+    }
+    return Object.keys(tuning).length > 0 ? tuning : null;
+}
+
+/**
+ * Parse an environment value: JSON when it is JSON (numbers, booleans, arrays), else the string
+ */
+function parseEnvValue(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return raw;
+    }
+}
+
+function setPath(target, path, value) {
+    let node = target;
+    path.slice(0, -1).forEach(key => {
+        if (!isPlainObject(node[key])) node[key] = {};
+        node = node[key];
+    });
+    node[path[path.length - 1]] = value;
+}
+
+export class ConfigLoader extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            file: process.env.HYBRID_CONFIG_FILE || null,
+            env: process.env,
+            watchIntervalMs: 1000,
+            ...config
+        };
+
+        this.defaults = structuredClone(hybridConfig);
+        this.watching = false;
+        this.loadedAt = null;
+
+        this.load();
+    }
+
+    /**
+     * Overrides from the environment, as a partial config
+     */
+    envOverrides(problems) {
+        const overrides = {};
+        const { env } = this.config;
+
+        Object.entries(LEGACY_ENV).forEach(([name, path]) => {
+            if (env[name] !== undefined && env[name] !== '') {
+                setPath(overrides, path.split('.'), parseEnvValue(env[name]));
+            }
+        });
+
+        Object.keys(env).filter(name => name.startsWith(ENV_PREFIX)).forEach(name => {
+            const segments = name.slice(ENV_PREFIX.length).split('__');
+            const path = this.resolveEnvPath(segments);
+            if (!path) {
+                problems.push(`${name}: does not name a setting`);
+                return;
+            }
+            setPath(overrides, path, parseEnvValue(env[name]));
+        });
+
+        return overrides;
+    }
+
+    /**
+     * Map HYBRID__ segments onto the defaults; inside { default, languages } sections the
+     * segment after LANGUAGES is a language code and the rest follows `default`
+     */
+    resolveEnvPath(segments) {
+        const path = [];
+        let node = this.defaults;
+        for (let i = 0; i < segments.length; i++) {
+            if (STRING_LANGUAGE_MAPS.includes(path.join('.'))) {
+                const lang = normalizeLanguage(segments[i]);
+                return lang && i === segments.length - 1 ? [...path, lang] : null;
+            }
+            if (NUMBER_MAPS.includes(path.join('.'))) {
+                return i === segments.length - 1 ? [...path, segments[i].toLowerCase()] : null;
+            }
+            const wanted = segments[i].toLowerCase().replace(/_/g, '');
+            const key = isPlainObject(node) ? Object.keys(node).find(candidate => candidate.toLowerCase() === wanted) : null;
+            if (!key) return null;
+            path.push(key);
+
+            if (key === 'languages' && isPlainObject(node.default)) {
+                const lang = normalizeLanguage(segments[++i] || '');
+                if (!lang) return null;
+                path.push(lang);
+                node = node.default;
+            } else {
+                node = node[key];
+            }
+        }
+        return path;
+    }
+
+    /**
+     * Build, validate and apply the configuration; throws ConfigError when it is invalid
+     */
+    load() {
+        const problems = [];
+        let fromFile = {};
+        const { file } = this.config;
+
+        if (file) {
+            try {
+                fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+                if (!isPlainObject(fromFile)) {
+                    problems.push(`${file}: expected a JSON object`);
+                    fromFile = {};
+                }
+            } catch (error) {
+                problems.push(`${file}: ${error.message}`);
+            }
+        }
+
+        const fromEnv = this.envOverrides(problems);
+        validate(fromFile, this.defaults, '', problems);
+        validate(fromEnv, this.defaults, '', problems);
+
+        const merged = deepMerge(deepMerge(this.defaults, fromFile), fromEnv);
+        if (problems.length === 0) {
+            validateRelations(merged, problems);
+        }
+        if (problems.length > 0) {
+            throw new ConfigError(problems, file ? `HYBRID_CONFIG_FILE=${file}` : null);
+        }
+
+        // Written in place: every module holds a reference to hybridConfig
+        Object.keys(hybridConfig).forEach(key => delete hybridConfig[key]);
+        Object.assign(hybridConfig, merged);
+        this.loadedAt = Date.now();
+        this.emit('change', hybridConfig);
+        return hybridConfig;
+    }
+
+    /**
+     * Reload, keeping the running configuration if the new one is invalid
+     */
+    reload() {
+        try {
+            this.load();
+            console.log(`🔄 [CONFIG] Reloaded ${this.config.file || 'configuration'}`);
+            return true;
+        } catch (error) {
+            console.error(`❌ [CONFIG] Reload rejected, keeping the running configuration. ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Reload whenever the config file changes (polling, so editors that replace files work too)
+     */
+    watch() {
+        const { file, watchIntervalMs } = this.config;
+        if (!file || this.watching) return;
+        this.watching = true;
+        fs.watchFile(file, { interval: watchIntervalMs, persistent: false }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                this.reload();
+            }
+        });
+        console.log(`👀 [CONFIG] Watching ${file} for changes`);
+    }
+
+    unwatch() {
+        if (!this.watching) return;
+        fs.unwatchFile(this.config.file);
+        this.watching = false;
+    }
+
+    getStatus() {
+        return {
+            file: this.config.file,
+            watching: this.watching,
+            loadedAt: this.loadedAt
+        };
+    }
+}
+
+export const configLoader = new ConfigLoader();
@@ -1,8 +1,14 @@
 /**
  * Hybrid Translation System Configuration
  * Fine-tune performance parameters per language and use case
+ *
+ * These are the defaults. config-loader.js layers HYBRID_CONFIG_FILE and environment
+ * overrides on top at startup (and on reload) and writes the result back into this object.
+ * Sections shaped { default, languages } take per-language overrides.
  */
 
+import { baseLanguage, matchLanguage } from '../server/language-codes.js';
+
 export const hybridConfig = {
     // Global settings
     global: {
@@ -12,47 +18,91 @@ export const hybridConfig = {
         debug: process.env.DEBUG === 'true'
     },
     
-    // Stability detection parameters
+    // Stability detection parameters (hybrid mode)
     stability: {
         default: {
-            threshold: 2,                 // Appearances needed for stability
-            timeWindowMs: 500,           // Time window for stability
+            threshold: 1,                 // Appearances needed for stability
+            timeWindowMs: 200,            // Time window for stability
+            phraseTimeWindowMs: 150,      // Time window once continuous speech switches to phrases
             cleanupMs: 2000,             // Remove old sentences after this time
-            minSentenceLength: 3,        // Minimum characters for valid sentence
+            minSentenceLength: 4,        // Minimum characters for valid sentence
             maxRevisionMs: 1000          // Max time to detect revisions
         },
         
         // Language-specific overrides
         languages: {
-            'en': {
-                threshold: 2,             // English has good punctuation
-                timeWindowMs: 400
-            },
-            'es': {
-                threshold: 2,             // Spanish has clear boundaries
-                timeWindowMs: 500
-            },
-            'fr': {
-                threshold: 2,             // French is similar
-                timeWindowMs: 500
-            },
             'ja': {
-                threshold: 3,             // Japanese needs more confirmations
-                timeWindowMs: 700,
+                threshold: 2,             // Japanese needs more confirmations
+                timeWindowMs: 350,
                 minSentenceLength: 2      // Shorter valid sentences
             },
             'zh': {
-                threshold: 3,             // Chinese also needs more
-                timeWindowMs: 700,
+                threshold: 2,             // Chinese also needs more
+                timeWindowMs: 350,
                 minSentenceLength: 2
             },
             'ar': {
-                threshold: 3,             // Arabic RTL considerations
-                timeWindowMs: 600
+                timeWindowMs: 300         // Arabic RTL considerations
             }
         }
     },
     
+    // Sentence/phrase extractors behind the processing modes, per target language
+    extractors: {
+        default: {
+            continuous: {
+                minNewChars: 3            // New characters needed before streaming to TTS
+            },
+            natural: {
+                minChunkWords: 5,         // Minimum for natural phrases
+                idealChunkWords: 8,       // Sweet spot for naturalness
+                maxChunkWords: 15,        // Maximum before forcing break
+                initialDelayMs: 150,      // Small delay for first chunk to gather context
+                subsequentDelayMs: 50     // Faster for following chunks
+            },
+            conference: {
+                minSentenceWords: 5,      // Minimum words for natural speech
+                similarityThreshold: 0.85 // 85% similarity = duplicate
+            },
+            ultraLowLatency: {
+                minChunkWords: 3,         // Start TTS after just 3 words
+                maxChunkWords: 10,        // Max words per chunk for natural flow
+                chunkDelayMs: 100         // Max delay before forcing TTS generation
+            }
+        },
+        
+        // Language-specific overrides
+        languages: {
+            'ja': {
+                conference: { minSentenceWords: 1 }   // Written without spaces
+            },
+            'zh': {
+                conference: { minSentenceWords: 1 }
+            },
+            'de': {
+                natural: { maxChunkWords: 20 }        // Verbs come last: longer chunks
+            }
+        }
+    },
+    
+    // Translation providers and incremental translation of partials
+    translation: {
+        timeoutMs: 2000,                  // Per provider call (TRANSLATION_TIMEOUT_MS_<NAME> overrides)
+        failureThreshold: 5,              // Consecutive failures before a provider is skipped
+        resetTimeoutMs: 30000,            // Time a failing provider is skipped
+        contextSentences: 3,              // Preceding finals sent to context-aware providers
+        
+        // Per source language: how much of a partial is frozen and reused
+        incremental: {
+            default: {
+                holdbackWords: 2,         // Trailing words the recognizer may still revise
+                minSegmentWords: 5,       // Stable words needed before freezing a segment
+                minClauseWords: 3         // Shortest segment when cutting at a clause boundary
+            },
+            languages: {}
+        }
+    },
+    
     // Confidence calculation weights
     confidence: {
         weights: {
@@ -74,8 +124,11 @@ export const hybridConfig = {
         maxSentenceHistory: 100,          // Max sentences to track per session
         maxQueueSize: 50,                 // Max audio queue size
         batchTranslations: true,          // Batch translation requests
+        batchWindowMs: 20,                // How long partial translations wait to share a batch
+        maxBatchSize: 50,                 // Max texts per batch request
         cacheTranslations: true,          // Cache repeated translations
         cacheTTLMs: 60000,                // Cache TTL (1 minute)
+        cacheMaxEntries: 5000,            // LRU size of the local translation cache
         
         // Throttling
         throttle: {
@@ -88,21 +141,38 @@ export const hybridConfig = {
     // Audio generation settings
     audio: {
         format: 'mp3',                    // Audio format
-        quality: 'balanced',              // balanced, high, low
+        quality: 'balanced',              // fast, balanced, premium (speech rate)
         streamingEnabled: true,           // Enable streaming TTS
         preloadNext: true,                // Preload next sentence
         maxConcurrent: 3,                 // Max concurrent TTS requests
         
+        // ElevenLabs WebSocket streaming (continuous mode), per target language
+        streaming: {
+            default: {
+                chunkSize: 150,           // Characters to buffer before sending
+                flushAfterSilenceMs: 500, // Flush audio after this long without new text
+                chunkLengthSchedule: [50, 90, 120, 150, 200],  // Aggressive chunking
+                stability: 0.5,
+                similarityBoost: 0.75,
+                style: 0.0,
+                useSpeakerBoost: true
+            },
+            languages: {}
+        },
+        
         // Voice settings per language
         voices: {
             'en-US': 'en-US-JennyNeural',
             'es-ES': 'es-ES-ElviraNeural',
             'fr-FR': 'fr-FR-DeniseNeural',
+            'fr-CA': 'fr-CA-SylvieNeural',
             'de-DE': 'de-DE-KatjaNeural',
             'zh-CN': 'zh-CN-XiaoxiaoNeural',
             'ja-JP': 'ja-JP-NanamiNeural',
             'ar-SA': 'ar-SA-ZariyahNeural',
             'pt-BR': 'pt-BR-FranciscaNeural',
+            'pt-PT': 'pt-PT-RaquelNeural',
+            'zh-TW': 'zh-TW-HsiaoChenNeural',
             'ru-RU': 'ru-RU-SvetlanaNeural',
             'ko-KR': 'ko-KR-SunHiNeural'
         }
@@ -118,10 +188,35 @@ export const hybridConfig = {
         alerts: {
             highLatencyMs: 500,           // Alert if latency > 500ms
             lowConfidence: 0.3,           // Alert if confidence < 30%
-            queueBacklog: 10              // Alert if queue > 10 items
+            queueBacklog: 10,             // Alert if queue > 10 items
+            windowMs: 30000,              // Sliding window the averages are taken over
+            minSamples: 3,                // Samples needed in the window to judge
+            debounceMs: 5000,             // A breach (or recovery) must last this long to fire (or resolve)
+            webhookUrl: ''                // Also POST alerts here (empty = off)
         }
     },
     
+    // Usage accounting: estimated cost of what each session translates and synthesizes
+    usage: {
+        currency: 'USD',
+        // Price per million characters, by provider (providers not listed cost nothing)
+        prices: {
+            translation: {
+                azure: 10,
+                openai: 20
+            },
+            synthesis: {
+                elevenlabs: 180,
+                azure: 16,
+                edge: 0
+            }
+        },
+        sessionBudget: 0,                 // Estimated cost one session may spend (0 = no budget)
+        tenantBudgets: {},                // Tenant -> estimated cost its sessions may spend together
+        warnAt: 0.8,                      // Warn the organizer at this share of a budget
+        whenExhausted: 'text-only'        // text-only: stop TTS, keep captions (and their translation cost)
+    },
+    
     // Experimental features
     experimental: {
         predictiveStability: false,       // ML-based stability prediction
@@ -132,41 +227,46 @@ export const hybridConfig = {
     }
 };
 
+/**
+ * Merge a { default, languages } section with the overrides for a language
+ * ('pt-PT' and 'zh-TW' use 'pt' and 'zh' overrides, but a 'pt-PT' override never reaches pt-BR)
+ */
+export function getLanguageSettings(section, langCode) {
+    const overrides = section.languages || {};
+    const keys = Object.keys(overrides);
+    const key = langCode
+        ? matchLanguage(langCode, keys, { anyRegion: false }) || matchLanguage(baseLanguage(langCode), keys, { anyRegion: false })
+        : null;
+    const merge = (base, override) => Object.fromEntries(Object.entries(base).map(([name, value]) => [
+        name,
+        value && typeof value === 'object' && !Array.isArray(value)
+            ? { ...value, ...(override?.[name] || {}) }
+            : override?.[name] ?? value
+    ]));
+    return merge(section.default, key ? overrides[key] : null);
+}
+
 /**
  * Get configuration for a specific language
  */
 export function getLanguageConfig(langCode) {
-    const baseConfig = hybridConfig.stability.default;
-    const langOverrides = hybridConfig.stability.languages[langCode] || {};
-    
-    return {
-        ...baseConfig,
-        ...langOverrides
-    };
+    return getLanguageSettings(hybridConfig.stability, langCode);
+}
+
+/**
+ * Parameters of one extractor ('continuous', 'natural', 'conference', 'ultraLowLatency') for a language
+ */
+export function getExtractorConfig(name, langCode) {
+    return getLanguageSettings(hybridConfig.extractors, langCode)[name];
 }
 
 /**
  * Get voice for a language
  */
 export function getVoiceForLanguage(langCode) {
-    // Handle both short (es) and full (es-ES) language codes
+    // Short (es), full (es-ES) and script (zh-Hans) codes all resolve through language-codes.js
     const voices = hybridConfig.audio.voices;
-    
-    // Try exact match first
-    if (voices[langCode]) {
-        return voices[langCode];
-    }
-    
-    // Try to find a match with the base language
-    const baseLang = langCode.split('-')[0];
-    for (const [code, voice] of Object.entries(voices)) {
-        if (code.startsWith(baseLang)) {
-            return voice;
-        }
-    }
-    
-    // Default to English
-    return voices['en-US'];
+    return voices[matchLanguage(langCode, Object.keys(voices), { crossScript: true })] || voices['en-US'];
 }
 
 /**
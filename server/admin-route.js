@@ -0,0 +1,284 @@
+// server/admin-route.js
+import express from 'express';
+import { auditLog } from './audit-log.js';
+import { utteranceTracer } from './utterance-tracer.js';
+import { alertEngine } from './alert-engine.js';
+import { GlossaryError } from './glossary.js';
+import { requestToken, secretsMatch } from './secrets.js';
+import { ConfigError } from '../config/config-loader.js';
+
+const BROADCAST_LEVELS = ['info', 'warning', 'critical'];
+
+/**
+ * Whether a request carries the admin token (Bearer header or X-Admin-Token)
+ */
+export function hasAdminToken(req) {
+  return secretsMatch(process.env.ADMIN_TOKEN, requestToken(req));
+}
+
+/**
+ * Admin REST API for live session management
+ * Requires ADMIN_TOKEN, sent as `Authorization: Bearer <token>` (or `X-Admin-Token`).
+ * Every request, including rejected ones, is written to the audit log.
+ */
+export function createAdminRouter(control) {
+  const router = express.Router();
+
+  const actorOf = (req) => `admin@${req.ip}`;
+
+  // Authentication
+  router.use((req, res, next) => {
+    if (!process.env.ADMIN_TOKEN) {
+      return res.status(503).json({ error: 'admin_disabled', message: 'Set ADMIN_TOKEN to enable the admin API' });
+    }
+
+    if (!hasAdminToken(req)) {
+      auditLog.record({
+        action: 'auth',
+        actor: actorOf(req),
+        target: `${req.method} ${req.originalUrl}`,
+        outcome: 'denied'
+      });
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    next();
+  });
+
+  const sessionCode = (req) => (req.params.code || '').trim().toUpperCase();
+
+  // List active sessions with listener counts per language
+  router.get('/sessions', (req, res) => {
+    const sessions = control.listSessions();
+    auditLog.record({ action: 'list-sessions', actor: actorOf(req), details: { count: sessions.length } });
+    res.json({ sessions });
+  });
+
+  // Inspect one session: metrics, listeners, extractor and TTS state
+  router.get('/sessions/:code', (req, res) => {
+    const code = sessionCode(req);
+    const session = control.inspectSession(code);
+    auditLog.record({
+      action: 'inspect-session',
+      actor: actorOf(req),
+      target: code,
+      outcome: session ? 'success' : 'not-found'
+    });
+    if (!session) {
+      return res.status(404).json({ error: 'session_not_found' });
+    }
+    res.json(session);
+  });
+
+  // Kick a listener
+  router.delete('/sessions/:code/listeners/:listenerId', (req, res) => {
+    const code = sessionCode(req);
+    const reason = req.body?.reason;
+    const kicked = control.kickListener(code, req.params.listenerId, reason);
+    auditLog.record({
+      action: 'kick-listener',
+      actor: actorOf(req),
+      target: `${code}/${req.params.listenerId}`,
+      details: { reason: reason || null },
+      outcome: kicked ? 'success' : 'not-found'
+    });
+    if (!kicked) {
+      return res.status(404).json({ error: 'listener_not_found' });
+    }
+    res.json({ ok: true });
+  });
+
+  // Force-end a session
+  router.delete('/sessions/:code', (req, res) => {
+    const code = sessionCode(req);
+    const ended = control.endSession(code, 'admin');
+    auditLog.record({
+      action: 'end-session',
+      actor: actorOf(req),
+      target: code,
+      outcome: ended ? 'success' : 'not-found'
+    });
+    if (!ended) {
+      return res.status(404).json({ error: 'session_not_found' });
+    }
+    res.json({ ok: true });
+  });
+
+  // Session glossary: fixed translations, protected terms and pronunciations
+  router.get('/sessions/:code/glossary', (req, res) => {
+    const code = sessionCode(req);
+    const glossary = control.getGlossary(code);
+    auditLog.record({ action: 'get-glossary', actor: actorOf(req), target: code, outcome: glossary ? 'success' : 'not-found' });
+    if (!glossary) {
+      return res.status(404).json({ error: 'session_not_found' });
+    }
+    res.json(glossary);
+  });
+
+  const updateGlossary = (req, res, input) => {
+    const code = sessionCode(req);
+    try {
+      const glossary = control.setGlossary(code, input);
+      auditLog.record({
+        action: 'set-glossary',
+        actor: actorOf(req),
+        target: code,
+        details: glossary ? { terms: glossary.terms.length, protected: glossary.protected.length } : {},
+        outcome: glossary ? 'success' : 'not-found'
+      });
+      if (!glossary) {
+        return res.status(404).json({ error: 'session_not_found' });
+      }
+      res.json(glossary);
+    } catch (error) {
+      if (!(error instanceof GlossaryError)) throw error;
+      auditLog.record({ action: 'set-glossary', actor: actorOf(req), target: code, details: { error: error.message }, outcome: 'invalid' });
+      res.status(400).json({ error: 'invalid_glossary', message: error.message });
+    }
+  };
+
+  router.put('/sessions/:code/glossary', (req, res) => updateGlossary(req, res, req.body));
+  router.delete('/sessions/:code/glossary', (req, res) => updateGlossary(req, res, null));
+
+  // Live tuning of the session's extractors and streaming TTS (takes effect on the next partial)
+  router.get('/sessions/:code/tuning', (req, res) => {
+    const code = sessionCode(req);
+    const result = control.getTuning(code);
+    auditLog.record({ action: 'get-tuning', actor: actorOf(req), target: code, outcome: result ? 'success' : 'not-found' });
+    if (!result) {
+      return res.status(404).json({ error: 'session_not_found' });
+    }
+    res.json(result);
+  });
+
+  const updateTuning = (req, res, patch) => {
+    const code = sessionCode(req);
+    try {
+      const result = control.setTuning(code, patch);
+      auditLog.record({
+        action: 'set-tuning',
+        actor: actorOf(req),
+        target: code,
+        details: patch === null ? { reset: true } : { patch },
+        outcome: result ? 'success' : 'not-found'
+      });
+      if (!result) {
+        return res.status(404).json({ error: 'session_not_found' });
+      }
+      res.json(result);
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      auditLog.record({ action: 'set-tuning', actor: actorOf(req), target: code, details: { problems: error.problems }, outcome: 'invalid' });
+      res.status(400).json({ error: 'invalid_tuning', message: error.message, problems: error.problems });
+    }
+  };
+
+  router.patch('/sessions/:code/tuning', (req, res) => updateTuning(req, res, req.body));
+  router.delete('/sessions/:code/tuning', (req, res) => updateTuning(req, res, null));
+
+  // Characters translated and synthesized by the session, their estimated cost and its budgets
+  router.get('/sessions/:code/usage', (req, res) => {
+    const code = sessionCode(req);
+    const usage = control.getUsage(code);
+    auditLog.record({ action: 'get-usage', actor: actorOf(req), target: code, outcome: usage ? 'success' : 'not-found' });
+    if (!usage) {
+      return res.status(404).json({ error: 'session_not_found' });
+    }
+    res.json(usage);
+  });
+
+  // Own budget for one session ({ budget: 25 }, or { budget: null } for usage.sessionBudget)
+  router.put('/sessions/:code/budget', (req, res) => {
+    const code = sessionCode(req);
+    const { budget } = req.body || {};
+    if (budget !== null && !(typeof budget === 'number' && Number.isFinite(budget) && budget >= 0)) {
+      auditLog.record({ action: 'set-budget', actor: actorOf(req), target: code, details: { budget: budget ?? null }, outcome: 'invalid' });
+      return res.status(400).json({ error: 'invalid_budget', message: 'budget must be a number ≥ 0 or null' });
+    }
+
+    const usage = control.setBudget(code, budget);
+    auditLog.record({
+      action: 'set-budget',
+      actor: actorOf(req),
+      target: code,
+      details: { budget },
+      outcome: usage ? 'success' : 'not-found'
+    });
+    if (!usage) {
+      return res.status(404).json({ error: 'session_not_found' });
+    }
+    res.json(usage);
+  });
+
+  // Spend of every tenant on this instance, against its budget
+  router.get('/usage', (req, res) => {
+    const tenants = control.getTenantUsage();
+    auditLog.record({ action: 'list-usage', actor: actorOf(req), details: { tenants: tenants.length } });
+    res.json({ tenants });
+  });
+
+  // Recent utterance traces of a session (newest first); ?finals=true leaves partials out
+  router.get('/sessions/:code/traces', (req, res) => {
+    const code = sessionCode(req);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const traces = utteranceTracer.list(code, { limit, finalsOnly: req.query.finals === 'true' });
+    auditLog.record({ action: 'list-traces', actor: actorOf(req), target: code, details: { count: traces.length } });
+    res.json({ traces });
+  });
+
+  // Timeline of one utterance; ?format=otlp returns it as OTLP JSON
+  router.get('/traces/:traceId', (req, res) => {
+    const timeline = utteranceTracer.get(req.params.traceId);
+    auditLog.record({
+      action: 'inspect-trace',
+      actor: actorOf(req),
+      target: timeline?.session || null,
+      details: { traceId: req.params.traceId },
+      outcome: timeline ? 'success' : 'not-found'
+    });
+    if (!timeline) {
+      return res.status(404).json({ error: 'trace_not_found' });
+    }
+    res.json(req.query.format === 'otlp' ? utteranceTracer.toOtlp([req.params.traceId]) : timeline);
+  });
+
+  // Broadcast a system message to every listener (or one session with sessionCode)
+  router.post('/broadcast', (req, res) => {
+    const { message, sessionCode: code, level } = req.body || {};
+    if (!message || typeof message !== 'string') {
+      auditLog.record({ action: 'broadcast', actor: actorOf(req), details: { error: 'message_required' }, outcome: 'invalid' });
+      return res.status(400).json({ error: 'message_required' });
+    }
+    if (level !== undefined && !BROADCAST_LEVELS.includes(level)) {
+      auditLog.record({ action: 'broadcast', actor: actorOf(req), details: { level }, outcome: 'invalid' });
+      return res.status(400).json({ error: 'invalid_level', message: `level must be one of ${BROADCAST_LEVELS.join(', ')}` });
+    }
+
+    const target = code ? String(code).trim().toUpperCase() : null;
+    const delivered = control.broadcastSystemMessage(message, { sessionCode: target, level: level || 'info' });
+    auditLog.record({
+      action: 'broadcast',
+      actor: actorOf(req),
+      target: target || 'all-sessions',
+      details: { message, level: level || 'info', sessions: delivered }
+    });
+    res.json({ ok: true, sessions: delivered });
+  });
+
+  // Firing alerts and recent fired/resolved notifications (live: socket 'admin-subscribe')
+  router.get('/alerts', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const active = alertEngine.getActive();
+    auditLog.record({ action: 'list-alerts', actor: actorOf(req), details: { active: active.length } });
+    res.json({ active, recent: alertEngine.getRecent(limit) });
+  });
+
+  // Recent audit entries
+  router.get('/audit', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const entries = auditLog.getRecent(limit);
+    auditLog.record({ action: 'read-audit', actor: actorOf(req), details: { count: entries.length } });
+    res.json({ entries });
+  });
+
+  return router;
+}
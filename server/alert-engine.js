@@ -0,0 +1,197 @@
+/**
+ * Alert Engine
+ * Evaluates the hybridConfig.monitoring.alerts thresholds per session and language, on the
+ * average of the samples in a sliding window (windowMs, at least minSamples):
+ *   latency     speech recognized → translation sent (ms), above highLatencyMs  → 'high-latency'
+ *   confidence  speech recognition confidence (0-1), below lowConfidence        → 'low-confidence'
+ *   queueDepth  TTS requests waiting when one is queued, above queueBacklog      → 'queue-backlog'
+ *
+ * A breach has to last debounceMs before its alert fires, and a recovery as long before it
+ * resolves, so one slow utterance does not page anyone. Both are emitted as 'alert'
+ * ({ status: 'firing' | 'resolved', ... }) and posted to monitoring.alerts.webhookUrl.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { hybridConfig } from '../config/config-loader.js';
+
+const RULES = {
+    latency: { type: 'high-latency', threshold: 'highLatencyMs', breached: (value, limit) => value > limit },
+    confidence: { type: 'low-confidence', threshold: 'lowConfidence', breached: (value, limit) => value < limit },
+    queueDepth: { type: 'queue-backlog', threshold: 'queueBacklog', breached: (value, limit) => value > limit }
+};
+
+export class AlertEngine extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            evaluateIntervalMs: 1000,
+            maxRecent: 200,
+            ...config
+        };
+
+        // session|language|metric -> { session, language, metric, samples, state, since, alert }
+        // state: ok → pending (breached, debouncing) → firing → resolving (recovered, debouncing) → ok
+        this.series = new Map();
+        this.recent = [];
+        this.timer = null;
+    }
+
+    /**
+     * Add a sample; ignored while monitoring is disabled
+     */
+    record(metric, { session, language }, value, at = Date.now()) {
+        if (!RULES[metric] || !Number.isFinite(value) || !hybridConfig.monitoring.enabled) return;
+
+        const key = `${session}|${language}|${metric}`;
+        if (!this.series.has(key)) {
+            this.series.set(key, { session, language, metric, samples: [], state: 'ok', since: at, alert: null });
+        }
+        this.series.get(key).samples.push({ at, value });
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.evaluate(), this.config.evaluateIntervalMs);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Move every series through its states (runs every evaluateIntervalMs while there are samples)
+     */
+    evaluate(now = Date.now()) {
+        const settings = hybridConfig.monitoring.alerts;
+
+        for (const [key, series] of this.series) {
+            series.samples = series.samples.filter(sample => sample.at > now - settings.windowMs);
+            const { samples } = series;
+            const rule = RULES[series.metric];
+            const average = samples.reduce((sum, sample) => sum + sample.value, 0) / (samples.length || 1);
+            const breached = samples.length >= settings.minSamples && rule.breached(average, settings[rule.threshold]);
+
+            if (breached) {
+                if (series.state === 'ok') {
+                    series.state = 'pending';
+                    series.since = now;
+                } else if (series.state === 'resolving') {
+                    series.state = 'firing'; // recovery did not last
+                }
+                if (series.state === 'pending' && now - series.since >= settings.debounceMs) {
+                    this.fire(series, average, settings);
+                }
+            } else {
+                if (series.state === 'pending') {
+                    series.state = 'ok';
+                } else if (series.state === 'firing') {
+                    series.state = 'resolving';
+                    series.since = now;
+                }
+                if (series.state === 'resolving' && now - series.since >= settings.debounceMs) {
+                    this.resolve(series, samples.length > 0 ? average : null);
+                }
+                if (series.state === 'ok' && samples.length === 0) {
+                    this.series.delete(key);
+                }
+            }
+        }
+
+        if (this.series.size === 0 && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    fire(series, value, settings) {
+        const rule = RULES[series.metric];
+        series.state = 'firing';
+        series.alert = {
+            id: randomUUID(),
+            type: rule.type,
+            status: 'firing',
+            session: series.session,
+            language: series.language,
+            value: Math.round(value * 100) / 100,
+            threshold: settings[rule.threshold],
+            windowMs: settings.windowMs,
+            samples: series.samples.length,
+            firedAt: new Date().toISOString()
+        };
+        console.warn(`🚨 [ALERT] ${rule.type} in ${series.session}/${series.language}: ${series.alert.value} (threshold ${series.alert.threshold})`);
+        this.notify(series.alert);
+    }
+
+    resolve(series, value, reason = 'recovered') {
+        const resolved = {
+            ...series.alert,
+            status: 'resolved',
+            value: value === null ? null : Math.round(value * 100) / 100,
+            reason,
+            resolvedAt: new Date().toISOString()
+        };
+        series.state = 'ok';
+        series.alert = null;
+        console.log(`✅ [ALERT] ${resolved.type} in ${resolved.session}/${resolved.language} resolved (${reason})`);
+        this.notify(resolved);
+    }
+
+    notify(alert) {
+        this.recent.push(alert);
+        if (this.recent.length > this.config.maxRecent) {
+            this.recent.shift();
+        }
+        this.emit('alert', alert);
+        this.postWebhook(alert);
+    }
+
+    /**
+     * POST an alert to the configured webhook (failures are logged, not retried)
+     */
+    async postWebhook(alert) {
+        const url = hybridConfig.monitoring.alerts.webhookUrl;
+        if (!url) return;
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(alert),
+                signal: AbortSignal.timeout(5000)
+            });
+            if (!response.ok) {
+                throw new Error(`webhook answered ${response.status}`);
+            }
+        } catch (error) {
+            console.warn(`⚠️ [ALERT] Webhook delivery of ${alert.type} failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve the alerts of an ended session and drop its samples
+     */
+    forgetSession(session) {
+        for (const [key, series] of this.series) {
+            if (series.session !== session) continue;
+            if (series.alert) {
+                this.resolve(series, null, 'session-ended');
+            }
+            this.series.delete(key);
+        }
+    }
+
+    /**
+     * Alerts currently firing (of one session, or all)
+     */
+    getActive(session = null) {
+        return Array.from(this.series.values())
+            .filter(series => series.alert && (!session || series.session === session))
+            .map(series => series.alert);
+    }
+
+    /**
+     * Most recent fired and resolved notifications, newest first
+     */
+    getRecent(limit = 50) {
+        return this.recent.slice(-limit).reverse();
+    }
+}
+
+// Export singleton instance
+export const alertEngine = new AlertEngine();
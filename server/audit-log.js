@@ -0,0 +1,75 @@
+/**
+ * Audit Log for Administrative Actions
+ * Appends one JSON line per action to logs/audit.log (AUDIT_LOG_PATH)
+ * and keeps the most recent entries in memory for the admin API
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export class AuditLog {
+    constructor(config = {}) {
+        this.config = {
+            filePath: process.env.AUDIT_LOG_PATH || path.join(process.cwd(), 'logs', 'audit.log'),
+            maxRecent: 500,
+            ...config
+        };
+
+        this.recent = [];
+        this.dirReady = false;
+    }
+
+    /**
+     * Record an action: { action, actor, target, details, outcome }
+     */
+    record({ action, actor = 'unknown', target = null, details = {}, outcome = 'success' }) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            action,
+            actor,
+            target,
+            outcome,
+            details
+        };
+
+        this.recent.push(entry);
+        if (this.recent.length > this.config.maxRecent) {
+            this.recent.shift();
+        }
+
+        console.log(`📝 [AUDIT] ${entry.action} ${entry.target || ''} by ${entry.actor} (${entry.outcome})`);
+        this.append(entry);
+        return entry;
+    }
+
+    /**
+     * Append to the log file without blocking the request
+     */
+    append(entry) {
+        try {
+            if (!this.dirReady) {
+                fs.mkdirSync(path.dirname(this.config.filePath), { recursive: true });
+                this.dirReady = true;
+            }
+        } catch (error) {
+            console.error('❌ [AUDIT] Cannot create log directory:', error.message);
+            return;
+        }
+
+        fs.appendFile(this.config.filePath, JSON.stringify(entry) + '\n', (error) => {
+            if (error) {
+                console.error('❌ [AUDIT] Failed to write audit entry:', error.message);
+            }
+        });
+    }
+
+    /**
+     * Most recent entries, newest first
+     */
+    getRecent(limit = 100) {
+        return this.recent.slice(-limit).reverse();
+    }
+}
+
+// Export singleton instance
+export const auditLog = new AuditLog();
@@ -0,0 +1,78 @@
+/**
+ * Circuit Breaker
+ * Stops calling a failing dependency after repeated errors, then lets a single
+ * trial request through (half-open) once the reset timeout has passed
+ */
+
+export class CircuitBreaker {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = {
+            failureThreshold: 5,      // Consecutive failures before opening
+            resetTimeoutMs: 30000,    // Time open before a trial request
+            ...config
+        };
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether a request may be sent now
+     */
+    canRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.config.resetTimeoutMs) {
+            this.state = 'half-open';
+            this.trialInFlight = false;
+        }
+
+        if (this.state === 'closed') return true;
+        if (this.state === 'half-open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether canRequest() would let a request through, without taking the half-open trial
+     */
+    isAvailable() {
+        if (this.state === 'closed') return true;
+        if (this.state === 'open') return Date.now() - this.openedAt >= this.config.resetTimeoutMs;
+        return !this.trialInFlight;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            console.log(`✅ [BREAKER] ${this.name} recovered, circuit closed`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+
+        if (this.state === 'half-open' || this.failures >= this.config.failureThreshold) {
+            if (this.state !== 'open') {
+                console.warn(`⚠️ [BREAKER] ${this.name} circuit open after ${this.failures} failures`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt
+        };
+    }
+}
@@ -1,18 +1,14 @@
 /**
  * Conference-Optimized Sentence Extractor
  * Prevents duplicate TTS generation and ensures natural segment lengths
+ * Lengths and the duplicate threshold come from hybridConfig.extractors.conference, per language
  */
 
 import crypto from 'crypto';
+import { getExtractorConfig } from '../config/config-loader.js';
 
 export class ConferenceSentenceExtractor {
     constructor() {
-        // Configuration for conference scenarios
-        this.MIN_SENTENCE_LENGTH = 10; // Minimum words for natural speech
-        this.STABILITY_THRESHOLD = 1; // Generate TTS after 1 appearance
-        this.STABILITY_TIME_MS = 150; // Fast response for conferences
-        this.SIMILARITY_THRESHOLD = 0.85; // 85% similarity = duplicate
-        
         // Session tracking
         this.sessions = new Map();
         
@@ -89,7 +85,7 @@ export class ConferenceSentenceExtractor {
     /**
      * Check if text has already been spoken or is too similar
      */
-    isDuplicate(session, text) {
+    isDuplicate(session, text, similarityThreshold) {
         const normalized = this.normalizeText(text);
         const hash = this.hashText(text);
         
@@ -106,7 +102,7 @@ export class ConferenceSentenceExtractor {
             
             // Check similarity
             const similarity = this.calculateSimilarity(text, spoken);
-            if (similarity >= this.SIMILARITY_THRESHOLD) {
+            if (similarity >= similarityThreshold) {
                 return true;
             }
         }
@@ -127,7 +123,7 @@ export class ConferenceSentenceExtractor {
     /**
      * Extract complete, natural sentences from text
      */
-    extractSentences(text) {
+    extractSentences(text, minSentenceWords) {
         const sentences = [];
         const matches = text.match(/[^.!?]+[.!?]+/g) || [];
         
@@ -145,7 +141,7 @@ export class ConferenceSentenceExtractor {
             
             if (!isAbbreviation) {
                 const wordCount = sentence.split(/\s+/).length;
-                if (wordCount >= 5) {  // Minimum 5 words for natural speech
+                if (wordCount >= minSentenceWords) {
                     sentences.push(sentence);
                 }
             }
@@ -156,8 +152,9 @@ export class ConferenceSentenceExtractor {
     
     /**
      * Process incoming text and extract unique sentences for TTS
+     * `overrides` is the session's tuning for this extractor
      */
-    processText(sessionId, language, text, isFinal = false) {
+    processText(sessionId, language, text, isFinal = false, overrides = {}) {
         const session = this.getSession(sessionId, language);
         const result = {
             sentences: [],
@@ -166,11 +163,12 @@ export class ConferenceSentenceExtractor {
         
         // For finals, extract complete sentences
         if (isFinal) {
-            const sentences = this.extractSentences(text);
+            const { minSentenceWords, similarityThreshold } = { ...getExtractorConfig('conference', language), ...overrides };
+            const sentences = this.extractSentences(text, minSentenceWords);
             
             for (const sentence of sentences) {
                 // Check if this sentence has already been spoken
-                if (!this.isDuplicate(session, sentence)) {
+                if (!this.isDuplicate(session, sentence, similarityThreshold)) {
                     // Mark as spoken immediately to prevent duplicates
                     const hash = this.hashText(sentence);
                     session.spokenHashes.add(hash);
@@ -4,13 +4,12 @@
  * The WebSocket handles all audio generation continuously
  */
 
+import { getExtractorConfig } from '../config/config-loader.js';
+
 export class ContinuousStreamProcessor {
     constructor() {
         // Track what we've already sent per session
         this.sessions = new Map();
-        
-        // Minimum new content before sending (to avoid single character updates)
-        this.MIN_NEW_CHARS = 3;
     }
     
     /**
@@ -30,9 +29,9 @@ export class ContinuousStreamProcessor {
     
     /**
      * Process incoming text stream
-     * Returns the new text to be sent to TTS
+     * Returns the new text to be sent to TTS; `overrides` is the session's tuning for this processor
      */
-    processText(sessionId, language, text, isFinal = false) {
+    processText(sessionId, language, text, isFinal = false, overrides = {}) {
         const session = this.getSession(sessionId, language);
         
         // Update full text
@@ -45,7 +44,9 @@ export class ContinuousStreamProcessor {
         let textToSend = '';
         let shouldSend = false;
         
-        if (newContentLength >= this.MIN_NEW_CHARS || isFinal) {
+        // Minimum new content before sending (to avoid single character updates)
+        const { minNewChars } = { ...getExtractorConfig('continuous', language), ...overrides };
+        if (newContentLength >= minNewChars || isFinal) {
             // Get only the new portion
             textToSend = text.substring(session.lastSentLength);
             
@@ -56,6 +57,11 @@ export class ContinuousStreamProcessor {
             }
         }
         
+        // The next utterance starts from scratch
+        if (isFinal) {
+            session.lastSentLength = 0;
+        }
+        
         return {
             shouldSend,
             textToSend,
@@ -6,7 +6,8 @@
 import { EventEmitter } from 'events';
 import { Readable } from 'stream';
 import axios from 'axios';
-import { getVoiceConfig, getAvailableVoices } from './voice-profiles.js';
+import { getVoiceConfig, getAvailableVoices, getNeuralVoice } from './voice-profiles.js';
+import { getVoiceForLanguage } from '../config/config-loader.js';
 
 /**
  * Enhanced TTS with Queue Management and Adaptive Speed
@@ -83,22 +84,6 @@ export class EnhancedTTS extends EventEmitter {
       'default': 'pNInz6obpgDQGcFmaJgB' // Adam as default
     };
     
-    // Azure voices as fallback
-    this.azureVoices = {
-      'en': 'en-US-JennyNeural',
-      'en-US': 'en-US-JennyNeural',
-      'es': 'es-ES-ElviraNeural',
-      'es-ES': 'es-ES-ElviraNeural',
-      'fr': 'fr-CA-SylvieNeural',
-      'fr-CA': 'fr-CA-SylvieNeural',
-      'de': 'de-DE-KatjaNeural',
-      'de-DE': 'de-DE-KatjaNeural',
-      'zh': 'zh-CN-XiaoxiaoNeural',
-      'zh-CN': 'zh-CN-XiaoxiaoNeural',
-      'ja': 'ja-JP-NanamiNeural',
-      'ja-JP': 'ja-JP-NanamiNeural'
-    };
-    
     // Start queue monitor
     this.startQueueMonitor();
     
@@ -219,7 +204,8 @@ export class EnhancedTTS extends EventEmitter {
           request.text,
           request.language,
           speed,
-          request.voicePreference
+          request.voicePreference,
+          sessionId
         );
         
         // Track processing time
@@ -244,19 +230,23 @@ export class EnhancedTTS extends EventEmitter {
   
   /**
    * Generate TTS with ElevenLabs (primary) or Azure (fallback)
+   * 'synthesized' reports which provider and voice spoke it, for `sessionId`'s usage accounting
    */
-  async generateTTS(text, language, speed = 1.0, voicePreference = null) {
+  async generateTTS(text, language, speed = 1.0, voicePreference = null, sessionId = null) {
     try {
       // Try ElevenLabs first for lowest latency
       const audioStream = await this.generateElevenLabsTTS(text, language, speed, voicePreference);
       this.metrics.elevenLabsUsage++;
+      this.emit('synthesized', { sessionId, language, provider: 'elevenlabs', voice: getVoiceConfig(language, voicePreference).name, chars: text.length });
       return audioStream;
     } catch (error) {
       console.warn(`ElevenLabs TTS failed, falling back to Azure: ${error.message}`);
       this.metrics.fallbackUsage++;
       
       // Fallback to Azure
-      return await this.generateAzureTTS(text, language, speed);
+      const audioStream = await this.generateAzureTTS(text, language, speed, voicePreference);
+      this.emit('synthesized', { sessionId, language, provider: 'azure', voice: this.getAzureVoice(language, voicePreference), chars: text.length });
+      return audioStream;
     }
   }
   
@@ -325,10 +315,18 @@ export class EnhancedTTS extends EventEmitter {
     return audioStream;
   }
   
+  /**
+   * Azure voice for the fallback: the preferred voice's neural counterpart, else
+   * hybridConfig.audio.voices
+   */
+  getAzureVoice(language, voicePreference = null) {
+    return getNeuralVoice(language, voicePreference) || getVoiceForLanguage(language);
+  }
+
   /**
    * Generate TTS using Azure (fallback)
    */
-  async generateAzureTTS(text, language, speed = 1.0) {
+  async generateAzureTTS(text, language, speed = 1.0, voicePreference = null) {
     // Dynamic import for Azure SDK
     let SpeechSDK;
     try {
@@ -343,7 +341,7 @@ export class EnhancedTTS extends EventEmitter {
       this.config.azureRegion
     );
     
-    const voice = this.azureVoices[language] || this.azureVoices['en'];
+    const voice = this.getAzureVoice(language, voicePreference);
     const locale = voice.split('-').slice(0, 2).join('-');
     
     // Create SSML with speed control
@@ -0,0 +1,215 @@
+/**
+ * Session Glossary
+ * Enforces fixed translations and do-not-translate terms around the translation providers
+ * with placeholder protection: each term in the source text is swapped for a token that
+ * providers pass through untouched, and the token is replaced by the term's translation
+ * (or the original, for protected terms) afterwards.
+ *
+ * The same entries carry optional pronunciations, applied to text right before it is sent
+ * to TTS so product names and clinical terms are spoken the way the organizer spelled them.
+ *
+ * Upload format:
+ *   {
+ *     terms: [{ source: 'heart attack', translations: { es: 'infarto' }, pronunciation: { es: '...' } }],
+ *     protected: ['Kubernetes', { term: 'HbA1c', pronunciation: 'H B A one C' }]
+ *   }
+ * A pronunciation is either one string for every language or { lang: text }.
+ */
+
+import { matchLanguage } from './language-codes.js';
+
+const MAX_ENTRIES = 500;
+const MAX_TERM_LENGTH = 100;
+const PLACEHOLDER = /\[\[\s*G\s*(\d+)\s*\]\]/g;
+
+export class GlossaryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GlossaryError';
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive match of any of the terms (longest first, so
+// "heart attack risk" wins over "heart attack"); also works for terms ending in symbols
+function termsPattern(terms) {
+    const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// Look a language up by exact code, then through its fallbacks (es-MX → es, never zh-Hant → zh)
+function forLanguage(map, lang) {
+    if (!map) return undefined;
+    if (map[lang] !== undefined) return map[lang];
+    const key = matchLanguage(lang, Object.keys(map).filter(code => code !== '*'));
+    return key !== null ? map[key] : map['*'];
+}
+
+function checkTerm(term, where) {
+    if (typeof term !== 'string' || !term.trim()) {
+        throw new GlossaryError(`${where}: term must be a non-empty string`);
+    }
+    if (term.length > MAX_TERM_LENGTH) {
+        throw new GlossaryError(`${where}: term longer than ${MAX_TERM_LENGTH} characters`);
+    }
+    return term.trim();
+}
+
+function checkLanguageMap(map, where) {
+    if (map === undefined || map === null) return null;
+    if (typeof map === 'string') return { '*': map };
+    if (typeof map !== 'object' || Array.isArray(map)) {
+        throw new GlossaryError(`${where}: expected an object keyed by language code`);
+    }
+    const result = {};
+    Object.entries(map).forEach(([lang, value]) => {
+        result[lang] = checkTerm(value, `${where}.${lang}`);
+    });
+    return result;
+}
+
+export class Glossary {
+    /**
+     * @param {Array} entries - normalized entries: { source, translations, pronunciation, protected }
+     */
+    constructor(entries = []) {
+        this.entries = entries;
+        this.indexByTerm = new Map(entries.map((entry, index) => [entry.source.toLowerCase(), index]));
+        this.pattern = entries.length > 0 ? termsPattern(entries.map(entry => entry.source)) : null;
+    }
+
+    /**
+     * Validate an uploaded glossary
+     * @throws {GlossaryError}
+     */
+    static fromInput(input = {}) {
+        if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+            throw new GlossaryError('Glossary must be an object with "terms" and/or "protected"');
+        }
+        const terms = input.terms || [];
+        const protectedTerms = input.protected || [];
+        if (!Array.isArray(terms) || !Array.isArray(protectedTerms)) {
+            throw new GlossaryError('"terms" and "protected" must be arrays');
+        }
+        if (terms.length + protectedTerms.length > MAX_ENTRIES) {
+            throw new GlossaryError(`Glossary is limited to ${MAX_ENTRIES} entries`);
+        }
+
+        const entries = [];
+        terms.forEach((term, i) => {
+            if (typeof term !== 'object' || term === null) {
+                throw new GlossaryError(`terms[${i}]: expected { source, translations }`);
+            }
+            entries.push({
+                source: checkTerm(term.source, `terms[${i}].source`),
+                translations: checkLanguageMap(term.translations, `terms[${i}].translations`) || {},
+                pronunciation: checkLanguageMap(term.pronunciation, `terms[${i}].pronunciation`),
+                protected: false
+            });
+        });
+        protectedTerms.forEach((term, i) => {
+            const entry = typeof term === 'string' ? { term } : term || {};
+            entries.push({
+                source: checkTerm(entry.term, `protected[${i}]`),
+                translations: {},
+                pronunciation: checkLanguageMap(entry.pronunciation, `protected[${i}].pronunciation`),
+                protected: true
+            });
+        });
+
+        return new Glossary(entries);
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Replace glossary terms with placeholders before translation
+     */
+    protect(text) {
+        if (!text || this.entries.length === 0) return text;
+        return text.replace(this.pattern, (match) => `[[G${this.indexByTerm.get(match.toLowerCase())}]]`);
+    }
+
+    /**
+     * Put each term back in a translation: its glossary translation, else the original
+     */
+    restore(lang, text) {
+        if (!text || this.entries.length === 0) return text;
+        return text.replace(PLACEHOLDER, (match, index) => {
+            const entry = this.entries[Number(index)];
+            if (!entry) return match;
+            return (!entry.protected && forLanguage(entry.translations, lang)) || entry.source;
+        });
+    }
+
+    /**
+     * Restore text that is still streaming in, holding back a placeholder cut off at the end
+     */
+    restorePartial(lang, text) {
+        return this.restore(lang, (text || '').replace(/\[(\[[^\]]*\]?)?$/, ''));
+    }
+
+    /**
+     * What the placeholders in protected text stand for, with each term's translation
+     * per target language, for providers that can use it in a prompt
+     */
+    describe(text, targetLangs) {
+        const indexes = new Set(Array.from((text || '').matchAll(PLACEHOLDER), match => Number(match[1])));
+        return Array.from(indexes).filter(index => this.entries[index]).map(index => {
+            const entry = this.entries[index];
+            return {
+                placeholder: `[[G${index}]]`,
+                source: entry.source,
+                protected: entry.protected,
+                translations: entry.protected ? {} : Object.fromEntries(targetLangs
+                    .map(lang => [lang, forLanguage(entry.translations, lang)])
+                    .filter(([, value]) => value))
+            };
+        });
+    }
+
+    /**
+     * Restore every language of a { lang: text } map
+     */
+    restoreAll(translations) {
+        if (!translations || this.entries.length === 0) return translations;
+        return Object.fromEntries(Object.entries(translations).map(([lang, text]) => [lang, this.restore(lang, text)]));
+    }
+
+    /**
+     * Swap terms in text about to be spoken in `lang` for their pronunciations
+     */
+    pronounce(lang, text) {
+        if (!text || this.entries.length === 0) return text;
+        let result = text;
+        this.entries.forEach(entry => {
+            const say = forLanguage(entry.pronunciation, lang);
+            if (!say) return;
+            const spoken = (!entry.protected && forLanguage(entry.translations, lang)) || entry.source;
+            result = result.replace(termsPattern([spoken]), say);
+        });
+        return result;
+    }
+
+    /**
+     * Upload format, for storing in the session and returning from the API
+     */
+    toJSON() {
+        const plain = (map) => (map && Object.keys(map).length === 1 && map['*'] !== undefined ? map['*'] : map);
+        return {
+            terms: this.entries.filter(entry => !entry.protected).map(entry => ({
+                source: entry.source,
+                translations: entry.translations,
+                ...(entry.pronunciation ? { pronunciation: plain(entry.pronunciation) } : {})
+            })),
+            protected: this.entries.filter(entry => entry.protected).map(entry => (entry.pronunciation
+                ? { term: entry.source, pronunciation: plain(entry.pronunciation) }
+                : entry.source))
+        };
+    }
+}
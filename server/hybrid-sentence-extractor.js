@@ -5,20 +5,19 @@
  * - Display all partials immediately (visual feedback)
  * - Generate TTS only for stable sentences (2+ appearances)
  * - Prevent repetition through hash-based deduplication
+ *
+ * Thresholds come from hybridConfig.stability for the session language and confidence
+ * weights from hybridConfig.confidence; both are read per partial so reloads apply at once.
  */
 
 import crypto from 'crypto';
+import { getLanguageConfig, hybridConfig } from '../config/config-loader.js';
 
 export class HybridSentenceExtractor {
     constructor() {
-        // Default configuration - optimized for low-latency conferences
-        this.DEFAULT_THRESHOLD = 1;     // Reduced from 2 - faster TTS generation
-        this.DEFAULT_TIME_MS = 200;     // Reduced from 600ms - much faster response
-        this.CLEANUP_THRESHOLD_MS = 2000; // Remove old sentences after this time
-
         // Tracking structures per session
         this.sessions = new Map(); // sessionKey -> session data
-        this.sessionParams = new Map(); // key -> { threshold, timeMs, phraseMode }
+        this.sessionParams = new Map(); // key -> { phraseMode, ...explicit overrides }
 
         // Sentence ending patterns
         this.sentencePatterns = /[.!?]+[\s\u200B]*/g;
@@ -50,31 +49,28 @@ export class HybridSentenceExtractor {
     }
 
     /**
-     * Configure session parameters (adaptive)
+     * Configure session parameters (adaptive); threshold and timeMs override the config
      */
     setSessionParams(sessionId, language, params = {}) {
         const key = `${sessionId}:${language}`;
-        const current = this.sessionParams.get(key) || {
-            threshold: this.DEFAULT_THRESHOLD,
-            timeMs: this.DEFAULT_TIME_MS,
-            phraseMode: false
-        };
         this.sessionParams.set(key, {
-            ...current,
+            ...(this.sessionParams.get(key) || { phraseMode: false }),
             ...params
         });
     }
 
-    getSessionParams(sessionId, language) {
-        const key = `${sessionId}:${language}`;
-        if (!this.sessionParams.has(key)) {
-            this.sessionParams.set(key, {
-                threshold: this.DEFAULT_THRESHOLD,
-                timeMs: this.DEFAULT_TIME_MS,
-                phraseMode: false
-            });
-        }
-        return this.sessionParams.get(key);
+    /**
+     * Effective parameters: the language's stability config, the session's tuning, then the
+     * adaptive overrides
+     */
+    getSessionParams(sessionId, language, tuning = {}) {
+        const overrides = this.sessionParams.get(`${sessionId}:${language}`) || { phraseMode: false };
+        const config = { ...getLanguageConfig(language), ...tuning };
+        return {
+            ...config,
+            timeMs: overrides.phraseMode ? config.phraseTimeWindowMs : config.timeWindowMs,
+            ...overrides
+        };
     }
 
     /**
@@ -90,7 +86,7 @@ export class HybridSentenceExtractor {
     /**
      * Extract complete sentences from text
      */
-    extractSentences(text) {
+    extractSentences(text, minSentenceLength = 4) {
         if (!text) return [];
 
         const sentences = [];
@@ -112,7 +108,7 @@ export class HybridSentenceExtractor {
                 }
             }
 
-            if (!isAbbreviation && sentence.length > 3) {
+            if (!isAbbreviation && sentence.length >= minSentenceLength) {
                 sentences.push(sentence);
             }
             lastIndex = match.index + match[0].length;
@@ -125,26 +121,27 @@ export class HybridSentenceExtractor {
      * Calculate stability confidence score
      */
     calculateConfidence(count, timeAlive, hasEndPunctuation, params) {
-        const threshold = params?.threshold ?? this.DEFAULT_THRESHOLD;
-        const timeMs = params?.timeMs ?? this.DEFAULT_TIME_MS;
+        const { threshold, timeMs } = params;
+        const weights = hybridConfig.confidence.weights;
         // Weighted confidence calculation
-        const countScore = Math.min(count / threshold, 1.0) * 0.5;
-        const timeScore = Math.min(timeAlive / timeMs, 1.0) * 0.3;
-        const completenessScore = hasEndPunctuation ? 0.2 : 0.1;
+        const countScore = Math.min(count / threshold, 1.0) * weights.appearanceCount;
+        const timeScore = Math.min(timeAlive / timeMs, 1.0) * weights.timePersistence;
+        const completenessScore = weights.completeness * (hasEndPunctuation ? 1 : 0.5);
         return countScore + timeScore + completenessScore;
     }
 
     /**
      * Process partial transcript and determine stable sentences
+     * `tuning` is the session's stability tuning
      */
-    processPartial(sessionId, language, text, isFinal = false) {
+    processPartial(sessionId, language, text, isFinal = false, tuning = {}) {
         const session = this.getSession(sessionId, language);
         const now = Date.now();
-        const params = this.getSessionParams(sessionId, language);
+        const params = this.getSessionParams(sessionId, language, tuning);
 
         // Periodic cleanup of old sentences
-        if (now - session.lastCleanup > this.CLEANUP_THRESHOLD_MS) {
-            this.cleanupOldSentences(session, now);
+        if (now - session.lastCleanup > params.cleanupMs) {
+            this.cleanupOldSentences(session, now, params.cleanupMs);
             session.lastCleanup = now;
         }
 
@@ -152,7 +149,7 @@ export class HybridSentenceExtractor {
         session.partialCount++;
 
         // Extract sentences from current partial (or phrases if phraseMode)
-        const currentSentences = params.phraseMode ? this.extractPhrases(text) : this.extractSentences(text);
+        const currentSentences = params.phraseMode ? this.extractPhrases(text) : this.extractSentences(text, params.minSentenceLength);
         const stableSentences = [];
         const result = {
             displayText: text,           // Always display immediately
@@ -223,7 +220,7 @@ export class HybridSentenceExtractor {
         }
 
         // Handle sentences that disappeared (possible revision)
-        this.detectRevisions(session, currentSentences, now);
+        this.detectRevisions(session, currentSentences, now, params);
 
         // Update last partial
         session.lastPartialText = text;
@@ -266,14 +263,14 @@ export class HybridSentenceExtractor {
     /**
      * Detect and handle sentence revisions
      */
-    detectRevisions(session, currentSentences, now) {
+    detectRevisions(session, currentSentences, now, params) {
         const currentSet = new Set(currentSentences);
 
         for (const [sentence, history] of session.sentenceHistory) {
             // If sentence hasn't appeared recently and isn't in current partial
             if (!currentSet.has(sentence) &&
-                (now - history.lastSeen) > 1000 &&
-                history.count < this.STABILITY_THRESHOLD) {
+                (now - history.lastSeen) > params.maxRevisionMs &&
+                history.count < params.threshold) {
 
                 // Likely a revision, remove from history
                 session.sentenceHistory.delete(sentence);
@@ -285,9 +282,9 @@ export class HybridSentenceExtractor {
     /**
      * Clean up old sentence history to prevent memory growth
      */
-    cleanupOldSentences(session, now) {
+    cleanupOldSentences(session, now, cleanupMs) {
         for (const [sentence, history] of session.sentenceHistory) {
-            if ((now - history.lastSeen) > this.CLEANUP_THRESHOLD_MS) {
+            if ((now - history.lastSeen) > cleanupMs) {
                 session.sentenceHistory.delete(sentence);
             }
         }
@@ -0,0 +1,262 @@
+/**
+ * Incremental Translation of Partials
+ * Streaming recognizers resend the whole growing utterance on every partial. Instead of
+ * retranslating it each time, we track the prefix that consecutive partials agree on,
+ * freeze it in segments whose translations are reused, and only translate the new tail.
+ * The full utterance is translated once, on the final.
+ *
+ * `stable` translations (frozen segments only, plus the remainder on finals) only ever grow
+ * during an utterance, which is what continuousStreamProcessor needs to speak partials
+ * without repeating itself. Scripts written without spaces never freeze and are
+ * translated whole, as before. Partials share cross-session batches; finals are sent at once.
+ * With a streaming provider, `onStable` follows the stable text of a final token by token.
+ * How much is held back and frozen comes from hybridConfig.translation.incremental, per source language.
+ */
+
+import { getTranslator, TranslationError } from './text-translator.js';
+import { translationBatcher } from './translation-batcher.js';
+import { baseLanguage } from './language-codes.js';
+import { getLanguageSettings, hybridConfig } from '../config/config-loader.js';
+
+const CLAUSE_END = /[,.;:!?…،、。！？؟]$/;
+const NO_SPACE_LANGS = ['ja', 'zh', 'th'];
+
+function splitWords(text) {
+    return (text || '').split(/\s+/).filter(Boolean);
+}
+
+// Compare words without case or punctuation (punctuation is added as the utterance grows)
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function commonPrefixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && normalizeWord(a[i]) === normalizeWord(b[i])) i++;
+    return i;
+}
+
+function joinParts(lang, parts) {
+    const separator = NO_SPACE_LANGS.includes(baseLanguage(lang)) ? '' : ' ';
+    return parts.filter(Boolean).join(separator);
+}
+
+export class IncrementalTranslator {
+    constructor(config = {}) {
+        this.overrides = config; // holdbackWords, minSegmentWords, minClauseWords
+        this.sessions = new Map(); // pipeline key -> utterance state
+    }
+
+    /**
+     * Freezing parameters for a source language (read per partial, so reloads apply at once)
+     */
+    settings(sourceLang) {
+        return { ...getLanguageSettings(hybridConfig.translation.incremental, sourceLang), ...this.overrides };
+    }
+
+    getState(key) {
+        if (!this.sessions.has(key)) {
+            this.sessions.set(key, {
+                lastWords: [],
+                segments: [],   // { words, text, translations }
+                version: 0
+            });
+        }
+        return this.sessions.get(key);
+    }
+
+    /**
+     * Drop frozen segments the recognizer has since revised
+     */
+    keepMatchingSegments(state, words) {
+        let offset = 0;
+        const kept = [];
+        for (const segment of state.segments) {
+            const end = offset + segment.words.length;
+            if (end > words.length || commonPrefixLength(segment.words, words.slice(offset, end)) < segment.words.length) {
+                break;
+            }
+            kept.push(segment);
+            offset = end;
+        }
+        if (kept.length < state.segments.length) {
+            state.segments = kept;
+            state.version++;
+        }
+        return offset;
+    }
+
+    /**
+     * Where to end a new segment: the last clause boundary in the stable region, else all of it
+     */
+    findCut(words, start, stableEnd, minClauseWords) {
+        for (let i = stableEnd; i - start >= minClauseWords; i--) {
+            if (CLAUSE_END.test(words[i - 1])) return i;
+        }
+        return stableEnd;
+    }
+
+    /**
+     * Translate a partial, reusing frozen segments
+     * @returns {{ translations: Object, stable: Object, failedLangs: string[] }}
+     */
+    async translatePartial(key, text, targetLangs, sourceLang, options = {}) {
+        const state = this.getState(key);
+        const { holdbackWords, minSegmentWords, minClauseWords } = this.settings(sourceLang);
+        const words = splitWords(text);
+        const frozenCount = this.keepMatchingSegments(state, words);
+        const frozen = state.segments.slice();
+
+        const agreed = commonPrefixLength(state.lastWords, words);
+        state.lastWords = words;
+        const stableCount = Math.min(agreed, words.length - holdbackWords);
+
+        let newSegment = null;
+        if (stableCount - frozenCount >= minSegmentWords) {
+            const cut = this.findCut(words, frozenCount, stableCount, minClauseWords);
+            const segmentWords = words.slice(frozenCount, cut);
+            newSegment = { words: segmentWords, text: segmentWords.join(' '), translations: {} };
+        }
+
+        // Segments frozen before a language was requested still need that language
+        const incomplete = frozen.filter(segment => targetLangs.some(lang => !segment.translations[lang]));
+        const segmentsToTranslate = newSegment ? [...incomplete, newSegment] : incomplete;
+        const tail = words.slice(frozenCount + (newSegment ? newSegment.words.length : 0)).join(' ');
+        const texts = segmentsToTranslate.map(segment => segment.text);
+        if (tail) texts.push(tail);
+
+        const version = state.version;
+        const { results, failedLangs } = await this.batchTranslate(texts, targetLangs, sourceLang, { batched: true, options });
+
+        segmentsToTranslate.forEach((segment, i) => {
+            Object.entries(results[i] || {}).forEach(([lang, value]) => {
+                if (value) segment.translations[lang] = value;
+            });
+        });
+        // Only freeze if no other partial reshaped the segments in the meantime
+        if (newSegment && state.version === version && this.sessions.get(key) === state) {
+            state.segments.push(newSegment);
+        }
+
+        const tailTranslations = tail ? results[texts.length - 1] || {} : null;
+        return this.assemble(newSegment ? [...frozen, newSegment] : frozen, tailTranslations, targetLangs, failedLangs);
+    }
+
+    /**
+     * Translate a final: the whole utterance for display, and frozen segments plus the
+     * remainder for audio that continues what partials already spoke
+     * @param {Function} onStable - optional (lang, stableSoFar) while a streaming provider writes
+     * @returns {{ translations: Object, stable: Object, failedLangs: string[] }}
+     */
+    async translateFinal(key, text, targetLangs, sourceLang, options = {}, { onStable } = {}) {
+        const state = this.sessions.get(key);
+        this.sessions.delete(key);
+
+        const words = splitWords(text);
+        const frozenCount = state ? this.keepMatchingSegments(state, words) : 0;
+        const segments = state ? state.segments : [];
+        const streaming = Boolean(onStable) && getTranslator().supports('streaming');
+        if (segments.length === 0) {
+            const { results, failedLangs } = streaming
+                ? await this.streamTranslate(text, targetLangs, sourceLang, options, onStable)
+                : await this.batchTranslate([text], targetLangs, sourceLang, { options });
+            return { translations: results[0] || {}, stable: results[0] || {}, failedLangs };
+        }
+
+        const remainder = words.slice(frozenCount).join(' ');
+        let results;
+        let failedLangs;
+        if (streaming && remainder) {
+            // Display gets the whole utterance; audio streams the remainder after the frozen segments
+            const continueSegments = (lang, soFar) => {
+                const parts = segments.map(segment => segment.translations[lang]);
+                if (parts.every(Boolean)) onStable(lang, joinParts(lang, [...parts, soFar]));
+            };
+            const [whole, rest] = await Promise.all([
+                this.batchTranslate([text], targetLangs, sourceLang, { options }),
+                this.streamTranslate(remainder, targetLangs, sourceLang, options, continueSegments)
+            ]);
+            results = [whole.results[0], rest.results[0]];
+            failedLangs = whole.failedLangs;
+        } else {
+            const texts = remainder ? [text, remainder] : [text];
+            ({ results, failedLangs } = await this.batchTranslate(texts, targetLangs, sourceLang, { options }));
+        }
+        const translations = results[0] || {};
+        const assembled = this.assemble(segments, remainder ? results[1] || {} : null, targetLangs, []);
+
+        return {
+            translations,
+            stable: { ...translations, ...assembled.translations },
+            failedLangs
+        };
+    }
+
+    /**
+     * Join segment and tail translations per language
+     * A language is only usable if every segment (and the tail, if any) has it
+     */
+    assemble(segments, tailTranslations, targetLangs, failedLangs) {
+        const translations = {};
+        const stable = {};
+        const failed = new Set(failedLangs);
+
+        targetLangs.forEach(lang => {
+            const parts = segments.map(segment => segment.translations[lang]);
+            if (parts.some(part => !part) || (tailTranslations && !tailTranslations[lang])) {
+                failed.add(lang);
+                return;
+            }
+            stable[lang] = joinParts(lang, parts);
+            translations[lang] = joinParts(lang, [...parts, tailTranslations?.[lang]]);
+        });
+
+        return { translations, stable, failedLangs: Array.from(failed) };
+    }
+
+    /**
+     * `options` ({ context, formality, onUsage }) are passed through to the translator
+     */
+    async batchTranslate(texts, targetLangs, sourceLang, { batched = false, options = {} } = {}) {
+        if (texts.length === 0) {
+            return { results: [], failedLangs: [] };
+        }
+        try {
+            const results = batched
+                ? await translationBatcher.translate(texts, targetLangs, sourceLang, options)
+                : await getTranslator().batchTranslate(texts, targetLangs, sourceLang, options);
+            return { results, failedLangs: [] };
+        } catch (error) {
+            if (!(error instanceof TranslationError)) throw error;
+            return { results: error.partial, failedLangs: error.failedLangs };
+        }
+    }
+
+    async streamTranslate(text, targetLangs, sourceLang, options, onText) {
+        try {
+            const translations = await getTranslator().translateStream(text, targetLangs, sourceLang, options, onText);
+            return { results: [translations], failedLangs: [] };
+        } catch (error) {
+            if (!(error instanceof TranslationError)) throw error;
+            return { results: [error.partial], failedLangs: error.failedLangs };
+        }
+    }
+
+    /**
+     * Forget the current utterance of a pipeline
+     */
+    clearSession(key) {
+        this.sessions.delete(key);
+    }
+
+    getStats(key) {
+        const state = this.sessions.get(key);
+        return {
+            frozenSegments: state ? state.segments.length : 0,
+            frozenWords: state ? state.segments.reduce((sum, segment) => sum + segment.words.length, 0) : 0
+        };
+    }
+}
+
+// Export singleton
+export const incrementalTranslator = new IncrementalTranslator();
@@ -5,9 +5,18 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { Server } from 'socket.io';
 import http from 'http';
+import { configLoader } from '../config/config-loader.js';
 import { speechTokenRouter } from './token-route.js';
+import { createAdminRouter } from './admin-route.js';
+import { createTranscriptRouter } from './transcript-route.js';
+import { createLanguagesRouter } from './languages-route.js';
 import { initOptimizedSocket } from './websocket.js';
+import { createMetricsHandler } from './prometheus-metrics.js';
 import { performanceMonitor } from './performance-monitor.js';
+import { getTranslator } from './text-translator.js';
+import { partialScheduler } from './partial-scheduler.js';
+import { translationBatcher } from './translation-batcher.js';
+import { utteranceTracer } from './utterance-tracer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -44,9 +53,20 @@ app.use('/api/speech', speechTokenRouter);
 
 // Performance metrics endpoint
 app.get('/api/metrics', (req, res) => {
-  res.json(global.performanceMetrics || {});
+  res.json({
+    ...(global.performanceMetrics || {}),
+    translationProviders: getTranslator().getStatus(),
+    translationCache: getTranslator().getCacheStats(),
+    partialScheduler: partialScheduler.getStats(),
+    translationBatching: translationBatcher.getStats(),
+    config: configLoader.getStatus(),
+    tracing: utteranceTracer.getStats()
+  });
 });
 
+// Languages supported end to end (translation, voices, speech recognition)
+app.use('/api/languages', createLanguagesRouter());
+
 // Health check
 app.get('/healthz', (_req, res) => res.json({
   ok: true,
@@ -96,7 +116,16 @@ const io = new Server(server, {
 });
 
 // Initialize optimized WebSocket handling
-initOptimizedSocket(io);
+const sessionControl = initOptimizedSocket(io);
+
+// Admin API for live session management (requires ADMIN_TOKEN)
+app.use('/api/admin', createAdminRouter(sessionControl));
+
+// Transcript/subtitle export per language
+app.use('/api/sessions', createTranscriptRouter(sessionControl));
+
+// Prometheus scrape endpoint (requires METRICS_TOKEN, or ADMIN_TOKEN)
+app.get('/metrics', createMetricsHandler(sessionControl));
 
 const PORT = process.env.PORT || 8080;
 server.listen(PORT, () => {
@@ -104,4 +133,6 @@ server.listen(PORT, () => {
   console.log(`📡 Direct Translation Mode: ENABLED`);
   console.log(`🔊 Listening on http://localhost:${PORT}`);
   console.log(`⚡ Latency Target: <200ms`);
+  // Pick up edits to HYBRID_CONFIG_FILE without a restart
+  configLoader.watch();
 });
\ No newline at end of file
@@ -0,0 +1,254 @@
+/**
+ * Language Codes
+ * One place to normalize BCP-47 tags and pick the closest code another component knows.
+ * The translator, the voice profiles, the Azure voice maps and the stability config each
+ * key languages differently (es, es-ES, en-US, zh-Hans); every lookup goes through
+ * matchLanguage() so a listener asking for zh-Hans or pt-PT gets the same answer everywhere.
+ *
+ * Fallbacks for a tag, in order (see languageFallbacks):
+ *   1. the tag itself                                   zh-Hant-TW, pt-PT
+ *   2. the tag without its region, then without script  zh-Hant, zh-TW
+ *   3. explicit regional fallbacks                      es-MX → es-419, pt-AO → pt-PT
+ *   4. regions that write the tag's script              zh-Hans → zh-CN, zh-Hant → zh-TW
+ *   5. the base language, when its script matches      pt-PT → pt, but not zh-TW → zh
+ *   6. the base language's default region               pt → pt-BR, es → es-ES
+ * A code in another script is never a match (zh-Hant is not zh-CN) unless the caller asks
+ * for { crossScript: true }; any other region of the language is a last resort.
+ */
+
+// Scripts implied by a language, or by a language in a region
+const DEFAULT_SCRIPTS = {
+    zh: 'Hans',
+    'zh-TW': 'Hant',
+    'zh-HK': 'Hant',
+    'zh-MO': 'Hant',
+    yue: 'Hant',
+    sr: 'Cyrl',
+    'sr-ME': 'Latn',
+    uz: 'Latn',
+    az: 'Latn',
+    bs: 'Latn',
+    pa: 'Guru',
+    'pa-PK': 'Arab'
+};
+
+// Regions that write a script, most common first
+const SCRIPT_REGIONS = {
+    'zh-Hans': ['CN', 'SG'],
+    'zh-Hant': ['TW', 'HK', 'MO'],
+    'sr-Cyrl': ['RS'],
+    'sr-Latn': ['ME', 'RS']
+};
+
+// Region used when a component only knows full locales
+const DEFAULT_REGIONS = {
+    ar: 'SA', bg: 'BG', ca: 'ES', cs: 'CZ', da: 'DK', de: 'DE', el: 'GR', en: 'US',
+    es: 'ES', fa: 'IR', fi: 'FI', fr: 'FR', he: 'IL', hi: 'IN', hr: 'HR', hu: 'HU',
+    id: 'ID', it: 'IT', ja: 'JP', ko: 'KR', ms: 'MY', nb: 'NO', nl: 'NL', pl: 'PL',
+    pt: 'BR', ro: 'RO', ru: 'RU', sk: 'SK', sv: 'SE', th: 'TH', tr: 'TR', uk: 'UA',
+    vi: 'VN', 'zh-Hans': 'CN', 'zh-Hant': 'TW'
+};
+
+// Regional variants that are closer to each other than to the base language
+const REGION_FALLBACKS = {
+    'es-MX': ['es-419', 'es-US'],
+    'es-US': ['es-MX', 'es-419'],
+    'es-AR': ['es-419'],
+    'es-CO': ['es-419'],
+    'es-CL': ['es-419'],
+    'es-419': ['es-MX', 'es-US'],
+    'pt-AO': ['pt-PT'],
+    'pt-MZ': ['pt-PT'],
+    'fr-BE': ['fr-FR'],
+    'fr-CH': ['fr-FR'],
+    'de-AT': ['de-DE'],
+    'de-CH': ['de-DE'],
+    'en-AU': ['en-GB'],
+    'en-NZ': ['en-GB'],
+    'en-IE': ['en-GB'],
+    'en-IN': ['en-GB'],
+    'en-CA': ['en-US']
+};
+
+// Deprecated or non-standard codes still seen in the wild
+const ALIASES = {
+    iw: 'he',
+    in: 'id',
+    ji: 'yi',
+    no: 'nb',
+    tl: 'fil',
+    'zh-CHS': 'zh-Hans',
+    'zh-CHT': 'zh-Hant'
+};
+
+export const LANGUAGE_NAMES = {
+    ar: 'Arabic',
+    de: 'German',
+    en: 'English',
+    'en-GB': 'English (UK)',
+    'en-US': 'English (US)',
+    es: 'Spanish',
+    'es-419': 'Spanish (Latin America)',
+    'es-MX': 'Spanish (Mexico)',
+    fr: 'French',
+    'fr-CA': 'French (Canada)',
+    hi: 'Hindi',
+    it: 'Italian',
+    ja: 'Japanese',
+    ko: 'Korean',
+    nl: 'Dutch',
+    pl: 'Polish',
+    pt: 'Portuguese',
+    'pt-BR': 'Portuguese (Brazil)',
+    'pt-PT': 'Portuguese (Portugal)',
+    ru: 'Russian',
+    tr: 'Turkish',
+    uk: 'Ukrainian',
+    vi: 'Vietnamese',
+    zh: 'Chinese',
+    'zh-Hans': 'Chinese (Simplified)',
+    'zh-Hant': 'Chinese (Traditional)'
+};
+
+/**
+ * Canonical form of a tag ('EN_us' → 'en-US', 'zh-hant-tw' → 'zh-Hant-TW', 'iw' → 'he'),
+ * or null when it is not a language tag (e.g. 'auto-enfr-ca')
+ */
+export function normalizeLanguage(tag) {
+    if (typeof tag !== 'string') return null;
+    const trimmed = tag.trim().replace(/_/g, '-');
+    const alias = Object.keys(ALIASES).find(key => key.toLowerCase() === trimmed.toLowerCase());
+    const parts = (alias ? ALIASES[alias] : trimmed).split('-');
+
+    const language = parts.shift().toLowerCase();
+    if (!/^[a-z]{2,3}$/.test(language)) return null;
+
+    let script = null;
+    let region = null;
+    if (parts[0] && /^[a-z]{4}$/i.test(parts[0])) {
+        const raw = parts.shift();
+        script = raw[0].toUpperCase() + raw.slice(1).toLowerCase();
+    }
+    if (parts[0] && /^([a-z]{2}|\d{3})$/i.test(parts[0])) {
+        region = parts.shift().toUpperCase();
+    }
+    if (parts.some(part => !/^[a-z\d]{1,8}$/i.test(part))) return null;
+
+    return [language, script, region].filter(Boolean).join('-');
+}
+
+/**
+ * Split a tag into { language, script, region }; script is inferred when not written
+ */
+export function parseLanguage(tag) {
+    const normalized = normalizeLanguage(tag);
+    if (!normalized) return null;
+    const [language, ...rest] = normalized.split('-');
+    const written = rest.find(part => part.length === 4) || null;
+    const region = rest.find(part => part.length !== 4) || null;
+    return {
+        tag: normalized,
+        language,
+        script: written || DEFAULT_SCRIPTS[`${language}-${region}`] || DEFAULT_SCRIPTS[language] || null,
+        writtenScript: written,
+        region
+    };
+}
+
+/**
+ * Base language subtag ('pt-BR' → 'pt'), or null
+ */
+export function baseLanguage(tag) {
+    return parseLanguage(tag)?.language || null;
+}
+
+/**
+ * Ordered candidate codes for a tag, most specific first (see the rules at the top)
+ */
+export function languageFallbacks(tag) {
+    const parsed = parseLanguage(tag);
+    if (!parsed) return [];
+    const { language, script, region } = parsed;
+    const defaultScript = DEFAULT_SCRIPTS[language] || null;
+    const candidates = [parsed.tag];
+
+    if (script && script !== defaultScript) {
+        candidates.push(`${language}-${script}`);
+    }
+    if (region) {
+        candidates.push(`${language}-${region}`);
+        candidates.push(...(REGION_FALLBACKS[`${language}-${region}`] || []));
+    }
+    if (script) {
+        candidates.push(`${language}-${script}`);
+        candidates.push(...(SCRIPT_REGIONS[`${language}-${script}`] || []).map(r => `${language}-${r}`));
+    }
+    if (!script || script === defaultScript) {
+        candidates.push(language);
+        const defaultRegion = DEFAULT_REGIONS[language];
+        if (defaultRegion) candidates.push(`${language}-${defaultRegion}`);
+    } else if (DEFAULT_REGIONS[`${language}-${script}`]) {
+        candidates.push(`${language}-${DEFAULT_REGIONS[`${language}-${script}`]}`);
+    }
+
+    return Array.from(new Set(candidates));
+}
+
+/**
+ * The entry of `available` (codes as another component writes them) that best serves
+ * `tag`, or null. { crossScript: true } accepts another script of the same language as a
+ * last resort (fine for a voice, wrong for a translation); { anyRegion: false } stops at
+ * the explicit fallbacks.
+ */
+export function matchLanguage(tag, available, { crossScript = false, anyRegion = true } = {}) {
+    const parsed = parseLanguage(tag);
+    if (!parsed || !available) return null;
+
+    const byCanonical = new Map();
+    for (const code of available) {
+        const normalized = normalizeLanguage(code);
+        if (normalized && !byCanonical.has(normalized)) byCanonical.set(normalized, code);
+    }
+
+    for (const candidate of languageFallbacks(parsed.tag)) {
+        if (byCanonical.has(candidate)) return byCanonical.get(candidate);
+    }
+    if (!anyRegion) return null;
+
+    const related = Array.from(byCanonical.keys())
+        .map(parseLanguage)
+        .filter(other => other.language === parsed.language);
+    const match = related.find(other => other.script === parsed.script)
+        || (crossScript ? related[0] : null);
+    return match ? byCanonical.get(match.tag) : null;
+}
+
+/**
+ * Whether two tags are the same language for listeners: en-US and en are, zh-Hans and
+ * zh-Hant are not (a Traditional reader still needs a translation of Simplified text)
+ */
+export function isSameLanguage(a, b) {
+    const first = parseLanguage(a);
+    const second = parseLanguage(b);
+    if (!first || !second) return false;
+    return first.language === second.language && (first.script || null) === (second.script || null);
+}
+
+/**
+ * Full locale for components that need one ('es' → 'es-ES', 'zh-Hant' → 'zh-TW')
+ */
+export function toLocale(tag) {
+    const parsed = parseLanguage(tag);
+    if (!parsed) return null;
+    if (parsed.region) return `${parsed.language}-${parsed.region}`;
+    const region = DEFAULT_REGIONS[`${parsed.language}-${parsed.script}`] || DEFAULT_REGIONS[parsed.language];
+    return region ? `${parsed.language}-${region}` : parsed.language;
+}
+
+/**
+ * Display name for a tag, falling back through its candidates
+ */
+export function languageName(tag) {
+    const key = matchLanguage(tag, Object.keys(LANGUAGE_NAMES), { anyRegion: false });
+    return key ? LANGUAGE_NAMES[key] : (normalizeLanguage(tag) || String(tag));
+}
@@ -0,0 +1,54 @@
+// server/languages-route.js
+import express from 'express';
+import { getTranslator } from './text-translator.js';
+import { findProfileKey, getVoiceConfig } from './voice-profiles.js';
+import { hybridConfig } from '../config/config-loader.js';
+import { LANGUAGE_NAMES, languageFallbacks, languageName, matchLanguage, normalizeLanguage, toLocale } from './language-codes.js';
+
+/**
+ * What each language gets end to end, resolved the way the pipeline resolves it
+ * GET /api/languages         - every language in the catalogue
+ * GET /api/languages/:code   - one code as a listener would pick it, with its fallback chain
+ * `endToEnd` means a configured translation provider and a voice in that language.
+ */
+export function describeLanguage(code) {
+  const profile = findProfileKey(code);
+  const azureVoices = hybridConfig.audio.voices;
+  const azureVoice = matchLanguage(code, Object.keys(azureVoices), { crossScript: true });
+  const translation = getTranslator().resolveTarget(code);
+  const voices = {
+    streaming: profile === 'default' ? null : { profile, voice: getVoiceConfig(code).name },
+    buffered: azureVoice ? { voice: azureVoices[azureVoice] } : null
+  };
+
+  return {
+    code,
+    name: languageName(code),
+    translation,
+    voices,
+    speechRecognition: toLocale(code),
+    endToEnd: Boolean(translation && (voices.streaming || voices.buffered))
+  };
+}
+
+export function createLanguagesRouter() {
+  const router = express.Router();
+
+  router.get('/', (_req, res) => {
+    const languages = Object.keys(LANGUAGE_NAMES).map(describeLanguage);
+    res.json({
+      languages,
+      endToEnd: languages.filter(language => language.endToEnd).map(language => language.code)
+    });
+  });
+
+  router.get('/:code', (req, res) => {
+    const code = normalizeLanguage(req.params.code);
+    if (!code) {
+      return res.status(400).json({ error: 'invalid_language_code' });
+    }
+    res.json({ ...describeLanguage(code), fallbacks: languageFallbacks(code) });
+  });
+
+  return router;
+}
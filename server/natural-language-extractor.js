@@ -1,19 +1,14 @@
 /**
  * Natural Language Extractor for Low-Latency Conference Translation
  * Balances immediate response with natural-sounding speech by using linguistic boundaries
+ * Chunk lengths and delays come from hybridConfig.extractors.natural, per language
  */
 
 import crypto from 'crypto';
+import { getExtractorConfig } from '../config/config-loader.js';
 
 export class NaturalLanguageExtractor {
     constructor() {
-        // Configuration for natural speech with low latency
-        this.MIN_CHUNK_WORDS = 5;     // Minimum for natural phrases
-        this.IDEAL_CHUNK_WORDS = 8;   // Sweet spot for naturalness
-        this.MAX_CHUNK_WORDS = 15;    // Maximum before forcing break
-        this.INITIAL_DELAY_MS = 150;  // Small delay for first chunk to gather context
-        this.SUBSEQUENT_DELAY_MS = 50; // Faster for following chunks
-        
         // Linguistic markers for natural boundaries
         this.conjunctions = new Set(['and', 'or', 'but', 'yet', 'so', 'for', 'nor', 'as', 'when', 'while', 'where', 'if', 'that', 'which', 'who']);
         this.prepositions = new Set(['in', 'on', 'at', 'by', 'for', 'with', 'about', 'against', 'between', 'into', 'through', 'during', 'before', 'after', 'above', 'below', 'to', 'from', 'up', 'down', 'out', 'off', 'over', 'under']);
@@ -60,15 +55,15 @@ export class NaturalLanguageExtractor {
     /**
      * Find the best linguistic boundary in a word array
      */
-    findBestBoundary(words, startIdx = 0) {
+    findBestBoundary(words, startIdx, { minChunkWords, idealChunkWords, maxChunkWords }) {
         // Look for natural break points within ideal range
         let bestBoundary = -1;
         let bestScore = 0;
         
         // Search window
-        const minBoundary = startIdx + this.MIN_CHUNK_WORDS;
-        const maxBoundary = Math.min(startIdx + this.MAX_CHUNK_WORDS, words.length);
-        const idealBoundary = startIdx + this.IDEAL_CHUNK_WORDS;
+        const minBoundary = startIdx + minChunkWords;
+        const maxBoundary = Math.min(startIdx + maxChunkWords, words.length);
+        const idealBoundary = startIdx + idealChunkWords;
         
         for (let i = minBoundary; i <= maxBoundary && i <= words.length; i++) {
             let score = 0;
@@ -141,8 +136,9 @@ export class NaturalLanguageExtractor {
     
     /**
      * Process text with natural language awareness
+     * `overrides` is the session's tuning for this extractor
      */
-    processText(sessionId, language, text, isFinal = false) {
+    processText(sessionId, language, text, isFinal = false, overrides = {}) {
         const session = this.getSession(sessionId, language);
         const result = {
             chunks: [],
@@ -170,19 +166,21 @@ export class NaturalLanguageExtractor {
         
         const now = Date.now();
         const timeSinceLastChunk = now - session.lastChunkTime;
+        const settings = { ...getExtractorConfig('natural', language), ...overrides };
         
         // Determine if we should generate a chunk
         let shouldGenerate = false;
-        let delay = session.isFirstChunk ? this.INITIAL_DELAY_MS : this.SUBSEQUENT_DELAY_MS;
+        // Small delay for the first chunk to gather context, faster for following ones
+        let delay = session.isFirstChunk ? settings.initialDelayMs : settings.subsequentDelayMs;
         
         // Check conditions for chunk generation
-        if (session.currentPhrase.length >= this.MIN_CHUNK_WORDS) {
+        if (session.currentPhrase.length >= settings.minChunkWords) {
             // Check if we've waited long enough
             if (timeSinceLastChunk >= delay) {
                 shouldGenerate = true;
             }
             // Or if we have enough words for a natural phrase
-            else if (session.currentPhrase.length >= this.IDEAL_CHUNK_WORDS) {
+            else if (session.currentPhrase.length >= settings.idealChunkWords) {
                 shouldGenerate = true;
             }
             // Or if this is final and we have any words
@@ -198,7 +196,7 @@ export class NaturalLanguageExtractor {
         // Generate chunks with natural boundaries
         while (shouldGenerate && session.currentPhrase.length > 0) {
             // Find best linguistic boundary
-            const boundaryIdx = this.findBestBoundary(session.currentPhrase, 0);
+            const boundaryIdx = this.findBestBoundary(session.currentPhrase, 0, settings);
             
             // Extract chunk at boundary
             const chunkWords = session.currentPhrase.splice(0, boundaryIdx);
@@ -228,7 +226,7 @@ export class NaturalLanguageExtractor {
             }
             
             // Check if we should continue generating
-            if (session.currentPhrase.length < this.MIN_CHUNK_WORDS && !isFinal) {
+            if (session.currentPhrase.length < settings.minChunkWords && !isFinal) {
                 shouldGenerate = false;
             }
         }
@@ -0,0 +1,127 @@
+/**
+ * Partial Scheduler
+ * Coalesces bursts of partials per presenter pipeline using hybridConfig.performance.throttle:
+ * the first partial after a quiet period runs at once, later ones inside the throttle window
+ * replace each other and only the newest runs when the window ends.
+ *
+ * Finals never wait here. `final(key)` drops the pending partial and bumps the pipeline's
+ * generation so partials still in flight can tell a final overtook them.
+ */
+
+import { configLoader, hybridConfig } from '../config/config-loader.js';
+
+export class PartialScheduler {
+    constructor(config = {}) {
+        this.overrides = config;
+        this.applyConfig();
+
+        this.pipelines = new Map(); // key -> { lastRunAt, pending, timer, generation }
+        this.stats = {
+            submitted: 0,
+            processed: 0,
+            coalesced: 0
+        };
+    }
+
+    /**
+     * Read the throttle from hybridConfig (again after a config reload)
+     */
+    applyConfig() {
+        const { throttle } = hybridConfig.performance;
+        this.config = {
+            enabled: throttle.enabled,
+            minIntervalMs: throttle.minIntervalMs,
+            maxPartialsPerSecond: throttle.maxPartialsPerSecond,
+            ...this.overrides
+        };
+    }
+
+    /**
+     * Minimum time between two partials of one pipeline
+     */
+    get intervalMs() {
+        const { minIntervalMs, maxPartialsPerSecond } = this.config;
+        return Math.max(minIntervalMs || 0, maxPartialsPerSecond > 0 ? 1000 / maxPartialsPerSecond : 0);
+    }
+
+    getState(key) {
+        if (!this.pipelines.has(key)) {
+            this.pipelines.set(key, { lastRunAt: 0, pending: null, timer: null, generation: 0 });
+        }
+        return this.pipelines.get(key);
+    }
+
+    /**
+     * Run a partial's task now or, inside the throttle window, in place of any pending one
+     */
+    submit(key, task) {
+        this.stats.submitted++;
+        const state = this.getState(key);
+
+        const wait = state.lastRunAt + this.intervalMs - Date.now();
+        if (!this.config.enabled || (wait <= 0 && !state.timer)) {
+            this.run(state, task);
+            return;
+        }
+
+        if (state.pending) {
+            this.stats.coalesced++;
+        }
+        state.pending = task;
+        if (!state.timer) {
+            state.timer = setTimeout(() => {
+                state.timer = null;
+                const pending = state.pending;
+                state.pending = null;
+                if (pending) this.run(state, pending);
+            }, Math.max(0, wait));
+        }
+    }
+
+    run(state, task) {
+        state.lastRunAt = Date.now();
+        this.stats.processed++;
+        Promise.resolve()
+            .then(task)
+            .catch(error => console.error('❌ [SCHEDULER] Partial processing failed:', error.message));
+    }
+
+    /**
+     * A final arrived: forget the pending partial and start the next utterance unthrottled
+     */
+    final(key) {
+        const state = this.getState(key);
+        clearTimeout(state.timer);
+        state.timer = null;
+        if (state.pending) {
+            this.stats.coalesced++;
+            state.pending = null;
+        }
+        state.lastRunAt = 0;
+        state.generation++;
+    }
+
+    generation(key) {
+        return this.pipelines.get(key)?.generation ?? 0;
+    }
+
+    clearSession(key) {
+        const state = this.pipelines.get(key);
+        if (state) {
+            clearTimeout(state.timer);
+            this.pipelines.delete(key);
+        }
+    }
+
+    getStats() {
+        return {
+            enabled: this.config.enabled,
+            intervalMs: this.intervalMs,
+            ...this.stats
+        };
+    }
+}
+
+// Export singleton
+export const partialScheduler = new PartialScheduler();
+configLoader.on('change', () => partialScheduler.applyConfig());
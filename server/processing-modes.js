@@ -0,0 +1,339 @@
+/**
+ * Processing Mode Registry
+ * Puts every sentence extractor behind one interface so each session can pick
+ * (and switch) how translated text is turned into display updates and TTS audio
+ *
+ * Every mode implements:
+ *   process(ctx, lang, translatedText) - handle one translation for one language
+ *   clearSession(sessionId, lang)      - drop extractor/TTS state for a session
+ *   getStats(sessionId, lang, tuning)  - extractor state for monitoring
+ *   processStream(ctx, lang, textSoFar) - optional: a final's translation while a streaming
+ *                                         provider is still writing it (process() follows)
+ *
+ * `ctx` is built per incoming utterance by websocket.js:
+ *   { code, session, speaker, isFinal, translations, stableTranslations, tuning, traceId, audio,
+ *     emitToLanguage(lang, event, payload), getCommonVoice(lang), synthesize(text, lang, voice),
+ *     pronounce(lang, text), trace(name, attributes) }
+ * `code` keys extractor/TTS state (one pipeline per presenter), `speaker` is the presenter's label.
+ * `stableTranslations` (null when the speaker sent its own translations) only grows within an
+ * utterance: the frozen prefix of partials, and that prefix plus the remainder on finals.
+ * `pronounce` applies the session glossary's pronunciations; use it on text sent to TTS only.
+ * `tuning` is the session's live overrides by section ({ natural: {...}, streaming: {...} }, see
+ * TUNING_SECTIONS in config-loader.js); pass the mode's section to its extractor on every call.
+ * `trace` adds a hop to the utterance's timeline (utterance-tracer.js): record what the extractor
+ * released; emits and TTS requests are traced by websocket.js.
+ * `audio` is false once the session used up a budget (usage-meter.js): keep the extractors and
+ * display going, but send nothing to TTS.
+ */
+
+import { continuousStreamProcessor } from './continuous-stream-processor.js';
+import { naturalLanguageExtractor } from './natural-language-extractor.js';
+import { ultraLowLatencyExtractor } from './ultra-low-latency-extractor.js';
+import { conferenceSentenceExtractor } from './conference-sentence-extractor.js';
+import { hybridSentenceExtractor } from './hybrid-sentence-extractor.js';
+import { streamingSentenceExtractor } from './streaming-sentence-extractor.js';
+import { webSocketTTS } from './websocket-streaming-tts.js';
+
+export const DEFAULT_MODE = 'continuous';
+
+/**
+ * Send a display update to every listener of a language
+ */
+function emitDisplayUpdate(ctx, lang, text, extra = {}) {
+    ctx.emitToLanguage(lang, 'translation-update', {
+        text,
+        language: lang,
+        isFinal: ctx.isFinal,
+        speaker: ctx.speaker,
+        ...extra
+    });
+}
+
+/**
+ * Synthesize a text segment and deliver the buffered audio to listeners of a language
+ */
+async function synthesizeAndSend(ctx, lang, text, extra, tag, voice = ctx.getCommonVoice(lang)) {
+    if (!ctx.audio) return;
+    try {
+        const audioStream = await ctx.synthesize(ctx.pronounce(lang, text), lang, voice);
+        if (!audioStream) {
+            console.warn(`⚠️ [${tag}] No audio stream returned for ${lang}`);
+            return;
+        }
+
+        const chunks = [];
+        audioStream.on('data', chunk => chunks.push(chunk));
+        audioStream.on('end', () => {
+            ctx.emitToLanguage(lang, 'audio-stream', {
+                audio: Buffer.concat(chunks).toString('base64'),
+                format: 'mp3',
+                language: lang,
+                text,
+                speaker: ctx.speaker,
+                ...extra
+            });
+            console.log(`🔊 [${tag}] TTS sent for ${lang}: "${text.substring(0, 40)}..."`);
+        });
+        audioStream.on('error', (error) => {
+            console.error(`TTS stream error for ${lang}:`, error);
+        });
+    } catch (error) {
+        console.error(`TTS generation error for ${lang}:`, error);
+    }
+}
+
+// Continuous speech detection state for hybrid mode: code:lang -> { lastTs, runStartTs, continuous }
+const continuousState = new Map();
+
+/**
+ * Lower hybrid stability thresholds while partials arrive rapidly
+ */
+function adjustForContinuousSpeech(code, lang) {
+    const nowTs = Date.now();
+    const key = `${code}:${lang}`;
+    const st = continuousState.get(key) || { lastTs: 0, runStartTs: nowTs, continuous: false };
+    const delta = nowTs - st.lastTs;
+    st.lastTs = nowTs;
+    if (delta < 350) { // partials arriving faster than ~3/sec
+        if (!st.continuous) st.runStartTs = nowTs;
+        st.continuous = true;
+    } else if (delta > 900) {
+        st.continuous = false; // pause detected
+    }
+    continuousState.set(key, st);
+    const duration = nowTs - st.runStartTs;
+    if (st.continuous && duration > 2000) {
+        // In continuous mode for >2s -> use phrase mode (phraseTimeWindowMs in hybridConfig.stability)
+        hybridSentenceExtractor.setSessionParams(code, lang, { phraseMode: true });
+    } else {
+        // Default mode - sentences, timeWindowMs
+        hybridSentenceExtractor.setSessionParams(code, lang, { phraseMode: false });
+    }
+}
+
+export const processingModes = {
+    // Seamless TTS: new text streams straight into the ElevenLabs WebSocket
+    continuous: {
+        label: 'Continuous Streaming',
+        async process(ctx, lang, translatedText) {
+            emitDisplayUpdate(ctx, lang, translatedText);
+
+            // Speak only the stable prefix so revisions of the tail never reach the audio
+            const spokenText = ctx.stableTranslations?.[lang] ?? translatedText;
+            const streamResult = continuousStreamProcessor.processText(ctx.code, lang, spokenText, ctx.isFinal, ctx.tuning.continuous);
+            ctx.trace('extract', { language: lang, newChars: streamResult.newChars, send: streamResult.shouldSend });
+            if (!streamResult.shouldSend || !ctx.audio) return;
+
+            console.log(`🌊 [STREAMING] Sending ${streamResult.newChars} new chars to WebSocket TTS`);
+            await webSocketTTS.streamText(
+                ctx.code,
+                lang,
+                ctx.pronounce(lang, streamResult.textToSend),
+                streamResult.isFinal,
+                ctx.getCommonVoice(lang),
+                ctx.tuning.streaming,
+                ctx.traceId
+            );
+        },
+        // Tokens of a final arrive from a streaming provider: speak them right away
+        async processStream(ctx, lang, textSoFar) {
+            emitDisplayUpdate(ctx, lang, textSoFar, { streaming: true });
+
+            const streamResult = continuousStreamProcessor.processText(ctx.code, lang, textSoFar, false, ctx.tuning.continuous);
+            ctx.trace('extract', { language: lang, newChars: streamResult.newChars, send: streamResult.shouldSend, streaming: true });
+            if (!streamResult.shouldSend || !ctx.audio) return;
+
+            await webSocketTTS.streamText(
+                ctx.code,
+                lang,
+                ctx.pronounce(lang, streamResult.textToSend),
+                false,
+                ctx.getCommonVoice(lang),
+                ctx.tuning.streaming,
+                ctx.traceId
+            );
+        },
+        clearSession(sessionId, lang) {
+            continuousStreamProcessor.clearSession(sessionId, lang);
+            webSocketTTS.closeConnection(sessionId, lang);
+        },
+        getStats(sessionId, lang) {
+            return continuousStreamProcessor.getStats(sessionId, lang);
+        }
+    },
+
+    // Low latency with natural-sounding chunks at linguistic boundaries
+    natural: {
+        label: 'Natural Language',
+        async process(ctx, lang, translatedText) {
+            emitDisplayUpdate(ctx, lang, translatedText);
+
+            const result = naturalLanguageExtractor.processText(ctx.code, lang, translatedText, ctx.isFinal, ctx.tuning.natural);
+            ctx.trace('extract', { language: lang, segments: result.chunks.length });
+            if (result.chunks.length > 0) {
+                console.log(`🌊 [NATURAL] Generating TTS for ${result.chunks.length} natural chunks in ${lang}`);
+            }
+            for (const chunkData of result.chunks) {
+                await synthesizeAndSend(ctx, lang, chunkData.text, {
+                    sequence: chunkData.sequence,
+                    wordCount: chunkData.wordCount,
+                    isNaturalBoundary: chunkData.isNaturalBoundary
+                }, 'NATURAL');
+            }
+        },
+        clearSession(sessionId, lang) {
+            naturalLanguageExtractor.clearSession(sessionId, lang);
+        },
+        getStats(sessionId, lang) {
+            return naturalLanguageExtractor.getStats(sessionId, lang);
+        }
+    },
+
+    // Only complete, deduplicated sentences from finals
+    conference: {
+        label: 'Conference',
+        async process(ctx, lang, translatedText) {
+            emitDisplayUpdate(ctx, lang, translatedText);
+            if (!ctx.isFinal) return;
+
+            const result = conferenceSentenceExtractor.processText(ctx.code, lang, translatedText, true, ctx.tuning.conference);
+            ctx.trace('extract', { language: lang, segments: result.sentences.length });
+            if (result.sentences.length > 0) {
+                console.log(`🎯 [CONFERENCE] Generating TTS for ${result.sentences.length} unique sentences in ${lang}`);
+            }
+            for (const sentenceData of result.sentences) {
+                await synthesizeAndSend(ctx, lang, sentenceData.text, {
+                    sequence: sentenceData.sequence
+                }, 'CONFERENCE');
+            }
+        },
+        clearSession(sessionId, lang) {
+            conferenceSentenceExtractor.clearSession(sessionId, lang);
+        },
+        getStats(sessionId, lang) {
+            return conferenceSentenceExtractor.getStats(sessionId, lang);
+        }
+    },
+
+    // TTS for sentences that stay stable across partials
+    hybrid: {
+        label: 'Hybrid',
+        async process(ctx, lang, translatedText) {
+            adjustForContinuousSpeech(ctx.code, lang);
+
+            const result = hybridSentenceExtractor.processPartial(ctx.code, lang, translatedText, ctx.isFinal, ctx.tuning.stability);
+            ctx.trace('extract', { language: lang, segments: result.shouldGenerateTTS ? result.stableSentences.length : 0 });
+            emitDisplayUpdate(ctx, lang, result.displayText, { partialNumber: result.partialNumber });
+
+            if (result.shouldGenerateTTS && result.stableSentences.length > 0) {
+                console.log(`🎯 [HYBRID] Generating TTS for ${result.stableSentences.length} stable sentences in ${lang}`);
+                for (const sentenceData of result.stableSentences) {
+                    // Deduplicate against any previously spoken sentences (hybrid or final)
+                    streamingSentenceExtractor.registerSpoken(ctx.code, lang, sentenceData.text);
+                    await synthesizeAndSend(ctx, lang, sentenceData.text, {
+                        confidence: sentenceData.confidence,
+                        isStable: true
+                    }, 'HYBRID');
+                }
+            } else if (ctx.isFinal) {
+                // Fallback: if final and nothing stable emitted, synthesize final sentences to ensure audio
+                const { sentences } = streamingSentenceExtractor.processTranscript(ctx.code, lang, translatedText, true);
+                ctx.trace('extract', { language: lang, segments: sentences?.length ?? 0, fallback: true });
+                if (sentences && sentences.length > 0) {
+                    console.log(`🎯 [HYBRID-FALLBACK] Generating TTS for ${sentences.length} final sentences in ${lang}`);
+                }
+                for (const sentence of sentences || []) {
+                    streamingSentenceExtractor.registerSpoken(ctx.code, lang, sentence);
+                    await synthesizeAndSend(ctx, lang, sentence, { isStable: true }, 'HYBRID-FALLBACK');
+                }
+            }
+        },
+        clearSession(sessionId, lang) {
+            hybridSentenceExtractor.clearSession(sessionId, lang);
+            streamingSentenceExtractor.clearSession(sessionId, lang);
+            continuousState.delete(`${sessionId}:${lang}`);
+        },
+        getStats(sessionId, lang, tuning = {}) {
+            return {
+                params: hybridSentenceExtractor.getSessionParams(sessionId, lang, tuning.stability),
+                ...streamingSentenceExtractor.getStats(sessionId, lang)
+            };
+        }
+    },
+
+    // TTS immediately as words arrive (3-word chunks)
+    'ultra-low-latency': {
+        label: 'Ultra-Low Latency',
+        async process(ctx, lang, translatedText) {
+            emitDisplayUpdate(ctx, lang, translatedText);
+
+            const result = ultraLowLatencyExtractor.processText(ctx.code, lang, translatedText, ctx.isFinal, ctx.tuning.ultraLowLatency);
+            ctx.trace('extract', { language: lang, segments: result.chunks.length });
+            if (result.chunks.length > 0) {
+                console.log(`⚡ [ULTRA] Generating TTS for ${result.chunks.length} chunks in ${lang}`);
+            }
+            for (const chunkData of result.chunks) {
+                await synthesizeAndSend(ctx, lang, chunkData.text, {
+                    sequence: chunkData.sequence,
+                    wordCount: chunkData.wordCount
+                }, 'ULTRA');
+            }
+        },
+        clearSession(sessionId, lang) {
+            ultraLowLatencyExtractor.clearSession(sessionId, lang);
+        },
+        getStats(sessionId, lang) {
+            return ultraLowLatencyExtractor.getStats(sessionId, lang);
+        }
+    },
+
+    // Only finals, complete sentences (listeners rely on translation-broadcast for text)
+    original: {
+        label: 'Original (finals only)',
+        async process(ctx, lang, translatedText) {
+            const { sentences, shouldGenerateTTS } = streamingSentenceExtractor.processTranscript(
+                ctx.code,
+                lang,
+                translatedText,
+                ctx.isFinal
+            );
+            ctx.trace('extract', { language: lang, segments: shouldGenerateTTS ? sentences.length : 0 });
+            if (!shouldGenerateTTS || sentences.length === 0) return;
+
+            console.log(`🎯 [ORIGINAL] Generating TTS for ${sentences.length} final sentences in ${lang}`);
+            for (const sentence of sentences) {
+                await synthesizeAndSend(ctx, lang, sentence, {}, 'ORIGINAL');
+            }
+        },
+        clearSession(sessionId, lang) {
+            streamingSentenceExtractor.clearSession(sessionId, lang);
+        },
+        getStats(sessionId, lang) {
+            return streamingSentenceExtractor.getStats(sessionId, lang);
+        }
+    }
+};
+
+/**
+ * Look up a processing mode by name
+ */
+export function getProcessingMode(name) {
+    return Object.prototype.hasOwnProperty.call(processingModes, name) ? processingModes[name] : null;
+}
+
+/**
+ * Resolve a requested mode name, falling back to the default mode
+ */
+export function resolveModeName(name) {
+    return getProcessingMode(name) ? name : DEFAULT_MODE;
+}
+
+/**
+ * List available modes (for UI selectors)
+ */
+export function listProcessingModes() {
+    return Object.entries(processingModes).map(([name, mode]) => ({
+        name,
+        label: mode.label
+    }));
+}
@@ -0,0 +1,158 @@
+/**
+ * Prometheus metrics for the translation pipeline, served at GET /metrics
+ *
+ * Histograms (seconds), labeled session, language and mode:
+ *   s2s_stt_to_server_seconds        recognizer result on the speaker's machine → server, with the
+ *                                    speaker's clock offset measured at join (skipped without it)
+ *   s2s_translation_seconds          provider chain, per target language
+ *   s2s_tts_first_byte_seconds       TTS request → first audio byte
+ *   s2s_emit_to_listener_seconds     server emit → listener, half the round trip of a final's
+ *                                    translation-update and its delivery-ack
+ * Gauges: sessions, listeners per session/language, open WebSocket TTS connections and their
+ * unsent text. Sessions and listeners are the shared view every instance mirrors, so aggregate
+ * them with max() across instances, not sum().
+ *
+ * Session codes let anyone join a session, so the endpoint needs METRICS_TOKEN (or ADMIN_TOKEN),
+ * sent like the admin token as `Authorization: Bearer <token>` or `X-Admin-Token`.
+ */
+
+import client from 'prom-client';
+import { webSocketTTS } from './websocket-streaming-tts.js';
+import { requestToken, secretsMatch } from './secrets.js';
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 's2s_' });
+
+const LABELS = ['session', 'language', 'mode'];
+const BUCKETS = [0.025, 0.05, 0.1, 0.2, 0.35, 0.5, 0.75, 1, 1.5, 2.5, 5, 10];
+
+const stages = {
+  sttToServer: new client.Histogram({
+    name: 's2s_stt_to_server_seconds',
+    help: 'Time from a speech recognition result on the speaker machine to the server',
+    labelNames: LABELS,
+    buckets: BUCKETS,
+    registers: [registry]
+  }),
+  translation: new client.Histogram({
+    name: 's2s_translation_seconds',
+    help: 'Time spent translating an utterance, per target language',
+    labelNames: LABELS,
+    buckets: BUCKETS,
+    registers: [registry]
+  }),
+  ttsFirstByte: new client.Histogram({
+    name: 's2s_tts_first_byte_seconds',
+    help: 'Time from a TTS request to its first audio byte',
+    labelNames: LABELS,
+    buckets: BUCKETS,
+    registers: [registry]
+  }),
+  emitToListener: new client.Histogram({
+    name: 's2s_emit_to_listener_seconds',
+    help: 'Time from the server emitting a final translation to a listener receiving it',
+    labelNames: LABELS,
+    buckets: BUCKETS,
+    registers: [registry]
+  })
+};
+
+// Label sets seen per session, so a session's series go away when it ends: code -> Set<json>
+const seriesBySession = new Map();
+
+// Where the gauges read from (set by createMetricsHandler)
+let sessionSource = null;
+
+/**
+ * Record one observation of a pipeline stage ('sttToServer', 'translation', 'ttsFirstByte',
+ * 'emitToListener'); durations below zero (clock trouble) are dropped
+ */
+export function observeStage(stage, { session, language, mode }, ms) {
+  if (!stages[stage] || !Number.isFinite(ms) || ms < 0) return;
+  const labels = { session, language: language || 'unknown', mode: mode || 'unknown' };
+  stages[stage].observe(labels, ms / 1000);
+
+  if (!seriesBySession.has(session)) seriesBySession.set(session, new Set());
+  seriesBySession.get(session).add(JSON.stringify(labels));
+}
+
+/**
+ * Drop an ended session's histogram series
+ */
+export function forgetSession(code) {
+  const series = seriesBySession.get(code);
+  if (!series) return;
+  series.forEach(json => {
+    const labels = JSON.parse(json);
+    Object.values(stages).forEach(histogram => histogram.remove(labels));
+  });
+  seriesBySession.delete(code);
+}
+
+new client.Gauge({
+  name: 's2s_active_sessions',
+  help: 'Live sessions',
+  registers: [registry],
+  collect() {
+    this.set(sessionSource ? Array.from(sessionSource.keys()).length : 0);
+  }
+});
+
+new client.Gauge({
+  name: 's2s_listeners',
+  help: 'Connected listeners per session and language',
+  labelNames: ['session', 'language'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    if (!sessionSource) return;
+    for (const [code, session] of sessionSource.entries()) {
+      session.listeners.forEach(listener => {
+        this.inc({ session: code, language: listener.lang || 'none' });
+      });
+    }
+  }
+});
+
+new client.Gauge({
+  name: 's2s_websocket_tts_connections',
+  help: 'Open ElevenLabs WebSocket TTS connections on this instance',
+  registers: [registry],
+  collect() {
+    this.set(webSocketTTS.getMetrics().openConnections);
+  }
+});
+
+new client.Gauge({
+  name: 's2s_websocket_tts_buffered_chars',
+  help: 'Text waiting to be sent to WebSocket TTS, per session and language',
+  labelNames: ['session', 'language'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    webSocketTTS.getMetrics().bufferSizes.forEach(({ session: key, size }) => {
+      const split = key.lastIndexOf(':');
+      // Pipelines of panelists (CODE~1) count towards their session
+      this.inc({ session: key.slice(0, split).split('~')[0], language: key.slice(split + 1) }, size);
+    });
+  }
+});
+
+/**
+ * Express handler for GET /metrics; `control` is what initOptimizedSocket returns
+ */
+export function createMetricsHandler(control) {
+  sessionSource = control.sessions;
+
+  return async (req, res) => {
+    const token = process.env.METRICS_TOKEN || process.env.ADMIN_TOKEN;
+    if (!token) {
+      return res.status(503).json({ error: 'metrics_disabled', message: 'Set METRICS_TOKEN to enable /metrics' });
+    }
+    if (!secretsMatch(token, requestToken(req))) {
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  };
+}
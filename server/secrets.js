@@ -0,0 +1,25 @@
+/**
+ * Secrets
+ * Constant-time comparison for everything a client proves it knows: admin and metrics tokens,
+ * owner and panelist secrets, resume tokens and listener passcodes
+ */
+
+import { timingSafeEqual } from 'crypto';
+
+/**
+ * Whether a provided secret equals the expected one; false when either is missing
+ */
+export function secretsMatch(expected, provided) {
+    if (typeof expected !== 'string' || typeof provided !== 'string' || !expected) return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(provided);
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * The token an HTTP request carries, as `Authorization: Bearer <token>` or `X-Admin-Token`
+ */
+export function requestToken(req) {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : req.get('x-admin-token');
+}
@@ -0,0 +1,507 @@
+/**
+ * Session Store with Redis Backend and Multi-Instance Fan-out
+ * Keeps session state (speaker, languages, listeners, metrics) in a shared backend
+ * so several server instances behind a load balancer see the same sessions
+ *
+ * Reads stay synchronous against a local mirror. Every write is persisted to the
+ * backend and announced on a pub/sub channel so other instances refresh their mirror.
+ * The same channel carries socket.io room emits, so a listener connected to node B
+ * hears a speaker whose pipeline runs on node A.
+ *
+ * Listeners live in their own hash (one field per socket) so instances adding and
+ * removing listeners never overwrite each other's changes to the session document.
+ */
+
+import { EventEmitter } from 'events';
+import { createClient } from 'redis';
+import { v4 as uuid } from 'uuid';
+
+const KEY_PREFIX = 's2s:session:';
+const INDEX_KEY = 's2s:sessions';
+const CHANNEL = 's2s:events';
+const TRANSCRIPT_PREFIX = 's2s:transcript:';
+const METRICS_SAVE_DELAY_MS = 1000;
+const DEFAULT_TRANSCRIPT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * JSON helpers that keep Maps intact (sessions hold Maps for listeners, speakers, ...)
+ */
+function replacer(_key, value) {
+    if (value instanceof Map) {
+        return { __map: Array.from(value.entries()) };
+    }
+    return value;
+}
+
+function reviver(_key, value) {
+    if (value && typeof value === 'object' && Array.isArray(value.__map)) {
+        return new Map(value.__map);
+    }
+    return value;
+}
+
+export function serialize(value) {
+    return JSON.stringify(value, replacer);
+}
+
+export function deserialize(text) {
+    return text ? JSON.parse(text, reviver) : null;
+}
+
+// Shared by every in-memory backend in this process, so two stores behave like two instances
+const memoryDocs = new Map();      // code -> serialized session document
+const memoryListeners = new Map(); // code -> Map(listenerId -> serialized listener)
+const memoryTranscripts = new Map(); // code -> { meta, entries: [], expiresAt }
+const memoryBus = new EventEmitter();
+memoryBus.setMaxListeners(0);
+
+/**
+ * In-process backend (default, and a stand-in for Redis in tests)
+ */
+export class MemorySessionBackend {
+    constructor({ transcriptTtlSeconds = DEFAULT_TRANSCRIPT_TTL_SECONDS } = {}) {
+        this.transcriptTtlSeconds = transcriptTtlSeconds;
+    }
+
+    async connect() {}
+
+    async loadSession(code) {
+        return memoryDocs.get(code) || null;
+    }
+
+    async loadListeners(code) {
+        return Object.fromEntries(memoryListeners.get(code) || []);
+    }
+
+    async listCodes() {
+        return Array.from(memoryDocs.keys());
+    }
+
+    async saveSession(code, doc) {
+        memoryDocs.set(code, doc);
+    }
+
+    async removeSession(code) {
+        memoryDocs.delete(code);
+        memoryListeners.delete(code);
+    }
+
+    async setListener(code, listenerId, doc) {
+        if (!memoryListeners.has(code)) {
+            memoryListeners.set(code, new Map());
+        }
+        memoryListeners.get(code).set(listenerId, doc);
+    }
+
+    async removeListener(code, listenerId) {
+        memoryListeners.get(code)?.delete(listenerId);
+    }
+
+    async clearListeners(code) {
+        memoryListeners.delete(code);
+    }
+
+    async saveTranscriptMeta(code, doc) {
+        const existing = memoryTranscripts.get(code);
+        memoryTranscripts.set(code, {
+            meta: doc,
+            entries: existing ? existing.entries : [],
+            expiresAt: Date.now() + this.transcriptTtlSeconds * 1000
+        });
+    }
+
+    async appendTranscript(code, doc) {
+        memoryTranscripts.get(code)?.entries.push(doc);
+    }
+
+    async loadTranscript(code) {
+        const transcript = memoryTranscripts.get(code);
+        if (!transcript) return null;
+        if (transcript.expiresAt < Date.now()) {
+            memoryTranscripts.delete(code);
+            return null;
+        }
+        return { meta: transcript.meta, entries: transcript.entries.slice() };
+    }
+
+    async loadTranscriptMeta(code) {
+        return (await this.loadTranscript(code))?.meta ?? null;
+    }
+
+    async removeTranscript(code) {
+        memoryTranscripts.delete(code);
+    }
+
+    async publish(message) {
+        // Deliver asynchronously like a real pub/sub round trip
+        setImmediate(() => memoryBus.emit('message', message));
+    }
+
+    async subscribe(handler) {
+        memoryBus.on('message', (message) => handler(deserialize(message)));
+    }
+
+    async close() {}
+}
+
+/**
+ * Redis backend (enabled with SESSION_STORE=redis)
+ */
+export class RedisSessionBackend {
+    constructor(url, { ttlSeconds = 24 * 60 * 60, transcriptTtlSeconds = DEFAULT_TRANSCRIPT_TTL_SECONDS } = {}) {
+        this.url = url;
+        this.ttlSeconds = ttlSeconds;
+        this.transcriptTtlSeconds = transcriptTtlSeconds;
+        this.client = createClient({ url });
+        this.subscriber = this.client.duplicate();
+
+        this.client.on('error', (error) => console.error('❌ [SESSION-STORE] Redis error:', error.message));
+        this.subscriber.on('error', (error) => console.error('❌ [SESSION-STORE] Redis subscriber error:', error.message));
+    }
+
+    async connect() {
+        await Promise.all([this.client.connect(), this.subscriber.connect()]);
+    }
+
+    async loadSession(code) {
+        return this.client.get(KEY_PREFIX + code);
+    }
+
+    async loadListeners(code) {
+        return this.client.hGetAll(`${KEY_PREFIX}${code}:listeners`);
+    }
+
+    async listCodes() {
+        return this.client.sMembers(INDEX_KEY);
+    }
+
+    async saveSession(code, doc) {
+        await this.client.multi()
+            .set(KEY_PREFIX + code, doc, { EX: this.ttlSeconds })
+            .sAdd(INDEX_KEY, code)
+            .exec();
+    }
+
+    async removeSession(code) {
+        await this.client.multi()
+            .del(KEY_PREFIX + code)
+            .del(`${KEY_PREFIX}${code}:listeners`)
+            .sRem(INDEX_KEY, code)
+            .exec();
+    }
+
+    async setListener(code, listenerId, doc) {
+        const key = `${KEY_PREFIX}${code}:listeners`;
+        await this.client.multi()
+            .hSet(key, listenerId, doc)
+            .expire(key, this.ttlSeconds)
+            .exec();
+    }
+
+    async removeListener(code, listenerId) {
+        await this.client.hDel(`${KEY_PREFIX}${code}:listeners`, listenerId);
+    }
+
+    async clearListeners(code) {
+        await this.client.del(`${KEY_PREFIX}${code}:listeners`);
+    }
+
+    async saveTranscriptMeta(code, doc) {
+        await this.client.multi()
+            .set(`${TRANSCRIPT_PREFIX}${code}:meta`, doc, { EX: this.transcriptTtlSeconds })
+            .expire(TRANSCRIPT_PREFIX + code, this.transcriptTtlSeconds)
+            .exec();
+    }
+
+    async appendTranscript(code, doc) {
+        await this.client.multi()
+            .rPush(TRANSCRIPT_PREFIX + code, doc)
+            .expire(TRANSCRIPT_PREFIX + code, this.transcriptTtlSeconds)
+            .exec();
+    }
+
+    async loadTranscript(code) {
+        const [meta, entries] = await Promise.all([
+            this.client.get(`${TRANSCRIPT_PREFIX}${code}:meta`),
+            this.client.lRange(TRANSCRIPT_PREFIX + code, 0, -1)
+        ]);
+        return meta ? { meta, entries } : null;
+    }
+
+    async loadTranscriptMeta(code) {
+        return this.client.get(`${TRANSCRIPT_PREFIX}${code}:meta`);
+    }
+
+    async removeTranscript(code) {
+        await this.client.del([`${TRANSCRIPT_PREFIX}${code}:meta`, TRANSCRIPT_PREFIX + code]);
+    }
+
+    async publish(message) {
+        await this.client.publish(CHANNEL, message);
+    }
+
+    async subscribe(handler) {
+        await this.subscriber.subscribe(CHANNEL, (message) => handler(deserialize(message)));
+    }
+
+    async close() {
+        await Promise.allSettled([this.client.quit(), this.subscriber.quit()]);
+    }
+}
+
+/**
+ * Session store: synchronous local mirror + shared backend + cross-instance fan-out
+ */
+export class SessionStore extends EventEmitter {
+    constructor(backend = new MemorySessionBackend()) {
+        super();
+        this.backend = backend;
+        this.instanceId = uuid();
+        this.sessions = new Map(); // code -> session (local mirror)
+        this.saveTimers = new Map(); // code -> debounced metrics save
+        this.io = null;
+        this.ready = null;
+    }
+
+    /**
+     * Attach the socket.io server used for local room emits
+     */
+    attach(io) {
+        this.io = io;
+    }
+
+    /**
+     * Connect the backend, load existing sessions and start listening for other instances
+     * (safe to call more than once)
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                await this.backend.connect();
+                await this.backend.subscribe((message) => this.handleMessage(message));
+
+                const codes = await this.backend.listCodes();
+                await Promise.all(codes.map(code => this.reloadSession(code)));
+
+                console.log(`✅ [SESSION-STORE] ${this.backend.constructor.name} ready (instance ${this.instanceId.substring(0, 8)}, ${this.sessions.size} sessions)`);
+            })();
+        }
+        return this.ready;
+    }
+
+    // Map-like synchronous reads against the local mirror
+    get(code) { return this.sessions.get(code); }
+    has(code) { return this.sessions.has(code); }
+    entries() { return this.sessions.entries(); }
+    values() { return this.sessions.values(); }
+    keys() { return this.sessions.keys(); }
+    get size() { return this.sessions.size; }
+    [Symbol.iterator]() { return this.sessions.entries(); }
+
+    /**
+     * Create or replace a session (listeners start empty)
+     */
+    set(code, session) {
+        this.sessions.set(code, session);
+        this.persist(code, async () => {
+            await this.backend.clearListeners(code);
+            for (const [listenerId, listener] of session.listeners) {
+                await this.backend.setListener(code, listenerId, serialize(listener));
+            }
+            await this.backend.saveSession(code, this.serializeSession(session));
+        }, 'session');
+        return this;
+    }
+
+    /**
+     * Persist structural changes to a session document (not its listeners)
+     */
+    save(code) {
+        const session = this.sessions.get(code);
+        if (!session) return;
+        this.cancelScheduledSave(code);
+        this.persist(code, () => this.backend.saveSession(code, this.serializeSession(session)), 'session');
+    }
+
+    /**
+     * Debounced save for high-frequency metric updates
+     */
+    touch(code) {
+        if (this.saveTimers.has(code)) return;
+        this.saveTimers.set(code, setTimeout(() => {
+            this.saveTimers.delete(code);
+            this.save(code);
+        }, METRICS_SAVE_DELAY_MS));
+    }
+
+    delete(code) {
+        this.cancelScheduledSave(code);
+        const existed = this.sessions.delete(code);
+        this.persist(code, () => this.backend.removeSession(code), 'session');
+        return existed;
+    }
+
+    addListener(code, listenerId, listener) {
+        const session = this.sessions.get(code);
+        if (!session) return;
+        session.listeners.set(listenerId, listener);
+        this.persist(code, () => this.backend.setListener(code, listenerId, serialize(listener)), 'listeners');
+    }
+
+    /**
+     * Persist a listener after its fields were changed in place
+     */
+    updateListener(code, listenerId) {
+        const listener = this.sessions.get(code)?.listeners.get(listenerId);
+        if (!listener) return;
+        this.persist(code, () => this.backend.setListener(code, listenerId, serialize(listener)), 'listeners');
+    }
+
+    removeListener(code, listenerId) {
+        const session = this.sessions.get(code);
+        if (!session || !session.listeners.delete(listenerId)) return false;
+        this.persist(code, () => this.backend.removeListener(code, listenerId), 'listeners');
+        return true;
+    }
+
+    /**
+     * Emit to a socket.io room on every instance (a socket id is also a room)
+     */
+    broadcast(room, event, payload, { except } = {}) {
+        this.emitLocal(room, event, payload, except);
+        this.backend.publish(serialize({
+            origin: this.instanceId,
+            type: 'broadcast',
+            room,
+            event,
+            payload,
+            except
+        })).catch(error => console.error('❌ [SESSION-STORE] Broadcast publish failed:', error.message));
+    }
+
+    /**
+     * Disconnect every socket in a room on every instance (a socket id is also a room)
+     */
+    disconnect(room) {
+        this.disconnectLocal(room);
+        this.backend.publish(serialize({
+            origin: this.instanceId,
+            type: 'disconnect',
+            room
+        })).catch(error => console.error('❌ [SESSION-STORE] Disconnect publish failed:', error.message));
+    }
+
+    disconnectLocal(room) {
+        if (!this.io) return;
+        this.io.in(room).disconnectSockets();
+    }
+
+    emitLocal(room, event, payload, except) {
+        if (!this.io) return;
+        const target = except ? this.io.to(room).except(except) : this.io.to(room);
+        target.emit(event, payload);
+    }
+
+    /**
+     * Write to the backend, then tell other instances what changed
+     */
+    persist(code, write, type) {
+        Promise.resolve()
+            .then(write)
+            .then(() => this.backend.publish(serialize({ origin: this.instanceId, type, code })))
+            .catch(error => console.error(`❌ [SESSION-STORE] Failed to persist ${code}:`, error.message));
+    }
+
+    async handleMessage(message) {
+        if (!message || message.origin === this.instanceId) return;
+
+        try {
+            if (message.type === 'broadcast') {
+                this.emitLocal(message.room, message.event, message.payload, message.except);
+            } else if (message.type === 'disconnect') {
+                this.disconnectLocal(message.room);
+            } else if (message.type === 'session') {
+                await this.reloadSession(message.code);
+            } else if (message.type === 'listeners') {
+                await this.reloadListeners(message.code);
+            }
+        } catch (error) {
+            console.error(`❌ [SESSION-STORE] Failed to apply ${message.type} update:`, error.message);
+        }
+    }
+
+    /**
+     * Refresh a session document from the backend, keeping the mirror object identity
+     * (fields another instance removed are dropped; listeners are mirrored separately)
+     */
+    async reloadSession(code) {
+        const doc = deserialize(await this.backend.loadSession(code));
+        if (!doc) {
+            const removed = this.sessions.get(code);
+            if (removed) {
+                this.sessions.delete(code);
+                this.emit('session-removed', code, removed);
+            }
+            return;
+        }
+
+        const existing = this.sessions.get(code);
+        if (existing) {
+            Object.keys(existing).forEach(key => {
+                if (key !== 'listeners' && !(key in doc)) delete existing[key];
+            });
+            Object.assign(existing, doc);
+        } else {
+            this.sessions.set(code, { ...doc, listeners: new Map() });
+            await this.reloadListeners(code);
+        }
+        this.emit('session-updated', code);
+    }
+
+    async reloadListeners(code) {
+        const session = this.sessions.get(code);
+        if (!session) return;
+
+        const stored = await this.backend.loadListeners(code);
+        session.listeners = new Map(
+            Object.entries(stored || {}).map(([listenerId, doc]) => [listenerId, deserialize(doc)])
+        );
+        this.emit('listeners-updated', code);
+    }
+
+    serializeSession(session) {
+        const { listeners, ...doc } = session;
+        return serialize(doc);
+    }
+
+    cancelScheduledSave(code) {
+        if (this.saveTimers.has(code)) {
+            clearTimeout(this.saveTimers.get(code));
+            this.saveTimers.delete(code);
+        }
+    }
+
+    async close() {
+        this.saveTimers.forEach(timer => clearTimeout(timer));
+        this.saveTimers.clear();
+        await this.backend.close();
+    }
+}
+
+/**
+ * Create the session store for this process: Redis when asked for (SESSION_STORE=redis, or
+ * SESSION_STORE_REDIS_URL set), in-memory otherwise. REDIS_URL alone does not switch it.
+ */
+export function createSessionStore() {
+    const mode = process.env.SESSION_STORE || (process.env.SESSION_STORE_REDIS_URL ? 'redis' : 'memory');
+    const transcriptTtlSeconds = parseInt(process.env.TRANSCRIPT_TTL_SECONDS, 10) || undefined;
+    if (mode === 'redis') {
+        const url = process.env.SESSION_STORE_REDIS_URL || process.env.REDIS_URL || 'redis://localhost:6379';
+        console.log(`🗄️ [SESSION-STORE] Using Redis at ${url.replace(/\/\/[^@]*@/, '//***@')}`);
+        return new SessionStore(new RedisSessionBackend(url, {
+            ttlSeconds: parseInt(process.env.SESSION_TTL_SECONDS, 10) || undefined,
+            transcriptTtlSeconds
+        }));
+    }
+    return new SessionStore(new MemorySessionBackend({ transcriptTtlSeconds }));
+}
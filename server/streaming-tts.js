@@ -6,6 +6,16 @@
 import { EventEmitter } from 'events';
 import { Readable, Transform } from 'stream';
 import axios from 'axios';
+import { baseLanguage, matchLanguage } from './language-codes.js';
+import { getVoiceForLanguage, hybridConfig } from '../config/config-loader.js';
+import { getAvailableVoices, getNeuralVoice } from './voice-profiles.js';
+
+/**
+ * Voice for a language from a map keyed by language code, or the English one
+ */
+export function pickVoice(voices, language) {
+  return voices[matchLanguage(language, Object.keys(voices), { crossScript: true })] || voices.en || voices.default;
+}
 
 /**
  * Streaming TTS with incremental synthesis
@@ -16,7 +26,7 @@ export class StreamingTTS extends EventEmitter {
     super();
     this.config = {
       provider: config.provider || 'azure', // azure|elevenlabs|edge
-      quality: config.quality || 'balanced', // fast|balanced|premium
+      quality: config.quality, // fast|balanced|premium (hybridConfig.audio.quality when unset)
       streamingEnabled: config.streamingEnabled !== false,
       overlapMs: config.overlapMs || 50, // Audio overlap for smooth playback
       bufferSize: config.bufferSize || 3, // Segments to buffer
@@ -77,20 +87,6 @@ export class StreamingTTS extends EventEmitter {
         process.env.SPEECH_REGION
       );
 
-      // Ultra-fast neural voices for low latency
-      this.voiceMap = {
-        'en': 'en-US-JennyNeural',
-        'es': 'es-ES-AlvaroNeural',
-        'fr': 'fr-FR-DeniseNeural',
-        'de': 'de-DE-ConradNeural',
-        'zh': 'zh-CN-XiaoxiaoNeural',
-        'ja': 'ja-JP-NanamiNeural',
-        'ko': 'ko-KR-SunHiNeural',
-        'pt': 'pt-BR-FranciscaNeural',
-        'ru': 'ru-RU-DariyaNeural',
-        'ar': 'ar-SA-ZariyahNeural'
-      };
-
       // Set synthesis output format for streaming
       this.speechConfig.speechSynthesisOutputFormat =
         this.SpeechSDK.SpeechSynthesisOutputFormat.Audio16Khz32KBitRateMonoMp3;
@@ -156,9 +152,11 @@ export class StreamingTTS extends EventEmitter {
 
   /**
    * Stream synthesize text segment
-   * Returns audio stream immediately for playback
+   * Returns audio stream immediately for playback; 'synthesized' reports which provider and
+   * voice spoke it, for `sessionId`'s usage accounting. `voicePreference` is a voice-profiles.js
+   * key (a listener's choice or a panelist's voice); every provider honours it.
    */
-  async streamSynthesize(text, language) {
+  async streamSynthesize(text, language, sessionId = null, voicePreference = null) {
     const startTime = Date.now();
     
     // Skip empty text
@@ -171,13 +169,13 @@ export class StreamingTTS extends EventEmitter {
     
     switch (this.config.provider) {
       case 'azure':
-        audioStream = await this.azureStreamingSynthesize(text, language);
+        audioStream = await this.azureStreamingSynthesize(text, language, sessionId, voicePreference);
         break;
       case 'elevenlabs':
-        audioStream = await this.elevenLabsStreamingSynthesize(text, language);
+        audioStream = await this.elevenLabsStreamingSynthesize(text, language, sessionId, voicePreference);
         break;
       case 'edge':
-        audioStream = await this.edgeStreamingSynthesize(text, language);
+        audioStream = await this.edgeStreamingSynthesize(text, language, sessionId, voicePreference);
         break;
     }
     
@@ -191,13 +189,14 @@ export class StreamingTTS extends EventEmitter {
   /**
    * Azure streaming synthesis
    */
-  async azureStreamingSynthesize(text, language) {
+  async azureStreamingSynthesize(text, language, sessionId = null, voicePreference = null) {
     if (!this.azureReady || !this.SpeechSDK) {
       // Fallback to ElevenLabs if Azure SDK not available
-      return this.elevenLabsStreamingSynthesize(text, language);
+      return this.elevenLabsStreamingSynthesize(text, language, sessionId, voicePreference);
     }
 
-    const voice = this.voiceMap[language] || this.voiceMap['en'];
+    // Azure neural voices come from hybridConfig.audio.voices, unless a voice was asked for
+    const voice = getNeuralVoice(language, voicePreference) || getVoiceForLanguage(language);
     const locale = voice.split('-').slice(0, 2).join('-') || 'en-US';
 
     // Create SSML for better prosody
@@ -224,6 +223,7 @@ export class StreamingTTS extends EventEmitter {
               if (result.reason === this.SpeechSDK.ResultReason.SynthesizingAudioCompleted) {
                 const buffer = Buffer.from(result.audioData);
                 const audioStream = this.createAudioStream(buffer);
+                this.emit('synthesized', { sessionId, language, provider: 'azure', voice, chars: text.length });
                 resolve(audioStream);
               } else {
                 reject(new Error(`Synthesis failed: ${result.errorDetails}`));
@@ -246,8 +246,9 @@ export class StreamingTTS extends EventEmitter {
   /**
    * ElevenLabs streaming synthesis
    */
-  async elevenLabsStreamingSynthesize(text, language) {
-    const voiceId = this.elevenLabsVoices[language] || this.elevenLabsVoices.default;
+  async elevenLabsStreamingSynthesize(text, language, sessionId = null, voicePreference = null) {
+    const profileVoice = voicePreference && getAvailableVoices(language).find(voice => voice.key === voicePreference);
+    const voiceId = profileVoice?.id || pickVoice(this.elevenLabsVoices, language);
     const url = `${this.elevenLabsConfig.baseUrl}/text-to-speech/${voiceId}/stream`;
     
     try {
@@ -262,7 +263,7 @@ export class StreamingTTS extends EventEmitter {
         },
         data: {
           text,
-          model_id: language === 'en' ? 'eleven_turbo_v2' : 'eleven_multilingual_v2',
+          model_id: baseLanguage(language) === 'en' ? 'eleven_turbo_v2' : 'eleven_multilingual_v2',
           voice_settings: {
             ...this.elevenLabsConfig.voiceSettings,
             // Adjust for streaming
@@ -275,19 +276,20 @@ export class StreamingTTS extends EventEmitter {
         responseType: 'stream'
       });
       
+      this.emit('synthesized', { sessionId, language, provider: 'elevenlabs', voice: voiceId, chars: text.length });
       return response.data;
     } catch (error) {
       console.error('ElevenLabs streaming failed:', error);
       // Fallback to Azure
-      return this.azureStreamingSynthesize(text, language);
+      return this.azureStreamingSynthesize(text, language, sessionId, voicePreference);
     }
   }
 
   /**
    * Edge TTS streaming synthesis (local, free)
    */
-  async edgeStreamingSynthesize(text, language) {
-    const voice = this.edgeVoices[language] || this.edgeVoices['en'];
+  async edgeStreamingSynthesize(text, language, sessionId = null, voicePreference = null) {
+    const voice = getNeuralVoice(language, voicePreference) || pickVoice(this.edgeVoices, language);
     
     try {
       // Edge TTS returns a readable stream
@@ -297,11 +299,12 @@ export class StreamingTTS extends EventEmitter {
         volume: '+0%'
       });
       
+      this.emit('synthesized', { sessionId, language, provider: 'edge', voice, chars: text.length });
       return stream;
     } catch (error) {
       console.error('Edge TTS failed:', error);
       // Fallback to Azure
-      return this.azureStreamingSynthesize(text, language);
+      return this.azureStreamingSynthesize(text, language, sessionId, voicePreference);
     }
   }
 
@@ -332,7 +335,7 @@ export class StreamingTTS extends EventEmitter {
    * Get speech rate based on quality setting
    */
   getSpeedRate() {
-    switch (this.config.quality) {
+    switch (this.config.quality || hybridConfig.audio.quality) {
       case 'fast':
         return '1.2'; // 20% faster
       case 'balanced':
@@ -397,7 +400,7 @@ export class StreamingTTS extends EventEmitter {
       ...this.metrics,
       avgLatency: Math.round(this.metrics.avgLatency),
       provider: this.config.provider,
-      quality: this.config.quality
+      quality: this.config.quality || hybridConfig.audio.quality
     };
   }
 }
@@ -1,23 +1,184 @@
 /**
- * Azure Translator Text API v3
+ * Text Translation with a provider fallback chain
  * Fallback translation when Speech SDK doesn't provide translations
+ *
+ * Providers (TRANSLATION_PROVIDERS, default "azure") are tried in order per request.
+ * Each call is bounded by the provider's timeout, and a circuit breaker skips a provider
+ * that keeps failing. Languages no provider could translate are reported with a
+ * TranslationError instead of being filled with the source text.
+ * Successful translations are cached (hybridConfig.performance.cacheTranslations).
+ * Timeouts and breaker settings come from hybridConfig.translation and follow config reloads.
+ *
+ * Callers may pass the session's recent finals (`context`), per-language `formality` and the
+ * glossary placeholders in the text (`glossary`); only providers declaring the matching
+ * capability receive them. translateStream() follows the first streaming provider token by token.
+ * `onUsage({ provider, texts, languages })` is called for every successful provider call, with
+ * the texts and languages that provider returned (cache hits are free, and only languages a text
+ * was missing are requested), so callers can account for the cost.
  */
 
-import axios from 'axios';
-import { v4 as uuidv4 } from 'uuid';
+import { createHash } from 'crypto';
+
+import { configLoader, hybridConfig } from '../config/config-loader.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { createTranslationProvider } from './translation-providers.js';
+import { TranslationCache } from './translation-cache.js';
+import { matchLanguage, normalizeLanguage } from './language-codes.js';
+
+/**
+ * Group texts by the languages they need: text index -> languages becomes [[languages, indexes]]
+ */
+function groupByLanguages(languagesByText) {
+    const groups = new Map();
+    languagesByText.forEach((langs, i) => {
+        const key = langs.join();
+        if (!groups.has(key)) groups.set(key, [langs, []]);
+        groups.get(key)[1].push(i);
+    });
+    return Array.from(groups.values());
+}
+
+/**
+ * Raised when some or all target languages could not be translated
+ * `partial` holds what did succeed (an object for translate(), an array for batchTranslate())
+ */
+export class TranslationError extends Error {
+    constructor(message, { failedLangs = [], partial = {}, attempts = [] } = {}) {
+        super(message);
+        this.name = 'TranslationError';
+        this.failedLangs = failedLangs;
+        this.partial = partial;
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * Reject when a provider call outlives its timeout
+ */
+function withTimeout(promise, timeoutMs, name) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
 export class TextTranslator {
-    constructor() {
-        // Try both naming conventions for environment variables
-        this.endpoint = process.env.AZURE_TRANSLATOR_ENDPOINT || process.env.TRANSLATOR_ENDPOINT || 'https://api.cognitive.microsofttranslator.com';
-        this.key = process.env.AZURE_TRANSLATOR_KEY || process.env.TRANSLATOR_KEY;
-        this.region = process.env.AZURE_TRANSLATOR_REGION || process.env.TRANSLATOR_REGION || 'eastus';
-        
-        if (!this.key) {
-            console.warn('⚠️ Azure Translator API key not configured - check AZURE_TRANSLATOR_KEY env variable');
-        } else {
-            console.log('✅ Azure Translator API configured');
+    constructor(config = {}) {
+        const { timeoutMs, failureThreshold, resetTimeoutMs } = hybridConfig.translation;
+        this.overrides = config;
+        this.config = {
+            providers: (process.env.TRANSLATION_PROVIDERS || 'azure').split(',').map(name => name.trim()).filter(Boolean),
+            timeoutMs,
+            failureThreshold,
+            resetTimeoutMs,
+            ...config
+        };
+
+        const { cacheTranslations, cacheTTLMs, cacheMaxEntries } = hybridConfig.performance;
+        const cacheMode = process.env.TRANSLATION_CACHE;
+        this.cache = this.config.cache || new TranslationCache({
+            enabled: cacheTranslations && cacheMode !== 'off',
+            ttlMs: cacheTTLMs,
+            maxEntries: cacheMaxEntries,
+            redisUrl: cacheMode === 'redis'
+                ? process.env.TRANSLATION_CACHE_REDIS_URL || process.env.REDIS_URL
+                : null
+        });
+
+        this.chain = [];
+        this.config.providers.forEach(name => {
+            try {
+                this.addProvider(createTranslationProvider(name));
+            } catch (error) {
+                console.error(`❌ [TRANSLATE] ${error.message}`);
+            }
+        });
+
+        console.log(`🌐 [TRANSLATE] Provider chain: ${this.chain.map(entry => entry.provider.name).join(' → ') || 'none'}`);
+    }
+
+    /**
+     * Append a provider to the fallback chain
+     * Its timeout comes from TRANSLATION_TIMEOUT_MS_<NAME>, else TRANSLATION_TIMEOUT_MS
+     */
+    addProvider(provider, { timeoutMs } = {}) {
+        const envTimeout = process.env[`TRANSLATION_TIMEOUT_MS_${provider.name.toUpperCase()}`];
+        const fixedTimeoutMs = timeoutMs ?? (envTimeout ? parseInt(envTimeout, 10) : null);
+        this.chain.push({
+            provider,
+            fixedTimeoutMs,
+            timeoutMs: fixedTimeoutMs ?? this.config.timeoutMs,
+            breaker: new CircuitBreaker(`translate:${provider.name}`, {
+                failureThreshold: this.config.failureThreshold,
+                resetTimeoutMs: this.config.resetTimeoutMs
+            })
+        });
+    }
+
+    /**
+     * Pick up reloaded timeouts, breaker and cache settings (explicit constructor options win)
+     */
+    applyConfig() {
+        const { timeoutMs, failureThreshold, resetTimeoutMs } = hybridConfig.translation;
+        this.config = { ...this.config, timeoutMs, failureThreshold, resetTimeoutMs, ...this.overrides };
+        this.chain.forEach(entry => {
+            entry.timeoutMs = entry.fixedTimeoutMs ?? this.config.timeoutMs;
+            Object.assign(entry.breaker.config, {
+                failureThreshold: this.config.failureThreshold,
+                resetTimeoutMs: this.config.resetTimeoutMs
+            });
+        });
+
+        if (!this.overrides.cache) {
+            const { cacheTTLMs, cacheMaxEntries } = hybridConfig.performance;
+            Object.assign(this.cache.config, { ttlMs: cacheTTLMs, maxEntries: cacheMaxEntries });
+        }
+    }
+
+    /**
+     * Whether a configured provider in the chain declares a capability
+     * ('context', 'formality', 'glossary', 'streaming')
+     */
+    supports(capability) {
+        return this.chain.some(({ provider }) => provider.isConfigured() && provider.capabilities?.[capability]);
+    }
+
+    /**
+     * The first configured provider that translates into `lang`, with the code it uses for it
+     */
+    resolveTarget(lang) {
+        for (const { provider } of this.chain) {
+            if (!provider.isConfigured()) continue;
+            const code = provider.languages ? matchLanguage(lang, provider.languages) : normalizeLanguage(lang);
+            if (code) {
+                return { provider: provider.name, code };
+            }
         }
+        return null;
+    }
+
+    /**
+     * The options a provider can use: context, formality and glossary only go to providers that declare them
+     */
+    providerOptions(provider, { context, formality, glossary } = {}) {
+        const capabilities = provider.capabilities || {};
+        return {
+            ...(capabilities.context && context?.length ? { context } : {}),
+            ...(capabilities.formality && formality ? { formality } : {}),
+            ...(capabilities.glossary && glossary?.length ? { glossary } : {})
+        };
+    }
+
+    /**
+     * Cache variant per language, so context-, formality- or glossary-dependent translations never mix
+     */
+    cacheVariants(targetLangs, { context, formality, glossary } = {}) {
+        const hash = (value) => createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+        const contextKey = context?.length && this.supports('context') ? hash(context) : '';
+        const glossaryKey = glossary?.length && this.supports('glossary') ? `g${hash(glossary)}` : '';
+        const formal = this.supports('formality') ? formality || {} : {};
+        return Object.fromEntries(targetLangs.map(lang => [lang, [formal[lang], contextKey, glossaryKey].filter(Boolean).join('/')]));
     }
 
     /**
@@ -25,64 +186,23 @@ export class TextTranslator {
      * @param {string} text - Text to translate
      * @param {string[]} targetLangs - Target language codes (e.g., ['es', 'fr', 'ar'])
      * @param {string} sourceLang - Source language code (optional)
+     * @param {Object} options - { context, formality, onUsage } (optional)
      * @returns {Object} Translations keyed by language code
+     * @throws {TranslationError} When a language could not be translated by any provider
      */
-    async translate(text, targetLangs, sourceLang = null) {
-        if (!this.key || !text || targetLangs.length === 0) {
+    async translate(text, targetLangs, sourceLang = null, options = {}) {
+        if (!text || targetLangs.length === 0) {
             return {};
         }
 
         try {
-            // Build the request URL
-            const params = new URLSearchParams({
-                'api-version': '3.0',
-                ...targetLangs.reduce((acc, lang) => ({...acc, to: lang}), {})
-            });
-            
-            // Add 'to' parameter for each target language
-            const toParams = targetLangs.map(lang => `to=${lang}`).join('&');
-            const url = `${this.endpoint}/translate?api-version=3.0&${toParams}`;
-            
-            if (sourceLang) {
-                params.append('from', sourceLang);
-            }
-
-            // Make the request
-            const response = await axios({
-                method: 'post',
-                url: url,
-                headers: {
-                    'Ocp-Apim-Subscription-Key': this.key,
-                    'Ocp-Apim-Subscription-Region': this.region,
-                    'Content-Type': 'application/json',
-                    'X-ClientTraceId': uuidv4()
-                },
-                data: [{
-                    text: text
-                }],
-                timeout: 2000 // 2 second timeout for low latency
-            });
-
-            // Parse response
-            const result = response.data[0];
-            const translations = {};
-            
-            if (result && result.translations) {
-                result.translations.forEach(trans => {
-                    translations[trans.to] = trans.text;
-                });
-            }
-
+            const [translations] = await this.batchTranslate([text], targetLangs, sourceLang, options);
             return translations;
-            
         } catch (error) {
-            console.error('Translation error:', error.response?.data || error.message);
-            // Return original text as fallback
-            const fallback = {};
-            targetLangs.forEach(lang => {
-                fallback[lang] = text;
-            });
-            return fallback;
+            if (error instanceof TranslationError) {
+                error.partial = error.partial[0] || {};
+            }
+            throw error;
         }
     }
 
@@ -91,88 +211,192 @@ export class TextTranslator {
      * @param {string[]} texts - Array of texts to translate
      * @param {string[]} targetLangs - Target language codes
      * @param {string} sourceLang - Source language code (optional)
+     * @param {Object} options - { context, formality, onUsage } (optional)
      * @returns {Array} Array of translation results
+     * @throws {TranslationError} When a language could not be translated by any provider
      */
-    async batchTranslate(texts, targetLangs, sourceLang = null) {
-        if (!this.key || texts.length === 0 || targetLangs.length === 0) {
-            return texts.map(() => ({}));
+    async batchTranslate(texts, targetLangs, sourceLang = null, options = {}) {
+        const results = texts.map(() => ({}));
+        if (texts.length === 0 || targetLangs.length === 0) {
+            return results;
         }
 
-        try {
-            const toParams = targetLangs.map(lang => `to=${lang}`).join('&');
-            const url = `${this.endpoint}/translate?api-version=3.0&${toParams}`;
-
-            const response = await axios({
-                method: 'post',
-                url: url,
-                headers: {
-                    'Ocp-Apim-Subscription-Key': this.key,
-                    'Ocp-Apim-Subscription-Region': this.region,
-                    'Content-Type': 'application/json',
-                    'X-ClientTraceId': uuidv4()
-                },
-                data: texts.map(text => ({ text })),
-                timeout: 3000
-            });
+        // Serve what the cache already has; only the (text, language) pairs it lacks go to the providers
+        const variants = this.cacheVariants(targetLangs, options);
+        const cached = await Promise.all(texts.map(text => this.cache.get(text, sourceLang, targetLangs, variants)));
+        const pending = new Map(); // text index -> languages it still misses
+        cached.forEach((found, i) => {
+            Object.assign(results[i], found);
+            const langs = targetLangs.filter(lang => found[lang] === undefined);
+            if (langs.length > 0) {
+                pending.set(i, langs);
+            }
+        });
+        const attempts = [];
+
+        for (const { provider, timeoutMs, breaker } of this.chain) {
+            if (pending.size === 0) break;
+            if (!provider.isConfigured()) continue;
+            if (!breaker.canRequest()) {
+                attempts.push({ provider: provider.name, error: 'circuit-open' });
+                continue;
+            }
+
+            try {
+                // Texts missing the same languages share a request
+                for (const [langs, indexes] of groupByLanguages(pending)) {
+                    const translated = await withTimeout(
+                        provider.translate(indexes.map(i => texts[i]), langs, sourceLang, { timeoutMs, ...this.providerOptions(provider, options) }),
+                        timeoutMs,
+                        provider.name
+                    );
+                    breaker.recordSuccess();
 
-            return response.data.map(result => {
-                const translations = {};
-                if (result && result.translations) {
-                    result.translations.forEach(trans => {
-                        translations[trans.to] = trans.text;
+                    // Pairs the provider returned are done (and paid for); the rest moves down the chain
+                    const delivered = new Map();
+                    indexes.forEach((i, j) => {
+                        const returned = langs.filter(lang => translated[j]?.[lang]);
+                        returned.forEach(lang => {
+                            results[i][lang] = translated[j][lang];
+                        });
+                        const remaining = pending.get(i).filter(lang => !returned.includes(lang));
+                        if (remaining.length > 0) {
+                            pending.set(i, remaining);
+                        } else {
+                            pending.delete(i);
+                        }
+                        if (returned.length > 0) {
+                            delivered.set(i, returned);
+                            this.cache.set(texts[i], sourceLang, translated[j], variants);
+                        }
                     });
+                    for (const [languages, paid] of groupByLanguages(delivered)) {
+                        options.onUsage?.({ provider: provider.name, texts: paid.map(i => texts[i]), languages });
+                    }
                 }
-                return translations;
-            });
-            
+                attempts.push({ provider: provider.name, ok: true });
+            } catch (error) {
+                breaker.recordFailure();
+                attempts.push({ provider: provider.name, error: error.message });
+                console.error(`❌ [TRANSLATE] ${provider.name} failed:`, error.response?.data || error.message);
+            }
+        }
+
+        if (pending.size > 0) {
+            const failedLangs = Array.from(new Set(Array.from(pending.values()).flat()));
+            throw new TranslationError(
+                attempts.length > 0
+                    ? `Translation failed for ${failedLangs.join(', ')}`
+                    : 'No translation provider configured',
+                { failedLangs, partial: results, attempts }
+            );
+        }
+
+        return results;
+    }
+
+    /**
+     * Translate one text, following the provider token by token when the first available one in
+     * the chain streams; a non-streaming provider listed first keeps its precedence. Languages it
+     * cannot stream go through the regular chain; cached languages are not streamed.
+     * @param {Function} onText - (lang, translatedSoFar) for every streamed token
+     * @returns {Object} Translations keyed by language code
+     * @throws {TranslationError} When a language could not be translated by any provider
+     */
+    async translateStream(text, targetLangs, sourceLang = null, options = {}, onText = () => {}) {
+        if (!text || targetLangs.length === 0) {
+            return {};
+        }
+
+        const variants = this.cacheVariants(targetLangs, options);
+        const results = await this.cache.get(text, sourceLang, targetLangs, variants);
+        const first = this.chain.find(({ provider, breaker }) => provider.isConfigured() && breaker.isAvailable());
+        const streamer = first?.provider.capabilities?.streaming && first.breaker.canRequest() ? first : null;
+
+        if (streamer) {
+            const { provider, timeoutMs, breaker } = streamer;
+            const streamed = await Promise.all(targetLangs.filter(lang => results[lang] === undefined).map(async (lang) => {
+                try {
+                    const translated = await provider.translateStream(text, lang, sourceLang, {
+                        timeoutMs,
+                        ...this.providerOptions(provider, options),
+                        onText: (soFar) => onText(lang, soFar)
+                    });
+                    breaker.recordSuccess();
+                    options.onUsage?.({ provider: provider.name, texts: [text], languages: [lang] });
+                    return [lang, translated];
+                } catch (error) {
+                    breaker.recordFailure();
+                    console.error(`❌ [TRANSLATE] ${provider.name} stream failed for ${lang}:`, error.response?.status || error.message);
+                    return [lang, null];
+                }
+            }));
+            const translations = Object.fromEntries(streamed.filter(([, value]) => value));
+            Object.assign(results, translations);
+            this.cache.set(text, sourceLang, translations, variants);
+        }
+
+        const rest = targetLangs.filter(lang => results[lang] === undefined);
+        if (rest.length === 0) {
+            return results;
+        }
+        try {
+            return { ...results, ...(await this.translate(text, rest, sourceLang, options)) };
         } catch (error) {
-            console.error('Batch translation error:', error.response?.data || error.message);
-            // Return original texts as fallback
-            return texts.map(text => {
-                const fallback = {};
-                targetLangs.forEach(lang => {
-                    fallback[lang] = text;
-                });
-                return fallback;
-            });
+            if (error instanceof TranslationError) {
+                error.partial = { ...results, ...error.partial };
+            }
+            throw error;
         }
     }
 
     /**
      * Detect language of text
      * @param {string} text - Text to detect language for
+     * @param {Object} options - { fallback }: returned when no provider could tell (default 'en')
      * @returns {string} Detected language code
      */
-    async detectLanguage(text) {
-        if (!this.key || !text) {
-            return 'en';
+    async detectLanguage(text, { fallback = 'en' } = {}) {
+        if (!text) {
+            return fallback;
         }
 
-        try {
-            const url = `${this.endpoint}/detect?api-version=3.0`;
-
-            const response = await axios({
-                method: 'post',
-                url: url,
-                headers: {
-                    'Ocp-Apim-Subscription-Key': this.key,
-                    'Ocp-Apim-Subscription-Region': this.region,
-                    'Content-Type': 'application/json',
-                    'X-ClientTraceId': uuidv4()
-                },
-                data: [{ text }],
-                timeout: 1000
-            });
+        for (const { provider, timeoutMs, breaker } of this.chain) {
+            if (!provider.detectLanguage || !provider.isConfigured() || !breaker.canRequest()) continue;
 
-            if (response.data && response.data[0] && response.data[0].language) {
-                return response.data[0].language;
+            try {
+                const language = await withTimeout(provider.detectLanguage(text, { timeoutMs }), timeoutMs, provider.name);
+                breaker.recordSuccess();
+                if (language) {
+                    return normalizeLanguage(language) || language;
+                }
+            } catch (error) {
+                breaker.recordFailure();
+                console.error(`Language detection error (${provider.name}):`, error.message);
             }
-            
-        } catch (error) {
-            console.error('Language detection error:', error.message);
         }
-        
-        return 'en'; // Default to English
+
+        return fallback; // Default to English
+    }
+
+    /**
+     * Cache hit/miss counters for /api/metrics
+     */
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+
+    /**
+     * Provider chain health for /api/metrics
+     */
+    getStatus() {
+        return this.chain.map(({ provider, timeoutMs, breaker }) => ({
+            name: provider.name,
+            configured: provider.isConfigured(),
+            capabilities: provider.capabilities || {},
+            timeoutMs,
+            circuit: breaker.getState()
+        }));
     }
 }
 
@@ -182,6 +406,7 @@ let translatorInstance = null;
 export function getTranslator() {
     if (!translatorInstance) {
         translatorInstance = new TextTranslator();
+        configLoader.on('change', () => translatorInstance.applyConfig());
     }
     return translatorInstance;
-}
\ No newline at end of file
+}
@@ -0,0 +1,265 @@
+/**
+ * Transcript Archive
+ * Keeps a timestamped record of every final (source text + all translations) per session
+ * in the session store backend, so any instance can export it during or after the session
+ *
+ * Timing comes from the Speech SDK `offset`/`duration` fields (100-ns ticks, relative to the
+ * presenter's recognition start). Each presenter's clock is anchored to the session start on
+ * their first final, and re-anchored whenever their recognizer restarts (offset goes backwards).
+ */
+
+import { isSameLanguage, matchLanguage } from './language-codes.js';
+
+const TICKS_PER_MS = 10000;
+const MS_PER_CHAR = 60; // Duration estimate when the speaker sends no timing
+
+/**
+ * Format milliseconds as HH:MM:SS<sep>mmm
+ */
+function formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * Cue text on a single line: a blank line inside a cue ends it early in SRT and WebVTT, and
+ * plain-text transcripts keep one line per cue
+ */
+function singleLine(text) {
+    return String(text).replace(/\s*[\r\n]+\s*/g, ' ').trim();
+}
+
+/**
+ * Escape the characters WebVTT gives meaning to in cue text
+ */
+function escapeVtt(text) {
+    return singleLine(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * An entry's text in a language: the original when it was spoken in that language ('en' for an
+ * 'en-US' speaker), else its translation under the closest stored code ('de' finds 'de-DE')
+ */
+export function entryText(entry, language) {
+    if (isSameLanguage(language, entry.sourceLang)) return entry.text;
+    const stored = matchLanguage(language, Object.keys(entry.translations || {}));
+    return stored ? entry.translations[stored] : undefined;
+}
+
+const formatters = {
+    srt: {
+        contentType: 'application/x-subrip',
+        render(cues) {
+            return cues.map((cue, i) => [
+                i + 1,
+                `${formatTimestamp(cue.startMs, ',')} --> ${formatTimestamp(cue.endMs, ',')}`,
+                singleLine(cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text)
+            ].join('\n')).join('\n\n') + '\n';
+        }
+    },
+    vtt: {
+        contentType: 'text/vtt',
+        render(cues) {
+            const body = cues.map(cue => [
+                `${formatTimestamp(cue.startMs, '.')} --> ${formatTimestamp(cue.endMs, '.')}`,
+                cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}` : escapeVtt(cue.text)
+            ].join('\n')).join('\n\n');
+            return `WEBVTT\n\n${body}\n`;
+        }
+    },
+    txt: {
+        contentType: 'text/plain',
+        render(cues) {
+            return cues.map(cue => {
+                const time = formatTimestamp(cue.startMs, '.').substring(0, 8);
+                return `[${time}] ${singleLine(cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text)}`;
+            }).join('\n') + '\n';
+        }
+    },
+    json: {
+        contentType: 'application/json',
+        render(cues, transcript, language) {
+            return JSON.stringify({
+                sessionCode: transcript.meta.code,
+                language,
+                startedAt: new Date(transcript.meta.startTime).toISOString(),
+                endedAt: transcript.meta.endedAt ? new Date(transcript.meta.endedAt).toISOString() : null,
+                cues
+            }, null, 2);
+        }
+    }
+};
+
+export const TRANSCRIPT_FORMATS = Object.keys(formatters);
+
+export class TranscriptArchive {
+    constructor(store) {
+        this.store = store;
+        this.clocks = new Map(); // code:speakerKey -> { anchorMs, lastOffsetMs }
+        this.writes = new Map(); // code -> tail of the pending write chain
+    }
+
+    /**
+     * Start a fresh transcript for a session (replaces an older session that used the code)
+     */
+    start(code, { startTime, sourceLang, targetLangs, listenerPasscode }) {
+        this.clearClocks(code);
+        this.write(code, async (backend) => {
+            await backend.removeTranscript(code);
+            await backend.saveTranscriptMeta(code, JSON.stringify({
+                code,
+                startTime,
+                sourceLang,
+                targetLangs,
+                listenerPasscode: listenerPasscode || null,
+                endedAt: null
+            }));
+        });
+    }
+
+    /**
+     * Record one final utterance
+     */
+    record(code, { sessionStart, timestamp, offset, duration, speakerKey, speaker, sourceLang, text, translations }) {
+        const { startMs, durationMs } = this.resolveTiming(code, speakerKey, {
+            sessionStart,
+            timestamp,
+            offset,
+            duration,
+            text
+        });
+
+        const entry = {
+            startMs: Math.round(startMs),
+            endMs: Math.round(startMs + durationMs),
+            speaker: speaker || null,
+            sourceLang,
+            text,
+            translations: { ...translations },
+            recordedAt: Date.now()
+        };
+
+        this.write(code, (backend) => backend.appendTranscript(code, JSON.stringify(entry)));
+        return entry;
+    }
+
+    /**
+     * Mark the session as ended (the transcript stays available until it expires)
+     */
+    end(code) {
+        this.clearClocks(code);
+        const endedAt = Date.now();
+        this.write(code, async (backend) => {
+            const stored = await backend.loadTranscript(code);
+            if (!stored) return;
+            const meta = JSON.parse(stored.meta);
+            await backend.saveTranscriptMeta(code, JSON.stringify({ ...meta, endedAt }));
+        });
+    }
+
+    /**
+     * Load { meta, entries } for a session code
+     */
+    async load(code) {
+        await this.writes.get(code);
+        const stored = await this.store.backend.loadTranscript(code);
+        if (!stored) return null;
+        return {
+            meta: JSON.parse(stored.meta),
+            entries: stored.entries.map(entry => JSON.parse(entry)).sort((a, b) => a.startMs - b.startMs)
+        };
+    }
+
+    /**
+     * Load only the meta of a session code's transcript (null when there is none)
+     */
+    async loadMeta(code) {
+        await this.writes.get(code);
+        const meta = await this.store.backend.loadTranscriptMeta(code);
+        return meta ? JSON.parse(meta) : null;
+    }
+
+    /**
+     * Render a transcript for one language ('source' or omitted = original speech)
+     * Returns null when there is no transcript for the code
+     */
+    async export(code, { language = 'source', format = 'json' } = {}) {
+        const formatter = formatters[format];
+        if (!formatter) {
+            throw new Error(`Unsupported transcript format: ${format}`);
+        }
+
+        const transcript = await this.load(code);
+        if (!transcript) return null;
+
+        const cues = transcript.entries
+            .map(entry => ({
+                startMs: entry.startMs,
+                endMs: entry.endMs,
+                speaker: entry.speaker,
+                text: language === 'source' ? entry.text : entryText(entry, language)
+            }))
+            .filter(cue => cue.text);
+
+        return {
+            contentType: formatter.contentType,
+            filename: `${code}-${language}.${format}`,
+            body: formatter.render(cues, transcript, language),
+            meta: transcript.meta
+        };
+    }
+
+    /**
+     * Session-relative start and duration for an utterance
+     */
+    resolveTiming(code, speakerKey, { sessionStart, timestamp, offset, duration, text }) {
+        const receivedMs = (timestamp || Date.now()) - sessionStart;
+        const durationMs = Number.isFinite(duration) && duration > 0
+            ? duration / TICKS_PER_MS
+            : text.length * MS_PER_CHAR;
+
+        if (!Number.isFinite(offset)) {
+            // No recognizer clock: the final arrives right as the utterance ends
+            return { startMs: Math.max(0, receivedMs - durationMs), durationMs };
+        }
+
+        const offsetMs = offset / TICKS_PER_MS;
+        const clockKey = `${code}:${speakerKey}`;
+        let clock = this.clocks.get(clockKey);
+        if (!clock || offsetMs < clock.lastOffsetMs) {
+            clock = { anchorMs: receivedMs - (offsetMs + durationMs) };
+            this.clocks.set(clockKey, clock);
+        }
+        clock.lastOffsetMs = offsetMs;
+
+        return { startMs: Math.max(0, clock.anchorMs + offsetMs), durationMs };
+    }
+
+    clearClocks(code) {
+        for (const key of this.clocks.keys()) {
+            if (key.startsWith(`${code}:`)) {
+                this.clocks.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Run backend writes for a code one after another, in call order
+     */
+    write(code, operation) {
+        const tail = (this.writes.get(code) || Promise.resolve())
+            .then(() => operation(this.store.backend))
+            .catch(error => console.error(`❌ [TRANSCRIPT] Failed to update transcript for ${code}:`, error.message));
+        this.writes.set(code, tail);
+        tail.then(() => {
+            if (this.writes.get(code) === tail) {
+                this.writes.delete(code);
+            }
+        });
+    }
+}
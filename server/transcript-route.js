@@ -0,0 +1,53 @@
+// server/transcript-route.js
+import express from 'express';
+import { hasAdminToken } from './admin-route.js';
+import { TRANSCRIPT_FORMATS } from './transcript-archive.js';
+import { normalizeLanguage } from './language-codes.js';
+import { secretsMatch } from './secrets.js';
+
+/**
+ * Transcript export, during or after a session
+ * GET /api/sessions/:code/transcript?lang=es&format=srt|vtt|txt|json
+ * Sessions with a listener passcode also need ?passcode= (or the admin token); without the admin
+ * token an unknown code gets the same 401 as a wrong passcode.
+ */
+export function createTranscriptRouter(control) {
+  const router = express.Router();
+
+  router.get('/:code/transcript', async (req, res) => {
+    const code = (req.params.code || '').trim().toUpperCase();
+    const format = String(req.query.format || 'json').toLowerCase();
+    // The code ends up in the download's filename, so only well-formed tags get that far
+    const language = !req.query.lang || req.query.lang === 'source' ? 'source' : normalizeLanguage(req.query.lang);
+
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'unsupported_format', formats: TRANSCRIPT_FORMATS });
+    }
+    if (!language) {
+      return res.status(400).json({ error: 'invalid_language_code' });
+    }
+
+    try {
+      // Checked before anything is rendered; without the admin token an unknown code is refused
+      // like a protected one, so codes cannot be probed for transcripts
+      const meta = await control.getTranscriptMeta(code);
+      if (!hasAdminToken(req) && (!meta || (meta.listenerPasscode && !secretsMatch(meta.listenerPasscode, req.query.passcode)))) {
+        return res.status(401).json({ error: 'passcode_required' });
+      }
+
+      const transcript = meta && await control.exportTranscript(code, { language, format });
+      if (!transcript) {
+        return res.status(404).json({ error: 'transcript_not_found' });
+      }
+
+      res.setHeader('Content-Type', `${transcript.contentType}; charset=utf-8`);
+      res.setHeader('Content-Disposition', `attachment; filename="${transcript.filename}"`);
+      res.send(transcript.body);
+    } catch (e) {
+      console.error('Transcript export error', e);
+      res.status(500).json({ error: 'export_failed' });
+    }
+  });
+
+  return router;
+}
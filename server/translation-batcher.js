@@ -0,0 +1,130 @@
+/**
+ * Translation Batcher
+ * Collects partial translation requests from all sessions for a short window
+ * (hybridConfig.performance.batchWindowMs) and sends each group with the same source
+ * and target languages as one TextTranslator.batchTranslate call. Requests carrying session
+ * context, formality or glossary terms only share a batch with requests carrying the same options.
+ * Provider usage (options.onUsage) is reported to the first request of a batch sending each text.
+ *
+ * Only partials go through here; finals call the translator directly so they never wait.
+ */
+
+import { configLoader, hybridConfig } from '../config/config-loader.js';
+import { getTranslator, TranslationError } from './text-translator.js';
+
+export class TranslationBatcher {
+    constructor(config = {}) {
+        this.overrides = config;
+        this.applyConfig();
+
+        this.groups = new Map(); // source|targets|options -> { sourceLang, targetLangs, options, texts, waiters, timer }
+        this.stats = {
+            requests: 0,
+            batches: 0,
+            texts: 0
+        };
+    }
+
+    /**
+     * Read the batching settings from hybridConfig (again after a config reload)
+     */
+    applyConfig() {
+        const { batchTranslations, batchWindowMs, maxBatchSize } = hybridConfig.performance;
+        this.config = {
+            enabled: batchTranslations,
+            windowMs: batchWindowMs,
+            maxBatchSize,
+            ...this.overrides
+        };
+    }
+
+    /**
+     * Same contract as TextTranslator.batchTranslate
+     */
+    translate(texts, targetLangs, sourceLang = null, options = {}) {
+        if (!this.config.enabled || texts.length === 0 || targetLangs.length === 0) {
+            return getTranslator().batchTranslate(texts, targetLangs, sourceLang, options);
+        }
+
+        this.stats.requests++;
+        const { onUsage, ...shared } = options;
+        const hasOptions = shared.context?.length || shared.formality || shared.glossary?.length;
+        const key = `${sourceLang || 'auto'}|${[...targetLangs].sort().join(',')}|${hasOptions ? JSON.stringify(shared) : ''}`;
+
+        return new Promise((resolve, reject) => {
+            let group = this.groups.get(key);
+            if (group && group.texts.length + texts.length > this.config.maxBatchSize) {
+                this.flush(key);
+                group = null;
+            }
+            if (!group) {
+                group = {
+                    sourceLang,
+                    targetLangs,
+                    options: shared,
+                    texts: [],
+                    waiters: [],
+                    timer: setTimeout(() => this.flush(key), this.config.windowMs)
+                };
+                this.groups.set(key, group);
+            }
+
+            group.waiters.push({ texts, onUsage, resolve, reject });
+            group.texts.push(...texts);
+        });
+    }
+
+    /**
+     * Send one group; identical texts from different sessions are translated once
+     */
+    async flush(key) {
+        const group = this.groups.get(key);
+        if (!group) return;
+        this.groups.delete(key);
+        clearTimeout(group.timer);
+
+        const unique = Array.from(new Set(group.texts));
+        this.stats.batches++;
+        this.stats.texts += unique.length;
+
+        const pick = (results) => {
+            const byText = new Map(unique.map((text, i) => [text, results[i] || {}]));
+            return (texts) => texts.map(text => byText.get(text));
+        };
+
+        // Each text is charged to the first request that asked for it
+        const onUsage = ({ provider, texts, languages }) => {
+            group.waiters.forEach((waiter, i) => {
+                const own = texts.filter(text => waiter.texts.includes(text) && !group.waiters.slice(0, i).some(earlier => earlier.texts.includes(text)));
+                if (own.length > 0) waiter.onUsage?.({ provider, texts: own, languages });
+            });
+        };
+
+        try {
+            const results = pick(await getTranslator().batchTranslate(unique, group.targetLangs, group.sourceLang, { ...group.options, onUsage }));
+            group.waiters.forEach(waiter => waiter.resolve(results(waiter.texts)));
+        } catch (error) {
+            const partial = error instanceof TranslationError ? pick(error.partial) : null;
+            group.waiters.forEach(waiter => waiter.reject(partial
+                ? new TranslationError(error.message, {
+                    failedLangs: error.failedLangs,
+                    partial: partial(waiter.texts),
+                    attempts: error.attempts
+                })
+                : error));
+        }
+    }
+
+    getStats() {
+        return {
+            enabled: this.config.enabled,
+            windowMs: this.config.windowMs,
+            ...this.stats,
+            textsPerBatch: this.stats.batches > 0 ? Math.round(this.stats.texts / this.stats.batches * 10) / 10 : 0
+        };
+    }
+}
+
+// Export singleton
+export const translationBatcher = new TranslationBatcher();
+configLoader.on('change', () => translationBatcher.applyConfig());
@@ -0,0 +1,148 @@
+/**
+ * Translation Cache
+ * LRU + TTL cache of single translations keyed on (source language, target language, text),
+ * so the repeated prefixes of streaming partials are only translated once.
+ *
+ * With TRANSLATION_CACHE=redis a shared Redis tier sits behind the local LRU and lets every
+ * instance reuse each other's translations. Redis is best-effort: while it is unavailable the
+ * cache keeps working locally.
+ */
+
+import { createHash } from 'crypto';
+import { createClient } from 'redis';
+
+const KEY_PREFIX = 's2s:tcache:';
+
+export class TranslationCache {
+    constructor(config = {}) {
+        this.config = {
+            enabled: true,
+            ttlMs: 60000,
+            maxEntries: 5000,
+            redisUrl: null,
+            ...config
+        };
+
+        this.entries = new Map(); // key -> { text, expiresAt }, oldest first
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            redisHits: 0,
+            evictions: 0
+        };
+
+        this.redis = null;
+        if (this.config.enabled && this.config.redisUrl) {
+            this.redis = createClient({ url: this.config.redisUrl });
+            this.redis.on('error', (error) => console.error('❌ [TRANSLATION-CACHE] Redis error:', error.message));
+            this.redis.connect().catch(error => {
+                console.error('❌ [TRANSLATION-CACHE] Redis connect failed, caching locally only:', error.message);
+            });
+        }
+    }
+
+    /**
+     * `variant` separates translations of the same text made with different context or formality
+     */
+    key(text, sourceLang, targetLang, variant = '') {
+        const digest = createHash('sha1').update(text).digest('hex');
+        return `${sourceLang || 'auto'}:${targetLang}${variant ? `:${variant}` : ''}:${digest}`;
+    }
+
+    /**
+     * Cached translations of one text, keyed by target language (missing languages are left out)
+     */
+    async get(text, sourceLang, targetLangs, variants = {}) {
+        const found = {};
+        if (!this.config.enabled) return found;
+
+        const remote = [];
+        targetLangs.forEach(lang => {
+            const key = this.key(text, sourceLang, lang, variants[lang]);
+            const entry = this.entries.get(key);
+            if (entry && entry.expiresAt > Date.now()) {
+                // Refresh LRU position
+                this.entries.delete(key);
+                this.entries.set(key, entry);
+                found[lang] = entry.text;
+            } else {
+                if (entry) this.entries.delete(key);
+                remote.push(lang);
+            }
+        });
+
+        if (remote.length > 0 && this.redis?.isReady) {
+            try {
+                const values = await this.redis.mGet(remote.map(lang => KEY_PREFIX + this.key(text, sourceLang, lang, variants[lang])));
+                values.forEach((value, i) => {
+                    if (value === null) return;
+                    found[remote[i]] = value;
+                    this.setLocal(this.key(text, sourceLang, remote[i], variants[remote[i]]), value);
+                    this.stats.redisHits++;
+                });
+            } catch (error) {
+                console.error('❌ [TRANSLATION-CACHE] Redis read failed:', error.message);
+            }
+        }
+
+        targetLangs.forEach(lang => {
+            if (found[lang] !== undefined) {
+                this.stats.hits++;
+            } else {
+                this.stats.misses++;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Store fresh translations of one text ({ lang: translation })
+     */
+    set(text, sourceLang, translations, variants = {}) {
+        if (!this.config.enabled) return;
+
+        const entries = Object.entries(translations).filter(([, value]) => value);
+        entries.forEach(([lang, value]) => this.setLocal(this.key(text, sourceLang, lang, variants[lang]), value));
+
+        if (entries.length > 0 && this.redis?.isReady) {
+            const multi = this.redis.multi();
+            entries.forEach(([lang, value]) => {
+                multi.set(KEY_PREFIX + this.key(text, sourceLang, lang, variants[lang]), value, { PX: this.config.ttlMs });
+            });
+            multi.exec().catch(error => console.error('❌ [TRANSLATION-CACHE] Redis write failed:', error.message));
+        }
+    }
+
+    setLocal(key, text) {
+        this.entries.delete(key);
+        this.entries.set(key, { text, expiresAt: Date.now() + this.config.ttlMs });
+
+        while (this.entries.size > this.config.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            enabled: this.config.enabled,
+            backend: this.redis ? 'redis' : 'memory',
+            redisConnected: this.redis ? this.redis.isReady : null,
+            size: this.entries.size,
+            ttlMs: this.config.ttlMs,
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round(this.stats.hits / lookups * 1000) / 1000 : 0
+        };
+    }
+
+    async close() {
+        if (this.redis?.isOpen) {
+            await this.redis.quit();
+        }
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * Prompt Templates for LLM Translation
+ * `batch` translates several segments into several languages and must answer in JSON;
+ * `stream` translates one text into one language and answers with the translation only,
+ * so its tokens can be spoken as they arrive.
+ *
+ * Templates are plain strings with {{variables}}:
+ *   sourceLanguage, targetLanguages, targetLanguage - language codes ('auto' when unknown)
+ *   glossary   - what each [[G<n>]] placeholder in the text stands for
+ *   formality  - register to use per target language
+ *   context    - the session's preceding sentences and their translations
+ *   request    - batch only: the segments and context as JSON
+ *   text       - stream only: the text to translate
+ * OPENAI_PROMPT_TEMPLATES may point at a JSON file overriding any of them.
+ */
+
+import fs from 'fs';
+
+export const DEFAULT_PROMPT_TEMPLATES = {
+    batch: {
+        system: [
+            'You are a simultaneous interpreter translating a live talk, one utterance at a time.',
+            'Translate every segment from {{sourceLanguage}} into every target language: {{targetLanguages}}.',
+            'Keep pronouns, gender agreement, register and terminology consistent with the preceding sentences.',
+            'Copy placeholders such as [[G0]] unchanged.',
+            '{{glossary}}',
+            '{{formality}}',
+            'Reply with JSON only: {"translations": {"<language>": ["<segment 1>", "<segment 2>", ...]}}.'
+        ].join('\n'),
+        user: '{{request}}'
+    },
+    stream: {
+        system: [
+            'You are a simultaneous interpreter translating a live talk, one utterance at a time.',
+            'Translate the user\'s message from {{sourceLanguage}} into {{targetLanguage}}.',
+            'Keep pronouns, gender agreement, register and terminology consistent with the preceding sentences.',
+            'Copy placeholders such as [[G0]] unchanged.',
+            '{{glossary}}',
+            '{{formality}}',
+            '{{context}}',
+            'Reply with the translation only.'
+        ].join('\n'),
+        user: '{{text}}'
+    }
+};
+
+/**
+ * Defaults merged with the overrides in OPENAI_PROMPT_TEMPLATES (a JSON file), if any
+ */
+export function loadPromptTemplates(path = process.env.OPENAI_PROMPT_TEMPLATES) {
+    if (!path) return DEFAULT_PROMPT_TEMPLATES;
+    try {
+        const overrides = JSON.parse(fs.readFileSync(path, 'utf8'));
+        return Object.fromEntries(Object.entries(DEFAULT_PROMPT_TEMPLATES).map(([name, template]) => [
+            name,
+            { ...template, ...(overrides[name] || {}) }
+        ]));
+    } catch (error) {
+        console.error(`❌ [PROMPTS] Could not load ${path}, using default templates:`, error.message);
+        return DEFAULT_PROMPT_TEMPLATES;
+    }
+}
+
+/**
+ * Fill a template; lines left empty by a missing variable are dropped
+ */
+export function renderTemplate(template, variables) {
+    return template
+        .split('\n')
+        .map(line => ({ line, rendered: line.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => variables[name] ?? '') }))
+        .filter(({ line, rendered }) => rendered.trim() || !/\{\{\s*\w+\s*\}\}/.test(line))
+        .map(({ rendered }) => rendered)
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Template variables shared by both prompts
+ */
+export function promptVariables(targetLangs, sourceLang, { context = [], formality = {}, glossary = [] } = {}) {
+    const glossaryLines = glossary.map(entry => {
+        if (entry.protected) {
+            return `${entry.placeholder} is "${entry.source}", which stays untranslated.`;
+        }
+        const translations = targetLangs
+            .filter(lang => entry.translations?.[lang])
+            .map(lang => `${lang}: "${entry.translations[lang]}"`);
+        return `${entry.placeholder} is "${entry.source}"${translations.length ? ` (${translations.join(', ')})` : ''}.`;
+    });
+    const contextLines = context.map(entry => {
+        const translations = targetLangs
+            .filter(lang => entry.translations?.[lang])
+            .map(lang => entry.translations[lang]);
+        return `- ${entry.text}${translations.length ? ` → ${translations.join(' / ')}` : ''}`;
+    });
+
+    return {
+        sourceLanguage: sourceLang || 'auto',
+        targetLanguages: targetLangs.join(', '),
+        targetLanguage: targetLangs[0],
+        glossary: glossaryLines.length
+            ? `Placeholders stand for fixed terms; make the words around them agree:\n${glossaryLines.join('\n')}`
+            : '',
+        formality: targetLangs
+            .filter(lang => formality[lang])
+            .map(lang => `Use the ${formality[lang]} register in ${lang}.`)
+            .join('\n'),
+        context: contextLines.length ? `Preceding sentences:\n${contextLines.join('\n')}` : ''
+    };
+}
@@ -0,0 +1,297 @@
+/**
+ * Translation Providers
+ * A provider translates a batch of texts and throws on failure; fallback, timeouts
+ * and circuit breaking are handled by TextTranslator.
+ *
+ * Interface:
+ *   name                                                   - registry name
+ *   capabilities                                           - optional, { context, formality, glossary, streaming }
+ *   languages                                              - optional, target codes it knows (omitted: any)
+ *   isConfigured()                                         - false skips the provider
+ *   translate(texts, targetLangs, sourceLang, options)     - one { lang: text } object per text
+ *   translateStream(text, targetLang, sourceLang, options) - with `streaming`: the translation,
+ *                                                            reporting progress to options.onText
+ *   detectLanguage(text, { timeoutMs })                    - optional, language code
+ *
+ * translate() options: { timeoutMs, context, formality, glossary }. `context` is the session's
+ * recent finals ([{ text, translations }], oldest first), `formality` maps target languages to
+ * 'formal' or 'informal' and `glossary` describes the [[G<n>]] placeholders in the texts
+ * (Glossary.describe); providers without the matching capability never receive them.
+ *
+ * Target languages arrive as the listeners asked for them (zh-TW, pt-PT, es-MX); a provider
+ * with `languages` maps them with matchLanguage() and answers under the requested codes.
+ */
+
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { loadPromptTemplates, promptVariables, renderTemplate } from './translation-prompts.js';
+import { matchLanguage, normalizeLanguage } from './language-codes.js';
+
+// Azure Translator target codes (api-version 3.0)
+export const AZURE_TRANSLATOR_LANGUAGES = [
+    'af', 'ar', 'bg', 'bn', 'bs', 'ca', 'cs', 'cy', 'da', 'de', 'el', 'en', 'es', 'et',
+    'fa', 'fi', 'fil', 'fr', 'fr-CA', 'ga', 'gu', 'he', 'hi', 'hr', 'ht', 'hu', 'id', 'is',
+    'it', 'ja', 'kn', 'ko', 'lt', 'lv', 'ml', 'mr', 'ms', 'mt', 'nb', 'nl', 'pa', 'pl',
+    'pt', 'pt-PT', 'ro', 'ru', 'sk', 'sl', 'sr-Cyrl', 'sr-Latn', 'sv', 'sw', 'ta', 'te',
+    'th', 'tr', 'uk', 'ur', 'vi', 'yue', 'zh-Hans', 'zh-Hant'
+];
+
+/**
+ * Azure Translator Text API v3
+ */
+export class AzureTranslatorProvider {
+    constructor(options = {}) {
+        this.name = 'azure';
+        // Try both naming conventions for environment variables
+        this.endpoint = options.endpoint || process.env.AZURE_TRANSLATOR_ENDPOINT || process.env.TRANSLATOR_ENDPOINT || 'https://api.cognitive.microsofttranslator.com';
+        this.key = options.key || process.env.AZURE_TRANSLATOR_KEY || process.env.TRANSLATOR_KEY;
+        this.region = options.region || process.env.AZURE_TRANSLATOR_REGION || process.env.TRANSLATOR_REGION || 'eastus';
+        this.languages = AZURE_TRANSLATOR_LANGUAGES;
+
+        if (!this.key) {
+            console.warn('⚠️ Azure Translator API key not configured - check AZURE_TRANSLATOR_KEY env variable');
+        } else {
+            console.log('✅ Azure Translator API configured');
+        }
+    }
+
+    isConfigured() {
+        return Boolean(this.key);
+    }
+
+    headers() {
+        return {
+            'Ocp-Apim-Subscription-Key': this.key,
+            'Ocp-Apim-Subscription-Region': this.region,
+            'Content-Type': 'application/json',
+            'X-ClientTraceId': uuidv4()
+        };
+    }
+
+    async translate(texts, targetLangs, sourceLang, { timeoutMs } = {}) {
+        // Azure codes differ from what listeners pick (zh-TW → zh-Hant, es-MX → es), and
+        // several requested codes may share one; answers go back under the requested codes
+        const requested = new Map();
+        targetLangs.forEach(lang => {
+            const azureLang = matchLanguage(lang, this.languages);
+            if (!azureLang) return;
+            requested.set(azureLang, [...(requested.get(azureLang) || []), lang]);
+        });
+        if (requested.size === 0) {
+            return texts.map(() => ({}));
+        }
+
+        // The source is auto-detected: speaker locales (en-US) are not valid `from` codes
+        const toParams = Array.from(requested.keys()).map(lang => `to=${lang}`).join('&');
+        const response = await axios({
+            method: 'post',
+            url: `${this.endpoint}/translate?api-version=3.0&${toParams}`,
+            headers: this.headers(),
+            data: texts.map(text => ({ text })),
+            timeout: timeoutMs
+        });
+
+        // Azure may answer in another casing (pt-pt)
+        const byCanonical = new Map(Array.from(requested).map(([azureLang, langs]) => [normalizeLanguage(azureLang), langs]));
+        return response.data.map(result => {
+            const translations = {};
+            if (result && result.translations) {
+                result.translations.forEach(trans => {
+                    (byCanonical.get(normalizeLanguage(trans.to)) || [trans.to]).forEach(lang => {
+                        translations[lang] = trans.text;
+                    });
+                });
+            }
+            return translations;
+        });
+    }
+
+    async detectLanguage(text, { timeoutMs } = {}) {
+        const response = await axios({
+            method: 'post',
+            url: `${this.endpoint}/detect?api-version=3.0`,
+            headers: this.headers(),
+            data: [{ text }],
+            timeout: timeoutMs
+        });
+
+        return response.data?.[0]?.language || null;
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, vLLM, Ollama, a local mock...)
+ * Sees the preceding sentences, the glossary and the formality, so pronouns, terms and
+ * tu/vous stay consistent; translateStream() hands over tokens as the model writes them.
+ * Prompts come from translation-prompts.js.
+ */
+export class OpenAICompatibleProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.capabilities = { context: true, formality: true, glossary: true, streaming: true };
+        this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.model = options.model || process.env.OPENAI_TRANSLATION_MODEL || 'gpt-4o-mini';
+        this.templates = options.templates || loadPromptTemplates();
+        // A custom endpoint (self-hosted model, mock) may not need a key
+        this.customEndpoint = Boolean(options.baseUrl || process.env.OPENAI_BASE_URL);
+
+        if (this.isConfigured()) {
+            console.log(`✅ OpenAI-compatible translation configured (${this.model} at ${this.baseUrl})`);
+        } else {
+            console.warn('⚠️ OpenAI-compatible translation not configured - set OPENAI_API_KEY or OPENAI_BASE_URL');
+        }
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey) || this.customEndpoint;
+    }
+
+    request(messages, { timeoutMs, stream = false } = {}) {
+        return axios({
+            method: 'post',
+            url: `${this.baseUrl}/chat/completions`,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            data: { model: this.model, temperature: 0, messages, ...(stream ? { stream: true } : {}) },
+            responseType: stream ? 'stream' : 'json',
+            timeout: timeoutMs
+        });
+    }
+
+    buildMessages(texts, targetLangs, sourceLang, options = {}) {
+        const variables = {
+            ...promptVariables(targetLangs, sourceLang, options),
+            request: JSON.stringify({
+                sourceLanguage: sourceLang || 'auto',
+                targetLanguages: targetLangs,
+                precedingSentences: (options.context || []).map(entry => ({
+                    text: entry.text,
+                    translations: Object.fromEntries(targetLangs
+                        .filter(lang => entry.translations?.[lang])
+                        .map(lang => [lang, entry.translations[lang]]))
+                })),
+                segments: texts
+            })
+        };
+        return [
+            { role: 'system', content: renderTemplate(this.templates.batch.system, variables) },
+            { role: 'user', content: renderTemplate(this.templates.batch.user, variables) }
+        ];
+    }
+
+    buildStreamMessages(text, targetLang, sourceLang, options = {}) {
+        const variables = { ...promptVariables([targetLang], sourceLang, options), text };
+        return [
+            { role: 'system', content: renderTemplate(this.templates.stream.system, variables) },
+            { role: 'user', content: renderTemplate(this.templates.stream.user, variables) }
+        ];
+    }
+
+    async translate(texts, targetLangs, sourceLang, { timeoutMs, context, formality, glossary } = {}) {
+        const messages = this.buildMessages(texts, targetLangs, sourceLang, { context, formality, glossary });
+        const response = await this.request(messages, { timeoutMs });
+        return this.parseTranslations(response.data?.choices?.[0]?.message?.content, texts, targetLangs);
+    }
+
+    /**
+     * Translate one text into one language over server-sent events
+     * `onText(translatedSoFar)` runs on every token; `timeoutMs` bounds the wait for the
+     * response and every gap between tokens, not the whole translation
+     */
+    async translateStream(text, targetLang, sourceLang, { timeoutMs, context, formality, glossary, onText = () => {} } = {}) {
+        const messages = this.buildStreamMessages(text, targetLang, sourceLang, { context, formality, glossary });
+        const response = await this.request(messages, { timeoutMs, stream: true });
+        const stream = response.data;
+
+        let translated = '';
+        await new Promise((resolve, reject) => {
+            let buffered = '';
+            let idleTimer = null;
+            const fail = (error) => {
+                clearTimeout(idleTimer);
+                stream.destroy();
+                reject(error);
+            };
+            const armIdleTimer = () => {
+                clearTimeout(idleTimer);
+                if (timeoutMs) {
+                    idleTimer = setTimeout(() => fail(new Error(`openai stream stalled for ${timeoutMs}ms`)), timeoutMs);
+                }
+            };
+
+            armIdleTimer();
+            stream.on('data', (chunk) => {
+                armIdleTimer();
+                buffered += chunk.toString();
+                const lines = buffered.split('\n');
+                buffered = lines.pop();
+                for (const line of lines) {
+                    const payload = line.startsWith('data:') ? line.slice(5).trim() : '';
+                    if (!payload || payload === '[DONE]') continue;
+                    try {
+                        const token = JSON.parse(payload).choices?.[0]?.delta?.content;
+                        if (token) {
+                            translated += token;
+                            onText(translated.trimStart());
+                        }
+                    } catch (error) {
+                        return fail(new Error(`openai sent an unreadable stream event: ${error.message}`));
+                    }
+                }
+            });
+            stream.on('end', () => {
+                clearTimeout(idleTimer);
+                resolve();
+            });
+            stream.on('error', fail);
+        });
+
+        if (!translated.trim()) {
+            throw new Error('openai returned an empty translation');
+        }
+        return translated.trim();
+    }
+
+    /**
+     * Read the JSON reply; languages the model left out are missing, not copied from the source
+     */
+    parseTranslations(content, texts, targetLangs) {
+        const start = content?.indexOf('{') ?? -1;
+        if (start < 0) {
+            throw new Error('openai returned no JSON translations');
+        }
+        const parsed = JSON.parse(content.slice(start, content.lastIndexOf('}') + 1));
+        const byLang = parsed.translations || parsed;
+
+        return texts.map((_, i) => Object.fromEntries(targetLangs
+            .filter(lang => typeof byLang[lang]?.[i] === 'string' && byLang[lang][i])
+            .map(lang => [lang, byLang[lang][i]])));
+    }
+}
+
+const providerFactories = new Map([
+    ['azure', (options) => new AzureTranslatorProvider(options)],
+    ['openai', (options) => new OpenAICompatibleProvider(options)]
+]);
+
+/**
+ * Make a provider available to TRANSLATION_PROVIDERS under a name
+ */
+export function registerTranslationProvider(name, factory) {
+    providerFactories.set(name.toLowerCase(), factory);
+}
+
+export function createTranslationProvider(name, options = {}) {
+    const factory = providerFactories.get(name.toLowerCase());
+    if (!factory) {
+        throw new Error(`Unknown translation provider: ${name}`);
+    }
+    return factory(options);
+}
+
+export function listTranslationProviders() {
+    return Array.from(providerFactories.keys());
+}
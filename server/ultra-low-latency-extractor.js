@@ -1,17 +1,14 @@
 /**
  * Ultra-Low Latency Sentence Extractor for Real-Time Conferences
  * Generates TTS immediately as words arrive, without waiting for sentence completion
+ * Chunk lengths and the forcing delay come from hybridConfig.extractors.ultraLowLatency, per language
  */
 
 import crypto from 'crypto';
+import { getExtractorConfig } from '../config/config-loader.js';
 
 export class UltraLowLatencyExtractor {
     constructor() {
-        // Configuration for ultra-low latency
-        this.MIN_CHUNK_WORDS = 3; // Start TTS after just 3 words
-        this.MAX_CHUNK_WORDS = 10; // Max words per chunk for natural flow
-        this.CHUNK_DELAY_MS = 100; // Max delay before forcing TTS generation
-        
         // Session tracking
         this.sessions = new Map();
         
@@ -66,7 +63,7 @@ export class UltraLowLatencyExtractor {
     /**
      * Check if we should generate TTS for current chunk
      */
-    shouldGenerateChunk(session, words) {
+    shouldGenerateChunk(session, words, { minChunkWords, maxChunkWords, chunkDelayMs }) {
         const now = Date.now();
         const timeSinceLastChunk = now - session.lastChunkTime;
         
@@ -77,7 +74,7 @@ export class UltraLowLatencyExtractor {
         // 4. Too much time has passed since last chunk
         // 5. We have maximum words
         
-        if (words.length >= this.MIN_CHUNK_WORDS) {
+        if (words.length >= minChunkWords) {
             const text = words.join(' ');
             
             // Check for natural breaks
@@ -86,12 +83,12 @@ export class UltraLowLatencyExtractor {
             }
             
             // Check time threshold
-            if (timeSinceLastChunk >= this.CHUNK_DELAY_MS) {
+            if (timeSinceLastChunk >= chunkDelayMs) {
                 return true;
             }
             
             // Check max words
-            if (words.length >= this.MAX_CHUNK_WORDS) {
+            if (words.length >= maxChunkWords) {
                 return true;
             }
         }
@@ -116,8 +113,9 @@ export class UltraLowLatencyExtractor {
     
     /**
      * Process incoming text with ultra-low latency chunking
+     * `overrides` is the session's tuning for this extractor
      */
-    processText(sessionId, language, text, isFinal = false) {
+    processText(sessionId, language, text, isFinal = false, overrides = {}) {
         const session = this.getSession(sessionId, language);
         const result = {
             chunks: [],
@@ -141,14 +139,15 @@ export class UltraLowLatencyExtractor {
         }
         
         // Check if we should generate a chunk
-        while (this.shouldGenerateChunk(session, session.pendingWords) || 
+        const settings = { ...getExtractorConfig('ultraLowLatency', language), ...overrides };
+        while (this.shouldGenerateChunk(session, session.pendingWords, settings) || 
                (isFinal && session.pendingWords.length > 0)) {
             
             // Determine chunk size
-            let chunkSize = this.MIN_CHUNK_WORDS;
+            let chunkSize = settings.minChunkWords;
             
             // Look for natural break point
-            for (let i = this.MIN_CHUNK_WORDS; i <= Math.min(this.MAX_CHUNK_WORDS, session.pendingWords.length); i++) {
+            for (let i = settings.minChunkWords; i <= Math.min(settings.maxChunkWords, session.pendingWords.length); i++) {
                 const testChunk = session.pendingWords.slice(0, i).join(' ');
                 if (this.breakPoints.test(testChunk) || this.sentenceEndings.test(testChunk)) {
                     chunkSize = i;
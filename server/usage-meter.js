@@ -0,0 +1,208 @@
+/**
+ * Usage Meter
+ * Counts what each session had translated (characters per target language and provider) and
+ * synthesized (characters per TTS provider and voice), and prices it with
+ * hybridConfig.usage.prices (per million characters) into an estimated cost.
+ *
+ * Counters live on the session (`session.usage`), so they travel with it through the session
+ * store. Tenant spend adds up every session of a tenant on this instance since it started.
+ * Budgets (usage.sessionBudget, usage.tenantBudgets) are checked after each count: crossing
+ * usage.warnAt of a budget, and then the budget itself, is reported once per session and scope.
+ *
+ * A budget is not a hard cap: an exhausted session (usage.whenExhausted 'text-only') stops
+ * speech synthesis and recaps, but keeps translating, so captions go on costing translation.
+ *
+ * Anyone can open a speaker console, so a session is only billed to a tenant whose key
+ * (TENANT_KEYS) the organizer presents.
+ */
+
+import { hybridConfig } from '../config/config-loader.js';
+import { secretsMatch } from './secrets.js';
+
+const PRICE_UNIT = 1000000; // Prices are per million characters
+
+// Tenant names as sessions give them: short lowercase identifiers
+const TENANT_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * The tenant a session belongs to, from what its organizer sent (null when absent or invalid)
+ */
+export function normalizeTenant(input) {
+    const tenant = typeof input === 'string' ? input.trim().toLowerCase() : '';
+    return TENANT_PATTERN.test(tenant) ? tenant : null;
+}
+
+/**
+ * Keys proving a tenant, from TENANT_KEYS ("acme:key1,globex:key2")
+ */
+function tenantKeys() {
+    return new Map((process.env.TENANT_KEYS || '').split(',')
+        .map(pair => pair.trim().split(/:(.*)/s))
+        .map(([name, key]) => [normalizeTenant(name), key?.trim()])
+        .filter(([tenant, key]) => tenant && key));
+}
+
+/**
+ * Whether `key` is the key of `tenant` (an already normalized name)
+ */
+export function tenantKeyMatches(tenant, key) {
+    return Boolean(tenant) && secretsMatch(tenantKeys().get(tenant), key);
+}
+
+const round = (value) => Math.round(value * 1000000) / 1000000;
+
+export class UsageMeter {
+    constructor() {
+        this.tenantSpend = new Map(); // tenant -> estimated cost
+    }
+
+    /**
+     * The session's counters, created on first use
+     *   translation: { [lang]: { [provider]: chars } }
+     *   synthesis:   { [provider]: { [voice]: chars } }
+     */
+    getUsage(session) {
+        if (!session.usage) {
+            session.usage = { translation: {}, synthesis: {}, cost: 0, notified: {} };
+        }
+        return session.usage;
+    }
+
+    /**
+     * Count characters a translation provider was paid to translate into `language`
+     */
+    recordTranslation(session, { provider, language, chars }) {
+        const usage = this.getUsage(session);
+        usage.translation[language] = usage.translation[language] || {};
+        usage.translation[language][provider] = (usage.translation[language][provider] || 0) + chars;
+        this.addCost(session, this.price('translation', provider, chars));
+    }
+
+    /**
+     * Count characters a TTS provider was paid to speak with `voice`
+     */
+    recordSynthesis(session, { provider, voice, chars }) {
+        const usage = this.getUsage(session);
+        const name = voice || 'default';
+        usage.synthesis[provider] = usage.synthesis[provider] || {};
+        usage.synthesis[provider][name] = (usage.synthesis[provider][name] || 0) + chars;
+        this.addCost(session, this.price('synthesis', provider, chars));
+    }
+
+    price(kind, provider, chars) {
+        return (hybridConfig.usage.prices[kind][provider] || 0) * chars / PRICE_UNIT;
+    }
+
+    addCost(session, cost) {
+        const usage = this.getUsage(session);
+        usage.cost = round(usage.cost + cost);
+        if (session.tenant) {
+            this.tenantSpend.set(session.tenant, round((this.tenantSpend.get(session.tenant) || 0) + cost));
+        }
+    }
+
+    /**
+     * The budgets that apply to a session, with what has been spent against each
+     */
+    getBudgets(session) {
+        const { sessionBudget, tenantBudgets } = hybridConfig.usage;
+        const budgets = [];
+        const ownBudget = session.budget ?? sessionBudget;
+        if (ownBudget > 0) {
+            budgets.push({ scope: 'session', budget: ownBudget, spent: this.getUsage(session).cost });
+        }
+        if (session.tenant && tenantBudgets[session.tenant] > 0) {
+            budgets.push({
+                scope: 'tenant',
+                tenant: session.tenant,
+                budget: tenantBudgets[session.tenant],
+                spent: this.tenantSpend.get(session.tenant) || 0
+            });
+        }
+        return budgets;
+    }
+
+    /**
+     * Whether a budget of the session is used up (the session then runs as usage.whenExhausted)
+     */
+    isExhausted(session) {
+        return this.getBudgets(session).some(({ budget, spent }) => spent >= budget);
+    }
+
+    /**
+     * Budget thresholds the session crossed since it was last checked:
+     * [{ scope, status: 'warning' | 'exhausted', budget, spent, ... }]
+     */
+    checkBudgets(session) {
+        const usage = this.getUsage(session);
+        const notices = [];
+        this.getBudgets(session).forEach(({ scope, budget, spent, ...rest }) => {
+            const status = spent >= budget
+                ? 'exhausted'
+                : spent >= budget * hybridConfig.usage.warnAt ? 'warning' : null;
+            if (!status || usage.notified[scope] === status || usage.notified[scope] === 'exhausted') return;
+
+            usage.notified[scope] = status;
+            notices.push({
+                scope,
+                ...rest,
+                status,
+                budget,
+                spent,
+                currency: hybridConfig.usage.currency,
+                ...(status === 'exhausted' ? { degradedTo: hybridConfig.usage.whenExhausted } : {})
+            });
+        });
+        return notices;
+    }
+
+    /**
+     * Counters, estimated cost and budgets of a session for the admin API
+     */
+    summarize(session) {
+        const usage = this.getUsage(session);
+        const sum = (counts) => Object.values(counts).reduce((total, chars) => total + chars, 0);
+        let translationCost = 0;
+        Object.values(usage.translation).forEach(byProvider => {
+            Object.entries(byProvider).forEach(([provider, chars]) => {
+                translationCost += this.price('translation', provider, chars);
+            });
+        });
+        let synthesisCost = 0;
+        Object.entries(usage.synthesis).forEach(([provider, byVoice]) => {
+            synthesisCost += this.price('synthesis', provider, sum(byVoice));
+        });
+
+        return {
+            tenant: session.tenant || null,
+            translatedChars: Object.fromEntries(Object.entries(usage.translation).map(([lang, byProvider]) => [lang, sum(byProvider)])),
+            translation: usage.translation,
+            synthesizedChars: usage.synthesis,
+            cost: {
+                translation: round(translationCost),
+                synthesis: round(synthesisCost),
+                total: usage.cost,
+                currency: hybridConfig.usage.currency
+            },
+            budgets: this.getBudgets(session),
+            degraded: this.isExhausted(session) ? hybridConfig.usage.whenExhausted : null
+        };
+    }
+
+    /**
+     * Spend of every tenant on this instance, against its budget
+     */
+    getTenants() {
+        const { tenantBudgets, currency } = hybridConfig.usage;
+        const tenants = new Set([...this.tenantSpend.keys(), ...Object.keys(tenantBudgets)]);
+        return Array.from(tenants).map(tenant => ({
+            tenant,
+            spent: this.tenantSpend.get(tenant) || 0,
+            budget: tenantBudgets[tenant] || null,
+            currency
+        }));
+    }
+}
+
+// Export singleton instance
+export const usageMeter = new UsageMeter();
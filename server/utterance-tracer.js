@@ -0,0 +1,247 @@
+/**
+ * Utterance Tracer
+ * Gives every incoming utterance a trace ID and records a timestamped hop at each pipeline
+ * stage (punctuation, translation, extractor, TTS, emits), so the timeline of any utterance
+ * can be looked up and exported as OTLP JSON to a collector.
+ *
+ * Traces live in memory on the instance that runs the presenter's pipeline, newest kept.
+ * With OTEL_EXPORTER_OTLP_TRACES_ENDPOINT (or OTEL_EXPORTER_OTLP_ENDPOINT) set, a trace is
+ * exported once no hop has been added to it for `exportDelayMs`.
+ */
+
+import { randomBytes } from 'crypto';
+
+/**
+ * OTLP endpoint for traces from the standard OpenTelemetry variables (null when unset)
+ */
+function otlpEndpointFromEnv() {
+    if (process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+        return process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+    }
+    if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT) {
+        return `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/$/, '')}/v1/traces`;
+    }
+    return null;
+}
+
+/**
+ * OTLP attribute list from a plain object (undefined and null values are left out)
+ */
+function otlpAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => {
+            if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+            if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+            if (typeof value === 'number') return { key, value: { doubleValue: value } };
+            if (Array.isArray(value)) return { key, value: { arrayValue: { values: value.map(v => ({ stringValue: String(v) })) } } };
+            return { key, value: { stringValue: String(value) } };
+        });
+}
+
+const unixNano = (ms) => (BigInt(Math.round(ms)) * 1000000n).toString();
+
+export class UtteranceTracer {
+    constructor(config = {}) {
+        this.config = {
+            maxTraces: 2000,
+            maxHops: 200,
+            exportDelayMs: 5000,
+            otlpEndpoint: otlpEndpointFromEnv(),
+            serviceName: process.env.OTEL_SERVICE_NAME || 's2s-translation',
+            ...config
+        };
+
+        this.traces = new Map(); // traceId -> trace, oldest first
+        this.stats = {
+            started: 0,
+            exported: 0,
+            exportFailures: 0
+        };
+
+        this.exportTimer = null;
+        if (this.config.otlpEndpoint) {
+            this.exportTimer = setInterval(() => this.exportIdle(), Math.max(500, this.config.exportDelayMs / 2));
+            this.exportTimer.unref();
+        }
+    }
+
+    /**
+     * Open a trace for an utterance: { session, pipeline, speaker, event, isFinal, ... } describe it
+     */
+    start(attributes = {}, startedAt = Date.now()) {
+        const traceId = randomBytes(16).toString('hex');
+        this.traces.set(traceId, {
+            traceId,
+            spanId: randomBytes(8).toString('hex'),
+            session: attributes.session || null,
+            attributes,
+            startedAt,
+            lastAt: startedAt,
+            hops: [{ name: 'received', start: startedAt, end: startedAt, attributes: {} }],
+            exported: false
+        });
+        this.stats.started++;
+
+        if (this.traces.size > this.config.maxTraces) {
+            this.traces.delete(this.traces.keys().next().value);
+        }
+        return traceId;
+    }
+
+    /**
+     * Record a hop that happened now
+     */
+    hop(traceId, name, attributes = {}) {
+        this.record(traceId, name, Date.now(), attributes);
+    }
+
+    /**
+     * Record a hop that started at `startedAt` and ends now
+     */
+    span(traceId, name, startedAt, attributes = {}) {
+        this.record(traceId, name, startedAt, attributes);
+    }
+
+    record(traceId, name, start, attributes) {
+        const trace = this.traces.get(traceId);
+        if (!trace || trace.hops.length >= this.config.maxHops) return;
+
+        const end = Date.now();
+        trace.hops.push({ name, start, end, attributes });
+        trace.lastAt = end;
+    }
+
+    /**
+     * Timeline of one trace, hops in the order they started (null when unknown or evicted)
+     */
+    get(traceId) {
+        const trace = this.traces.get(traceId);
+        if (!trace) return null;
+
+        return {
+            traceId,
+            session: trace.session,
+            attributes: trace.attributes,
+            startedAt: new Date(trace.startedAt).toISOString(),
+            totalMs: trace.lastAt - trace.startedAt,
+            hops: [...trace.hops]
+                .sort((a, b) => a.start - b.start)
+                .map(hop => ({
+                    name: hop.name,
+                    atMs: hop.start - trace.startedAt,
+                    durationMs: hop.end - hop.start,
+                    ...(Object.keys(hop.attributes).length > 0 ? { attributes: hop.attributes } : {})
+                }))
+        };
+    }
+
+    /**
+     * Most recent traces of a session, newest first
+     */
+    list(session, { limit = 50, finalsOnly = false } = {}) {
+        const found = [];
+        for (const trace of Array.from(this.traces.values()).reverse()) {
+            if (trace.session !== session) continue;
+            if (finalsOnly && !trace.attributes.isFinal) continue;
+            found.push({
+                traceId: trace.traceId,
+                startedAt: new Date(trace.startedAt).toISOString(),
+                totalMs: trace.lastAt - trace.startedAt,
+                hops: trace.hops.length,
+                ...trace.attributes
+            });
+            if (found.length >= limit) break;
+        }
+        return found;
+    }
+
+    /**
+     * OTLP/JSON (ExportTraceServiceRequest) for some traces: one root span per utterance,
+     * one child span per hop
+     */
+    toOtlp(traceIds) {
+        const spans = [];
+        traceIds.forEach(traceId => {
+            const trace = this.traces.get(traceId);
+            if (!trace) return;
+
+            spans.push({
+                traceId,
+                spanId: trace.spanId,
+                name: 'utterance',
+                kind: 2, // SERVER
+                startTimeUnixNano: unixNano(trace.startedAt),
+                endTimeUnixNano: unixNano(trace.lastAt),
+                attributes: otlpAttributes(trace.attributes)
+            });
+            trace.hops.forEach(hop => {
+                spans.push({
+                    traceId,
+                    spanId: randomBytes(8).toString('hex'),
+                    parentSpanId: trace.spanId,
+                    name: hop.name,
+                    kind: 1, // INTERNAL
+                    startTimeUnixNano: unixNano(hop.start),
+                    endTimeUnixNano: unixNano(hop.end),
+                    attributes: otlpAttributes(hop.attributes)
+                });
+            });
+        });
+
+        return {
+            resourceSpans: [{
+                resource: { attributes: otlpAttributes({ 'service.name': this.config.serviceName }) },
+                scopeSpans: [{ scope: { name: 'utterance-tracer' }, spans }]
+            }]
+        };
+    }
+
+    /**
+     * Send traces that have gone quiet to the OTLP collector
+     */
+    async exportIdle() {
+        const cutoff = Date.now() - this.config.exportDelayMs;
+        const ready = Array.from(this.traces.values())
+            .filter(trace => !trace.exported && trace.lastAt <= cutoff)
+            .map(trace => trace.traceId);
+        if (ready.length === 0) return;
+
+        // Failed batches are not retried; the traces stay queryable here
+        ready.forEach(traceId => { this.traces.get(traceId).exported = true; });
+        try {
+            const response = await fetch(this.config.otlpEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.toOtlp(ready)),
+                signal: AbortSignal.timeout(5000)
+            });
+            if (!response.ok) {
+                throw new Error(`collector answered ${response.status}`);
+            }
+            this.stats.exported += ready.length;
+        } catch (error) {
+            this.stats.exportFailures++;
+            console.warn(`⚠️ [TRACE] OTLP export of ${ready.length} traces failed: ${error.message}`);
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            stored: this.traces.size,
+            otlpEndpoint: this.config.otlpEndpoint
+        };
+    }
+
+    /**
+     * Stop exporting (tests)
+     */
+    destroy() {
+        clearInterval(this.exportTimer);
+        this.exportTimer = null;
+    }
+}
+
+// Export singleton instance
+export const utteranceTracer = new UtteranceTracer();
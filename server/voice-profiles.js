@@ -1,8 +1,11 @@
 /**
  * Voice Profile Configuration for Multi-language TTS
  * Native speakers with neutral accents for conference clarity
+ * Each ElevenLabs voice names a `neural` counterpart used when Azure or Edge speaks instead
  */
 
+import { matchLanguage, normalizeLanguage } from './language-codes.js';
+
 export const voiceProfiles = {
   // English voices
   'en-US': {
@@ -12,6 +15,7 @@ export const voiceProfiles = {
         id: 'pNInz6obpgDQGcFmaJgB',
         name: 'Adam',
         gender: 'male',
+        neural: 'en-US-GuyNeural',
         description: 'Professional American male, clear and neutral',
         model: 'eleven_turbo_v2'
       },
@@ -19,6 +23,7 @@ export const voiceProfiles = {
         id: '21m00Tcm4TlvDq8ikWAM',
         name: 'Rachel',
         gender: 'female',
+        neural: 'en-US-AriaNeural',
         description: 'Professional American female, warm and clear',
         model: 'eleven_turbo_v2'
       },
@@ -26,6 +31,7 @@ export const voiceProfiles = {
         id: 'TxGEqnHWrfWFTfGW9XjX',
         name: 'Josh',
         gender: 'male',
+        neural: 'en-US-DavisNeural',
         description: 'Young American male, energetic',
         model: 'eleven_turbo_v2'
       },
@@ -33,6 +39,7 @@ export const voiceProfiles = {
         id: 'AZnzlk1XvdvUeBnXmlld',
         name: 'Domi',
         gender: 'female',
+        neural: 'en-US-SaraNeural',
         description: 'Professional female, articulate',
         model: 'eleven_turbo_v2'
       }
@@ -47,6 +54,7 @@ export const voiceProfiles = {
         id: 'UNl8xNFcjQDUCrtwp4ae',
         name: 'Matias',
         gender: 'male',
+        neural: 'es-ES-AlvaroNeural',
         description: 'Native Spanish male, neutral accent',
         model: 'eleven_multilingual_v2'
       },
@@ -54,6 +62,7 @@ export const voiceProfiles = {
         id: '7DPIJTVjSphHJIFlL58C',
         name: 'Valentina',
         gender: 'female',
+        neural: 'es-ES-AbrilNeural',
         description: 'Native Spanish female, clear pronunciation',
         model: 'eleven_multilingual_v2'
       },
@@ -61,6 +70,7 @@ export const voiceProfiles = {
         id: 'cjmJHipqvnlNKIMQpHBx',
         name: 'Nicolas',
         gender: 'male',
+        neural: 'es-MX-JorgeNeural',
         description: 'Professional Spanish male',
         model: 'eleven_multilingual_v2'
       }
@@ -75,6 +85,7 @@ export const voiceProfiles = {
         id: 'XB0fDUnXU5powFXDhCwa',
         name: 'Charlotte',
         gender: 'female',
+        neural: 'fr-FR-DeniseNeural',
         description: 'Native French female, Parisian accent',
         model: 'eleven_multilingual_v2'
       },
@@ -82,6 +93,7 @@ export const voiceProfiles = {
         id: 'pMsXgVXv3BLzUgSXRplE',
         name: 'Serena',
         gender: 'female',
+        neural: 'fr-FR-EloiseNeural',
         description: 'Professional French female, neutral',
         model: 'eleven_multilingual_v2'
       },
@@ -89,6 +101,7 @@ export const voiceProfiles = {
         id: 'GBv7mTt0atIp3Br8iCZE',
         name: 'Thomas',
         gender: 'male',
+        neural: 'fr-FR-HenriNeural',
         description: 'Native French male, clear pronunciation',
         model: 'eleven_multilingual_v2'
       }
@@ -103,6 +116,7 @@ export const voiceProfiles = {
         id: 'XB0fDUnXU5powFXDhCwa',
         name: 'Charlotte',
         gender: 'female',
+        neural: 'fr-CA-SylvieNeural',
         description: 'French speaker, adaptable to Canadian',
         model: 'eleven_multilingual_v2'
       },
@@ -110,6 +124,7 @@ export const voiceProfiles = {
         id: 'pMsXgVXv3BLzUgSXRplE',
         name: 'Serena',
         gender: 'female',
+        neural: 'fr-FR-EloiseNeural',
         description: 'Professional French, neutral accent',
         model: 'eleven_multilingual_v2'
       }
@@ -124,6 +139,7 @@ export const voiceProfiles = {
         id: 'jsCqWAovK2LkecY7zXl4',
         name: 'Freya',
         gender: 'female',
+        neural: 'de-DE-KatjaNeural',
         description: 'Native German female, standard Hochdeutsch',
         model: 'eleven_multilingual_v2'
       },
@@ -131,6 +147,7 @@ export const voiceProfiles = {
         id: 'onwK4e9ZLuTAKqWW03F9',
         name: 'Daniel',
         gender: 'male',
+        neural: 'de-DE-ConradNeural',
         description: 'Professional German male, clear',
         model: 'eleven_multilingual_v2'
       }
@@ -145,6 +162,7 @@ export const voiceProfiles = {
         id: 'Xb7hH8MSUJpSbSDYk0k2',
         name: 'Alice',
         gender: 'female',
+        neural: 'it-IT-ElsaNeural',
         description: 'Native Italian female, neutral accent',
         model: 'eleven_multilingual_v2'
       },
@@ -152,6 +170,7 @@ export const voiceProfiles = {
         id: 'pFVBWHpKpPMqrJJmXZLV',
         name: 'Giovanni',
         gender: 'male',
+        neural: 'it-IT-DiegoNeural',
         description: 'Professional Italian male',
         model: 'eleven_multilingual_v2'
       }
@@ -166,6 +185,7 @@ export const voiceProfiles = {
         id: 'FGY2WhTYpPnrIDTdsKH5',
         name: 'Laura',
         gender: 'female',
+        neural: 'pt-BR-FranciscaNeural',
         description: 'Native Brazilian Portuguese, São Paulo accent',
         model: 'eleven_multilingual_v2'
       },
@@ -173,6 +193,7 @@ export const voiceProfiles = {
         id: 'nPczCjzI2devNBz1zQrb',
         name: 'Antonio',
         gender: 'male',
+        neural: 'pt-BR-AntonioNeural',
         description: 'Professional Brazilian male',
         model: 'eleven_multilingual_v2'
       }
@@ -187,6 +208,7 @@ export const voiceProfiles = {
         id: 'pFZP5JQG7iQjIQuC4Bku',
         name: 'Lily',
         gender: 'female',
+        neural: 'zh-CN-XiaoxiaoNeural',
         description: 'Native Mandarin speaker, standard pronunciation',
         model: 'eleven_multilingual_v2'
       },
@@ -194,6 +216,7 @@ export const voiceProfiles = {
         id: 'Zlb1dXrM653N07WRdFW3',
         name: 'William',
         gender: 'male',
+        neural: 'zh-CN-YunxiNeural',
         description: 'Professional Mandarin male',
         model: 'eleven_multilingual_v2'
       }
@@ -208,6 +231,7 @@ export const voiceProfiles = {
         id: 'LcfcDJNUP1GQjkzn1xUU',
         name: 'Nanami',
         gender: 'female',
+        neural: 'ja-JP-NanamiNeural',
         description: 'Native Japanese female, Tokyo accent',
         model: 'eleven_multilingual_v2'
       },
@@ -215,6 +239,7 @@ export const voiceProfiles = {
         id: 'EXAVITQu4vr4xnSDxMaL',
         name: 'Kazuhiko',
         gender: 'male',
+        neural: 'ja-JP-KeitaNeural',
         description: 'Professional Japanese male',
         model: 'eleven_multilingual_v2'
       }
@@ -229,6 +254,7 @@ export const voiceProfiles = {
         id: 'pMsXgVXv3BLzUgSXRplE',
         name: 'Serena',
         gender: 'female',
+        neural: 'ko-KR-SunHiNeural',
         description: 'Professional Korean female',
         model: 'eleven_multilingual_v2'
       }
@@ -243,6 +269,7 @@ export const voiceProfiles = {
         id: 'pNInz6obpgDQGcFmaJgB',
         name: 'Adam',
         gender: 'male',
+        neural: 'en-US-GuyNeural',
         description: 'Default professional voice',
         model: 'eleven_turbo_v2'
       }
@@ -250,26 +277,28 @@ export const voiceProfiles = {
   }
 };
 
+/**
+ * Find the voice profile for a language ('en' matches 'en-US', 'pt-PT' falls back to 'pt-BR')
+ * Voices are multilingual, so another script of the same language beats the default voice.
+ */
+export function findProfileKey(language) {
+  const keys = Object.keys(voiceProfiles).filter(key => key !== 'default');
+  return matchLanguage(language, keys, { crossScript: true }) || 'default';
+}
+
+function findProfile(language) {
+  return voiceProfiles[findProfileKey(language)];
+}
+
 /**
  * Get voice configuration for a language and voice preference
  */
 export function getVoiceConfig(language, voicePreference = null) {
   // Normalize language code
-  const langCode = language.toLowerCase();
-  
-  // Find matching profile
-  let profile = voiceProfiles[langCode];
-  
-  // Try base language if specific variant not found
-  if (!profile && langCode.includes('-')) {
-    const baseLang = langCode.split('-')[0];
-    profile = voiceProfiles[baseLang];
-  }
+  const langCode = normalizeLanguage(language) || language;
   
-  // Fallback to default
-  if (!profile) {
-    profile = voiceProfiles['default'];
-  }
+  // Find matching profile (falls back to default)
+  const profile = findProfile(language);
   
   // Get specific voice or default
   let voice;
@@ -285,21 +314,22 @@ export function getVoiceConfig(language, voicePreference = null) {
   };
 }
 
+/**
+ * Microsoft neural voice (Azure, Edge) matching a voice preference, so panelists keep
+ * distinct voices when ElevenLabs is not the TTS provider
+ * Null without a preference, or when the language has no profile of its own
+ */
+export function getNeuralVoice(language, voicePreference = null) {
+  const profileKey = findProfileKey(language);
+  if (!voicePreference || profileKey === 'default') return null;
+  return voiceProfiles[profileKey].voices[voicePreference]?.neural || null;
+}
+
 /**
  * Get available voices for a language
  */
 export function getAvailableVoices(language) {
-  const langCode = language.toLowerCase();
-  let profile = voiceProfiles[langCode];
-  
-  if (!profile && langCode.includes('-')) {
-    const baseLang = langCode.split('-')[0];
-    profile = voiceProfiles[baseLang];
-  }
-  
-  if (!profile) {
-    profile = voiceProfiles['default'];
-  }
+  const profile = findProfile(language);
   
   return Object.entries(profile.voices).map(([key, voice]) => ({
     key,
@@ -307,6 +337,17 @@ export function getAvailableVoices(language) {
   }));
 }
 
+/**
+ * Voice key for the nth speaker of a panel in a language
+ * Speaker 0 keeps the language default; others rotate through the remaining voices
+ */
+export function getSpeakerVoice(language, speakerIndex = 0) {
+  const profile = findProfile(language);
+  const voices = Object.keys(profile.voices);
+  const ordered = [profile.default, ...voices.filter(key => key !== profile.default)];
+  return ordered[speakerIndex % ordered.length];
+}
+
 /**
  * Conference scenario examples
  */
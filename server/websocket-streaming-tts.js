@@ -1,11 +1,14 @@
 /**
  * WebSocket Streaming TTS for Continuous Speech Synthesis
  * Uses ElevenLabs WebSocket API for seamless, uninterrupted audio generation
+ * Buffering and voice settings come from hybridConfig.audio.streaming, per language;
+ * constructor options override them.
  */
 
 import WebSocket from 'ws';
 import { EventEmitter } from 'events';
 import { getVoiceConfig } from './voice-profiles.js';
+import { getLanguageSettings, hybridConfig } from '../config/config-loader.js';
 
 export class WebSocketStreamingTTS extends EventEmitter {
     constructor(config = {}) {
@@ -13,18 +16,19 @@ export class WebSocketStreamingTTS extends EventEmitter {
         
         this.config = {
             apiKey: config.apiKey || process.env.ELEVENLABS_API_KEY,
-            wsUrl: 'wss://api.elevenlabs.io/v1/text-to-speech',
-            // Streaming configuration
-            flushAfterSilenceMs: 500,  // Flush audio after 500ms of no new text
-            chunkSize: 150,  // Characters to buffer before sending
+            wsUrl: process.env.ELEVENLABS_WS_URL || 'wss://api.elevenlabs.io/v1/text-to-speech',
             enableSentinel: true,  // Use sentinel values for smooth streaming
             ...config
         };
+        this.overrides = config;
         
         // Active connections per session/language
         this.connections = new Map(); // sessionId:lang -> WebSocket
         this.textBuffers = new Map(); // sessionId:lang -> pending text
         this.flushTimers = new Map(); // sessionId:lang -> flush timer
+        this.awaitingAudio = new Map(); // sessionId:lang -> { sentAt, traceIds } of text sent with no audio back yet
+        this.bufferTraces = new Map(); // sessionId:lang -> Set of trace IDs whose text is in the buffer
+        this.voices = new Map(); // sessionId:lang -> name of the connection's voice
         
         // Metrics
         this.metrics = {
@@ -35,6 +39,14 @@ export class WebSocketStreamingTTS extends EventEmitter {
         };
     }
     
+    /**
+     * Streaming settings for a language (chunkSize, flushAfterSilenceMs, voice settings),
+     * with a session's tuning on top
+     */
+    settings(language, tuning = {}) {
+        return { ...getLanguageSettings(hybridConfig.audio.streaming, language), ...this.overrides, ...tuning };
+    }
+    
     /**
      * Get or create WebSocket connection for a session/language
      */
@@ -51,7 +63,7 @@ export class WebSocketStreamingTTS extends EventEmitter {
         }
         
         // Create new connection
-        const connection = await this.createConnection(language, voicePreference);
+        const connection = await this.createConnection(sessionId, language, voicePreference);
         this.connections.set(key, connection);
         this.textBuffers.set(key, '');
         
@@ -59,6 +71,9 @@ export class WebSocketStreamingTTS extends EventEmitter {
         connection.on('close', () => {
             this.connections.delete(key);
             this.textBuffers.delete(key);
+            this.bufferTraces.delete(key);
+            this.awaitingAudio.delete(key);
+            this.voices.delete(key);
             this.clearFlushTimer(key);
             this.metrics.activeConnections--;
             console.log(`🔌 [WS-TTS] Connection closed for ${key}`);
@@ -68,6 +83,9 @@ export class WebSocketStreamingTTS extends EventEmitter {
             console.error(`❌ [WS-TTS] Connection error for ${key}:`, error);
             this.connections.delete(key);
             this.textBuffers.delete(key);
+            this.bufferTraces.delete(key);
+            this.awaitingAudio.delete(key);
+            this.voices.delete(key);
             this.clearFlushTimer(key);
         });
         
@@ -76,18 +94,23 @@ export class WebSocketStreamingTTS extends EventEmitter {
     
     /**
      * Create new WebSocket connection to ElevenLabs
+     * Audio chunks are tagged with the owning session so they only reach that session's listeners
      */
-    createConnection(language, voicePreference = null) {
+    createConnection(sessionId, language, voicePreference = null) {
+        const key = `${sessionId}:${language}`;
+
         return new Promise((resolve, reject) => {
             // Get voice configuration
             const voiceConfig = getVoiceConfig(language, voicePreference);
+            const settings = this.settings(language);
             const voiceId = voiceConfig.id;
             const model = voiceConfig.model;
+            this.voices.set(key, voiceConfig.name);
             
             // Construct WebSocket URL with parameters
             const wsUrl = `${this.config.wsUrl}/${voiceId}/stream-input?model_id=${model}&output_format=mp3_22050_32`;
             
-            console.log(`🔌 [WS-TTS] Connecting to ElevenLabs WebSocket for ${language} (${voiceConfig.name})...`);
+            console.log(`🔌 [WS-TTS] Connecting to ElevenLabs WebSocket for ${key} (${voiceConfig.name})...`);
             
             const ws = new WebSocket(wsUrl, {
                 headers: {
@@ -97,7 +120,7 @@ export class WebSocketStreamingTTS extends EventEmitter {
             
             // Handle connection events
             ws.on('open', () => {
-                console.log(`✅ [WS-TTS] Connected for ${language}`);
+                console.log(`✅ [WS-TTS] Connected for ${key}`);
                 this.metrics.totalConnections++;
                 this.metrics.activeConnections++;
                 
@@ -105,13 +128,13 @@ export class WebSocketStreamingTTS extends EventEmitter {
                 const initMessage = {
                     text: ' ',  // Send a space to initialize
                     voice_settings: {
-                        stability: 0.5,
-                        similarity_boost: 0.75,
-                        style: 0.0,
-                        use_speaker_boost: true
+                        stability: settings.stability,
+                        similarity_boost: settings.similarityBoost,
+                        style: settings.style,
+                        use_speaker_boost: settings.useSpeakerBoost
                     },
                     generation_config: {
-                        chunk_length_schedule: [50, 90, 120, 150, 200]  // Aggressive chunking
+                        chunk_length_schedule: settings.chunkLengthSchedule
                     }
                 };
                 
@@ -134,10 +157,18 @@ export class WebSocketStreamingTTS extends EventEmitter {
                         const audioBuffer = Buffer.from(response.audio, 'base64');
                         this.metrics.totalAudioReceived += audioBuffer.length;
                         
+                        // First audio since text was sent: time to first byte, and whose text it voices
+                        const awaiting = this.awaitingAudio.get(key);
+                        this.awaitingAudio.delete(key);
+                        
                         this.emit('audio-chunk', {
                             audio: audioBuffer,
+                            sessionId,
                             language: language,
-                            isFinal: response.isFinal || false
+                            key,
+                            isFinal: response.isFinal || false,
+                            firstByteMs: awaiting ? Date.now() - awaiting.sentAt : null,
+                            traceIds: awaiting ? awaiting.traceIds : []
                         });
                     }
                     
@@ -149,7 +180,9 @@ export class WebSocketStreamingTTS extends EventEmitter {
                     if (Buffer.isBuffer(data)) {
                         this.emit('audio-chunk', {
                             audio: data,
+                            sessionId,
                             language: language,
+                            key,
                             isFinal: false
                         });
                     }
@@ -161,18 +194,24 @@ export class WebSocketStreamingTTS extends EventEmitter {
     /**
      * Stream text continuously to TTS engine
      * This is the key method - text flows in continuously without breaks
+     * `tuning` (the session's chunkSize/flushAfterSilenceMs) applies from this call on;
+     * `traceId` (see utterance-tracer.js) comes back on 'text-sent' and the first 'audio-chunk'
      */
-    async streamText(sessionId, language, text, isFinal = false, voicePreference = null) {
+    async streamText(sessionId, language, text, isFinal = false, voicePreference = null, tuning = {}, traceId = null) {
         const key = `${sessionId}:${language}`;
         
         try {
             // Get or create connection
             const ws = await this.getConnection(sessionId, language, voicePreference);
+            const { chunkSize, flushAfterSilenceMs } = this.settings(language, tuning);
             
             // Add text to buffer
             let buffer = this.textBuffers.get(key) || '';
             buffer += text;
             this.textBuffers.set(key, buffer);
+            if (traceId) {
+                this.bufferTraces.set(key, (this.bufferTraces.get(key) || new Set()).add(traceId));
+            }
             
             // Clear existing flush timer
             this.clearFlushTimer(key);
@@ -186,11 +225,11 @@ export class WebSocketStreamingTTS extends EventEmitter {
                 shouldSend = true;
                 textToSend = buffer;
                 this.textBuffers.set(key, '');
-            } else if (buffer.length >= this.config.chunkSize) {
+            } else if (buffer.length >= chunkSize) {
                 // Send if we have enough characters
                 shouldSend = true;
                 // Find a good break point (space, punctuation)
-                let breakPoint = this.findBreakPoint(buffer, this.config.chunkSize);
+                let breakPoint = this.findBreakPoint(buffer, chunkSize);
                 textToSend = buffer.substring(0, breakPoint);
                 this.textBuffers.set(key, buffer.substring(breakPoint));
             }
@@ -203,6 +242,7 @@ export class WebSocketStreamingTTS extends EventEmitter {
                 };
                 
                 ws.send(JSON.stringify(message));
+                this.markSent(sessionId, language, textToSend.length);
                 this.metrics.totalCharactersSent += textToSend.length;
                 
                 console.log(`📤 [WS-TTS] Streamed ${textToSend.length} chars: "${textToSend.substring(0, 50)}..."`);
@@ -212,7 +252,7 @@ export class WebSocketStreamingTTS extends EventEmitter {
             if (!isFinal && this.textBuffers.get(key)?.length > 0) {
                 const timer = setTimeout(() => {
                     this.flushBuffer(sessionId, language);
-                }, this.config.flushAfterSilenceMs);
+                }, flushAfterSilenceMs);
                 this.flushTimers.set(key, timer);
             }
             
@@ -263,6 +303,7 @@ export class WebSocketStreamingTTS extends EventEmitter {
                     
                     ws.send(JSON.stringify(message));
                     this.textBuffers.set(key, '');
+                    this.markSent(sessionId, language, buffer.length);
                     
                     console.log(`💨 [WS-TTS] Flushed buffer: "${buffer.substring(0, 50)}..."`);
                 }
@@ -274,6 +315,29 @@ export class WebSocketStreamingTTS extends EventEmitter {
         this.clearFlushTimer(key);
     }
     
+    /**
+     * Start the first-byte clock for a connection unless audio is already owed, and hand the
+     * traces of the sent text over to the audio that answers it
+     */
+    markSent(sessionId, language, chars) {
+        const key = `${sessionId}:${language}`;
+        const traceIds = Array.from(this.bufferTraces.get(key) || []);
+        // Traces stay with the buffer while part of their text is still in it
+        if (!this.textBuffers.get(key)) {
+            this.bufferTraces.delete(key);
+        }
+
+        const awaiting = this.awaitingAudio.get(key);
+        if (awaiting) {
+            traceIds.forEach(traceId => {
+                if (!awaiting.traceIds.includes(traceId)) awaiting.traceIds.push(traceId);
+            });
+        } else {
+            this.awaitingAudio.set(key, { sentAt: Date.now(), traceIds });
+        }
+        this.emit('text-sent', { sessionId, language, chars, voice: this.voices.get(key) || null, traceIds });
+    }
+    
     /**
      * Clear flush timer
      */
@@ -302,17 +366,34 @@ export class WebSocketStreamingTTS extends EventEmitter {
         
         // Clean up
         this.textBuffers.delete(key);
+        this.bufferTraces.delete(key);
+        this.awaitingAudio.delete(key);
+        this.voices.delete(key);
         this.clearFlushTimer(key);
         
         console.log(`🔌 [WS-TTS] Closed connection for ${key}`);
     }
     
+    /**
+     * Connection state for one session/language (for admin inspection)
+     */
+    getConnectionState(sessionId, language) {
+        const key = `${sessionId}:${language}`;
+        const ws = this.connections.get(key);
+        return {
+            connected: ws ? ws.readyState === WebSocket.OPEN : false,
+            bufferedChars: (this.textBuffers.get(key) || '').length,
+            flushPending: this.flushTimers.has(key)
+        };
+    }
+    
     /**
      * Get metrics
      */
     getMetrics() {
         return {
             ...this.metrics,
+            openConnections: this.connections.size,
             bufferSizes: Array.from(this.textBuffers.entries()).map(([key, buffer]) => ({
                 session: key,
                 size: buffer.length
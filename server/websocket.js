@@ -1,32 +1,76 @@
 import { v4 as uuid } from 'uuid';
 import { recordConnection, recordTranslation, recordError } from './performance-monitor.js';
-import { getTranslator } from './text-translator.js';
-import { streamingSentenceExtractor } from './streaming-sentence-extractor.js';
-import { hybridSentenceExtractor } from './hybrid-sentence-extractor.js';
-import { conferenceSentenceExtractor } from './conference-sentence-extractor.js';
-import { ultraLowLatencyExtractor } from './ultra-low-latency-extractor.js';
-import { naturalLanguageExtractor } from './natural-language-extractor.js';
+import { getTranslator, TranslationError } from './text-translator.js';
+import { incrementalTranslator } from './incremental-translator.js';
+import { partialScheduler } from './partial-scheduler.js';
 import { webSocketTTS } from './websocket-streaming-tts.js';
-import { continuousStreamProcessor } from './continuous-stream-processor.js';
 import { StreamingTTS } from './streaming-tts.js';
 import { EnhancedTTS } from './enhanced-tts.js';
 import { punctuationHelper } from './punctuation-helper.js';
-import { getAvailableVoices } from './voice-profiles.js';
+import { getAvailableVoices, getSpeakerVoice } from './voice-profiles.js';
+import { getProcessingMode, resolveModeName, listProcessingModes } from './processing-modes.js';
+import { createSessionStore } from './session-store.js';
+import { TranscriptArchive, entryText } from './transcript-archive.js';
+import { Glossary } from './glossary.js';
+import { secretsMatch } from './secrets.js';
+import { isSameLanguage, matchLanguage, normalizeLanguage } from './language-codes.js';
+import { getTuningDefaults, hybridConfig, mergeTuning } from '../config/config-loader.js';
+import { observeStage, forgetSession } from './prometheus-metrics.js';
+import { utteranceTracer } from './utterance-tracer.js';
+import { alertEngine } from './alert-engine.js';
+import { usageMeter, normalizeTenant, tenantKeyMatches } from './usage-meter.js';
 
-const sessions = new Map(); // code -> { speakerId, sourceLang, targetLangs, listeners: Map, metrics }
+// How long a dropped speaker may reconnect before the session ends (0 ends it immediately)
+const SPEAKER_RECONNECT_GRACE_MS = parseInt(process.env.SPEAKER_RECONNECT_GRACE_MS ?? '30000', 10);
 
-// Configuration for hybrid mode
-const USE_HYBRID_MODE = false; // Disabled
-const USE_CONFERENCE_MODE = false; // Disabled
-const USE_ULTRA_LOW_LATENCY = false; // Disabled
-const USE_NATURAL_LANGUAGE = false; // Disabled - using continuous streaming
-const USE_CONTINUOUS_STREAMING = true; // Use WebSocket streaming for seamless TTS
+// Catch-up history for late joiners: at most this many finals from the last few minutes
+const CATCHUP_MAX_FINALS = parseInt(process.env.CATCHUP_MAX_FINALS ?? '10', 10);
+const CATCHUP_WINDOW_MS = parseInt(process.env.CATCHUP_WINDOW_MS ?? '300000', 10);
+const RECAP_MAX_CHARS = 400; // Keep the spoken recap short
+
+const FORMALITY_LEVELS = ['formal', 'informal'];
+
+// Optional detection of each final's language, for speakers who switch languages or hand over the mic
+// (sessions can override with `detectLanguage` at join); shorter finals keep the current language
+const SOURCE_LANGUAGE_DETECTION = process.env.SOURCE_LANGUAGE_DETECTION === 'on';
+const DETECTION_MIN_WORDS = parseInt(process.env.SOURCE_LANGUAGE_DETECTION_MIN_WORDS ?? '3', 10);
+
+// Chinese, Japanese and Thai are written without spaces: each of their characters counts as a word
+const NO_SPACE_CHARS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/gu;
+function countWords(text) {
+  const characters = (text.match(NO_SPACE_CHARS) || []).length;
+  const words = text.replace(NO_SPACE_CHARS, ' ').split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+  return characters + words;
+}
+
+// How often presenters get a metrics snapshot of their session (0 turns the snapshots off)
+const SPEAKER_METRICS_INTERVAL_MS = parseInt(process.env.SPEAKER_METRICS_INTERVAL_MS ?? '2000', 10);
+
+// Socket.io room of admin clients subscribed to alerts
+const ADMIN_ROOM = 'admins';
+
+// Validate a { lang: 'formal' | 'informal' } map; 'default' or null drops a language
+function normalizeFormality(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Formality must be an object keyed by language code');
+  }
+  const result = {};
+  Object.entries(input).forEach(([lang, level]) => {
+    if (level === null || level === 'default') return;
+    if (!normalizeLanguage(lang)) {
+      throw new Error(`${lang}: not a language code`);
+    }
+    if (!FORMALITY_LEVELS.includes(level)) {
+      throw new Error(`${lang}: formality must be one of ${FORMALITY_LEVELS.join(', ')} or default`);
+    }
+    result[normalizeLanguage(lang)] = level;
+  });
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+// TTS provider for the buffered (non-WebSocket) processing modes
 const USE_ENHANCED_TTS = false; // Disabled when using WebSocket streaming
-const HYBRID_CONFIG = {
-  stabilityThreshold: 1,    // Reduced from 2 - generate TTS faster
-  stabilityTimeMs: 200,     // Reduced from 500ms - much faster response
-  displayPartials: true      // Show partials immediately
-};
 
 // Initialize TTS provider - use enhanced for conferences
 const ttsProvider = USE_ENHANCED_TTS 
@@ -39,61 +83,558 @@ const ttsProvider = USE_ENHANCED_TTS
     })
   : new StreamingTTS({
       provider: 'azure',
-      quality: 'balanced',
       streamingEnabled: true
     });
 
-export function initOptimizedSocket(io) {
-  // Set up WebSocket TTS audio streaming
-  if (USE_CONTINUOUS_STREAMING) {
-    webSocketTTS.on('audio-chunk', ({ audio, language, isFinal }) => {
-      // Find all sessions and listeners for this language
-      for (const [code, session] of sessions) {
-        session.listeners.forEach((listener, listenerId) => {
-          if (listener.lang === language) {
-            const listenerSocket = io.sockets.sockets.get(listenerId);
-            if (listenerSocket) {
-              // Send audio directly as it arrives from WebSocket
-              listenerSocket.emit('audio-stream', {
-                audio: audio.toString('base64'),
-                format: 'mp3',
-                language: language,
-                streaming: true,
-                isFinal: isFinal
-              });
-            }
-          }
+/**
+ * Wire socket handlers to a session store
+ * Returns a control object for administrative access to live sessions
+ * sessions: code -> { speakerId, speakerConnected, ownerSecret, resumeToken, listenerPasscode,
+ *                     panelistSecret, speakers: Map, floor, nextSpeakerIndex, sourceLang, targetLangs, mode, listeners: Map, metrics,
+ *                     glossary, formality, detectLanguage, tenant, budget, usage }
+ *
+ * speakerId is the moderator (session owner). speakers holds every presenter socket:
+ *   socketId -> { index, label, sourceLang, detectedLang, role: 'moderator' | 'panelist', pipelineKey, instance }
+ * Panelists may only speak while they hold the floor. detectedLang is set while language detection
+ * finds the presenter speaking something other than sourceLang.
+ */
+export function initOptimizedSocket(io, sessions = createSessionStore()) {
+  sessions.attach(io);
+  sessions.init().catch(error => {
+    console.error('❌ Session store initialization failed:', error);
+  });
+
+  // Timestamped record of every final, kept in the session store backend
+  const transcripts = new TranscriptArchive(sessions);
+
+  // Listeners of one language in one session share a socket.io room (works across instances)
+  const languageRoom = (code, lang) => `${code}:${lang}`;
+
+  // Helper: get unique listener languages for a session
+  const getListenerLangs = (session) => {
+    return Array.from(new Set(Array.from(session.listeners.values()).map(l => l.lang).filter(Boolean)));
+  };
+
+  // Helper: source languages of the session's presenters
+  const getSpeakerLangs = (session) => {
+    return Array.from(new Set(Array.from(session.speakers.values()).map(s => s.sourceLang).filter(Boolean)));
+  };
+
+  // Helper: languages listeners can pick (panels also offer each presenter's language)
+  const getAvailableLangs = (session) => {
+    const panelLangs = session.speakers.size > 1 ? getSpeakerLangs(session) : [];
+    return Array.from(new Set([...session.targetLangs, ...panelLangs]));
+  };
+
+  // Helper: the language room a listener's choice maps to. A session with fixed targets
+  // serves es-MX listeners from its es room and zh-TW from zh-Hant (never from zh-Hans)
+  const resolveListenerLang = (session, lang) => {
+    const normalized = normalizeLanguage(lang);
+    if (!normalized) return lang || null;
+    return matchLanguage(normalized, getAvailableLangs(session)) || normalized;
+  };
+
+  // Helper: languages that may hold extractor/TTS state for a session
+  const getSessionLangs = (session) => {
+    return Array.from(new Set([...getAvailableLangs(session), ...getListenerLangs(session)]));
+  };
+
+  // Helper: translation targets for an utterance in a presenter's language
+  const getTargetLangs = (session, sourceLang) => {
+    const base = session.targetLangs.length > 0 ? session.targetLangs : getListenerLangs(session);
+    const panelLangs = session.speakers.size > 1 ? getSpeakerLangs(session) : [];
+    return Array.from(new Set([...base, ...panelLangs])).filter(lang => !isSameLanguage(lang, sourceLang));
+  };
+
+  // Extractor/TTS state is keyed per presenter so voices and partial text never mix.
+  // The moderator keeps the bare session code; panelists get `${code}~${index}`.
+  const pipelineKey = (code, index) => (index === 0 ? code : `${code}~${index}`);
+  const sessionCodeOf = (key) => key.split('~')[0];
+
+  // Helper: public view of a session's presenters (no socket ids)
+  const describeSpeakers = (session) => {
+    return Array.from(session.speakers.entries()).map(([socketId, speaker]) => ({
+      index: speaker.index,
+      label: speaker.label,
+      sourceLang: speaker.sourceLang,
+      detectedLang: speaker.detectedLang || null,
+      role: speaker.role,
+      hasFloor: session.floor === socketId
+    }));
+  };
+
+  // Helper: tell everyone in a session who is presenting and which languages exist
+  const broadcastSpeakers = (code, session) => {
+    sessions.broadcast(code, 'speakers-updated', {
+      speakers: describeSpeakers(session),
+      availableLanguages: getAvailableLangs(session)
+    });
+  };
+
+  // Helper: tell the presenters' consoles a listener joined or left, with the new counts
+  const notifyListenerChange = (code, session, event, lang) => {
+    const payload = {
+      sessionCode: code,
+      language: lang || null,
+      listeners: session.listeners.size,
+      listenersByLanguage: countListenersByLanguage(session)
+    };
+    session.speakers.forEach((speaker, socketId) => sessions.broadcast(socketId, event, payload));
+  };
+
+  // Helper: send an event to every listener of a language in a session
+  const emitToLanguage = (code, lang, event, payload) => {
+    sessions.broadcast(languageRoom(code, lang), event, payload);
+  };
+
+  // Helper: shared voice preference of a language's listeners (null when they disagree)
+  const getCommonVoice = (session, lang) => {
+    const voicePrefs = [];
+    session.listeners.forEach((listener) => {
+      if (listener.lang === lang) {
+        voicePrefs.push(listener.voice);
+      }
+    });
+    return voicePrefs.every(v => v === voicePrefs[0]) ? (voicePrefs[0] ?? null) : null;
+  };
+
+  // Helper: synthesize a segment with the buffered TTS provider
+  const synthesize = (code, text, lang, voice) => {
+    return USE_ENHANCED_TTS
+      ? ttsProvider.generateWithQueueManagement(text, lang, code, voice)
+      : ttsProvider.streamSynthesize(text, lang, code, voice);
+  };
+
+  // TTS requests per pipeline and language that have not finished yet (the backlog alerts watch)
+  const ttsInFlight = new Map(); // pipelineKey:lang -> count
+
+  // Recognition → translation sent of each presenter's finals since their last metrics snapshot
+  let recentLatencies = new Map(); // pipelineKey -> [ms]
+  const beginTts = (key) => {
+    ttsInFlight.set(key, (ttsInFlight.get(key) || 0) + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const left = ttsInFlight.get(key) - 1;
+      if (left > 0) ttsInFlight.set(key, left);
+      else ttsInFlight.delete(key);
+    };
+  };
+
+  // Helper: compiled glossary of a session (null without one), rebuilt when the stored copy changes
+  const glossaries = new Map(); // code -> { source, glossary }
+  const getGlossary = (code, session) => {
+    if (!session?.glossary) {
+      glossaries.delete(code);
+      return null;
+    }
+    const source = JSON.stringify(session.glossary);
+    let cached = glossaries.get(code);
+    if (!cached || cached.source !== source) {
+      cached = { source, glossary: Glossary.fromInput(session.glossary) };
+      glossaries.set(code, cached);
+    }
+    return cached.glossary;
+  };
+
+  // Helper: validate and store a session glossary (throws GlossaryError)
+  const setGlossary = (code, session, input) => {
+    const glossary = input ? Glossary.fromInput(input) : new Glossary();
+    session.glossary = glossary.size > 0 ? glossary.toJSON() : null;
+    session.glossaryVersion = Date.now();
+    sessions.save(code);
+    console.log(`📖 Glossary for session ${code} set to ${glossary.size} entries`);
+    return glossary;
+  };
+
+  // Helper: recent finals in one language for a late joiner, translating any that predate the language
+  const getCatchUp = async (code, lang) => {
+    if (!lang || CATCHUP_MAX_FINALS <= 0) return [];
+    const transcript = await transcripts.load(code);
+    if (!transcript) return [];
+
+    const since = Date.now() - CATCHUP_WINDOW_MS;
+    const recent = transcript.entries
+      .filter(entry => entry.recordedAt >= since)
+      .slice(-CATCHUP_MAX_FINALS);
+
+    // 'en' listeners of an 'en-US' presenter read the original; only real gaps are translated
+    const missing = recent.filter(entry => !entryText(entry, lang));
+    const bySource = new Map();
+    missing.forEach(entry => {
+      if (!bySource.has(entry.sourceLang)) bySource.set(entry.sourceLang, []);
+      bySource.get(entry.sourceLang).push(entry);
+    });
+    const glossary = getGlossary(code, sessions.get(code));
+    for (const [sourceLang, entries] of bySource) {
+      const texts = entries.map(entry => (glossary ? glossary.protect(entry.text) : entry.text));
+      const results = await getTranslator().batchTranslate(texts, [lang], sourceLang, { onUsage: meterTranslation(code) })
+        .catch(error => error instanceof TranslationError ? error.partial : []);
+      entries.forEach((entry, i) => {
+        const translated = results[i]?.[lang];
+        entry.translations[lang] = glossary && translated ? glossary.restore(lang, translated) : translated;
+      });
+    }
+
+    return recent
+      .map(entry => ({
+        text: entryText(entry, lang),
+        speaker: entry.speaker,
+        startMs: entry.startMs,
+        timestamp: entry.recordedAt
+      }))
+      .filter(item => item.text);
+  };
+
+  // Helper: store the session's per-language formality (throws on invalid input)
+  const setFormality = (code, session, input) => {
+    session.formality = normalizeFormality(input);
+    sessions.save(code);
+    console.log(`🎩 Formality for session ${code}: ${JSON.stringify(session.formality || {})}`);
+    return session.formality;
+  };
+
+  // Helper: apply a patch to the session's live tuning (throws ConfigError); the next partial uses it
+  const setTuning = (code, session, patch) => {
+    session.tuning = mergeTuning(session.tuning, patch);
+    sessions.save(code);
+    console.log(`🎛️ Tuning for session ${code}: ${JSON.stringify(session.tuning || {})}`);
+    return { tuning: session.tuning || {}, defaults: getTuningDefaults() };
+  };
+
+  // Recent finals per session, oldest first: code -> [{ text, translations }]
+  // (hybridConfig.translation.contextSentences of them go to context-capable providers)
+  const translationContext = new Map();
+  const rememberFinal = (code, text, translations) => {
+    const { contextSentences } = hybridConfig.translation;
+    if (contextSentences <= 0) return translationContext.delete(code);
+    const recent = translationContext.get(code) || [];
+    recent.push({ text, translations });
+    translationContext.set(code, recent.slice(-contextSentences));
+  };
+
+  // Helper: context, formality and glossary terms for the translator, when a provider in the chain can use them
+  const getTranslationOptions = (code, session, glossary, protectedText, targetLangs) => {
+    const translator = getTranslator();
+    const context = translator.supports('context') ? translationContext.get(code) : null;
+    // A register set for fr also applies to fr-CA listeners
+    const formality = translator.supports('formality') && session.formality
+      ? Object.fromEntries(targetLangs
+        .map(lang => [lang, session.formality[matchLanguage(lang, Object.keys(session.formality), { anyRegion: false })]])
+        .filter(([, level]) => level))
+      : null;
+    const terms = glossary && translator.supports('glossary') ? glossary.describe(protectedText, targetLangs) : null;
+    return {
+      ...(context?.length ? { context } : {}),
+      ...(formality && Object.keys(formality).length ? { formality } : {}),
+      ...(terms?.length ? { glossary: terms } : {}),
+      onUsage: meterTranslation(code)
+    };
+  };
+
+  // Helper: count what a session's providers were paid for; its organizer (and admin clients)
+  // hear when that crosses a budget threshold, listeners when the session loses its audio
+  const meterUsage = (code, record) => {
+    const session = sessions.get(code);
+    if (!session) return;
+    record(session);
+    sessions.touch(code);
+
+    usageMeter.checkBudgets(session).forEach(notice => {
+      const payload = { sessionCode: code, ...notice, timestamp: Date.now() };
+      if (session.speakerId) sessions.broadcast(session.speakerId, 'budget-alert', payload);
+      sessions.broadcast(ADMIN_ROOM, 'budget-alert', payload);
+      console.warn(`💸 [USAGE] Session ${code} ${notice.status === 'exhausted' ? 'exhausted' : 'is close to'} its ${notice.scope} budget (${notice.spent}/${notice.budget} ${notice.currency})`);
+      if (notice.status === 'exhausted') {
+        sessions.broadcast(code, 'system-message', {
+          message: 'Audio translation is paused for this session; captions continue.',
+          level: 'warning',
+          timestamp: Date.now()
         });
       }
     });
-    
-    console.log('🌊 WebSocket Streaming TTS initialized');
-  }
-  
+  };
+
+  // Helper: translator usage callback (see TextTranslator) counting into a session
+  const meterTranslation = (code) => ({ provider, texts, languages }) => {
+    const chars = texts.reduce((sum, text) => sum + text.length, 0);
+    meterUsage(code, session => languages.forEach(language => {
+      usageMeter.recordTranslation(session, { provider, language, chars });
+    }));
+  };
+
+  // Helper: TTS usage is counted by the instance running the pipeline that asked for it
+  const meterSynthesis = ({ sessionId, provider, voice, chars }) => {
+    const code = sessionCodeOf(sessionId || '');
+    const session = sessions.get(code);
+    const local = session && Array.from(session.speakers.values())
+      .some(speaker => speaker.pipelineKey === sessionId && speaker.instance === sessions.instanceId);
+    if (!local) return;
+    meterUsage(code, current => usageMeter.recordSynthesis(current, { provider, voice, chars }));
+  };
+
+  // Helper: detect the language of a presenter's final and make it their effective source language
+  const detectSourceLanguage = async (code, session, speaker, socketId, text) => {
+    const configured = speaker.sourceLang || session.sourceLang;
+    const current = speaker.detectedLang || configured;
+    if (countWords(text) < DETECTION_MIN_WORDS) return current;
+
+    const detected = await getTranslator().detectLanguage(text, { fallback: null });
+    // Keep the configured locale (en-US) whenever the presenter is back in its language
+    const effective = !detected || isSameLanguage(detected, current)
+      ? current
+      : isSameLanguage(detected, configured) ? configured : detected;
+    if (effective === current) return current;
+
+    speaker.detectedLang = effective === configured ? null : effective;
+    sessions.save(code);
+
+    // Listeners of the new language stop getting audio; drop any half-spoken utterance they had
+    const mode = getProcessingMode(session.mode);
+    getSessionLangs(session)
+      .filter(lang => isSameLanguage(lang, effective))
+      .forEach(lang => mode.clearSession(speaker.pipelineKey, lang));
+
+    const payload = {
+      speaker: speaker.label,
+      speakerIndex: speaker.index,
+      language: effective,
+      previous: current,
+      configured,
+      timestamp: Date.now()
+    };
+    sessions.broadcast(socketId, 'source-language-changed', payload);
+    if (session.speakerId !== socketId) {
+      sessions.broadcast(session.speakerId, 'source-language-changed', payload);
+    }
+    console.log(`🗣️ Session ${code}: ${speaker.label} switched from ${current} to ${effective}`);
+    return effective;
+  };
+
+  const translationSettings = new Map(); // pipeline key -> glossary/formality its frozen segments used
+
+  // Helper: drop all extractor/TTS state a mode holds for a session (or some of its presenters)
+  const clearModeState = (code, session, modeName, speakers = Array.from(session.speakers.values())) => {
+    const mode = getProcessingMode(modeName);
+    const langs = getSessionLangs(session);
+    speakers.forEach(speaker => {
+      incrementalTranslator.clearSession(speaker.pipelineKey);
+      partialScheduler.clearSession(speaker.pipelineKey);
+      translationSettings.delete(speaker.pipelineKey);
+      langs.forEach(lang => {
+        mode.clearSession(speaker.pipelineKey, lang);
+        if (USE_ENHANCED_TTS) {
+          ttsProvider.clearQueue(speaker.pipelineKey, lang);
+        }
+      });
+    });
+    console.log(`🧹 [${modeName.toUpperCase()}] Cleaned up processing state for session ${code}`);
+  };
+
+  // Helper: remove a panelist and hand back the floor if they held it
+  const removePanelist = (code, session, socketId) => {
+    const speaker = session.speakers.get(socketId);
+    if (!speaker || speaker.role !== 'panelist') return;
+
+    clearModeState(code, session, session.mode, [speaker]);
+    session.speakers.delete(socketId);
+    if (session.floor === socketId) {
+      session.floor = null;
+      sessions.broadcast(code, 'floor-changed', { success: true, speaker: null });
+    }
+    sessions.save(code);
+    broadcastSpeakers(code, session);
+    console.log(`👋 Panelist ${speaker.label} left session ${code}`);
+  };
+
+  // Pending session teardowns for speakers inside the reconnect grace window: code -> timeout
+  const graceTimers = new Map();
+
+  const cancelGraceTimer = (code) => {
+    if (graceTimers.has(code)) {
+      clearTimeout(graceTimers.get(code));
+      graceTimers.delete(code);
+    }
+  };
+
+  // Helper: drop what this instance holds for a session: grace timer, extractor/TTS state
+  // for the session's mode, translation context, metric series and alerts
+  const forgetLocalState = (code, session) => {
+    cancelGraceTimer(code);
+    clearModeState(code, session, session.mode);
+    translationContext.delete(code);
+    forgetSession(code);
+    alertEngine.forgetSession(code);
+  };
+
+  // A session another instance ended leaves its presenter's pipeline state here
+  sessions.on('session-removed', (code, session) => {
+    console.log(`🧹 Session ${code} was ended on another instance`);
+    forgetLocalState(code, session);
+  });
+
+  // Helper: log final metrics, drop processing state and remove the session everywhere
+  const endSession = (code, session, reason = 'speaker-left') => {
+    if (session.metrics.translations > 0) {
+      const avgLatency = session.metrics.totalLatency / session.metrics.translations;
+      const duration = (Date.now() - session.metrics.startTime) / 1000;
+
+      console.log(`📊 Session ${code} ended:`);
+      console.log(`   Duration: ${duration.toFixed(2)}s`);
+      console.log(`   Translations: ${session.metrics.translations}`);
+      console.log(`   Avg Latency: ${avgLatency.toFixed(2)}ms`);
+      console.log(`   Estimated Cost: ${usageMeter.getUsage(session).cost} ${hybridConfig.usage.currency}`);
+    }
+
+    forgetLocalState(code, session);
+
+    sessions.broadcast(code, 'session-ended', { reason });
+    sessions.broadcast(code, 'speaker-disconnected');
+    sessions.delete(code);
+    transcripts.end(code);
+  };
+
+  // Helper: keep a session alive for a while after its speaker dropped
+  const startGracePeriod = (code, session, socketId) => {
+    session.speakerConnected = false;
+    session.disconnectedAt = Date.now();
+    sessions.save(code);
+
+    sessions.broadcast(code, 'speaker-reconnecting', {
+      graceMs: SPEAKER_RECONNECT_GRACE_MS
+    });
+    console.log(`⏳ Speaker of session ${code} dropped, holding session for ${SPEAKER_RECONNECT_GRACE_MS}ms`);
+
+    cancelGraceTimer(code);
+    graceTimers.set(code, setTimeout(() => {
+      graceTimers.delete(code);
+      const current = sessions.get(code);
+      // Resumed in the meantime (possibly on another instance)
+      if (!current || current.speakerId !== socketId) return;
+
+      console.log(`⌛ Speaker of session ${code} did not return in time`);
+      endSession(code, current, 'grace-expired');
+    }, SPEAKER_RECONNECT_GRACE_MS));
+  };
+
+  // Set up WebSocket TTS audio streaming (used by continuous mode)
+  webSocketTTS.on('audio-chunk', ({ audio, sessionId, language, isFinal, firstByteMs, traceIds }) => {
+    // Chunks are tagged with their presenter pipeline - only that session's listeners hear them
+    const code = sessionCodeOf(sessionId);
+    const session = sessions.get(code);
+    if (!session) return;
+
+    // The pipeline (and its TTS connection) runs on the instance the presenter joined;
+    // audio still in flight while the speaker reconnects is delivered too
+    const speaker = Array.from(session.speakers.values()).find(s => s.pipelineKey === sessionId);
+    if (!speaker || speaker.instance !== sessions.instanceId) return;
+
+    if (firstByteMs !== null) {
+      observeStage('ttsFirstByte', { session: code, language, mode: session.mode }, firstByteMs);
+    }
+    // The first audio after text was sent voices the utterances that text came from
+    (traceIds || []).forEach(traceId => {
+      utteranceTracer.span(traceId, 'tts.first-audio', Date.now() - firstByteMs, { language });
+      utteranceTracer.hop(traceId, 'emit:audio-stream', { language });
+    });
+
+    // Send audio directly as it arrives from WebSocket
+    emitToLanguage(code, language, 'audio-stream', {
+      audio: audio.toString('base64'),
+      format: 'mp3',
+      language: language,
+      speaker: speaker?.label,
+      streaming: true,
+      isFinal: isFinal,
+      ...(traceIds?.length ? { traceId: traceIds[traceIds.length - 1] } : {})
+    });
+  });
+
+  // Alerts reach the session's speaker console and subscribed admin clients (see admin-subscribe)
+  alertEngine.on('alert', (alert) => {
+    const session = sessions.get(alert.session);
+    if (session?.speakerId) sessions.broadcast(session.speakerId, 'alert', alert);
+    sessions.broadcast(ADMIN_ROOM, 'alert', alert);
+  });
+
+  webSocketTTS.on('text-sent', ({ sessionId, language, chars, voice, traceIds }) => {
+    traceIds.forEach(traceId => utteranceTracer.hop(traceId, 'tts.sent', { language, chars }));
+    meterSynthesis({ sessionId, provider: 'elevenlabs', voice, chars });
+  });
+  ttsProvider.on('synthesized', meterSynthesis);
+
+  // Streaming failures are already logged per session; keep them from crashing the process
+  webSocketTTS.on('error', ({ sessionId, language }) => {
+    recordError('websocket-tts');
+    console.warn(`⚠️ [STREAMING] TTS unavailable for ${sessionId}:${language}`);
+  });
+
+  console.log('🌊 WebSocket Streaming TTS initialized');
+
   io.on('connection', (socket) => {
     recordConnection('connect');
 
-    // Helper: get unique listener languages for a session
-    const getListenerLangs = (session) => {
-      return Array.from(new Set(Array.from(session.listeners.values()).map(l => l.lang).filter(Boolean)));
+    // How far the speaker's clock is ahead of ours (ms, null until measured), for STT→server latency
+    let clockOffset = null;
+    const syncClock = () => {
+      const sentAt = Date.now();
+      socket.timeout(3000).emit('clock-sync', sentAt, (err, clientTime) => {
+        if (err || !Number.isFinite(clientTime)) return;
+        clockOffset = clientTime - (sentAt + Date.now()) / 2;
+      });
     };
 
-    // Continuous speech detection state
-    const continuousState = new Map(); // code:lang -> { lastTs, runStartTs, continuous }
-
     // Unified processing pipeline for incoming text (partials/finals)
-    const processIncoming = async (data) => {
+    const processIncoming = async (data, { scheduled = false, event = 'translation-stream', traceId = null } = {}) => {
       const code = (data.sessionCode || '').trim().toUpperCase();
       const session = sessions.get(code);
       if (!session) return;
 
+      // Only the moderator and the panelist holding the floor feed the pipeline
+      const speaker = session.speakers.get(socket.id);
+      if (!speaker || (socket.id !== session.speakerId && session.floor !== socket.id)) return;
+
+      // Every utterance gets a trace; partials coalesced away end at 'received'
+      if (!traceId) {
+        traceId = utteranceTracer.start({
+          session: code,
+          pipeline: speaker.pipelineKey,
+          speaker: speaker.label,
+          event,
+          isFinal: Boolean(data.isFinal),
+          mode: session.mode,
+          text: String(data.original || '').slice(0, 200),
+          clientTimestamp: data.timestamp
+        });
+      } else {
+        utteranceTracer.hop(traceId, 'scheduled');
+      }
+      const trace = (name, attributes) => utteranceTracer.hop(traceId, name, attributes);
+
+      // Coalesce bursts of partials per presenter; finals never wait
+      if (!data.isFinal && !scheduled) {
+        return partialScheduler.submit(speaker.pipelineKey, () => processIncoming(data, { scheduled: true, event, traceId }));
+      }
+      if (data.isFinal) {
+        partialScheduler.final(speaker.pipelineKey);
+      }
+      const generation = partialScheduler.generation(speaker.pipelineKey);
+
       const nowTs = Date.now();
       const ts = data.timestamp || nowTs;
       const latency = nowTs - ts;
+      const stageLabels = (language) => ({ session: code, language, mode: session.mode });
+
+      // Speaker timestamps are on the speaker's clock; only compare them once its offset is known
+      if (data.timestamp && clockOffset !== null) {
+        observeStage('sttToServer', stageLabels(speaker.sourceLang || session.sourceLang), nowTs - (data.timestamp - clockOffset));
+      }
 
       // Record metrics
       session.metrics.translations++;
       session.metrics.totalLatency += latency;
+      sessions.touch(code);
       recordTranslation(latency);
 
       // Add punctuation to improve sentence extraction (force terminal punctuation on finals)
@@ -106,581 +647,224 @@ export function initOptimizedSocket(io) {
         // Ensure final ends with a delimiter for clean splitting
         punctuatedText += '.';
       }
+      trace('punctuated', { chars: punctuatedText?.length ?? 0 });
 
-      // Log processing mode
-      if (USE_HYBRID_MODE) {
-        console.log(`🔄 [HYBRID] Processing ${data.isFinal ? 'FINAL' : 'PARTIAL'} #${session.metrics.translations}`);
+      // Source language: the presenter's own, or what detection found in their latest final
+      let sourceLang = speaker.detectedLang || speaker.sourceLang || session.sourceLang;
+      if (data.isFinal && session.detectLanguage && punctuatedText) {
+        sourceLang = await detectSourceLanguage(code, session, speaker, socket.id, punctuatedText);
+        trace('language-detected', { language: sourceLang });
       }
 
-      // Continuous speech detection per language; lower thresholds when rapid partials
-      const keyFor = (lang) => `${code}:${lang}`;
-      const adjustForContinuousSpeech = (lang) => {
-        const key = keyFor(lang);
-        const st = continuousState.get(key) || { lastTs: 0, runStartTs: nowTs, continuous: false };
-        const delta = nowTs - st.lastTs;
-        st.lastTs = nowTs;
-        if (delta < 350) { // partials arriving faster than ~3/sec
-          if (!st.continuous) st.runStartTs = nowTs;
-          st.continuous = true;
-        } else if (delta > 900) {
-          st.continuous = false; // pause detected
-        }
-        continuousState.set(key, st);
-        const duration = nowTs - st.runStartTs;
-        if (st.continuous && duration > 2000) {
-          // In continuous mode for >2s -> use phrase mode with lower threshold
-          hybridSentenceExtractor.setSessionParams(code, lang, { threshold: 1, timeMs: 150, phraseMode: true });
-        } else {
-          // Default mode - more aggressive for conferences
-          hybridSentenceExtractor.setSessionParams(code, lang, { threshold: 1, timeMs: 200, phraseMode: false });
-        }
-      };
-
-      // Determine target languages: explicit session targetLangs or listener languages
-      const targetLangsUsed = (session.targetLangs && session.targetLangs.length > 0)
-        ? session.targetLangs
-        : getListenerLangs(session);
+      // Determine target languages: explicit session targetLangs or listener languages,
+      // plus the other presenters' languages, translated from this presenter's language
+      const targetLangsUsed = getTargetLangs(session, sourceLang);
 
       // Check if we have translations or need to generate them (accept both 'translations' and legacy 'translated')
       let translations = data.translations || data.translated || {};
 
-      // If no translations provided, use Azure Translator
-      if ((!translations || Object.keys(translations).length === 0) && punctuatedText) {
+      // If no translations provided, run the translation provider chain: partials only
+      // translate what is new since their stable prefix, finals translate the whole utterance
+      let failedLangs = [];
+      let stableTranslations = null;
+      const glossary = getGlossary(code, session);
+
+      // Display/TTS hooks for the session's processing mode, shared by streamed tokens and the result
+      const mode = getProcessingMode(session.mode);
+      const pipelineCtx = {
+        code: speaker.pipelineKey,
+        session,
+        speaker: speaker.label,
+        traceId,
+        trace,
+        // Finals carry the server's send time, which listeners acknowledge (see delivery-ack);
+        // display and audio carry the trace ID (token-by-token display updates are not traced)
+        emitToLanguage: (lang, event, payload) => {
+          if (!payload.streaming) trace(`emit:${event}`, { language: lang });
+          emitToLanguage(code, lang, event, {
+            ...payload,
+            ...(event === 'translation-update' || event === 'audio-stream' ? { traceId } : {}),
+            ...(event === 'translation-update' && payload.isFinal ? { emittedAt: Date.now() } : {})
+          });
+        },
+        // The moderator follows listener voice preferences; panelists get voices of their own
+        getCommonVoice: (lang) => (speaker.index === 0
+          ? getCommonVoice(session, lang)
+          : getSpeakerVoice(lang, speaker.index)),
+        synthesize: async (text, lang, voice) => {
+          const requestedAt = Date.now();
+          const queueKey = `${speaker.pipelineKey}:${lang}`;
+          const finished = beginTts(queueKey);
+          alertEngine.record('queueDepth', { session: code, language: lang }, ttsInFlight.get(queueKey));
+          let audioStream;
+          try {
+            audioStream = await synthesize(speaker.pipelineKey, text, lang, voice);
+          } finally {
+            if (!audioStream) finished();
+          }
+          audioStream?.once('end', finished).once('error', finished);
+          audioStream?.once('data', () => {
+            observeStage('ttsFirstByte', stageLabels(lang), Date.now() - requestedAt);
+            utteranceTracer.span(traceId, 'tts.first-byte', requestedAt, { language: lang, chars: text.length });
+          });
+          return audioStream;
+        },
+        pronounce: (lang, text) => (glossary ? glossary.pronounce(lang, text) : text),
+        tuning: session.tuning || {},
+        // An exhausted budget leaves the session with captions only (usage.whenExhausted)
+        audio: !usageMeter.isExhausted(session)
+      };
+
+      if ((!translations || Object.keys(translations).length === 0) && punctuatedText && targetLangsUsed.length > 0) {
+        // Frozen segments hold placeholders of the glossary, and the register, they were translated with
+        const settings = `${session.glossaryVersion ?? ''}|${JSON.stringify(session.formality ?? {})}`;
+        if (translationSettings.get(speaker.pipelineKey) !== settings) {
+          incrementalTranslator.clearSession(speaker.pipelineKey);
+          translationSettings.set(speaker.pipelineKey, settings);
+        }
+        // Tokens of a final from a streaming provider go to the mode as they arrive, in order per language
+        const streamed = new Map(); // lang -> promise of the last token handed over
+        const streamCtx = { ...pipelineCtx, isFinal: false, translations: {}, stableTranslations: null };
+        const streamToMode = (lang, soFar) => {
+          const text = glossary ? glossary.restorePartial(lang, soFar) : soFar;
+          if (!text || isSameLanguage(lang, sourceLang)) return;
+          streamed.set(lang, (streamed.get(lang) || Promise.resolve())
+            .then(() => mode.processStream(streamCtx, lang, text))
+            .catch(error => console.error(`❌ [STREAMING] Token delivery failed for ${lang}:`, error.message)));
+        };
+        const translateStart = Date.now();
         try {
-          const translator = getTranslator();
-          console.log(`🔄 Translating: "${punctuatedText.substring(0, 50)}..." → [${targetLangsUsed.join(', ')}]`);
-          translations = targetLangsUsed.length > 0
-            ? await translator.translate(
-                punctuatedText,
-                targetLangsUsed,
-                session.sourceLang
-              )
-            : {}; // no targets yet
+          console.log(`🔄 Translating${data.isFinal ? ' final' : ''}: "${punctuatedText.substring(0, 50)}..." → [${targetLangsUsed.join(', ')}]`);
+          const textToTranslate = glossary ? glossary.protect(punctuatedText) : punctuatedText;
+          const options = getTranslationOptions(code, session, glossary, textToTranslate, targetLangsUsed);
+          const result = data.isFinal
+            ? await incrementalTranslator.translateFinal(speaker.pipelineKey, textToTranslate, targetLangsUsed, sourceLang, options, {
+              onStable: mode.processStream ? streamToMode : undefined
+            })
+            : await incrementalTranslator.translatePartial(speaker.pipelineKey, textToTranslate, targetLangsUsed, sourceLang, options);
+          const translateMs = Date.now() - translateStart;
+          Object.keys(result.translations).forEach(lang => observeStage('translation', stageLabels(lang), translateMs));
+          utteranceTracer.span(traceId, 'translate', translateStart, {
+            sourceLanguage: sourceLang,
+            languages: Object.keys(result.translations),
+            failed: result.failedLangs
+          });
+          await Promise.all(streamed.values());
+          translations = glossary ? glossary.restoreAll(result.translations) : result.translations;
+          stableTranslations = glossary ? glossary.restoreAll(result.stable) : result.stable;
+          failedLangs = result.failedLangs;
           if (Object.keys(translations).length > 0) {
             console.log(`✅ Translations generated for ${Object.keys(translations).length} languages`);
           }
         } catch (error) {
           console.error('Translation error:', error);
-          // Fallback to original text for all languages
-          targetLangsUsed.forEach(lang => {
-            translations[lang] = punctuatedText;
-          });
+          utteranceTracer.span(traceId, 'translate', translateStart, { sourceLanguage: sourceLang, error: error.message });
+          translations = {};
+          failedLangs = targetLangsUsed;
+        }
+        if (failedLangs.length > 0) {
+          // Never pass the source text off as a translation
+          console.error(`❌ Translation failed for [${failedLangs.join(', ')}]`);
+          recordError('translation-failed');
+        }
+      } else if (data.isFinal) {
+        incrementalTranslator.clearSession(speaker.pipelineKey);
+      }
+
+      // A final overtook this partial while it was being translated
+      if (!data.isFinal && partialScheduler.generation(speaker.pipelineKey) !== generation) {
+        trace('superseded');
+        return;
+      }
+
+      // Alert samples: recognition → translation sent for finals, and how sure recognition was
+      if (data.isFinal) {
+        const heardAt = data.timestamp && clockOffset !== null ? data.timestamp - clockOffset : nowTs;
+        const sentAfter = Math.max(0, Date.now() - heardAt);
+        if (!recentLatencies.has(speaker.pipelineKey)) recentLatencies.set(speaker.pipelineKey, []);
+        recentLatencies.get(speaker.pipelineKey).push(sentAfter);
+        Object.keys(translations).forEach(lang => {
+          if (!isSameLanguage(lang, sourceLang)) alertEngine.record('latency', { session: code, language: lang }, sentAfter);
+        });
+        if (typeof data.confidence === 'number') {
+          alertEngine.record('confidence', { session: code, language: sourceLang }, data.confidence);
         }
       }
 
+      // Tell listeners of languages that could not be translated instead of going silent
+      failedLangs.forEach(lang => {
+        trace('emit:translation-failed', { language: lang });
+        emitToLanguage(code, lang, 'translation-failed', {
+          language: lang,
+          isFinal: data.isFinal,
+          speaker: speaker.label,
+          reason: 'translation-unavailable',
+          timestamp: ts
+        });
+      });
+
+      // Archive finals for transcript/subtitle export, and keep them as context for the next ones
+      if (data.isFinal && punctuatedText) {
+        rememberFinal(code, punctuatedText, translations);
+        transcripts.record(code, {
+          sessionStart: session.metrics.startTime,
+          timestamp: nowTs,
+          offset: data.offset,
+          duration: data.duration,
+          speakerKey: speaker.pipelineKey,
+          speaker: session.speakers.size > 1 ? speaker.label : null,
+          sourceLang,
+          text: punctuatedText,
+          translations
+        });
+      }
+
+      // Listeners who share the presenter's language read the original
+      const originals = punctuatedText
+        ? Object.fromEntries(getListenerLangs(session)
+          .filter(lang => isSameLanguage(lang, sourceLang))
+          .map(lang => [lang, punctuatedText]))
+        : {};
+      Object.keys(originals).forEach(lang => {
+        trace('emit:translation-update', { language: lang, original: true });
+        emitToLanguage(code, lang, 'translation-update', {
+          text: punctuatedText,
+          language: lang,
+          isFinal: data.isFinal,
+          speaker: speaker.label,
+          original: true,
+          traceId,
+          ...(data.isFinal ? { emittedAt: Date.now() } : {})
+        });
+      });
+
       // Broadcast to all listeners in the session (diagnostic)
-      socket.to(code).emit('translation-broadcast', {
+      trace('emit:translation-broadcast');
+      sessions.broadcast(code, 'translation-broadcast', {
         original: data.original,
-        translations: translations,
+        translations: { ...translations, ...originals },
+        sourceLang,
+        failedLanguages: failedLangs,
+        speaker: speaker.label,
         isFinal: data.isFinal,
         timestamp: ts,
         offset: data.offset,
         duration: data.duration,
-        latency
-      });
+        latency,
+        traceId,
+        ...(data.isFinal ? { emittedAt: Date.now() } : {})
+      }, { except: socket.id });
 
-      // Generate TTS/display based on selected mode
-      if (USE_CONTINUOUS_STREAMING) {
-        // CONTINUOUS STREAMING MODE: Seamless TTS with no breaks
-        for (const [lang, translatedText] of Object.entries(translations)) {
-          if (!translatedText) continue;
-          
-          // Always display immediately
-          session.listeners.forEach((listener, listenerId) => {
-            if (listener.lang === lang) {
-              const listenerSocket = io.sockets.sockets.get(listenerId);
-              if (listenerSocket) {
-                listenerSocket.emit('translation-update', {
-                  text: translatedText,
-                  language: lang,
-                  isFinal: data.isFinal
-                });
-              }
-            }
-          });
-          
-          // Process with continuous streaming
-          const streamResult = continuousStreamProcessor.processText(
-            code,
-            lang,
-            translatedText,
-            data.isFinal
-          );
-          
-          if (streamResult.shouldSend) {
-            console.log(`🌊 [STREAMING] Sending ${streamResult.newChars} new chars to WebSocket TTS`);
-            
-            // Get voice preferences
-            const listenersVoices = new Map();
-            session.listeners.forEach((listener, listenerId) => {
-              if (listener.lang === lang) {
-                listenersVoices.set(listenerId, listener.voice);
-              }
-            });
-            
-            const voicePrefs = Array.from(listenersVoices.values());
-            const commonVoice = voicePrefs.every(v => v === voicePrefs[0]) ? voicePrefs[0] : null;
-            
-            // Stream text to WebSocket TTS (no chunking, continuous synthesis)
-            await webSocketTTS.streamText(
-              code,
-              lang,
-              streamResult.textToSend,
-              streamResult.isFinal,
-              commonVoice
-            );
-          }
-        }
-      } else if (USE_NATURAL_LANGUAGE) {
-        // NATURAL LANGUAGE MODE: Low latency with natural-sounding chunks
-        for (const [lang, translatedText] of Object.entries(translations)) {
-          if (!translatedText) continue;
-          
-          // Always display immediately for visual feedback
-          session.listeners.forEach((listener, listenerId) => {
-            if (listener.lang === lang) {
-              const listenerSocket = io.sockets.sockets.get(listenerId);
-              if (listenerSocket) {
-                listenerSocket.emit('translation-update', {
-                  text: translatedText,
-                  language: lang,
-                  isFinal: data.isFinal
-                });
-              }
-            }
-          });
-          
-          // Process with natural language boundaries
-          const result = naturalLanguageExtractor.processText(
-            code,
-            lang,
-            translatedText,
-            data.isFinal
-          );
-          
-          if (result.chunks.length > 0) {
-            console.log(`🌊 [NATURAL] Generating TTS for ${result.chunks.length} natural chunks in ${lang}`);
-            
-            for (const chunkData of result.chunks) {
-              try {
-                // Get voice preferences
-                const listenersVoices = new Map();
-                session.listeners.forEach((listener, listenerId) => {
-                  if (listener.lang === lang) {
-                    listenersVoices.set(listenerId, listener.voice);
-                  }
-                });
-                
-                const voicePrefs = Array.from(listenersVoices.values());
-                const commonVoice = voicePrefs.every(v => v === voicePrefs[0]) ? voicePrefs[0] : null;
-                
-                // Generate TTS with natural prosody
-                const audioStream = USE_ENHANCED_TTS 
-                  ? await ttsProvider.generateWithQueueManagement(chunkData.text, lang, code, commonVoice)
-                  : await ttsProvider.streamSynthesize(chunkData.text, lang);
-                  
-                if (audioStream) {
-                  const chunks = [];
-                  audioStream.on('data', chunk => chunks.push(chunk));
-                  audioStream.on('end', () => {
-                    const audioBuffer = Buffer.concat(chunks);
-                    const base64Audio = audioBuffer.toString('base64');
-                    
-                    // Send to listeners
-                    session.listeners.forEach((listener, listenerId) => {
-                      if (listener.lang === lang) {
-                        const listenerSocket = io.sockets.sockets.get(listenerId);
-                        if (listenerSocket) {
-                          listenerSocket.emit('audio-stream', {
-                            audio: base64Audio,
-                            format: 'mp3',
-                            language: lang,
-                            text: chunkData.text,
-                            sequence: chunkData.sequence,
-                            wordCount: chunkData.wordCount,
-                            isNaturalBoundary: chunkData.isNaturalBoundary
-                          });
-                          console.log(`🔊 [NATURAL] Sent chunk #${chunkData.sequence} (${chunkData.wordCount} words): "${chunkData.text.substring(0, 40)}..."`);
-                        }
-                      }
-                    });
-                  });
-                  
-                  audioStream.on('error', (error) => {
-                    console.error(`TTS stream error for ${lang}:`, error);
-                  });
-                }
-              } catch (error) {
-                console.error(`TTS generation error for ${lang}:`, error);
-              }
-            }
-          }
-        }
-      } else if (USE_ULTRA_LOW_LATENCY) {
-        // ULTRA-LOW LATENCY MODE: Generate TTS immediately as words arrive
-        for (const [lang, translatedText] of Object.entries(translations)) {
-          if (!translatedText) continue;
-          
-          // Always display immediately
-          session.listeners.forEach((listener, listenerId) => {
-            if (listener.lang === lang) {
-              const listenerSocket = io.sockets.sockets.get(listenerId);
-              if (listenerSocket) {
-                listenerSocket.emit('translation-update', {
-                  text: translatedText,
-                  language: lang,
-                  isFinal: data.isFinal
-                });
-              }
-            }
-          });
-          
-          // Process text with ultra-low latency chunking (works on both partials and finals)
-          const result = ultraLowLatencyExtractor.processText(
-            code,
-            lang,
-            translatedText,
-            data.isFinal
-          );
-          
-          if (result.chunks.length > 0) {
-            console.log(`⚡ [ULTRA] Generating TTS for ${result.chunks.length} chunks in ${lang}`);
-            
-            for (const chunkData of result.chunks) {
-              try {
-                // Get voice preferences
-                const listenersVoices = new Map();
-                session.listeners.forEach((listener, listenerId) => {
-                  if (listener.lang === lang) {
-                    listenersVoices.set(listenerId, listener.voice);
-                  }
-                });
-                
-                const voicePrefs = Array.from(listenersVoices.values());
-                const commonVoice = voicePrefs.every(v => v === voicePrefs[0]) ? voicePrefs[0] : null;
-                
-                // Generate TTS immediately with queue management
-                const audioStream = USE_ENHANCED_TTS 
-                  ? await ttsProvider.generateWithQueueManagement(chunkData.text, lang, code, commonVoice)
-                  : await ttsProvider.streamSynthesize(chunkData.text, lang);
-                  
-                if (audioStream) {
-                  const chunks = [];
-                  audioStream.on('data', chunk => chunks.push(chunk));
-                  audioStream.on('end', () => {
-                    const audioBuffer = Buffer.concat(chunks);
-                    const base64Audio = audioBuffer.toString('base64');
-                    
-                    // Send to listeners
-                    session.listeners.forEach((listener, listenerId) => {
-                      if (listener.lang === lang) {
-                        const listenerSocket = io.sockets.sockets.get(listenerId);
-                        if (listenerSocket) {
-                          listenerSocket.emit('audio-stream', {
-                            audio: base64Audio,
-                            format: 'mp3',
-                            language: lang,
-                            text: chunkData.text,
-                            sequence: chunkData.sequence,
-                            wordCount: chunkData.wordCount
-                          });
-                          console.log(`🔊 [ULTRA] Sent chunk #${chunkData.sequence} (${chunkData.wordCount} words): "${chunkData.text.substring(0, 30)}..."`);
-                        }
-                      }
-                    });
-                  });
-                  
-                  audioStream.on('error', (error) => {
-                    console.error(`TTS stream error for ${lang}:`, error);
-                  });
-                }
-              } catch (error) {
-                console.error(`TTS generation error for ${lang}:`, error);
-              }
-            }
-          }
-        }
-      } else if (USE_CONFERENCE_MODE) {
-        // CONFERENCE MODE: Optimized for live conferences with proper deduplication
-        for (const [lang, translatedText] of Object.entries(translations)) {
-          if (!translatedText) continue;
-          
-          // Always display immediately for visual feedback
-          session.listeners.forEach((listener, listenerId) => {
-            if (listener.lang === lang) {
-              const listenerSocket = io.sockets.sockets.get(listenerId);
-              if (listenerSocket) {
-                listenerSocket.emit('translation-update', {
-                  text: translatedText,
-                  language: lang,
-                  isFinal: data.isFinal
-                });
-              }
-            }
-          });
-          
-          // Only generate TTS for FINAL results with complete sentences
-          if (data.isFinal) {
-            const result = conferenceSentenceExtractor.processText(
-              code,
-              lang,
-              translatedText,
-              true
-            );
-            
-            if (result.sentences.length > 0) {
-              console.log(`🎯 [CONFERENCE] Generating TTS for ${result.sentences.length} unique sentences in ${lang}`);
-              
-              for (const sentenceData of result.sentences) {
-                try {
-                  // Get voice preferences
-                  const listenersVoices = new Map();
-                  session.listeners.forEach((listener, listenerId) => {
-                    if (listener.lang === lang) {
-                      listenersVoices.set(listenerId, listener.voice);
-                    }
-                  });
-                  
-                  const voicePrefs = Array.from(listenersVoices.values());
-                  const commonVoice = voicePrefs.every(v => v === voicePrefs[0]) ? voicePrefs[0] : null;
-                  
-                  // Generate TTS with queue management
-                  const audioStream = USE_ENHANCED_TTS 
-                    ? await ttsProvider.generateWithQueueManagement(sentenceData.text, lang, code, commonVoice)
-                    : await ttsProvider.streamSynthesize(sentenceData.text, lang);
-                    
-                  if (audioStream) {
-                    const chunks = [];
-                    audioStream.on('data', chunk => chunks.push(chunk));
-                    audioStream.on('end', () => {
-                      const audioBuffer = Buffer.concat(chunks);
-                      const base64Audio = audioBuffer.toString('base64');
-                      
-                      // Send to listeners
-                      session.listeners.forEach((listener, listenerId) => {
-                        if (listener.lang === lang) {
-                          const listenerSocket = io.sockets.sockets.get(listenerId);
-                          if (listenerSocket) {
-                            listenerSocket.emit('audio-stream', {
-                              audio: base64Audio,
-                              format: 'mp3',
-                              language: lang,
-                              text: sentenceData.text,
-                              sequence: sentenceData.sequence
-                            });
-                            console.log(`🔊 [CONFERENCE] Sent sentence #${sentenceData.sequence}: "${sentenceData.text.substring(0, 40)}..."`);
-                          }
-                        }
-                      });
-                    });
-                    
-                    audioStream.on('error', (error) => {
-                      console.error(`TTS stream error for ${lang}:`, error);
-                    });
-                  }
-                } catch (error) {
-                  console.error(`TTS generation error for ${lang}:`, error);
-                }
-              }
-            }
-          }
-        }
-      } else if (USE_HYBRID_MODE) {
-        // HYBRID MODE: Generate TTS for stable sentences across partials
-        for (const [lang, translatedText] of Object.entries(translations)) {
-          if (!translatedText) continue;
-
-          // Continuous speech adaptive thresholds/mode per language
-          adjustForContinuousSpeech(lang);
-
-          // Process with hybrid extractor
-          const result = hybridSentenceExtractor.processPartial(
-            code,
-            lang,
-            translatedText,
-            data.isFinal
-          );
-
-          // Send display update immediately (all partials)
-          session.listeners.forEach((listener, listenerId) => {
-            if (listener.lang === lang) {
-              const listenerSocket = io.sockets.sockets.get(listenerId);
-              if (listenerSocket) {
-                listenerSocket.emit('translation-update', {
-                  text: result.displayText,
-                  language: lang,
-                  isFinal: data.isFinal,
-                  partialNumber: result.partialNumber
-                });
-              }
-            }
-          });
-
-          // Generate TTS only for stable sentences
-          if (result.shouldGenerateTTS && result.stableSentences.length > 0) {
-            console.log(`🎯 [HYBRID] Generating TTS for ${result.stableSentences.length} stable sentences in ${lang}`);
-
-            for (const sentenceData of result.stableSentences) {
-              try {
-                // Deduplicate against any previously spoken sentences (hybrid or final)
-                streamingSentenceExtractor.registerSpoken(code, lang, sentenceData.text);
-
-                // Get voice preferences for listeners of this language
-                const listenersVoices = new Map();
-                session.listeners.forEach((listener, listenerId) => {
-                  if (listener.lang === lang) {
-                    listenersVoices.set(listenerId, listener.voice);
-                  }
-                });
-                
-                // If all listeners want same voice, use it; otherwise use default
-                const voicePrefs = Array.from(listenersVoices.values());
-                const commonVoice = voicePrefs.every(v => v === voicePrefs[0]) ? voicePrefs[0] : null;
-                
-                // Generate TTS audio with queue management for enhanced provider
-                const audioStream = USE_ENHANCED_TTS 
-                  ? await ttsProvider.generateWithQueueManagement(sentenceData.text, lang, code, commonVoice)
-                  : await ttsProvider.streamSynthesize(sentenceData.text, lang);
-                if (audioStream) {
-                  const chunks = [];
-                  audioStream.on('data', chunk => chunks.push(chunk));
-                  audioStream.on('end', () => {
-                    const audioBuffer = Buffer.concat(chunks);
-                    const base64Audio = audioBuffer.toString('base64');
-
-                    // Send audio to listeners of this language
-                    session.listeners.forEach((listener, listenerId) => {
-                      if (listener.lang === lang) {
-                        const listenerSocket = io.sockets.sockets.get(listenerId);
-                        if (listenerSocket) {
-                          listenerSocket.emit('audio-stream', {
-                            audio: base64Audio,
-                            format: 'mp3',
-                            language: lang,
-                            text: sentenceData.text,
-                            confidence: sentenceData.confidence,
-                            isStable: true
-                          });
-                          console.log(`🔊 [HYBRID] TTS sent for ${lang}: "${sentenceData.text.substring(0, 30)}..." (confidence: ${(sentenceData.confidence * 100).toFixed(0)}%)`);
-                        }
-                      }
-                    });
-                  });
-                  audioStream.on('error', (error) => {
-                    console.error(`TTS stream error for ${lang}:`, error);
-                  });
-                } else {
-                  console.warn(`⚠️ [HYBRID] No audio stream returned for ${lang}`);
-                }
-              } catch (error) {
-                console.error(`TTS generation error for ${lang}:`, error);
-              }
-            }
-          } else if (data.isFinal) {
-            // Fallback: if final and nothing stable emitted, synthesize final sentences to ensure audio
-            const { sentences } = streamingSentenceExtractor.processTranscript(
-              code,
-              lang,
-              translations[lang],
-              true
-            );
-            if (sentences && sentences.length > 0) {
-              console.log(`🎯 [HYBRID-FALLBACK] Generating TTS for ${sentences.length} final sentences in ${lang}`);
-              for (const sentence of sentences) {
-                try {
-                  // Skip anything already spoken by hybrid
-                  streamingSentenceExtractor.registerSpoken(code, lang, sentence);
-
-                  const audioStream = USE_ENHANCED_TTS 
-                    ? await ttsProvider.generateWithQueueManagement(sentence, lang, code)
-                    : await ttsProvider.streamSynthesize(sentence, lang);
-                  if (audioStream) {
-                    const chunks = [];
-                    audioStream.on('data', chunk => chunks.push(chunk));
-                    audioStream.on('end', () => {
-                      const audioBuffer = Buffer.concat(chunks);
-                      const base64Audio = audioBuffer.toString('base64');
-                      session.listeners.forEach((listener, listenerId) => {
-                        if (listener.lang === lang) {
-                          const listenerSocket = io.sockets.sockets.get(listenerId);
-                          if (listenerSocket) {
-                            listenerSocket.emit('audio-stream', {
-                              audio: base64Audio,
-                              format: 'mp3',
-                              language: lang,
-                              text: sentence,
-                              isStable: true
-                            });
-                            console.log(`🔊 [HYBRID-FALLBACK] TTS sent for ${lang}: "${sentence.substring(0, 30)}..."`);
-                          }
-                        }
-                      });
-                    });
-                    audioStream.on('error', (error) => {
-                      console.error(`TTS stream error (fallback) for ${lang}:`, error);
-                    });
-                  }
-                } catch (error) {
-                  console.error(`TTS generation error (fallback) for ${lang}:`, error);
-                }
-              }
-            }
-          }
-        }
-      } else {
-        // ORIGINAL MODE: Only process finals to avoid repetition
-        for (const [lang, translatedText] of Object.entries(translations)) {
-          if (!translatedText) continue;
-
-          // Process transcript - only generates TTS for final results
-          const { sentences, shouldGenerateTTS } = streamingSentenceExtractor.processTranscript(
-            code,
-            lang,
-            translatedText,
-            data.isFinal
-          );
-
-          // Only generate TTS if we have new sentences from a final result
-          if (shouldGenerateTTS && sentences.length > 0) {
-            console.log(`🎯 [ORIGINAL] Generating TTS for ${sentences.length} final sentences in ${lang}`);
-
-            for (const sentence of sentences) {
-              try {
-                const audioStream = await ttsProvider.streamSynthesize(sentence, lang);
-                if (audioStream) {
-                  const chunks = [];
-                  audioStream.on('data', chunk => chunks.push(chunk));
-
-                  audioStream.on('end', () => {
-                    const audioBuffer = Buffer.concat(chunks);
-                    const base64Audio = audioBuffer.toString('base64');
-
-                    session.listeners.forEach((listener, listenerId) => {
-                      if (listener.lang === lang) {
-                        const listenerSocket = io.sockets.sockets.get(listenerId);
-                        if (listenerSocket) {
-                          listenerSocket.emit('audio-stream', {
-                            audio: base64Audio,
-                            format: 'mp3',
-                            language: lang,
-                            text: sentence
-                          });
-                          console.log(`🔊 [ORIGINAL] TTS sent for ${lang}: "${sentence.substring(0, 30)}..."`);
-                        }
-                      }
-                    });
-                  });
-
-                  audioStream.on('error', (error) => {
-                    console.error(`TTS stream error for ${lang}:`, error);
-                  });
-                }
-              } catch (error) {
-                console.error(`TTS generation error for ${lang}:`, error);
-              }
-            }
-          }
-        }
+      // Generate TTS/display with the session's processing mode
+      const ctx = {
+        ...pipelineCtx,
+        isFinal: data.isFinal,
+        translations,
+        stableTranslations
+      };
+      for (const [lang, translatedText] of Object.entries(translations)) {
+        if (!translatedText || isSameLanguage(lang, sourceLang)) continue;
+        await mode.process(ctx, lang, translatedText);
       }
 
       // Log performance warnings
@@ -689,17 +873,83 @@ export function initOptimizedSocket(io) {
       }
     };
     // Handle both optimized and streaming speaker join events
-    const handleSpeakerJoin = ({ sessionCode, sourceLang, targetLangs, sourceLanguageHint }) => {
+    const handleSpeakerJoin = ({ sessionCode, sourceLang, targetLangs, sourceLanguageHint, mode, resumeToken, ownerSecret, listenerPasscode, panelistSecret, speakerLabel, formality, detectLanguage, tenant, tenantKey }) => {
       const code = (sessionCode || '').trim().toUpperCase();
-      if (!code || code.length !== 4) return;
+      if (!/^[A-Z0-9]{4}$/.test(code)) {
+        return socket.emit('join-error', {
+          code: 'INVALID_SESSION_CODE',
+          message: 'Session codes are 4 letters or digits.'
+        });
+      }
 
-      const resolvedSource = sourceLang || sourceLanguageHint;
-      const resolvedTargets = Array.isArray(targetLangs) ? targetLangs : [];
+      // An existing session only goes back to whoever proves they own it
+      const existing = sessions.get(code);
+      if (existing) {
+        if (secretsMatch(existing.resumeToken, resumeToken) || secretsMatch(existing.ownerSecret, ownerSecret)) {
+          return resumeSpeaker(code, existing);
+        }
+        if (secretsMatch(existing.panelistSecret, panelistSecret)) {
+          return joinPanelist(code, existing, { sourceLang: sourceLang || sourceLanguageHint, speakerLabel });
+        }
+
+        recordError('session-code-taken');
+        console.warn(`🚫 Rejected speaker join for session ${code}: code already in use`);
+        return socket.emit('join-error', {
+          code: 'SESSION_CODE_TAKEN',
+          sessionCode: code,
+          message: `Session ${code} is already in use. Pick another code, or rejoin with the owner secret.`
+        });
+      }
+
+      // A tenant's budget is only spent (or escaped) by organizers holding its key
+      const resolvedTenant = normalizeTenant(tenant);
+      if (tenant && !tenantKeyMatches(resolvedTenant, tenantKey)) {
+        console.warn(`🚫 Rejected speaker join for session ${code}: no valid key for tenant "${tenant}"`);
+        return socket.emit('join-error', {
+          code: 'INVALID_TENANT_KEY',
+          sessionCode: code,
+          message: 'The tenant key is missing or wrong. Ask your organization for its speaker link.'
+        });
+      }
+
+      const resolvedSource = normalizeLanguage(sourceLang || sourceLanguageHint) || sourceLang || sourceLanguageHint;
+      const resolvedTargets = Array.isArray(targetLangs)
+        ? Array.from(new Set(targetLangs.map(normalizeLanguage).filter(Boolean)))
+        : [];
+      const resolvedMode = resolveModeName(mode);
+      if (mode && mode !== resolvedMode) {
+        console.warn(`⚠️ Unknown processing mode "${mode}" for session ${code}, using ${resolvedMode}`);
+      }
+      let resolvedFormality = null;
+      try {
+        resolvedFormality = normalizeFormality(formality);
+      } catch (error) {
+        console.warn(`⚠️ Ignoring formality for session ${code}: ${error.message}`);
+      }
 
       const session = {
         speakerId: socket.id,
+        speakerConnected: true,
+        ownerSecret: uuid(),
+        resumeToken: uuid(),
+        listenerPasscode: listenerPasscode ? String(listenerPasscode) : null,
+        panelistSecret: uuid(),
+        speakers: new Map([[socket.id, {
+          index: 0,
+          label: speakerLabel || 'Speaker 1',
+          sourceLang: resolvedSource,
+          role: 'moderator',
+          pipelineKey: pipelineKey(code, 0),
+          instance: sessions.instanceId
+        }]]),
+        floor: null,
+        nextSpeakerIndex: 1,
         sourceLang: resolvedSource,
         targetLangs: resolvedTargets,
+        mode: resolvedMode,
+        formality: resolvedFormality,
+        detectLanguage: typeof detectLanguage === 'boolean' ? detectLanguage : SOURCE_LANGUAGE_DETECTION,
+        tenant: resolvedTenant, // Whose budget (usage.tenantBudgets) the session spends
         listeners: new Map(),
         metrics: {
           startTime: Date.now(),
@@ -710,22 +960,124 @@ export function initOptimizedSocket(io) {
 
       sessions.set(code, session);
       socket.join(code);
+      transcripts.start(code, {
+        startTime: session.metrics.startTime,
+        sourceLang: resolvedSource,
+        targetLangs: resolvedTargets,
+        listenerPasscode: session.listenerPasscode
+      });
 
-      io.to(code).emit('session-started', {
+      sessions.broadcast(code, 'session-started', {
         sourceLang: resolvedSource,
         targetLangs: resolvedTargets,
         method: 'direct-translation'
       });
 
-      console.log(`🎙️ Speaker joined session ${code} (${resolvedSource} → ${resolvedTargets.join(', ') || 'listeners-defined'})`);
+      console.log(`🎙️ Speaker joined session ${code} (${resolvedSource} → ${resolvedTargets.join(', ') || 'listeners-defined'}) [${resolvedMode}]`);
 
       // Send success response
       socket.emit('joined', {
         ok: true,
         sessionCode: code,
         mode: 'streaming',
+        processingMode: resolvedMode,
+        availableModes: listProcessingModes(),
+        detectLanguage: session.detectLanguage,
+        ownerSecret: session.ownerSecret,
+        resumeToken: session.resumeToken,
+        panelistSecret: session.panelistSecret,
+        passcodeRequired: Boolean(session.listenerPasscode),
+        tenant: session.tenant,
+        role: 'moderator',
+        speakers: describeSpeakers(session),
         targetLatency: 400
       });
+      syncClock();
+    };
+
+    // Add another presenter to a running session (speaks only while holding the floor)
+    const joinPanelist = (code, session, { sourceLang, speakerLabel }) => {
+      const index = session.nextSpeakerIndex++;
+      const speaker = {
+        index,
+        label: speakerLabel || `Speaker ${index + 1}`,
+        sourceLang: normalizeLanguage(sourceLang) || sourceLang || session.sourceLang,
+        role: 'panelist',
+        pipelineKey: pipelineKey(code, index),
+        instance: sessions.instanceId
+      };
+      session.speakers.set(socket.id, speaker);
+      sessions.save(code);
+      socket.join(code);
+
+      console.log(`🎤 Panelist ${speaker.label} joined session ${code} (${speaker.sourceLang})`);
+
+      socket.emit('joined', {
+        ok: true,
+        sessionCode: code,
+        mode: 'streaming',
+        role: 'panelist',
+        speakerIndex: index,
+        speakerLabel: speaker.label,
+        sourceLang: speaker.sourceLang,
+        processingMode: session.mode,
+        speakers: describeSpeakers(session),
+        targetLatency: 400
+      });
+      syncClock();
+      broadcastSpeakers(code, session);
+    };
+
+    // Hand an existing session (and its extractor/TTS state) back to a reconnecting speaker
+    const resumeSpeaker = (code, session) => {
+      cancelGraceTimer(code);
+
+      // Reclaimed with the owner secret while the old console is still connected (possibly on another instance)
+      const previousId = session.speakerId;
+      const takenOver = session.speakerConnected !== false && previousId !== socket.id;
+      if (takenOver) {
+        sessions.broadcast(previousId, 'session-taken-over', { sessionCode: code, timestamp: Date.now() });
+      }
+
+      const downtime = session.disconnectedAt ? Date.now() - session.disconnectedAt : 0;
+      const moderator = session.speakers.get(previousId);
+      session.speakers.delete(previousId);
+      session.speakers.set(socket.id, { ...moderator, instance: sessions.instanceId });
+      session.speakerId = socket.id;
+      session.speakerConnected = true;
+      session.resumeToken = uuid(); // Tokens are single-use
+      session.disconnectedAt = null;
+      sessions.save(code);
+      socket.join(code);
+
+      // Only after the hand-over, so the old console's disconnect does not start a grace period
+      if (takenOver) {
+        sessions.disconnect(previousId);
+        console.log(`🔀 Session ${code} taken over from ${previousId}`);
+      }
+
+      sessions.broadcast(code, 'speaker-resumed', { downtime }, { except: socket.id });
+      console.log(`🔁 Speaker resumed session ${code} after ${downtime}ms [${session.mode}]`);
+
+      socket.emit('joined', {
+        ok: true,
+        resumed: true,
+        sessionCode: code,
+        mode: 'streaming',
+        sourceLang: session.sourceLang,
+        targetLangs: session.targetLangs,
+        processingMode: session.mode,
+        availableModes: listProcessingModes(),
+        detectLanguage: session.detectLanguage,
+        resumeToken: session.resumeToken,
+        panelistSecret: session.panelistSecret,
+        passcodeRequired: Boolean(session.listenerPasscode),
+        role: 'moderator',
+        speakers: describeSpeakers(session),
+        listeners: session.listeners.size,
+        targetLatency: 400
+      });
+      syncClock();
     };
 
     // Listen for both event names (plus legacy)
@@ -733,9 +1085,39 @@ export function initOptimizedSocket(io) {
     socket.on('streaming-speaker-join', handleSpeakerJoin);
     socket.on('speaker-join', handleSpeakerJoin);
 
+    // Switch processing mode mid-session (speaker only)
+    socket.on('change-mode', ({ sessionCode, mode }) => {
+      const code = (sessionCode || '').trim().toUpperCase();
+      const session = sessions.get(code);
+
+      if (!session || session.speakerId !== socket.id) return;
+
+      if (!getProcessingMode(mode)) {
+        socket.emit('mode-changed', {
+          mode: session.mode,
+          success: false,
+          error: `Unknown processing mode: ${mode}`
+        });
+        return;
+      }
+
+      if (mode !== session.mode) {
+        // Previous mode's extractor/TTS state would only replay stale text
+        clearModeState(code, session, session.mode);
+        console.log(`🔀 Processing mode for session ${code}: ${session.mode} → ${mode}`);
+        session.mode = mode;
+        sessions.save(code);
+      }
+
+      sessions.broadcast(code, 'mode-changed', {
+        mode: session.mode,
+        success: true
+      });
+    });
+
     // Unified stream handler - translate if needed
     socket.on('translation-stream', async (data) => {
-      await processIncoming(data);
+      await processIncoming(data, { event: 'translation-stream' });
     });
 
     // Legacy STT event handlers from speaker.html (partials + finals)
@@ -748,10 +1130,10 @@ export function initOptimizedSocket(io) {
         timestamp: t0 || Date.now(),
         offset,
         duration
-      });
+      }, { event: 'stt-partial' });
     });
 
-    socket.on('stt-final', ({ sessionCode, text, sourceLanguage, t0, offset, duration }) => {
+    socket.on('stt-final', ({ sessionCode, text, sourceLanguage, t0, offset, duration, confidence }) => {
       processIncoming({
         sessionCode,
         original: text,
@@ -759,12 +1141,13 @@ export function initOptimizedSocket(io) {
         isFinal: true,
         timestamp: t0 || Date.now(),
         offset,
-        duration
-      });
+        duration,
+        confidence
+      }, { event: 'stt-final' });
     });
 
     // Handle listener joins
-    const handleListenerJoin = ({ sessionCode, preferredLanguage, voicePreference }) => {
+    const handleListenerJoin = async ({ sessionCode, preferredLanguage, voicePreference, passcode }) => {
       const code = (sessionCode || '').trim().toUpperCase();
       const session = sessions.get(code);
 
@@ -773,22 +1156,53 @@ export function initOptimizedSocket(io) {
         return socket.emit('session-not-found');
       }
 
-      session.listeners.set(socket.id, {
-        lang: preferredLanguage,
+      if (session.listenerPasscode && !secretsMatch(session.listenerPasscode, passcode)) {
+        recordError('invalid-passcode');
+        return socket.emit('join-error', {
+          code: passcode ? 'INVALID_PASSCODE' : 'PASSCODE_REQUIRED',
+          sessionCode: code,
+          message: passcode ? 'Incorrect passcode for this session.' : 'This session requires a passcode.'
+        });
+      }
+
+      // es-MX, zh-hant... land in the closest language the session offers
+      const lang = resolveListenerLang(session, preferredLanguage);
+      // A repeated join replaces the listener's language, as change-language does
+      const previous = session.listeners.get(socket.id);
+      if (previous?.lang && previous.lang !== lang) {
+        socket.leave(languageRoom(code, previous.lang));
+      }
+      sessions.addListener(code, socket.id, {
+        lang,
         voice: voicePreference || null, // Store voice preference
         joinedAt: Date.now()
       });
 
       socket.join(code);
+      if (lang) {
+        socket.join(languageRoom(code, lang));
+      }
+
+      // Rooms are joined first so nothing said while the history loads is lost
+      const history = await getCatchUp(code, lang).catch(error => {
+        console.error(`❌ Catch-up history failed for ${code}:`, error.message);
+        return [];
+      });
+
       socket.emit('joined', {
         ok: true,
         sessionCode: code,
-        availableLanguages: session.targetLangs,
+        language: lang,
+        availableLanguages: getAvailableLangs(session),
         sourceLang: session.sourceLang,
+        speakers: describeSpeakers(session),
+        speakerConnected: session.speakerConnected !== false,
+        history,
         method: 'direct-translation'
       });
 
-      console.log(`👂 Listener joined session ${code} for ${preferredLanguage}`);
+      notifyListenerChange(code, session, 'listener-joined', lang);
+      console.log(`👂 Listener joined session ${code} for ${lang}`);
     };
 
     // Listen for both event names
@@ -796,97 +1210,249 @@ export function initOptimizedSocket(io) {
     socket.on('streaming-listener-join', handleListenerJoin);
 
     // Handle language change
-    socket.on('change-language', ({ sessionCode, language }) => {
+    socket.on('change-language', async ({ sessionCode, language: requested }) => {
       const code = (sessionCode || '').trim().toUpperCase();
       const session = sessions.get(code);
 
       if (session && session.listeners.has(socket.id)) {
         const listener = session.listeners.get(socket.id);
+        const language = resolveListenerLang(session, requested);
         console.log(`🔄 Language change for listener ${socket.id}: ${listener.lang} → ${language}`);
+        if (listener.lang) {
+          socket.leave(languageRoom(code, listener.lang));
+        }
+        socket.join(languageRoom(code, language));
         listener.lang = language;
+        sessions.updateListener(code, socket.id);
+
+        const history = await getCatchUp(code, language).catch(error => {
+          console.error(`❌ Catch-up history failed for ${code}:`, error.message);
+          return [];
+        });
 
         socket.emit('language-changed', {
           language: language,
-          success: true
+          success: true,
+          history
         });
       }
     });
 
+    // Listener asks for a short spoken recap of what they missed
+    socket.on('request-recap', async ({ sessionCode }) => {
+      const code = (sessionCode || '').trim().toUpperCase();
+      const session = sessions.get(code);
+      const listener = session?.listeners.get(socket.id);
+      if (!listener || !listener.lang) return;
+      if (usageMeter.isExhausted(session)) {
+        return socket.emit('recap-unavailable', { sessionCode: code, reason: 'budget-exhausted' });
+      }
+
+      try {
+        const history = await getCatchUp(code, listener.lang);
+
+        // Most recent finals that fit the recap length, in spoken order
+        const parts = [];
+        let length = 0;
+        for (const item of history.slice().reverse()) {
+          if (parts.length > 0 && length + item.text.length > RECAP_MAX_CHARS) break;
+          parts.unshift(item.text);
+          length += item.text.length + 1;
+        }
+        if (parts.length === 0) {
+          return socket.emit('recap-unavailable', { sessionCode: code, reason: 'no-history' });
+        }
+
+        const text = parts.join(' ');
+        const glossary = getGlossary(code, session);
+        const spoken = glossary ? glossary.pronounce(listener.lang, text) : text;
+        const audioStream = await synthesize(code, spoken, listener.lang, listener.voice);
+        if (!audioStream) {
+          return socket.emit('recap-unavailable', { sessionCode: code, reason: 'tts-unavailable' });
+        }
+
+        const chunks = [];
+        audioStream.on('data', chunk => chunks.push(chunk));
+        audioStream.on('end', () => {
+          socket.emit('audio-stream', {
+            audio: Buffer.concat(chunks).toString('base64'),
+            format: 'mp3',
+            language: listener.lang,
+            text,
+            recap: true
+          });
+          console.log(`🔁 Recap sent to listener ${socket.id} in ${code} (${listener.lang})`);
+        });
+        audioStream.on('error', (error) => {
+          console.error(`❌ Recap TTS stream error for ${code}:`, error.message);
+          socket.emit('recap-unavailable', { sessionCode: code, reason: 'tts-error' });
+        });
+      } catch (error) {
+        console.error(`❌ Recap failed for ${code}:`, error.message);
+        recordError('recap-failed');
+        socket.emit('recap-unavailable', { sessionCode: code, reason: 'tts-error' });
+      }
+    });
+
+    // Moderator hands the floor to a panelist (or back to nobody)
+    socket.on('grant-floor', ({ sessionCode, speakerIndex }) => {
+      const code = (sessionCode || '').trim().toUpperCase();
+      const session = sessions.get(code);
+      if (!session || session.speakerId !== socket.id) return;
+
+      const entry = Array.from(session.speakers.entries())
+        .find(([, speaker]) => speaker.index === speakerIndex && speaker.role === 'panelist');
+      if (!entry) {
+        return socket.emit('floor-changed', {
+          success: false,
+          error: `No panelist with index ${speakerIndex}`
+        });
+      }
+
+      const [socketId, speaker] = entry;
+      session.floor = socketId;
+      sessions.save(code);
+      sessions.broadcast(code, 'floor-changed', {
+        success: true,
+        speaker: { index: speaker.index, label: speaker.label, sourceLang: speaker.sourceLang }
+      });
+      broadcastSpeakers(code, session);
+      console.log(`🎙️ Floor in session ${code} granted to ${speaker.label}`);
+    });
+
+    socket.on('revoke-floor', ({ sessionCode }) => {
+      const code = (sessionCode || '').trim().toUpperCase();
+      const session = sessions.get(code);
+      if (!session || session.speakerId !== socket.id || !session.floor) return;
+
+      session.floor = null;
+      sessions.save(code);
+      sessions.broadcast(code, 'floor-changed', { success: true, speaker: null });
+      broadcastSpeakers(code, session);
+      console.log(`🎙️ Floor in session ${code} revoked`);
+    });
+
+    // Moderator uploads (or clears, with null) the session glossary
+    socket.on('set-glossary', ({ sessionCode, glossary }) => {
+      const code = (sessionCode || '').trim().toUpperCase();
+      const session = sessions.get(code);
+      if (!session || session.speakerId !== socket.id) return;
+
+      try {
+        const result = setGlossary(code, session, glossary);
+        socket.emit('glossary-updated', {
+          ok: true,
+          glossary: session.glossary,
+          terms: result.entries.filter(entry => !entry.protected).length,
+          protected: result.entries.filter(entry => entry.protected).length
+        });
+      } catch (error) {
+        socket.emit('glossary-error', { ok: false, message: error.message });
+      }
+    });
+
+    // Moderator sets the register per target language ({ fr: 'formal', de: 'informal' }, null resets)
+    socket.on('set-formality', ({ sessionCode, formality }) => {
+      const code = (sessionCode || '').trim().toUpperCase();
+      const session = sessions.get(code);
+      if (!session || session.speakerId !== socket.id) return;
+
+      try {
+        socket.emit('formality-updated', {
+          ok: true,
+          formality: setFormality(code, session, formality) || {},
+          supported: getTranslator().supports('formality')
+        });
+      } catch (error) {
+        socket.emit('formality-error', { ok: false, message: error.message });
+      }
+    });
+
+    // Moderator tunes extractor/TTS parameters live ({ natural: { minChunkWords: 3 } }; null resets)
+    socket.on('set-tuning', ({ sessionCode, tuning }) => {
+      const code = (sessionCode || '').trim().toUpperCase();
+      const session = sessions.get(code);
+      if (!session || session.speakerId !== socket.id) return;
+
+      try {
+        socket.emit('tuning-updated', { ok: true, ...setTuning(code, session, tuning) });
+      } catch (error) {
+        socket.emit('tuning-error', { ok: false, message: error.message, problems: error.problems || [] });
+      }
+    });
+
+    socket.on('get-tuning', ({ sessionCode }) => {
+      const code = (sessionCode || '').trim().toUpperCase();
+      const session = sessions.get(code);
+      if (!session || session.speakerId !== socket.id) return;
+
+      socket.emit('tuning-updated', { ok: true, tuning: session.tuning || {}, defaults: getTuningDefaults() });
+    });
+
+    // Speaker ends the session on purpose (no reconnect grace)
+    socket.on('end-session', ({ sessionCode }) => {
+      const code = (sessionCode || '').trim().toUpperCase();
+      const session = sessions.get(code);
+
+      if (session && session.speakerId === socket.id) {
+        console.log(`🛑 Speaker ended session ${code}`);
+        endSession(code, session);
+      }
+    });
+
     // Listener leaves
     socket.on('listener-leave', ({ sessionCode }) => {
       const code = (sessionCode || '').trim().toUpperCase();
       const session = sessions.get(code);
 
       if (session && session.listeners.has(socket.id)) {
-        session.listeners.delete(socket.id);
+        const { lang } = session.listeners.get(socket.id);
+        sessions.removeListener(code, socket.id);
         socket.leave(code);
+        if (lang) {
+          socket.leave(languageRoom(code, lang));
+        }
+        notifyListenerChange(code, session, 'listener-left', lang);
         console.log(`👋 Listener left session ${code}`);
       }
     });
 
+    // A listener received a final: the round trip since emittedAt, halved, is the delivery time
+    socket.on('delivery-ack', ({ sessionCode, emittedAt } = {}) => {
+      const code = (sessionCode || '').trim().toUpperCase();
+      const listener = sessions.get(code)?.listeners.get(socket.id);
+      const roundTrip = Date.now() - emittedAt;
+      if (!listener || !(roundTrip >= 0 && roundTrip < 60000)) return;
+      observeStage('emitToListener', { session: code, language: listener.lang, mode: sessions.get(code).mode }, roundTrip / 2);
+    });
+
+    // Admin clients receive every alert once they prove the admin token
+    socket.on('admin-subscribe', ({ token } = {}) => {
+      if (!process.env.ADMIN_TOKEN || !secretsMatch(process.env.ADMIN_TOKEN, token)) {
+        recordError('invalid-admin-token');
+        return socket.emit('admin-error', { code: 'UNAUTHORIZED', message: 'Invalid admin token' });
+      }
+      socket.join(ADMIN_ROOM);
+      socket.emit('alerts-snapshot', { alerts: alertEngine.getActive() });
+    });
+
     // Cleanup
     socket.on('disconnect', () => {
       recordConnection('disconnect');
 
       for (const [code, session] of sessions.entries()) {
         if (session.speakerId === socket.id) {
-          // Log session metrics before cleanup
-          if (session.metrics.translations > 0) {
-            const avgLatency = session.metrics.totalLatency / session.metrics.translations;
-            const duration = (Date.now() - session.metrics.startTime) / 1000;
-
-            console.log(`📊 Session ${code} ended:`);
-            console.log(`   Duration: ${duration.toFixed(2)}s`);
-            console.log(`   Translations: ${session.metrics.translations}`);
-            console.log(`   Avg Latency: ${avgLatency.toFixed(2)}ms`);
+          if (SPEAKER_RECONNECT_GRACE_MS > 0) {
+            startGracePeriod(code, session, socket.id);
+          } else {
+            endSession(code, session);
           }
-
-          // Clean up extractors based on mode
-          if (USE_CONTINUOUS_STREAMING) {
-            const langs = session.targetLangs.length > 0 ? session.targetLangs : getListenerLangs(session);
-            langs.forEach(lang => {
-              continuousStreamProcessor.clearSession(code, lang);
-              webSocketTTS.closeConnection(code, lang);
-            });
-            console.log(`🧹 [STREAMING] Cleaned up streaming for session ${code}`);
-          } else if (USE_NATURAL_LANGUAGE) {
-            const langs = session.targetLangs.length > 0 ? session.targetLangs : getListenerLangs(session);
-            langs.forEach(lang => {
-              naturalLanguageExtractor.clearSession(code, lang);
-            });
-            console.log(`🧹 [NATURAL] Cleaned up extractors for session ${code}`);
-          } else if (USE_ULTRA_LOW_LATENCY) {
-            const langs = session.targetLangs.length > 0 ? session.targetLangs : getListenerLangs(session);
-            langs.forEach(lang => {
-              ultraLowLatencyExtractor.clearSession(code, lang);
-            });
-            console.log(`🧹 [ULTRA] Cleaned up extractors for session ${code}`);
-          } else if (USE_CONFERENCE_MODE) {
-            const langs = session.targetLangs.length > 0 ? session.targetLangs : getListenerLangs(session);
-            langs.forEach(lang => {
-              conferenceSentenceExtractor.clearSession(code, lang);
-            });
-            console.log(`🧹 [CONFERENCE] Cleaned up extractors for session ${code}`);
-          } else if (USE_HYBRID_MODE) {
-            session.targetLangs.forEach(lang => {
-              hybridSentenceExtractor.clearSession(code, lang);
-            });
-            console.log(`🧹 [HYBRID] Cleaned up extractors for session ${code}`);
-          }
-          
-          // Clean up TTS queues if using enhanced TTS
-          if (USE_ENHANCED_TTS) {
-            const langs = session.targetLangs.length > 0 ? session.targetLangs : getListenerLangs(session);
-            langs.forEach(lang => {
-              ttsProvider.clearQueue(code, lang);
-            });
-            console.log(`🧹 [TTS] Cleaned up queues for session ${code}`);
-          }
-
-          io.to(code).emit('speaker-disconnected');
-          sessions.delete(code);
+        } else if (session.speakers.has(socket.id)) {
+          removePanelist(code, session, socket.id);
         } else if (session.listeners.has(socket.id)) {
-          session.listeners.delete(socket.id);
+          const { lang } = session.listeners.get(socket.id);
+          sessions.removeListener(code, socket.id);
+          notifyListenerChange(code, session, 'listener-left', lang);
         }
       }
     });
@@ -908,6 +1474,7 @@ export function initOptimizedSocket(io) {
       if (session && session.listeners.has(socket.id)) {
         const listener = session.listeners.get(socket.id);
         listener.voice = voicePreference;
+        sessions.updateListener(code, socket.id);
         
         socket.emit('voice-updated', {
           voice: voicePreference,
@@ -948,6 +1515,206 @@ export function initOptimizedSocket(io) {
     });
   });
 
+  // Helper: listener counts per language for a session
+  const countListenersByLanguage = (session) => {
+    const counts = {};
+    session.listeners.forEach((listener) => {
+      const lang = listener.lang || 'none';
+      counts[lang] = (counts[lang] || 0) + 1;
+    });
+    return counts;
+  };
+
+  // Helper: operator-facing summary of a session (never includes secrets)
+  const summarizeSession = (code, session) => ({
+    code,
+    sourceLang: session.sourceLang,
+    targetLangs: session.targetLangs,
+    availableLanguages: getAvailableLangs(session),
+    mode: session.mode,
+    speakerConnected: session.speakerConnected !== false,
+    passcodeRequired: Boolean(session.listenerPasscode),
+    speakers: describeSpeakers(session),
+    listeners: session.listeners.size,
+    listenersByLanguage: countListenersByLanguage(session),
+    startedAt: new Date(session.metrics.startTime).toISOString(),
+    metrics: {
+      translations: session.metrics.translations,
+      avgLatency: session.metrics.translations > 0
+        ? Math.round(session.metrics.totalLatency / session.metrics.translations)
+        : 0,
+      estimatedCost: session.usage?.cost || 0
+    }
+  });
+
+  // Administrative view of and actions on live sessions (used by the admin REST API)
+  const control = {
+    sessions,
+
+    listSessions() {
+      return Array.from(sessions.entries()).map(([code, session]) => summarizeSession(code, session));
+    },
+
+    inspectSession(code) {
+      const session = sessions.get(code);
+      if (!session) return null;
+
+      const mode = getProcessingMode(session.mode);
+      const langs = getSessionLangs(session);
+      // Extractor and TTS state live on the instance running each presenter's pipeline
+      const pipelines = Array.from(session.speakers.values()).map(speaker => ({
+        speaker: speaker.label,
+        local: speaker.instance === sessions.instanceId,
+        languages: speaker.instance !== sessions.instanceId ? {} : Object.fromEntries(langs.map(lang => [lang, {
+          extractor: mode.getStats(speaker.pipelineKey, lang, session.tuning || {}),
+          tts: session.mode === 'continuous'
+            ? webSocketTTS.getConnectionState(speaker.pipelineKey, lang)
+            : (USE_ENHANCED_TTS ? ttsProvider.getQueueStatus(speaker.pipelineKey, lang) : null)
+        }]))
+      }));
+
+      return {
+        ...summarizeSession(code, session),
+        tuning: session.tuning || {},
+        usage: usageMeter.summarize(session),
+        listenerDetails: Array.from(session.listeners.entries()).map(([id, listener]) => ({
+          id,
+          lang: listener.lang,
+          voice: listener.voice,
+          joinedAt: new Date(listener.joinedAt).toISOString()
+        })),
+        pipelines
+      };
+    },
+
+    kickListener(code, listenerId, reason = 'Removed by an administrator') {
+      const session = sessions.get(code);
+      if (!session || !session.listeners.has(listenerId)) return false;
+
+      const { lang } = session.listeners.get(listenerId);
+      sessions.removeListener(code, listenerId);
+      notifyListenerChange(code, session, 'listener-left', lang);
+      sessions.broadcast(listenerId, 'kicked', { sessionCode: code, reason });
+      sessions.disconnect(listenerId);
+      console.log(`🥾 Listener ${listenerId} removed from session ${code}`);
+      return true;
+    },
+
+    endSession(code, reason = 'admin') {
+      const session = sessions.get(code);
+      if (!session) return false;
+
+      console.log(`🛑 Session ${code} ended by administrator`);
+      endSession(code, session, reason);
+      return true;
+    },
+
+    getTranscriptMeta(code) {
+      return transcripts.loadMeta(code);
+    },
+
+    exportTranscript(code, options) {
+      return transcripts.export(code, options);
+    },
+
+    getGlossary(code) {
+      const session = sessions.get(code);
+      if (!session) return undefined;
+      return session.glossary || { terms: [], protected: [] };
+    },
+
+    // Returns the stored glossary, or undefined for an unknown session (throws GlossaryError)
+    setGlossary(code, input) {
+      const session = sessions.get(code);
+      if (!session) return undefined;
+      setGlossary(code, session, input);
+      return session.glossary || { terms: [], protected: [] };
+    },
+
+    getTuning(code) {
+      const session = sessions.get(code);
+      if (!session) return undefined;
+      return { tuning: session.tuning || {}, defaults: getTuningDefaults() };
+    },
+
+    // Returns the tuning, or undefined for an unknown session (throws ConfigError)
+    setTuning(code, patch) {
+      const session = sessions.get(code);
+      if (!session) return undefined;
+      const result = setTuning(code, session, patch);
+      if (session.speakerId) sessions.broadcast(session.speakerId, 'tuning-updated', { ok: true, ...result });
+      return result;
+    },
+
+    getUsage(code) {
+      const session = sessions.get(code);
+      if (!session) return null;
+      return usageMeter.summarize(session);
+    },
+
+    // Give one session its own budget (null goes back to usage.sessionBudget); returns the usage,
+    // or null for an unknown session
+    setBudget(code, budget) {
+      const session = sessions.get(code);
+      if (!session) return null;
+      session.budget = budget;
+      // A new budget is warned about (or exhausted) afresh
+      delete usageMeter.getUsage(session).notified.session;
+      sessions.save(code);
+      return usageMeter.summarize(session);
+    },
+
+    getTenantUsage() {
+      return usageMeter.getTenants();
+    },
+
+    broadcastSystemMessage(message, { sessionCode = null, level = 'info' } = {}) {
+      const codes = sessionCode ? [sessionCode].filter(code => sessions.has(code)) : Array.from(sessions.keys());
+      const payload = { message, level, timestamp: Date.now() };
+      codes.forEach(code => sessions.broadcast(code, 'system-message', payload));
+      return codes.length;
+    }
+  };
+
+  // Helper: what a presenter's console shows - latency of their recent finals, listeners per
+  // language and their TTS backlog per language (pending requests, text buffered for streaming)
+  const speakerSnapshot = (code, session, speaker, latencies) => {
+    const snapshot = {
+      sessionCode: code,
+      translations: session.metrics.translations,
+      listeners: session.listeners.size,
+      listenersByLanguage: countListenersByLanguage(session),
+      tts: Object.fromEntries(getSessionLangs(session).map(lang => [lang, {
+        pending: ttsInFlight.get(`${speaker.pipelineKey}:${lang}`) || 0,
+        bufferedChars: session.mode === 'continuous'
+          ? webSocketTTS.getConnectionState(speaker.pipelineKey, lang).bufferedChars
+          : 0
+      }])),
+      timestamp: Date.now()
+    };
+    // Without finals since the last snapshot the console keeps showing the previous latency
+    if (latencies?.length) {
+      snapshot.avgLatency = Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length);
+      snapshot.maxLatency = Math.max(...latencies);
+    }
+    return snapshot;
+  };
+
+  // Each instance reports to the presenters whose pipelines it runs
+  if (SPEAKER_METRICS_INTERVAL_MS > 0) {
+    setInterval(() => {
+      const latencies = recentLatencies;
+      recentLatencies = new Map();
+
+      for (const [code, session] of sessions.entries()) {
+        session.speakers.forEach((speaker, socketId) => {
+          if (speaker.instance !== sessions.instanceId || (socketId === session.speakerId && session.speakerConnected === false)) return;
+          sessions.broadcast(socketId, 'metrics', speakerSnapshot(code, session, speaker, latencies.get(speaker.pipelineKey)));
+        });
+      }
+    }, SPEAKER_METRICS_INTERVAL_MS).unref();
+  }
+
   // Periodic session cleanup (remove stale sessions)
   setInterval(() => {
     const now = Date.now();
@@ -958,8 +1725,12 @@ export function initOptimizedSocket(io) {
 
       if (age > staleTimeout && session.listeners.size === 0) {
         console.log(`🧹 Cleaning up stale session ${code}`);
+        forgetLocalState(code, session);
         sessions.delete(code);
+        transcripts.end(code);
       }
     }
   }, 5 * 60 * 1000); // Check every 5 minutes
+
+  return control;
 }
\ No newline at end of file
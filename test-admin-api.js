@@ -0,0 +1,180 @@
+/**
+ * Admin API Test
+ * Verifies that every admin request, reads and rejected ones included, is written to the audit
+ * log, and that broadcasts only accept the levels listeners know how to show.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import express from 'express';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+
+class AdminApiTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Start a server with the socket handlers and the admin API
+     */
+    async startServer() {
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const { createAdminRouter } = await import('./server/admin-route.js');
+        const app = express();
+        app.use(express.json());
+        const server = http.createServer(app);
+        const io = new Server(server);
+        app.use('/api/admin', createAdminRouter(initOptimizedSocket(io)));
+        await new Promise(resolve => server.listen(0, resolve));
+        this.url = `http://localhost:${server.address().port}`;
+        return { server, io };
+    }
+
+    /**
+     * Helper: admin API request
+     */
+    async admin(method, path, body, token = process.env.ADMIN_TOKEN) {
+        const response = await fetch(`${this.url}/api/admin${path}`, {
+            method,
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    /**
+     * Test: reads, writes and rejected requests all leave an audit entry
+     */
+    async testAudit() {
+        console.log('\n📝 Test: Audit log coverage');
+
+        const { auditLog } = await import('./server/audit-log.js');
+        const requests = [
+            ['GET', '/sessions', 'list-sessions'],
+            ['GET', '/sessions/ADM1', 'inspect-session'],
+            ['GET', '/sessions/ADM1/glossary', 'get-glossary'],
+            ['GET', '/sessions/ADM1/tuning', 'get-tuning'],
+            ['GET', '/sessions/ADM1/usage', 'get-usage'],
+            ['GET', '/usage', 'list-usage'],
+            ['GET', '/alerts', 'list-alerts'],
+            ['GET', '/audit', 'read-audit'],
+            ['GET', '/sessions/NONE/usage', 'get-usage']
+        ];
+        const missing = [];
+        for (const [method, path, action] of requests) {
+            const before = auditLog.getRecent(500).length;
+            await this.admin(method, path);
+            const after = auditLog.getRecent(500);
+            const added = after.slice(0, after.length - before);
+            if (!added.some(entry => entry.action === action)) missing.push(`${method} ${path}`);
+        }
+        const notFound = auditLog.getRecent(1)[0];
+
+        const denied = await this.admin('GET', '/sessions', undefined, 'wrong-token');
+        const deniedEntry = auditLog.getRecent(1)[0];
+
+        this.logResult('Every Request Audited', (
+            missing.length === 0 &&
+            notFound.outcome === 'not-found' &&
+            denied.status === 401 &&
+            deniedEntry.action === 'auth' && deniedEntry.outcome === 'denied'
+        ), {
+            missing: missing.join(', ') || 'none'
+        });
+    }
+
+    /**
+     * Test: broadcast levels are checked before anything reaches listeners
+     */
+    async testBroadcastLevels(listener) {
+        console.log('\n📝 Test: Broadcast levels');
+
+        const received = [];
+        listener.on('system-message', data => received.push(data));
+
+        const rejected = await this.admin('POST', '/broadcast', { message: 'Hello', sessionCode: 'ADM1', level: '<b>shout</b>' });
+        const accepted = await this.admin('POST', '/broadcast', { message: 'Room change at 3pm', sessionCode: 'adm1', level: 'critical' });
+        const plain = await this.admin('POST', '/broadcast', { message: 'Coffee is served', sessionCode: 'ADM1' });
+        await this.delay(200);
+
+        this.logResult('Unknown Levels Rejected', (
+            rejected.status === 400 &&
+            rejected.body.error === 'invalid_level' &&
+            !received.some(data => data.message === 'Hello')
+        ), {
+            status: rejected.status
+        });
+
+        this.logResult('Known Levels Delivered', (
+            accepted.status === 200 && accepted.body.sessions === 1 &&
+            plain.status === 200 &&
+            received.length === 2 &&
+            received[0].level === 'critical' &&
+            received[1].level === 'info'
+        ), {
+            levels: received.map(data => data.level).join(', ')
+        });
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        process.env.ADMIN_TOKEN = 'admin-test-token';
+        process.env.AUDIT_LOG_PATH = `/tmp/admin-test-audit-${process.pid}.log`;
+
+        const { server, io } = await this.startServer();
+        const speaker = connect(this.url);
+        const listener = connect(this.url);
+
+        try {
+            await new Promise(resolve => {
+                speaker.once('joined', resolve);
+                speaker.emit('streaming-speaker-join', { sessionCode: 'ADM1', sourceLang: 'en', targetLangs: ['fr'], mode: 'conference' });
+            });
+            await new Promise(resolve => {
+                listener.once('joined', resolve);
+                listener.emit('streaming-listener-join', { sessionCode: 'ADM1', preferredLanguage: 'fr' });
+            });
+            await this.testAudit();
+            await this.testBroadcastLevels(listener);
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        speaker.disconnect();
+        listener.disconnect();
+        io.close();
+        server.close();
+        fs.rmSync(process.env.AUDIT_LOG_PATH, { force: true });
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new AdminApiTester().run();
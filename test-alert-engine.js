@@ -0,0 +1,222 @@
+/**
+ * Alert Engine Test
+ * Verifies that the monitoring.alerts thresholds are judged on sliding-window averages, that
+ * breaches and recoveries are debounced before an alert fires or resolves, that alerts are
+ * posted to the webhook, and that the speaker console and subscribed admin clients receive them.
+ */
+
+import http from 'http';
+import express from 'express';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { ConfigLoader } from './config/config-loader.js';
+import { AlertEngine } from './server/alert-engine.js';
+
+class AlertEngineTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+        this.webhookCalls = [];
+    }
+
+    /**
+     * Start a webhook receiver and point the alert settings at it
+     */
+    async configure() {
+        this.webhook = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                this.webhookCalls.push(JSON.parse(body));
+                res.end();
+            });
+        });
+        await new Promise(resolve => this.webhook.listen(0, resolve));
+
+        new ConfigLoader({
+            file: null,
+            env: {
+                ALERT_WEBHOOK_URL: `http://localhost:${this.webhook.address().port}/alerts`,
+                HYBRID__MONITORING__ALERTS__WINDOW_MS: '4000',
+                HYBRID__MONITORING__ALERTS__MIN_SAMPLES: '2',
+                HYBRID__MONITORING__ALERTS__DEBOUNCE_MS: '300'
+            }
+        });
+    }
+
+    /**
+     * Test: window averages, debounce in both directions, webhook delivery
+     */
+    async testEvaluation() {
+        console.log('\n📝 Test: Sliding windows and debounce');
+
+        const engine = new AlertEngine();
+        const notified = [];
+        engine.on('alert', alert => notified.push(alert));
+        const labels = { session: 'ALR1', language: 'fr' };
+        const t0 = Date.now();
+
+        // One slow utterance among fast ones stays under the average
+        engine.record('latency', labels, 1100, t0);
+        engine.record('latency', labels, 100, t0);
+        engine.record('latency', labels, 100, t0);
+        engine.evaluate(t0 + 10);
+        engine.evaluate(t0 + 500);
+        const quietOnSpike = notified.length === 0;
+
+        // A sustained breach fires only after the debounce
+        [900, 1100, 1000].forEach(ms => engine.record('latency', labels, ms, t0 + 600));
+        engine.evaluate(t0 + 700);
+        const pendingFirst = notified.length === 0;
+        engine.evaluate(t0 + 1050);
+        const fired = notified[0];
+
+        this.logResult('Breach Debounced Then Fired', (
+            quietOnSpike && pendingFirst &&
+            fired?.status === 'firing' &&
+            fired.type === 'high-latency' &&
+            fired.language === 'fr' &&
+            fired.threshold === 500 &&
+            engine.getActive('ALR1').length === 1
+        ), {
+            value: fired?.value
+        });
+
+        // Samples age out of the window; the recovery must last the debounce too
+        engine.evaluate(t0 + 4700);
+        const stillFiring = notified.length === 1;
+        engine.evaluate(t0 + 5100);
+        const resolved = notified[1];
+
+        engine.evaluate(t0 + 12000);
+        this.logResult('Recovery Debounced Then Resolved', (
+            stillFiring &&
+            resolved?.status === 'resolved' &&
+            resolved.id === fired.id &&
+            resolved.reason === 'recovered' &&
+            engine.getActive().length === 0 &&
+            engine.series.size === 0
+        ), {
+            reason: resolved?.reason
+        });
+
+        for (let waited = 0; this.webhookCalls.length < 2 && waited < 2000; waited += 50) {
+            await this.delay(50);
+        }
+        this.logResult('Webhook Notified', (
+            this.webhookCalls.length === 2 &&
+            this.webhookCalls[0].status === 'firing' &&
+            this.webhookCalls[1].status === 'resolved'
+        ), {
+            calls: this.webhookCalls.map(call => `${call.type}:${call.status}`).join(', ')
+        });
+    }
+
+    /**
+     * Test: low recognition confidence reaches the speaker console and admin clients
+     */
+    async testSocketDelivery() {
+        console.log('\n📝 Test: Alerts over socket.io');
+
+        process.env.ADMIN_TOKEN = 'alerts-test-token';
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const app = express();
+        const server = http.createServer(app);
+        const io = new Server(server);
+        initOptimizedSocket(io);
+        await new Promise(resolve => server.listen(0, resolve));
+        const url = `http://localhost:${server.address().port}`;
+
+        const speaker = connect(url);
+        const admin = connect(url);
+        const intruder = connect(url);
+        try {
+            await new Promise(resolve => {
+                speaker.once('joined', resolve);
+                speaker.emit('streaming-speaker-join', { sessionCode: 'ALR2', sourceLang: 'en', targetLangs: [], mode: 'conference' });
+            });
+            const refused = new Promise(resolve => intruder.once('admin-error', resolve));
+            intruder.emit('admin-subscribe', { token: 'wrong' });
+            const snapshot = new Promise(resolve => admin.once('alerts-snapshot', resolve));
+            admin.emit('admin-subscribe', { token: 'alerts-test-token' });
+            await Promise.all([refused, snapshot]);
+
+            const speakerAlert = new Promise(resolve => speaker.once('alert', resolve));
+            const adminAlert = new Promise(resolve => admin.once('alert', resolve));
+            const intruderAlert = new Promise(resolve => intruder.once('alert', resolve));
+            ['Um.', 'Uh, so.'].forEach(original => speaker.emit('translation-stream', {
+                sessionCode: 'ALR2', original, translations: {}, isFinal: true, confidence: 0.12
+            }));
+            const [toSpeaker, toAdmin] = await Promise.race([
+                Promise.all([speakerAlert, adminAlert]),
+                this.delay(4000).then(() => [])
+            ]);
+            const leaked = await Promise.race([intruderAlert.then(() => true), this.delay(100).then(() => false)]);
+
+            this.logResult('Speaker And Admins Alerted', (
+                toSpeaker?.type === 'low-confidence' &&
+                toSpeaker.language === 'en' &&
+                toAdmin?.id === toSpeaker.id &&
+                !leaked
+            ), {
+                alert: toSpeaker && `${toSpeaker.type} ${toSpeaker.value}`
+            });
+
+            const resolvedOnEnd = new Promise(resolve => admin.once('alert', resolve));
+            speaker.emit('end-session', { sessionCode: 'ALR2' });
+            const resolved = await Promise.race([resolvedOnEnd, this.delay(1000)]);
+            this.logResult('Resolved When Session Ends', (
+                resolved?.status === 'resolved' &&
+                resolved.reason === 'session-ended'
+            ), {
+                reason: resolved?.reason
+            });
+        } finally {
+            [speaker, admin, intruder].forEach(socket => socket.disconnect());
+            io.close();
+            server.close();
+        }
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        try {
+            await this.configure();
+            await this.testEvaluation();
+            await this.testSocketDelivery();
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        this.webhook.close();
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new AlertEngineTester().run();
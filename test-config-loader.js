@@ -0,0 +1,226 @@
+/**
+ * Runtime Configuration Test
+ * Verifies that the config file and HYBRID__ environment overrides layer over the defaults,
+ * that invalid settings are rejected with every problem listed, that per-language overrides
+ * reach the extractors, and that editing the file reloads the running configuration.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConfigLoader, ConfigError, hybridConfig, getLanguageConfig, getExtractorConfig } from './config/config-loader.js';
+import { conferenceSentenceExtractor } from './server/conference-sentence-extractor.js';
+
+class ConfigLoaderTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hybrid-config-'));
+        this.defaults = structuredClone(hybridConfig);
+    }
+
+    /**
+     * Helper: write a config file and return its path
+     */
+    writeConfig(name, config) {
+        const file = path.join(this.dir, name);
+        fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+        return file;
+    }
+
+    /**
+     * Test: defaults, then the file, then the environment
+     */
+    testLayering() {
+        console.log('\n📝 Test: Defaults, file and environment layers');
+
+        const file = this.writeConfig('layers.json', {
+            translation: { timeoutMs: 1500, contextSentences: 5 },
+            performance: { batchWindowMs: 40 }
+        });
+        new ConfigLoader({
+            file,
+            env: {
+                HYBRID__TRANSLATION__TIMEOUT_MS: '900',
+                HYBRID__EXTRACTORS__LANGUAGES__FR_CA__NATURAL__MAX_CHUNK_WORDS: '18',
+                HYBRID__AUDIO__VOICES__IT_IT: 'it-IT-ElsaNeural',
+                TRANSLATION_CONTEXT_SENTENCES: '2'
+            }
+        });
+
+        this.logResult('Layers Applied In Order', (
+            hybridConfig.translation.timeoutMs === 900 &&
+            hybridConfig.translation.contextSentences === 2 &&
+            hybridConfig.performance.batchWindowMs === 40 &&
+            hybridConfig.translation.resetTimeoutMs === this.defaults.translation.resetTimeoutMs &&
+            hybridConfig.audio.voices['it-IT'] === 'it-IT-ElsaNeural' &&
+            hybridConfig.audio.voices['en-US'] === this.defaults.audio.voices['en-US']
+        ), {
+            timeoutMs: hybridConfig.translation.timeoutMs,
+            contextSentences: hybridConfig.translation.contextSentences
+        });
+
+        this.logResult('Environment Language Override', (
+            getExtractorConfig('natural', 'fr-CA').maxChunkWords === 18 &&
+            getExtractorConfig('natural', 'fr-CA').minChunkWords === 5 &&
+            getExtractorConfig('natural', 'fr-FR').maxChunkWords === 15
+        ), {
+            'fr-CA': JSON.stringify(getExtractorConfig('natural', 'fr-CA'))
+        });
+    }
+
+    /**
+     * Test: every problem is reported and nothing is applied
+     */
+    testValidation() {
+        console.log('\n📝 Test: Validation errors');
+
+        const before = hybridConfig.translation.timeoutMs;
+        const file = this.writeConfig('invalid.json', {
+            translation: { timeoutMs: 'fast' },
+            stability: { default: { treshold: 2 }, languages: { 'not a code': { threshold: 1 } } },
+            extractors: { languages: { de: { natural: { minChunkWords: 30 } } } },
+            audio: { quality: 'ultra' }
+        });
+
+        let error = null;
+        try {
+            new ConfigLoader({ file, env: { HYBRID__NOPE: '1' } });
+        } catch (e) {
+            error = e;
+        }
+        const problems = error?.problems || [];
+        const mentions = ['translation.timeoutMs', 'stability.default.treshold', 'stability.languages.not a code', 'audio.quality', 'HYBRID__NOPE'];
+
+        this.logResult('All Problems Listed', (
+            error instanceof ConfigError &&
+            mentions.every(setting => problems.some(problem => problem.startsWith(setting))) &&
+            hybridConfig.translation.timeoutMs === before
+        ), {
+            problems: problems.length
+        });
+
+        let relationError = null;
+        try {
+            new ConfigLoader({ file: this.writeConfig('relations.json', { extractors: { languages: { de: { natural: { minChunkWords: 30 } } } } }), env: {} });
+        } catch (e) {
+            relationError = e;
+        }
+        this.logResult('Cross-Setting Rules', (
+            relationError?.problems?.[0] === 'extractors.languages.de.natural: expected minChunkWords ≤ idealChunkWords ≤ maxChunkWords'
+        ), {
+            problem: relationError?.problems?.[0]
+        });
+
+        let parseError = null;
+        try {
+            new ConfigLoader({ file: this.writeConfig('broken.json', '{ "translation": '), env: {} });
+        } catch (e) {
+            parseError = e;
+        }
+        this.logResult('Unreadable File Rejected', parseError instanceof ConfigError, {});
+    }
+
+    /**
+     * Test: per-language overrides reach the extractors
+     */
+    testLanguageOverrides() {
+        console.log('\n📝 Test: Per-language overrides in the extractors');
+
+        new ConfigLoader({
+            file: this.writeConfig('languages.json', {
+                stability: { languages: { 'pt-PT': { threshold: 4 } } },
+                extractors: { languages: { it: { conference: { minSentenceWords: 2 } } } }
+            }),
+            env: {}
+        });
+
+        const italian = conferenceSentenceExtractor.processText('CFG1', 'it-IT', 'Buongiorno a tutti.', true);
+        const english = conferenceSentenceExtractor.processText('CFG1', 'en', 'Good morning everyone.', true);
+
+        this.logResult('Extractor Settings Per Language', (
+            italian.sentences.length === 1 &&
+            english.sentences.length === 0 &&
+            getLanguageConfig('pt-PT').threshold === 4 &&
+            getLanguageConfig('pt-BR').threshold === this.defaults.stability.default.threshold &&
+            getLanguageConfig('ja-JP').threshold === 2
+        ), {
+            italian: italian.sentences.length,
+            english: english.sentences.length,
+            'pt-PT threshold': getLanguageConfig('pt-PT').threshold
+        });
+    }
+
+    /**
+     * Test: editing the file reloads; an invalid edit keeps the running config
+     */
+    async testReload() {
+        console.log('\n📝 Test: Hot reload');
+
+        const file = this.writeConfig('reload.json', { translation: { contextSentences: 1 } });
+        const loader = new ConfigLoader({ file, env: {}, watchIntervalMs: 50 });
+        const changed = new Promise(resolve => loader.once('change', resolve));
+        loader.watch();
+
+        await this.delay(100);
+        this.writeConfig('reload.json', { translation: { contextSentences: 4 } });
+        await Promise.race([changed, this.delay(2000)]);
+        const reloaded = hybridConfig.translation.contextSentences;
+
+        this.writeConfig('reload.json', { translation: { contextSentences: -1 } });
+        const rejected = loader.reload();
+        loader.unwatch();
+
+        this.logResult('File Changes Applied', (
+            reloaded === 4 &&
+            rejected === false &&
+            hybridConfig.translation.contextSentences === 4
+        ), {
+            reloaded,
+            afterInvalidEdit: hybridConfig.translation.contextSentences
+        });
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        try {
+            this.testLayering();
+            this.testValidation();
+            this.testLanguageOverrides();
+            await this.testReload();
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        fs.rmSync(this.dir, { recursive: true, force: true });
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new ConfigLoaderTester().run();
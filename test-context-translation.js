@@ -0,0 +1,327 @@
+/**
+ * Context-Aware and Streaming LLM Translation Test
+ * Runs the OpenAI-compatible provider against a local mock of /v1/chat/completions and
+ * verifies that each final is translated with the session's preceding finals, the
+ * formality chosen for each target language and the glossary, and that streamed tokens
+ * reach listeners (text and audio) before the translation is complete, and that batched
+ * partials of sessions with different glossaries are never sent in one prompt.
+ *
+ * The mock answers "<register>[<lang>] <segment> (after N)", where N is the number of
+ * preceding sentences it was given, so every translation shows what the provider received.
+ * Streaming requests get the answer back in 4-character server-sent events.
+ */
+
+import http from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { WebSocketServer } from 'ws';
+
+class ContextTranslationTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+        this.requests = [];
+    }
+
+    /**
+     * Start a mock OpenAI-compatible chat completions endpoint
+     */
+    async startMockLLM() {
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const { messages, stream } = JSON.parse(body);
+                const rules = messages[0].content;
+                const register = (lang) => rules.match(new RegExp(`Use the (\\w+) register in ${lang}\\.`))?.[1] || 'neutral';
+
+                if (stream) {
+                    const lang = rules.match(/ into ([\w-]+)\./)[1];
+                    const preceding = (rules.split('Preceding sentences:\n')[1] || '').split('\n').filter(line => line.startsWith('- '));
+                    this.requests.push({ stream: true, rules, text: messages[1].content });
+                    this.streamText(res, `${register(lang)}[${lang}] ${messages[1].content} (after ${preceding.length})`);
+                    return;
+                }
+
+                const request = JSON.parse(messages[1].content);
+                this.requests.push({ rules, request });
+                const translations = Object.fromEntries(request.targetLanguages.map(lang => [
+                    lang,
+                    request.segments.map(segment => `${register(lang)}[${lang}] ${segment} (after ${request.precedingSentences.length})`)
+                ]));
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    choices: [{ message: { role: 'assistant', content: JSON.stringify({ translations }) } }]
+                }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        return server;
+    }
+
+    /**
+     * Send a completion as server-sent events, a few characters per token
+     */
+    async streamText(res, text) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (let i = 0; i < text.length; i += 4) {
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: text.slice(i, i + 4) } }] })}\n\n`);
+            await this.delay(5);
+        }
+        res.end('data: [DONE]\n\n');
+    }
+
+    /**
+     * Start a fake ElevenLabs stream-input endpoint so continuous mode has somewhere to speak
+     */
+    async startFakeTTS() {
+        const wss = new WebSocketServer({ port: 0 });
+        await new Promise(resolve => wss.on('listening', resolve));
+        wss.on('connection', (ws) => {
+            ws.on('message', (raw) => {
+                const message = JSON.parse(raw.toString());
+                if (message.text && message.text.trim()) {
+                    ws.send(JSON.stringify({ audio: Buffer.from(message.text).toString('base64'), isFinal: false }));
+                }
+            });
+        });
+        return wss;
+    }
+
+    /**
+     * Start the real socket handlers on an ephemeral port
+     */
+    async startServer() {
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const server = http.createServer();
+        const io = new Server(server);
+        initOptimizedSocket(io);
+        await new Promise(resolve => server.listen(0, resolve));
+        return { server, io, url: `http://localhost:${server.address().port}` };
+    }
+
+    /**
+     * Test: the provider builds the prompt from context and formality and reads the JSON reply
+     */
+    async testProvider() {
+        console.log('\n📝 Test: OpenAI-compatible provider');
+
+        const { OpenAICompatibleProvider } = await import('./server/translation-providers.js');
+        const provider = new OpenAICompatibleProvider();
+        const result = await provider.translate(['Can you see the slides?'], ['fr', 'de'], 'en', {
+            timeoutMs: 1000,
+            context: [{ text: 'Welcome, everyone.', translations: { fr: 'Bienvenue à tous.' } }],
+            formality: { fr: 'formal' }
+        });
+        const { request } = this.requests[this.requests.length - 1];
+
+        this.logResult('Context And Formality Sent', request.precedingSentences[0]?.translations.fr === 'Bienvenue à tous.', {
+            precedingSentences: JSON.stringify(request.precedingSentences)
+        });
+        this.logResult('Translations Parsed Per Language', (
+            result[0].fr === 'formal[fr] Can you see the slides? (after 1)' &&
+            result[0].de === 'neutral[de] Can you see the slides? (after 1)'
+        ), {
+            result: JSON.stringify(result)
+        });
+    }
+
+    /**
+     * Test: finals of a session are translated with the previous finals and its formality
+     */
+    async testSessionContext(url) {
+        console.log('\n📝 Test: Rolling context window and per-session formality');
+
+        const speaker = connect(url);
+        const listener = connect(url);
+        await new Promise(resolve => {
+            speaker.once('joined', resolve);
+            speaker.emit('streaming-speaker-join', {
+                sessionCode: 'CTX1',
+                sourceLang: 'en',
+                targetLangs: ['fr'],
+                mode: 'continuous',
+                formality: { fr: 'formal' }
+            });
+        });
+        await new Promise(resolve => {
+            listener.once('joined', resolve);
+            listener.emit('streaming-listener-join', { sessionCode: 'CTX1', preferredLanguage: 'fr' });
+        });
+
+        const broadcasts = [];
+        listener.on('translation-broadcast', data => broadcasts.push(data));
+
+        const sentences = ['Good morning.', 'I am your host today.', 'You can ask questions at any time.', 'Do you have one?'];
+        const speak = async (text) => {
+            speaker.emit('stt-final', { sessionCode: 'CTX1', text, sourceLanguage: 'en' });
+            await this.delay(300);
+        };
+
+        for (const sentence of sentences.slice(0, 3)) {
+            await speak(sentence);
+        }
+        const third = this.requests[this.requests.length - 1];
+        this.logResult('Preceding Finals Sent As Context', (
+            third.stream &&
+            third.rules.includes('- Good morning. → formal[fr] Good morning. (after 0)') &&
+            third.rules.includes('- I am your host today. → formal[fr] I am your host today. (after 1)')
+        ), {
+            rules: JSON.stringify(third.rules.split('Preceding sentences:')[1])
+        });
+
+        const updated = await new Promise(resolve => {
+            speaker.once('formality-updated', resolve);
+            speaker.emit('set-formality', { sessionCode: 'CTX1', formality: { fr: 'informal' } });
+        });
+        await speak(sentences[3]);
+
+        const last = broadcasts[broadcasts.length - 1];
+        this.logResult('Formality Switch Applied', updated.supported && last?.translations.fr === 'informal[fr] Do you have one? (after 3)', {
+            formality: JSON.stringify(updated.formality),
+            translation: last?.translations.fr
+        });
+
+        speaker.disconnect();
+        listener.disconnect();
+    }
+
+    /**
+     * Test: a final streams token by token to listeners, with glossary terms restored
+     */
+    async testStreaming(url) {
+        console.log('\n📝 Test: Streaming tokens with the glossary in the prompt');
+
+        const speaker = connect(url);
+        const listener = connect(url);
+        await new Promise(resolve => {
+            speaker.once('joined', resolve);
+            speaker.emit('streaming-speaker-join', { sessionCode: 'CTX2', sourceLang: 'en', targetLangs: ['fr'], mode: 'continuous' });
+        });
+        await new Promise(resolve => {
+            speaker.once('glossary-updated', resolve);
+            speaker.emit('set-glossary', {
+                sessionCode: 'CTX2',
+                glossary: { terms: [{ source: 'heart attack', translations: { fr: 'crise cardiaque' } }] }
+            });
+        });
+        await new Promise(resolve => {
+            listener.once('joined', resolve);
+            listener.emit('streaming-listener-join', { sessionCode: 'CTX2', preferredLanguage: 'fr' });
+        });
+
+        const updates = [];
+        const heard = [];
+        listener.on('translation-update', data => updates.push(data));
+        listener.on('audio-stream', data => heard.push(Buffer.from(data.audio, 'base64').toString()));
+
+        speaker.emit('stt-final', { sessionCode: 'CTX2', text: 'This is a heart attack.', sourceLanguage: 'en' });
+        await this.delay(800);
+
+        const expected = 'neutral[fr] This is a crise cardiaque. (after 0)';
+        const streamedUpdates = updates.filter(update => update.streaming);
+        const request = this.requests[this.requests.length - 1];
+        this.logResult('Glossary Described In Prompt', request.rules.includes('[[G0]] is "heart attack" (fr: "crise cardiaque")'), {
+            text: request.text
+        });
+        this.logResult('Tokens Reach Listeners Before The Final', (
+            streamedUpdates.length > 3 &&
+            streamedUpdates.every(update => !update.text.includes('[[')) &&
+            updates[updates.length - 1].isFinal && updates[updates.length - 1].text === expected
+        ), {
+            streamedUpdates: streamedUpdates.length,
+            final: updates[updates.length - 1]?.text
+        });
+        this.logResult('Audio Spoken Once, In Order', heard.join('') === expected, {
+            heard: JSON.stringify(heard.join(''))
+        });
+
+        speaker.disconnect();
+        listener.disconnect();
+    }
+
+    /**
+     * Test: batched partials of sessions with different glossaries never share a prompt
+     */
+    async testBatchedGlossaries() {
+        console.log('\n📝 Test: Batched partials keep their own glossary');
+
+        const { TranslationBatcher } = await import('./server/translation-batcher.js');
+        const batcher = new TranslationBatcher({ enabled: true, windowMs: 50, maxBatchSize: 50 });
+        const glossaryOf = (source, fr) => [{ placeholder: '[[G0]]', source, protected: false, translations: { fr } }];
+        const before = this.requests.length;
+        await Promise.all([
+            batcher.translate(['The [[G0]] was treated'], ['fr'], 'en', { glossary: glossaryOf('heart attack', 'crise cardiaque') }),
+            batcher.translate(['A [[G0]] is serious'], ['fr'], 'en', { glossary: glossaryOf('stroke', 'AVC') })
+        ]);
+        const sent = this.requests.slice(before);
+        const promptFor = (segment) => sent.find(request => request.request?.segments.includes(segment))?.rules || '';
+
+        this.logResult('One Prompt Per Glossary', (
+            sent.length === 2 &&
+            promptFor('The [[G0]] was treated').includes('"heart attack"') &&
+            !promptFor('The [[G0]] was treated').includes('"stroke"') &&
+            promptFor('A [[G0]] is serious').includes('"stroke"') &&
+            !promptFor('A [[G0]] is serious').includes('"heart attack"')
+        ), {
+            requests: sent.length,
+            batches: batcher.getStats().batches
+        });
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        const mock = await this.startMockLLM();
+        const fakeTTS = await this.startFakeTTS();
+        process.env.ELEVENLABS_WS_URL = `ws://localhost:${fakeTTS.address().port}`;
+        process.env.ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'test-key';
+        process.env.TRANSLATION_PROVIDERS = 'openai';
+        process.env.OPENAI_BASE_URL = `http://localhost:${mock.address().port}/v1`;
+        process.env.TRANSLATION_CACHE = 'off';
+
+        const { server, io, url } = await this.startServer();
+
+        try {
+            await this.testProvider();
+            await this.testSessionContext(url);
+            await this.testStreaming(url);
+            await this.testBatchedGlossaries();
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        io.close();
+        server.close();
+        mock.close();
+        fakeTTS.close();
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new ContextTranslationTester().run();
@@ -0,0 +1,193 @@
+/**
+ * Glossary Test
+ * Verifies placeholder protection around the translation providers: terms come back as their
+ * glossary translation (protected terms verbatim) wherever the provider moved their placeholders,
+ * a placeholder cut off at the end of streamed text is held back, pronunciations rewrite the text
+ * sent to TTS, and invalid uploads are refused with a GlossaryError, over set-glossary too.
+ */
+
+import http from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { Glossary, GlossaryError } from './server/glossary.js';
+
+const MEDICAL = {
+    terms: [
+        { source: 'heart attack', translations: { es: 'infarto' }, pronunciation: { es: 'in-FAR-to' } },
+        { source: 'blood pressure', translations: { es: 'presión arterial' } }
+    ],
+    protected: ['Kubernetes', { term: 'HbA1c', pronunciation: 'H B A one C' }]
+};
+
+class GlossaryTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+        this.glossary = Glossary.fromInput(MEDICAL);
+    }
+
+    /**
+     * Test: placeholders moved (and re-spaced) by the provider still restore their terms
+     */
+    testPlaceholders() {
+        console.log('\n📝 Test: Placeholder protection');
+
+        const protectedText = this.glossary.protect('A Heart Attack raises blood pressure, says KUBERNETES.');
+        // What Azure Translator does to them: reordered, with spaces inside the brackets
+        const translated = 'Según [[G2]], un [[ G0 ]] sube la [[G1 ]].';
+
+        this.logResult('Terms Replaced By Placeholders', (
+            protectedText === 'A [[G0]] raises [[G1]], says [[G2]].'
+        ), {
+            protected: protectedText
+        });
+        this.logResult('Reordered Placeholders Restored', (
+            this.glossary.restore('es', translated) === 'Según Kubernetes, un infarto sube la presión arterial.' &&
+            this.glossary.restore('es-MX', translated) === 'Según Kubernetes, un infarto sube la presión arterial.'
+        ), {
+            es: this.glossary.restore('es', translated)
+        });
+        this.logResult('Protected And Untranslated Terms Verbatim', (
+            this.glossary.restore('de', 'Laut [[G2]] erhöht ein [[G0]] den Blutdruck.') === 'Laut Kubernetes erhöht ein heart attack den Blutdruck.' &&
+            this.glossary.restore('es', 'Unknown [[G9]] stays.') === 'Unknown [[G9]] stays.'
+        ), {
+            de: this.glossary.restore('de', 'Laut [[G2]] erhöht ein [[G0]] den Blutdruck.')
+        });
+    }
+
+    /**
+     * Test: streamed text never shows half a placeholder
+     */
+    testRestorePartial() {
+        console.log('\n📝 Test: Streaming restore');
+
+        const steps = ['Según [', 'Según [[G', 'Según [[G2', 'Según [[G2]', 'Según [[G2]], un [[G0]]']
+            .map(text => this.glossary.restorePartial('es', text));
+
+        this.logResult('Split Placeholder Held Back', (
+            steps.slice(0, 4).every(text => text === 'Según ') &&
+            steps[4] === 'Según Kubernetes, un infarto'
+        ), {
+            steps: JSON.stringify(steps)
+        });
+    }
+
+    /**
+     * Test: TTS text gets the organizer's pronunciations, per language
+     */
+    testPronounce() {
+        console.log('\n📝 Test: Pronunciations');
+
+        const english = this.glossary.pronounce('en', 'Your HbA1c is fine.');
+        const spanish = this.glossary.pronounce('es', 'Un infarto, y su HbA1c.');
+        const german = this.glossary.pronounce('de', 'Ein Infarktrisiko.');
+
+        this.logResult('Pronunciations Applied', (
+            english === 'Your H B A one C is fine.' &&
+            spanish === 'Un in-FAR-to, y su H B A one C.' &&
+            german === 'Ein Infarktrisiko.'
+        ), {
+            en: english,
+            es: spanish
+        });
+    }
+
+    /**
+     * Test: invalid uploads throw GlossaryError, and set-glossary reports it to the moderator
+     */
+    async testValidation() {
+        console.log('\n📝 Test: Glossary validation');
+
+        const invalid = [
+            ['heart attack'],
+            { terms: 'heart attack' },
+            { terms: [{ source: '   ' }] },
+            { terms: [{ source: 'heart attack', translations: ['infarto'] }] },
+            { protected: ['x'.repeat(101)] }
+        ];
+        const errors = invalid.map(input => {
+            try {
+                Glossary.fromInput(input);
+                return null;
+            } catch (error) {
+                return error;
+            }
+        });
+
+        this.logResult('Invalid Input Throws GlossaryError', (
+            errors.every(error => error instanceof GlossaryError)
+        ), {
+            errors: errors.map(error => error?.message ?? 'accepted').join(' | ')
+        });
+
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const server = http.createServer();
+        const io = new Server(server);
+        initOptimizedSocket(io);
+        await new Promise(resolve => server.listen(0, resolve));
+        const speaker = connect(`http://localhost:${server.address().port}`);
+
+        try {
+            await new Promise(resolve => {
+                speaker.once('joined', resolve);
+                speaker.emit('streaming-speaker-join', { sessionCode: 'GLO1', sourceLang: 'en', targetLangs: ['es'], mode: 'conference' });
+            });
+            const upload = (glossary) => new Promise(resolve => {
+                speaker.once('glossary-updated', data => resolve({ event: 'glossary-updated', ...data }));
+                speaker.once('glossary-error', data => resolve({ event: 'glossary-error', ...data }));
+                speaker.emit('set-glossary', { sessionCode: 'GLO1', glossary });
+            });
+            const rejected = await upload({ terms: [{ source: '', translations: { es: 'infarto' } }] });
+            const accepted = await upload(MEDICAL);
+
+            this.logResult('Set-Glossary Reports Errors', (
+                rejected.event === 'glossary-error' &&
+                rejected.message === 'terms[0].source: term must be a non-empty string' &&
+                accepted.event === 'glossary-updated' &&
+                accepted.terms === 2 &&
+                accepted.protected === 2
+            ), {
+                rejected: JSON.stringify(rejected),
+                accepted: `${accepted.terms} terms, ${accepted.protected} protected`
+            });
+        } finally {
+            speaker.disconnect();
+            io.close();
+            server.close();
+        }
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        try {
+            this.testPlaceholders();
+            this.testRestorePartial();
+            this.testPronounce();
+            await this.testValidation();
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new GlossaryTester().run();
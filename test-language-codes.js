@@ -0,0 +1,221 @@
+/**
+ * Language Code Normalization Test
+ * Verifies BCP-47 normalization and the script/region fallback rules, that voices and the
+ * Azure Translator resolve zh-Hans, zh-Hant and pt-PT through them, and that a listener
+ * picking a regional variant is served from the session's closest language room.
+ */
+
+import http from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { normalizeLanguage, languageFallbacks, matchLanguage, isSameLanguage } from './server/language-codes.js';
+
+class LanguageCodesTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+        this.requests = [];
+    }
+
+    /**
+     * Start a mock Azure Translator that answers every `to` in lower case, as Azure does for pt-pt
+     */
+    async startMockTranslator() {
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const url = new URL(req.url, 'http://localhost');
+                const targets = url.searchParams.getAll('to');
+                this.requests.push(targets);
+                const texts = JSON.parse(body);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(texts.map(({ text }) => ({
+                    translations: targets.map(to => ({ to: to.toLowerCase(), text: `[${to}] ${text}` }))
+                }))));
+            });
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        return server;
+    }
+
+    /**
+     * Test: canonical casing, aliases and the fallback chains
+     */
+    testNormalization() {
+        console.log('\n📝 Test: Normalization and fallback rules');
+
+        this.logResult('Tags Normalized', (
+            normalizeLanguage('EN_us') === 'en-US' &&
+            normalizeLanguage('zh-hant-tw') === 'zh-Hant-TW' &&
+            normalizeLanguage('iw') === 'he' &&
+            normalizeLanguage('auto-enfr-ca') === null
+        ), {
+            'zh-hant-tw': normalizeLanguage('zh-hant-tw')
+        });
+
+        const traditional = languageFallbacks('zh-TW');
+        const european = languageFallbacks('pt-PT');
+        this.logResult('Script And Region Fallbacks', (
+            traditional.includes('zh-Hant') && !traditional.includes('zh') && !traditional.includes('zh-CN') &&
+            european.join(',') === 'pt-PT,pt,pt-BR'
+        ), {
+            'zh-TW': traditional.join(', '),
+            'pt-PT': european.join(', ')
+        });
+
+        this.logResult('Scripts Kept Apart', (
+            matchLanguage('zh-Hant', ['zh-CN', 'en']) === null &&
+            matchLanguage('zh-Hant', ['zh-CN', 'en'], { crossScript: true }) === 'zh-CN' &&
+            isSameLanguage('zh', 'zh-CN') && !isSameLanguage('zh-Hans', 'zh-TW') && isSameLanguage('en-US', 'en')
+        ), {});
+    }
+
+    /**
+     * Test: voices resolve through the same rules
+     */
+    async testVoices() {
+        console.log('\n📝 Test: Voice lookups');
+
+        const { findProfileKey } = await import('./server/voice-profiles.js');
+        const { getVoiceForLanguage } = await import('./config/hybrid-config.js');
+
+        this.logResult('Voice Profiles', (
+            findProfileKey('zh-Hans') === 'zh-CN' &&
+            findProfileKey('pt-PT') === 'pt-BR' &&
+            findProfileKey('en') === 'en-US' &&
+            findProfileKey('pl') === 'default'
+        ), {
+            'zh-Hans': findProfileKey('zh-Hans'),
+            'pt-PT': findProfileKey('pt-PT')
+        });
+        this.logResult('Azure Voices', (
+            getVoiceForLanguage('pt-PT') === 'pt-PT-RaquelNeural' &&
+            getVoiceForLanguage('zh-Hant') === 'zh-TW-HsiaoChenNeural' &&
+            getVoiceForLanguage('zh-TW') === 'zh-TW-HsiaoChenNeural' &&
+            getVoiceForLanguage('es-MX') === 'es-ES-ElviraNeural'
+        ), {
+            'pt-PT': getVoiceForLanguage('pt-PT'),
+            'es-MX': getVoiceForLanguage('es-MX')
+        });
+    }
+
+    /**
+     * Test: Azure gets its own codes and answers come back under the requested ones
+     */
+    async testTranslatorCodes() {
+        console.log('\n📝 Test: Translator target codes');
+
+        const { AzureTranslatorProvider } = await import('./server/translation-providers.js');
+        const provider = new AzureTranslatorProvider();
+        const [result] = await provider.translate(['Hello'], ['zh-TW', 'zh-Hant', 'pt-PT', 'es-MX'], 'en', { timeoutMs: 1000 });
+        const sent = this.requests[this.requests.length - 1];
+
+        this.logResult('Codes Mapped Both Ways', (
+            sent.join(',') === 'zh-Hant,pt-PT,es' &&
+            result['zh-TW'] === '[zh-Hant] Hello' && result['zh-Hant'] === '[zh-Hant] Hello' &&
+            result['pt-PT'] === '[pt-PT] Hello' && result['es-MX'] === '[es] Hello'
+        ), {
+            sent: sent.join(', '),
+            result: JSON.stringify(result)
+        });
+    }
+
+    /**
+     * Test: listeners land in the closest language room of a session
+     */
+    async testListenerRouting() {
+        console.log('\n📝 Test: Listener language routing');
+
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const server = http.createServer();
+        const io = new Server(server);
+        initOptimizedSocket(io);
+        await new Promise(resolve => server.listen(0, resolve));
+        const url = `http://localhost:${server.address().port}`;
+
+        const speaker = connect(url);
+        const listener = connect(url);
+        await new Promise(resolve => {
+            speaker.once('joined', resolve);
+            speaker.emit('streaming-speaker-join', { sessionCode: 'LNG1', sourceLang: 'en-US', targetLangs: ['es', 'zh-hant'], mode: 'conference' });
+        });
+        const joined = await new Promise(resolve => {
+            listener.once('joined', resolve);
+            listener.emit('streaming-listener-join', { sessionCode: 'LNG1', preferredLanguage: 'es_MX' });
+        });
+        const changed = await new Promise(resolve => {
+            listener.once('language-changed', resolve);
+            listener.emit('change-language', { sessionCode: 'LNG1', language: 'zh-TW' });
+        });
+
+        const broadcast = new Promise(resolve => listener.once('translation-broadcast', resolve));
+        speaker.emit('stt-final', { sessionCode: 'LNG1', text: 'Welcome to the session.', sourceLanguage: 'en-US' });
+        const data = await Promise.race([broadcast, this.delay(2000)]);
+
+        this.logResult('Regional Variants Routed', (
+            joined.language === 'es' &&
+            joined.availableLanguages.includes('zh-Hant') &&
+            changed.language === 'zh-Hant' &&
+            data?.translations?.['zh-Hant'] === '[zh-Hant] Welcome to the session.'
+        ), {
+            joined: joined.language,
+            changed: changed.language,
+            translations: JSON.stringify(data?.translations)
+        });
+
+        speaker.disconnect();
+        listener.disconnect();
+        io.close();
+        server.close();
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        const mock = await this.startMockTranslator();
+        process.env.TRANSLATION_PROVIDERS = 'azure';
+        process.env.AZURE_TRANSLATOR_KEY = 'test-key';
+        process.env.AZURE_TRANSLATOR_ENDPOINT = `http://localhost:${mock.address().port}`;
+        process.env.TRANSLATION_CACHE = 'off';
+
+        try {
+            this.testNormalization();
+            await this.testVoices();
+            await this.testTranslatorCodes();
+            await this.testListenerRouting();
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        mock.close();
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new LanguageCodesTester().run();
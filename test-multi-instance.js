@@ -0,0 +1,253 @@
+/**
+ * Multi-Instance Fan-out Test
+ * Starts two server instances that share one session store and verifies a listener
+ * connected to instance B receives the text and audio of a speaker on instance A, and that
+ * a session removed through B releases the presenter's pipeline state on A.
+ *
+ * Uses the in-memory session backend by default; set SESSION_STORE=redis (and REDIS_URL) to run
+ * the same checks against a local redis-server.
+ */
+
+import http from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { WebSocketServer } from 'ws';
+
+class MultiInstanceTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+        this.instances = [];
+    }
+
+    /**
+     * Start a fake ElevenLabs stream-input endpoint that echoes text as audio
+     */
+    async startFakeTTS() {
+        const wss = new WebSocketServer({ port: 0 });
+        await new Promise(resolve => wss.on('listening', resolve));
+
+        wss.on('connection', (ws) => {
+            ws.on('message', (raw) => {
+                const message = JSON.parse(raw.toString());
+                if (message.text && message.text.trim()) {
+                    ws.send(JSON.stringify({
+                        audio: Buffer.from(message.text).toString('base64'),
+                        isFinal: false
+                    }));
+                }
+            });
+        });
+
+        return wss;
+    }
+
+    /**
+     * Start one server instance with its own session store
+     */
+    async startInstance() {
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const { createSessionStore } = await import('./server/session-store.js');
+        const server = http.createServer();
+        const io = new Server(server);
+        const sessions = createSessionStore();
+        initOptimizedSocket(io, sessions);
+        await new Promise(resolve => server.listen(0, resolve));
+
+        const instance = { server, io, sessions, url: `http://localhost:${server.address().port}` };
+        this.instances.push(instance);
+        return instance;
+    }
+
+    /**
+     * Test: speaker on A, listener on B
+     */
+    async testCrossInstanceFanout(nodeA, nodeB) {
+        console.log('\n📝 Test: Listener on another instance hears the speaker');
+
+        const speaker = connect(nodeA.url);
+        const listener = connect(nodeB.url);
+
+        await new Promise(resolve => {
+            speaker.once('joined', resolve);
+            speaker.emit('streaming-speaker-join', {
+                sessionCode: 'MULT',
+                sourceLang: 'en',
+                targetLangs: ['es'],
+                mode: 'continuous'
+            });
+        });
+
+        // Wait for instance B to pick up the new session
+        await this.waitFor(() => nodeB.sessions.has('MULT'), 2000);
+
+        const joined = await new Promise(resolve => {
+            listener.once('joined', resolve);
+            listener.once('session-not-found', () => resolve(null));
+            listener.emit('streaming-listener-join', {
+                sessionCode: 'MULT',
+                preferredLanguage: 'es'
+            });
+        });
+
+        this.logResult('Listener Joined On Instance B', Boolean(joined), {
+            availableLanguages: joined ? joined.availableLanguages.join(', ') : 'session-not-found'
+        });
+
+        await this.waitFor(() => nodeA.sessions.get('MULT')?.listeners.size === 1, 2000);
+        this.logResult('Listener Visible On Instance A', nodeA.sessions.get('MULT')?.listeners.size === 1, {
+            listeners: nodeA.sessions.get('MULT')?.listeners.size
+        });
+
+        const text = [];
+        const audio = [];
+        listener.on('translation-update', (data) => text.push(data.text));
+        listener.on('audio-stream', (data) => audio.push(Buffer.from(data.audio, 'base64').toString()));
+
+        speaker.emit('translation-stream', {
+            sessionCode: 'MULT',
+            original: 'Welcome everyone to the keynote.',
+            translations: { es: 'Bienvenidos todos a la conferencia.' },
+            isFinal: true,
+            timestamp: Date.now()
+        });
+
+        await this.delay(1000);
+
+        this.logResult('Translation Fan-out', text.some(t => t.includes('conferencia')), {
+            received: JSON.stringify(text)
+        });
+        this.logResult('Audio Fan-out', audio.join('').includes('conferencia'), {
+            received: JSON.stringify(audio.join(''))
+        });
+
+        // A field removed on A disappears from B's mirror too
+        nodeA.sessions.get('MULT').formality = { es: 'formal' };
+        nodeA.sessions.save('MULT');
+        await this.waitFor(() => nodeB.sessions.get('MULT')?.formality, 2000);
+        const mirrored = nodeB.sessions.get('MULT')?.formality?.es === 'formal';
+        delete nodeA.sessions.get('MULT').formality;
+        nodeA.sessions.save('MULT');
+        await this.waitFor(() => !('formality' in nodeB.sessions.get('MULT')), 2000);
+        this.logResult('Removed Fields Mirrored', mirrored && !('formality' in nodeB.sessions.get('MULT')), {
+            formality: JSON.stringify(nodeB.sessions.get('MULT')?.formality)
+        });
+
+        speaker.disconnect();
+        listener.disconnect();
+        await this.waitFor(() => !nodeB.sessions.has('MULT'), 2000);
+        this.logResult('Session Removed Everywhere', !nodeA.sessions.has('MULT') && !nodeB.sessions.has('MULT'), {});
+    }
+
+    /**
+     * Test: a session ended elsewhere releases the presenter's TTS connections on A
+     */
+    async testRemoteEnd(nodeA, nodeB) {
+        console.log('\n📝 Test: Session ended on another instance');
+
+        const { webSocketTTS } = await import('./server/websocket-streaming-tts.js');
+        const speaker = connect(nodeA.url);
+
+        await new Promise(resolve => {
+            speaker.once('joined', resolve);
+            speaker.emit('streaming-speaker-join', {
+                sessionCode: 'RMT1',
+                sourceLang: 'en',
+                targetLangs: ['es'],
+                mode: 'continuous'
+            });
+        });
+        await this.waitFor(() => nodeB.sessions.has('RMT1'), 2000);
+
+        speaker.emit('translation-stream', {
+            sessionCode: 'RMT1',
+            original: 'Thank you all for coming.',
+            translations: { es: 'Gracias a todos por venir.' },
+            isFinal: true,
+            timestamp: Date.now()
+        });
+        await this.waitFor(() => webSocketTTS.connections.has('RMT1:es'), 2000);
+        const opened = webSocketTTS.connections.has('RMT1:es');
+
+        // Both instances share this process's TTS connections, so B only removes the session from
+        // the shared store, as an instance on another machine would: the cleanup must happen on A
+        nodeB.sessions.delete('RMT1');
+        await this.waitFor(() => !nodeA.sessions.has('RMT1'), 2000);
+        await this.waitFor(() => !webSocketTTS.connections.has('RMT1:es'), 2000);
+
+        this.logResult('Remote End Closes TTS On A', (
+            opened &&
+            !nodeA.sessions.has('RMT1') &&
+            !webSocketTTS.connections.has('RMT1:es')
+        ), {
+            opened,
+            connections: JSON.stringify(Array.from(webSocketTTS.connections.keys()))
+        });
+
+        speaker.disconnect();
+    }
+
+    /**
+     * Helper: Poll until a condition holds or the timeout expires
+     */
+    async waitFor(condition, timeoutMs) {
+        const start = Date.now();
+        while (!condition() && Date.now() - start < timeoutMs) {
+            await this.delay(50);
+        }
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        const fakeTTS = await this.startFakeTTS();
+        process.env.ELEVENLABS_WS_URL = `ws://localhost:${fakeTTS.address().port}`;
+        process.env.ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'test-key';
+        process.env.SPEAKER_RECONNECT_GRACE_MS = '0'; // End sessions as soon as the speaker leaves
+
+        try {
+            const nodeA = await this.startInstance();
+            const nodeB = await this.startInstance();
+            await Promise.all(this.instances.map(({ sessions }) => sessions.init()));
+            await this.testCrossInstanceFanout(nodeA, nodeB);
+            await this.testRemoteEnd(nodeA, nodeB);
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        for (const { server, io, sessions } of this.instances) {
+            io.close();
+            server.close();
+            await sessions.close();
+        }
+        fakeTTS.close();
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new MultiInstanceTester().run();
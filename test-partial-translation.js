@@ -0,0 +1,289 @@
+/**
+ * Partial Translation Test
+ * Verifies how partials are translated: the prefix consecutive partials agree on is frozen and
+ * never sent again, the last holdbackWords stay unfrozen, bursts of partials are coalesced per
+ * presenter, a final overtaking a partial still being translated keeps that partial from
+ * reaching listeners, and partials of different sessions share a batch only when their
+ * languages match.
+ *
+ * A fake provider answers "<lang>(<text>)" and records every batch it is sent; texts containing
+ * "slowly" take 400ms.
+ */
+
+import http from 'http';
+import { Readable } from 'stream';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { getTranslator } from './server/text-translator.js';
+import { IncrementalTranslator } from './server/incremental-translator.js';
+import { PartialScheduler } from './server/partial-scheduler.js';
+import { TranslationBatcher } from './server/translation-batcher.js';
+import { StreamingTTS } from './server/streaming-tts.js';
+
+/**
+ * Fake provider recording each batch of texts
+ */
+class RecordingProvider {
+    constructor() {
+        this.name = 'recording';
+        this.requests = [];
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async translate(texts, targetLangs) {
+        this.requests.push({ texts, targetLangs });
+        if (texts.some(text => text.includes('slowly'))) {
+            await new Promise(resolve => setTimeout(resolve, 400));
+        }
+        return texts.map(text => Object.fromEntries(targetLangs.map(lang => [lang, `${lang}(${text})`])));
+    }
+}
+
+class PartialTranslationTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+        this.provider = new RecordingProvider();
+    }
+
+    /**
+     * Helper: texts the provider was sent since `from` requests ago
+     */
+    sentSince(from) {
+        return this.provider.requests.slice(from).flatMap(request => request.texts);
+    }
+
+    /**
+     * Test: agreed words are frozen once and reused, the holdback and revisions are not
+     */
+    async testStablePrefix() {
+        console.log('\n📝 Test: Stable prefix freezing');
+
+        const translator = new IncrementalTranslator({ holdbackWords: 2, minSegmentWords: 3, minClauseWords: 3 });
+        const partial = async (text) => {
+            const from = this.provider.requests.length;
+            const result = await translator.translatePartial('INC1', text, ['fr'], 'en');
+            return { ...result, sent: this.sentSince(from) };
+        };
+
+        // The first partial is translated whole; the segment frozen from it comes from the cache
+        const first = await partial('the quick brown fox jumps');
+        const frozen = await partial('the quick brown fox jumps over the');
+        const reused = await partial('the quick brown fox jumps over the lazy dog');
+
+        this.logResult('Agreed Prefix Frozen And Reused', (
+            first.sent.join('|') === 'the quick brown fox jumps' &&
+            frozen.sent.join('|') === 'over the' &&
+            frozen.stable.fr === 'fr(the quick brown fox jumps)' &&
+            reused.sent.join('|') === 'over the lazy dog' &&
+            reused.translations.fr === 'fr(the quick brown fox jumps) fr(over the lazy dog)' &&
+            reused.stable.fr === 'fr(the quick brown fox jumps)'
+        ), {
+            sent: JSON.stringify([frozen.sent, reused.sent]),
+            translation: reused.translations.fr
+        });
+
+        // "dog" was agreed on, but it is one of the last two words
+        const heldBack = await partial('the quick brown fox jumps over the lazy dog today');
+        const stats = translator.getStats('INC1');
+        this.logResult('Holdback Words Not Frozen', (
+            stats.frozenWords === 8 &&
+            heldBack.sent.join('|') === 'over the lazy|dog today' &&
+            heldBack.stable.fr === 'fr(the quick brown fox jumps) fr(over the lazy)'
+        ), {
+            frozenWords: stats.frozenWords,
+            stable: heldBack.stable.fr
+        });
+
+        // The recognizer revised the third word: nothing frozen after it can be reused
+        const revised = await partial('the quick red fox jumps over the lazy dog today');
+        const final = await translator.translateFinal('INC1', 'the quick red fox jumps over the lazy dog today.', ['fr'], 'en');
+        this.logResult('Revisions Unfreeze Segments', (
+            revised.sent.join('|') === 'the quick red fox jumps over the lazy dog today' &&
+            translator.getStats('INC1').frozenWords === 0 &&
+            final.translations.fr === 'fr(the quick red fox jumps over the lazy dog today.)'
+        ), {
+            sent: JSON.stringify(revised.sent),
+            final: final.translations.fr
+        });
+    }
+
+    /**
+     * Test: partials inside the throttle window replace each other; finals drop the pending one
+     */
+    async testCoalescing() {
+        console.log('\n📝 Test: Partial coalescing');
+
+        const scheduler = new PartialScheduler({ enabled: true, minIntervalMs: 100, maxPartialsPerSecond: 0 });
+        const ran = [];
+        for (let i = 1; i <= 5; i++) {
+            scheduler.submit('SCH1', () => ran.push(i));
+            await this.delay(10);
+        }
+        await this.delay(150);
+
+        this.logResult('Burst Coalesced To Newest', (
+            ran.join() === '1,5' &&
+            scheduler.getStats().coalesced === 3
+        ), {
+            ran: ran.join(', ')
+        });
+
+        const afterFinal = [];
+        scheduler.submit('SCH2', () => afterFinal.push('first'));
+        scheduler.submit('SCH2', () => afterFinal.push('pending'));
+        scheduler.final('SCH2');
+        scheduler.submit('SCH2', () => afterFinal.push('next utterance'));
+        await this.delay(150);
+
+        this.logResult('Final Drops Pending Partial', (
+            afterFinal.join() === 'first,next utterance' &&
+            scheduler.generation('SCH2') === 1
+        ), {
+            ran: afterFinal.join(', ')
+        });
+    }
+
+    /**
+     * Test: a partial still being translated when its final arrives never reaches listeners
+     */
+    async testOvertakingFinal() {
+        console.log('\n📝 Test: Final overtaking a partial');
+
+        StreamingTTS.prototype.streamSynthesize = async (text) => Readable.from([Buffer.from(text)]);
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const server = http.createServer();
+        const io = new Server(server);
+        initOptimizedSocket(io);
+        await new Promise(resolve => server.listen(0, resolve));
+        const url = `http://localhost:${server.address().port}`;
+        const speaker = connect(url);
+        const listener = connect(url);
+
+        try {
+            await new Promise(resolve => {
+                speaker.once('joined', resolve);
+                speaker.emit('streaming-speaker-join', { sessionCode: 'OVT1', sourceLang: 'en', targetLangs: ['fr'], mode: 'conference' });
+            });
+            await new Promise(resolve => {
+                listener.once('joined', resolve);
+                listener.emit('streaming-listener-join', { sessionCode: 'OVT1', preferredLanguage: 'fr' });
+            });
+            const broadcasts = [];
+            listener.on('translation-broadcast', data => broadcasts.push(data));
+
+            // Without a final, the slow partial is delivered once translated
+            speaker.emit('translation-stream', { sessionCode: 'OVT1', original: 'we start slowly today', isFinal: false });
+            await this.delay(600);
+            const delivered = broadcasts.some(data => data.original === 'we start slowly today');
+
+            speaker.emit('translation-stream', { sessionCode: 'OVT1', original: 'then we continue slowly', isFinal: false });
+            await this.delay(100);
+            speaker.emit('translation-stream', { sessionCode: 'OVT1', original: 'Then we continue quickly.', isFinal: true });
+            await this.delay(700);
+            const events = broadcasts.map(data => data.original);
+            const finalAt = events.indexOf('Then we continue quickly.');
+
+            this.logResult('Superseded Partial Dropped', (
+                delivered &&
+                finalAt >= 0 &&
+                !events.includes('then we continue slowly')
+            ), {
+                broadcasts: JSON.stringify(events)
+            });
+        } finally {
+            speaker.disconnect();
+            listener.disconnect();
+            io.close();
+            server.close();
+        }
+    }
+
+    /**
+     * Test: requests with the same languages share a batch, others do not
+     */
+    async testBatching() {
+        console.log('\n📝 Test: Cross-session batches');
+
+        const batcher = new TranslationBatcher({ enabled: true, windowMs: 30, maxBatchSize: 4 });
+        let from = this.provider.requests.length;
+        const [first, second, german] = await Promise.all([
+            batcher.translate(['good morning', 'welcome'], ['es'], 'en'),
+            batcher.translate(['welcome', 'thank you'], ['es'], 'en'),
+            batcher.translate(['good morning'], ['de'], 'en')
+        ]);
+        const grouped = this.provider.requests.slice(from);
+
+        this.logResult('Same Languages Share A Batch', (
+            grouped.length === 2 &&
+            grouped.some(request => request.targetLangs.join() === 'es' && request.texts.join('|') === 'good morning|welcome|thank you') &&
+            grouped.some(request => request.targetLangs.join() === 'de' && request.texts.join('|') === 'good morning') &&
+            first.map(result => result.es).join('|') === 'es(good morning)|es(welcome)' &&
+            second.map(result => result.es).join('|') === 'es(welcome)|es(thank you)' &&
+            german[0].de === 'de(good morning)'
+        ), {
+            batches: JSON.stringify(grouped)
+        });
+
+        from = this.provider.requests.length;
+        await Promise.all([
+            batcher.translate(['one', 'two', 'three'], ['it'], 'en'),
+            batcher.translate(['four', 'five'], ['it'], 'en')
+        ]);
+        const split = this.provider.requests.slice(from);
+
+        this.logResult('Full Batch Sent Early', (
+            split.length === 2 &&
+            split[0].texts.join('|') === 'one|two|three' &&
+            split[1].texts.join('|') === 'four|five'
+        ), {
+            batches: JSON.stringify(split.map(request => request.texts))
+        });
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        getTranslator().addProvider(this.provider);
+
+        try {
+            await this.testStablePrefix();
+            await this.testCoalescing();
+            await this.testOvertakingFinal();
+            await this.testBatching();
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new PartialTranslationTester().run();
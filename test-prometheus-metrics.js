@@ -0,0 +1,184 @@
+/**
+ * Prometheus Metrics Test
+ * Verifies that /metrics requires a token, that a speaker's final is timed from the speaker's
+ * clock to the server and from the server to the listener, that the session and listener
+ * gauges follow the live sessions, and that an ended session's series are dropped.
+ */
+
+import http from 'http';
+import express from 'express';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+
+class PrometheusMetricsTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Start a server with the socket handlers and the metrics endpoint
+     */
+    async startServer() {
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const { createMetricsHandler } = await import('./server/prometheus-metrics.js');
+        const app = express();
+        const server = http.createServer(app);
+        const io = new Server(server);
+        const control = initOptimizedSocket(io);
+        app.get('/metrics', createMetricsHandler(control));
+        await new Promise(resolve => server.listen(0, resolve));
+        this.url = `http://localhost:${server.address().port}`;
+        return { server, io };
+    }
+
+    /**
+     * Helper: scrape /metrics
+     */
+    async scrape(token = process.env.METRICS_TOKEN) {
+        const response = await fetch(`${this.url}/metrics`, {
+            headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+        return { status: response.status, text: await response.text() };
+    }
+
+    /**
+     * Helper: value of a sample line, e.g. s2s_listeners{session="PRM1",language="en"}
+     */
+    sample(text, name, labels) {
+        const line = text.split('\n').find(l => l.startsWith(name) && labels.every(label => l.includes(label)));
+        return line ? Number(line.split(' ').pop()) : null;
+    }
+
+    /**
+     * Test: a final is timed on its way in and out, gauges follow the session
+     */
+    async testPipelineMetrics(speaker, listener) {
+        console.log('\n📝 Test: Stage histograms and gauges');
+
+        const unauthorized = await this.scrape('wrong-token');
+        const prefix = await this.scrape(`${process.env.METRICS_TOKEN}-and-more`);
+        const adminHeader = await fetch(`${this.url}/metrics`, { headers: { 'X-Admin-Token': process.env.METRICS_TOKEN } });
+        this.logResult('Token Required', (
+            unauthorized.status === 401 &&
+            prefix.status === 401 &&
+            adminHeader.status === 200
+        ), {
+            status: `${unauthorized.status}, ${prefix.status}, ${adminHeader.status}`
+        });
+
+        // The clock sync answers right after the speaker joined; the speaker's clock runs 5s ahead
+        await this.delay(200);
+        const acked = new Promise(resolve => listener.once('translation-broadcast', resolve));
+        speaker.emit('translation-stream', {
+            sessionCode: 'PRM1',
+            original: 'Buenos días a todos.',
+            translations: { en: 'Good morning everyone.' },
+            isFinal: true,
+            timestamp: Date.now() + 5000 - 120
+        });
+        const broadcast = await Promise.race([acked, this.delay(2000)]);
+        await this.delay(200);
+
+        const { status, text } = await this.scrape();
+        const session = ['session="PRM1"', 'mode="conference"'];
+        const sttCount = this.sample(text, 's2s_stt_to_server_seconds_count', session);
+        const sttSum = this.sample(text, 's2s_stt_to_server_seconds_sum', session);
+        const emitCount = this.sample(text, 's2s_emit_to_listener_seconds_count', [...session, 'language="en"']);
+
+        this.logResult('Stage Latencies Observed', (
+            status === 200 &&
+            Boolean(broadcast?.emittedAt) &&
+            sttCount === 1 && sttSum > 0.05 && sttSum < 1 &&
+            emitCount === 1
+        ), {
+            sttToServer: sttSum,
+            emitToListener: emitCount
+        });
+
+        this.logResult('Session Gauges', (
+            this.sample(text, 's2s_active_sessions', []) === 1 &&
+            this.sample(text, 's2s_listeners', ['session="PRM1"', 'language="en"']) === 1 &&
+            this.sample(text, 's2s_websocket_tts_connections', []) === 0
+        ), {
+            listeners: this.sample(text, 's2s_listeners', ['session="PRM1"'])
+        });
+    }
+
+    /**
+     * Test: an ended session leaves no series behind
+     */
+    async testSessionEnd(speaker) {
+        console.log('\n📝 Test: Ended session series dropped');
+
+        speaker.emit('end-session', { sessionCode: 'PRM1' });
+        await this.delay(200);
+        const { text } = await this.scrape();
+
+        this.logResult('Series Removed', (
+            !text.includes('session="PRM1"') &&
+            this.sample(text, 's2s_active_sessions', []) === 0
+        ), {});
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        process.env.METRICS_TOKEN = 'metrics-test-token';
+        const { server, io } = await this.startServer();
+        const speaker = connect(this.url);
+        const listener = connect(this.url);
+        speaker.on('clock-sync', (serverTime, ack) => ack(Date.now() + 5000));
+        listener.on('translation-broadcast', (data) => {
+            if (data.emittedAt) listener.emit('delivery-ack', { sessionCode: 'PRM1', emittedAt: data.emittedAt });
+        });
+
+        try {
+            await new Promise(resolve => {
+                speaker.once('joined', resolve);
+                speaker.emit('streaming-speaker-join', { sessionCode: 'PRM1', sourceLang: 'es', targetLangs: ['en'], mode: 'conference' });
+            });
+            await new Promise(resolve => {
+                listener.once('joined', resolve);
+                listener.emit('streaming-listener-join', { sessionCode: 'PRM1', preferredLanguage: 'en' });
+            });
+            await this.testPipelineMetrics(speaker, listener);
+            await this.testSessionEnd(speaker);
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        speaker.disconnect();
+        listener.disconnect();
+        io.close();
+        server.close();
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new PrometheusMetricsTester().run();
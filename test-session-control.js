@@ -0,0 +1,545 @@
+/**
+ * Session Control Test
+ * Verifies that each presenter of a panel keeps their own voice in every processing mode, not only
+ * in continuous mode's WebSocket TTS, that a late listener catches up on the recent finals in their
+ * language, the originals without a translation request when it is the presenter's ('en' for an
+ * 'en-US' presenter), that a listener joining again with another language leaves the first, that
+ * a detected change of language (Chinese included) re-routes translation, that a session code
+ * belongs to its owner (who takes it over from an old console), that listener passcodes are
+ * enforced, that panelists only speak while holding the floor, and that change-mode resets the
+ * pipeline and tells the session.
+ *
+ * StreamingTTS.streamSynthesize is replaced by a recorder, so every buffered TTS request
+ * shows the voice it was made with.
+ */
+
+import http from 'http';
+import { Readable } from 'stream';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { StreamingTTS } from './server/streaming-tts.js';
+import { getTranslator } from './server/text-translator.js';
+import { incrementalTranslator } from './server/incremental-translator.js';
+import { getSpeakerVoice } from './server/voice-profiles.js';
+
+/**
+ * Fake provider counting the texts it is asked to translate; it detects Chinese by its script
+ * and Spanish by its greeting
+ */
+class CountingProvider {
+    constructor() {
+        this.name = 'counting';
+        this.requests = [];
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async translate(texts, targetLangs, sourceLang) {
+        this.requests.push({ texts, targetLangs, sourceLang });
+        return texts.map(text => Object.fromEntries(targetLangs.map(lang => [lang, `${lang}:${text}`])));
+    }
+
+    async detectLanguage(text) {
+        if (/\p{Script=Han}/u.test(text)) return 'zh-Hans';
+        return /^hola\b/i.test(text) ? 'es' : 'en';
+    }
+}
+
+class SessionControlTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+        this.synthesized = [];
+        this.sockets = [];
+        this.provider = new CountingProvider();
+    }
+
+    /**
+     * Record buffered TTS requests instead of calling a provider
+     */
+    recordSynthesis() {
+        StreamingTTS.prototype.streamSynthesize = async (text, language, sessionId, voicePreference) => {
+            this.synthesized.push({ text, language, sessionId, voice: voicePreference ?? null });
+            return Readable.from([Buffer.from(text)]);
+        };
+    }
+
+    /**
+     * Start the real socket handlers on an ephemeral port
+     */
+    async startServer() {
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const server = http.createServer();
+        const io = new Server(server);
+        initOptimizedSocket(io);
+        await new Promise(resolve => server.listen(0, resolve));
+        this.url = `http://localhost:${server.address().port}`;
+        return { server, io };
+    }
+
+    /**
+     * Helper: connect a socket and wait for the answer to one event
+     */
+    async join(event, payload, replies = ['joined']) {
+        const socket = connect(this.url);
+        this.sockets.push(socket);
+        const reply = await new Promise(resolve => {
+            replies.forEach(name => socket.once(name, data => resolve({ event: name, ...data })));
+            socket.emit(event, payload);
+        });
+        return { socket, reply };
+    }
+
+    /**
+     * Test: moderator and panelist voices reach the buffered TTS in every mode
+     */
+    async testPanelVoices() {
+        console.log('\n📝 Test: Panelist voices in buffered modes');
+
+        const { socket: moderator, reply: joined } = await this.join('streaming-speaker-join', {
+            sessionCode: 'VOX1', sourceLang: 'en', targetLangs: ['es'], mode: 'conference'
+        });
+        const { socket: panelist, reply: panel } = await this.join('streaming-speaker-join', {
+            sessionCode: 'VOX1', sourceLang: 'en', panelistSecret: joined.panelistSecret, speakerLabel: 'Guest'
+        });
+        await this.join('streaming-listener-join', { sessionCode: 'VOX1', preferredLanguage: 'es' });
+
+        const speak = async (socket, text) => {
+            socket.emit('translation-stream', {
+                sessionCode: 'VOX1',
+                original: text,
+                translations: { es: `${text} (es)` },
+                isFinal: true
+            });
+            await this.delay(300);
+        };
+        const voicesFor = (text) => this.synthesized.filter(entry => entry.text.startsWith(text)).map(entry => entry.voice);
+        const panelistVoice = getSpeakerVoice('es', panel.speakerIndex);
+
+        const voices = {};
+        for (const mode of ['conference', 'original', 'natural']) {
+            if (mode !== 'conference') {
+                await new Promise(resolve => {
+                    moderator.once('mode-changed', resolve);
+                    moderator.emit('change-mode', { sessionCode: 'VOX1', mode });
+                });
+            }
+            await new Promise(resolve => {
+                moderator.once('floor-changed', resolve);
+                moderator.emit('grant-floor', { sessionCode: 'VOX1', speakerIndex: panel.speakerIndex });
+            });
+            await speak(panelist, `The guest speaks in ${mode} mode.`);
+            await new Promise(resolve => {
+                moderator.once('floor-changed', resolve);
+                moderator.emit('revoke-floor', { sessionCode: 'VOX1' });
+            });
+            await speak(moderator, `The moderator speaks in ${mode} mode.`);
+            voices[mode] = {
+                panelist: voicesFor(`The guest speaks in ${mode} mode.`),
+                moderator: voicesFor(`The moderator speaks in ${mode} mode.`)
+            };
+        }
+
+        const modes = Object.values(voices);
+        this.logResult('Panelist Voice In Every Mode', (
+            panelistVoice !== getSpeakerVoice('es', 0) &&
+            modes.every(({ panelist: spoken }) => spoken.length > 0 && spoken.every(voice => voice === panelistVoice))
+        ), {
+            expected: panelistVoice,
+            voices: JSON.stringify(voices)
+        });
+        this.logResult('Moderator Keeps Listener Voice', (
+            modes.every(({ moderator: spoken }) => spoken.length > 0 && spoken.every(voice => voice === null))
+        ), {});
+    }
+
+    /**
+     * Test: a late listener gets the recent finals in their language, the originals in the presenter's
+     */
+    async testCatchUp() {
+        console.log('\n📝 Test: Late-joiner catch-up');
+
+        const provider = this.provider;
+        const from = provider.requests.length;
+        const { socket: speaker } = await this.join('streaming-speaker-join', {
+            sessionCode: 'CAT1', sourceLang: 'en-US', targetLangs: ['fr'], mode: 'conference'
+        });
+        speaker.emit('translation-stream', {
+            sessionCode: 'CAT1',
+            original: 'Welcome to the keynote.',
+            translations: { fr: 'Bienvenue à la keynote.' },
+            isFinal: true
+        });
+        await this.delay(300);
+
+        const { reply: french } = await this.join('streaming-listener-join', { sessionCode: 'CAT1', preferredLanguage: 'fr' });
+        const { reply: english } = await this.join('streaming-listener-join', { sessionCode: 'CAT1', preferredLanguage: 'en' });
+        const { reply: german } = await this.join('streaming-listener-join', { sessionCode: 'CAT1', preferredLanguage: 'de' });
+
+        this.logResult('Late Listener Gets History', (
+            french.history.length === 1 &&
+            french.history[0].text === 'Bienvenue à la keynote.'
+        ), {
+            history: JSON.stringify(french.history)
+        });
+        this.logResult('Original Served Without Translation', (
+            english.history.length === 1 &&
+            english.history[0].text === 'Welcome to the keynote.' &&
+            !provider.requests.slice(from).some(request => request.targetLangs.some(lang => lang.startsWith('en')))
+        ), {
+            history: JSON.stringify(english.history.map(item => item.text)),
+            requests: JSON.stringify(provider.requests.slice(from))
+        });
+        this.logResult('Other Languages Still Translated', (
+            german.history[0]?.text === 'de:Welcome to the keynote.'
+        ), {
+            history: JSON.stringify(german.history.map(item => item.text))
+        });
+    }
+
+    /**
+     * Test: a listener joining again with another language stops receiving the first one
+     */
+    async testRejoinLanguage() {
+        console.log('\n📝 Test: Rejoin with another language');
+
+        const { socket: speaker } = await this.join('streaming-speaker-join', {
+            sessionCode: 'REJ1', sourceLang: 'en', targetLangs: ['fr', 'de'], mode: 'conference'
+        });
+        const { socket: listener } = await this.join('streaming-listener-join', { sessionCode: 'REJ1', preferredLanguage: 'fr' });
+        const rejoined = await new Promise(resolve => {
+            listener.once('joined', resolve);
+            listener.emit('streaming-listener-join', { sessionCode: 'REJ1', preferredLanguage: 'de' });
+        });
+
+        const updates = [];
+        listener.on('translation-update', data => data.isFinal && updates.push(data));
+        speaker.emit('translation-stream', { sessionCode: 'REJ1', original: 'Good evening.', isFinal: true });
+        await this.delay(300);
+
+        this.logResult('Previous Language Left On Rejoin', (
+            rejoined.language === 'de' &&
+            updates.length === 1 &&
+            updates[0].language === 'de' &&
+            updates[0].text === 'de:Good evening.'
+        ), {
+            updates: JSON.stringify(updates.map(({ language, text }) => ({ language, text })))
+        });
+    }
+
+    /**
+     * Test: finals in another language, a short Chinese one included, are detected and translated from it
+     */
+    async testLanguageDetection() {
+        console.log('\n📝 Test: Source language detection');
+
+        const { socket: speaker } = await this.join('streaming-speaker-join', {
+            sessionCode: 'DET1', sourceLang: 'en', targetLangs: ['fr', 'es', 'zh-Hans'], mode: 'conference', detectLanguage: true
+        });
+        const { socket: spanish } = await this.join('streaming-listener-join', { sessionCode: 'DET1', preferredLanguage: 'es' });
+        const { socket: chinese } = await this.join('streaming-listener-join', { sessionCode: 'DET1', preferredLanguage: 'zh-Hans' });
+        const changed = new Promise(resolve => speaker.once('source-language-changed', resolve));
+        const caption = new Promise(resolve => spanish.once('translation-update', resolve));
+
+        const from = this.provider.requests.length;
+        speaker.emit('translation-stream', { sessionCode: 'DET1', original: 'Hola a todos, empezamos ahora.', isFinal: true });
+        const [change, update] = await Promise.race([Promise.all([changed, caption]), this.delay(1000).then(() => [])]);
+        const requests = this.provider.requests.slice(from);
+
+        this.logResult('Detected Language Re-Routes Translation', (
+            change?.language === 'es' &&
+            change.previous === 'en' &&
+            requests.length === 1 &&
+            requests[0].sourceLang === 'es' &&
+            requests[0].targetLangs.join() === 'fr,zh-Hans' &&
+            update?.original === true &&
+            update.text.startsWith('Hola a todos')
+        ), {
+            change: JSON.stringify(change),
+            requests: JSON.stringify(requests)
+        });
+
+        // Chinese is written without spaces: its characters count toward the minimum
+        const zhChanged = new Promise(resolve => speaker.once('source-language-changed', resolve));
+        const zhCaption = new Promise(resolve => chinese.on('translation-update', data => data.original && resolve(data)));
+        const zhFrom = this.provider.requests.length;
+        speaker.emit('translation-stream', { sessionCode: 'DET1', original: '我们开始吧', isFinal: true });
+        const [zhChange, zhUpdate] = await Promise.race([Promise.all([zhChanged, zhCaption]), this.delay(1000).then(() => [])]);
+        const zhRequests = this.provider.requests.slice(zhFrom);
+
+        this.logResult('Chinese Final Re-Routes Translation', (
+            zhChange?.language === 'zh-Hans' &&
+            zhChange.previous === 'es' &&
+            zhRequests.length === 1 &&
+            zhRequests[0].sourceLang === 'zh-Hans' &&
+            zhRequests[0].targetLangs.join() === 'fr,es' &&
+            zhUpdate?.original === true &&
+            zhUpdate.text.startsWith('我们开始吧')
+        ), {
+            change: JSON.stringify(zhChange),
+            requests: JSON.stringify(zhRequests)
+        });
+    }
+
+    /**
+     * Helper: originals of the finals a listener is sent within `ms`
+     */
+    async heard(listener, ms = 400) {
+        const originals = [];
+        const record = data => originals.push(data.original);
+        listener.on('translation-broadcast', record);
+        await this.delay(ms);
+        listener.off('translation-broadcast', record);
+        return originals;
+    }
+
+    /**
+     * Helper: send a final with its translation already attached
+     */
+    say(socket, sessionCode, text) {
+        socket.emit('translation-stream', { sessionCode, original: text, translations: { es: `${text} (es)` }, isFinal: true });
+    }
+
+    /**
+     * Test: a second speaker cannot take over a code; the owner secret can, dropping the old console
+     */
+    async testSessionOwnership() {
+        console.log('\n📝 Test: Session ownership');
+
+        const { socket: owner, reply: created } = await this.join('streaming-speaker-join', {
+            sessionCode: 'OWN1', sourceLang: 'en', targetLangs: ['es'], mode: 'conference'
+        });
+        const { socket: listener } = await this.join('streaming-listener-join', { sessionCode: 'OWN1', preferredLanguage: 'es' });
+        const { socket: intruder, reply: refused } = await this.join('streaming-speaker-join', {
+            sessionCode: 'own1', sourceLang: 'en', targetLangs: ['fr']
+        }, ['joined', 'join-error']);
+        const heard = this.heard(listener);
+        this.say(intruder, 'OWN1', 'The intruder speaks.');
+        this.say(owner, 'OWN1', 'The owner speaks.');
+        const spoken = await heard;
+
+        this.logResult('Second Speaker Rejected', (
+            refused.event === 'join-error' &&
+            refused.code === 'SESSION_CODE_TAKEN' &&
+            spoken.join() === 'The owner speaks.'
+        ), {
+            reply: refused.code || refused.event,
+            heard: JSON.stringify(spoken)
+        });
+
+        const takenOver = new Promise(resolve => owner.once('session-taken-over', resolve));
+        const ownerDropped = new Promise(resolve => owner.once('disconnect', resolve));
+        const reconnecting = [];
+        listener.on('speaker-reconnecting', data => reconnecting.push(data));
+        const { socket: resumed, reply: resumedReply } = await this.join('streaming-speaker-join', {
+            sessionCode: 'OWN1', ownerSecret: created.ownerSecret
+        });
+        const [notice] = await Promise.race([Promise.all([takenOver, ownerDropped]), this.delay(1000).then(() => [])]);
+        const afterResume = this.heard(listener);
+        this.say(owner, 'OWN1', 'The old connection speaks.');
+        this.say(resumed, 'OWN1', 'The resumed console speaks.');
+        const resumedSpoken = await afterResume;
+
+        this.logResult('Owner Secret Resumes', (
+            resumedReply.resumed === true &&
+            resumedReply.targetLangs.join() === 'es' &&
+            resumedSpoken.join() === 'The resumed console speaks.'
+        ), {
+            heard: JSON.stringify(resumedSpoken)
+        });
+        this.logResult('Old Console Told And Dropped', (
+            notice?.sessionCode === 'OWN1' &&
+            !owner.connected &&
+            reconnecting.length === 0
+        ), {
+            notice: JSON.stringify(notice),
+            reconnecting: reconnecting.length
+        });
+    }
+
+    /**
+     * Test: a session with a listener passcode lets in only listeners who have it
+     */
+    async testListenerPasscode() {
+        console.log('\n📝 Test: Listener passcodes');
+
+        const { reply: created } = await this.join('streaming-speaker-join', {
+            sessionCode: 'PAS1', sourceLang: 'en', targetLangs: ['es'], listenerPasscode: 'letmein'
+        });
+        const attempt = async (passcode) => (await this.join('streaming-listener-join', {
+            sessionCode: 'PAS1', preferredLanguage: 'es', passcode
+        }, ['joined', 'join-error'])).reply;
+        const missing = await attempt(undefined);
+        const wrong = await attempt('let me in');
+        const right = await attempt('letmein');
+
+        this.logResult('Passcode Enforced', (
+            created.passcodeRequired === true &&
+            missing.event === 'join-error' && missing.code === 'PASSCODE_REQUIRED' &&
+            wrong.event === 'join-error' && wrong.code === 'INVALID_PASSCODE' &&
+            right.event === 'joined'
+        ), {
+            replies: [missing, wrong, right].map(reply => reply.code || reply.event).join(', ')
+        });
+    }
+
+    /**
+     * Test: panelist finals only reach listeners while the panelist holds the floor
+     */
+    async testFloor() {
+        console.log('\n📝 Test: Floor control');
+
+        const { socket: moderator, reply: created } = await this.join('streaming-speaker-join', {
+            sessionCode: 'FLR1', sourceLang: 'en', targetLangs: ['es'], mode: 'conference'
+        });
+        const { socket: panelist, reply: panel } = await this.join('streaming-speaker-join', {
+            sessionCode: 'FLR1', sourceLang: 'en', panelistSecret: created.panelistSecret, speakerLabel: 'Guest'
+        });
+        const { socket: listener } = await this.join('streaming-listener-join', { sessionCode: 'FLR1', preferredLanguage: 'es' });
+        const floorChange = (event, payload, from = moderator) => new Promise(resolve => {
+            listener.once('floor-changed', resolve);
+            from.emit(event, { sessionCode: 'FLR1', ...payload });
+        });
+
+        const before = this.heard(listener);
+        this.say(panelist, 'FLR1', 'Before the floor.');
+        const beforeFloor = await before;
+
+        // Only the moderator hands out the floor
+        panelist.emit('grant-floor', { sessionCode: 'FLR1', speakerIndex: panel.speakerIndex });
+        const selfGranted = this.heard(listener);
+        this.say(panelist, 'FLR1', 'Granted by myself.');
+        const selfGrantedFloor = await selfGranted;
+
+        const granted = await floorChange('grant-floor', { speakerIndex: panel.speakerIndex });
+        const during = this.heard(listener);
+        this.say(panelist, 'FLR1', 'Holding the floor.');
+        const duringFloor = await during;
+
+        const revoked = await floorChange('revoke-floor', {});
+        const after = this.heard(listener);
+        this.say(panelist, 'FLR1', 'After the floor.');
+        this.say(moderator, 'FLR1', 'The moderator always speaks.');
+        const afterFloor = await after;
+
+        const unknown = await new Promise(resolve => {
+            moderator.once('floor-changed', resolve);
+            moderator.emit('grant-floor', { sessionCode: 'FLR1', speakerIndex: 42 });
+        });
+
+        this.logResult('Panelist Speaks Only With Floor', (
+            beforeFloor.length === 0 &&
+            selfGrantedFloor.length === 0 &&
+            granted.success === true && granted.speaker.label === 'Guest' &&
+            duringFloor.join() === 'Holding the floor.' &&
+            revoked.success === true && revoked.speaker === null &&
+            afterFloor.join() === 'The moderator always speaks.' &&
+            unknown.success === false
+        ), {
+            heard: JSON.stringify([beforeFloor, selfGrantedFloor, duringFloor, afterFloor])
+        });
+    }
+
+    /**
+     * Test: change-mode tells everyone in the session and forgets the old mode's partial state
+     */
+    async testModeChange() {
+        console.log('\n📝 Test: Processing mode changes');
+
+        const { socket: moderator } = await this.join('streaming-speaker-join', {
+            sessionCode: 'MOD1', sourceLang: 'en', targetLangs: ['es'], mode: 'conference'
+        });
+        const { socket: listener } = await this.join('streaming-listener-join', { sessionCode: 'MOD1', preferredLanguage: 'es' });
+
+        // Partials translated by the provider freeze their agreed prefix
+        const partial = (original) => moderator.emit('translation-stream', { sessionCode: 'MOD1', original, isFinal: false });
+        partial('we will now look at the results of the first quarter');
+        await this.delay(300);
+        partial('we will now look at the results of the first quarter and the outlook');
+        await this.delay(300);
+        const frozenBefore = incrementalTranslator.getStats('MOD1').frozenWords;
+
+        const rejected = await new Promise(resolve => {
+            moderator.once('mode-changed', resolve);
+            moderator.emit('change-mode', { sessionCode: 'MOD1', mode: 'telepathy' });
+        });
+        const frozenAfterRejected = incrementalTranslator.getStats('MOD1').frozenWords;
+
+        const listenerTold = new Promise(resolve => listener.once('mode-changed', resolve));
+        const moderatorTold = new Promise(resolve => moderator.once('mode-changed', resolve));
+        moderator.emit('change-mode', { sessionCode: 'MOD1', mode: 'natural' });
+        const [changed, toListener] = await Promise.race([Promise.all([moderatorTold, listenerTold]), this.delay(1000).then(() => [])]);
+
+        this.logResult('Unknown Mode Rejected', (
+            rejected.success === false &&
+            rejected.mode === 'conference' &&
+            frozenAfterRejected === frozenBefore
+        ), {
+            reply: JSON.stringify(rejected)
+        });
+        this.logResult('Mode Change Broadcast And State Cleared', (
+            changed?.success === true && changed.mode === 'natural' &&
+            toListener?.mode === 'natural' &&
+            frozenBefore > 0 &&
+            incrementalTranslator.getStats('MOD1').frozenWords === 0
+        ), {
+            frozenBefore,
+            frozenAfter: incrementalTranslator.getStats('MOD1').frozenWords
+        });
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        this.recordSynthesis();
+        getTranslator().addProvider(this.provider);
+        const { server, io } = await this.startServer();
+
+        try {
+            await this.testPanelVoices();
+            await this.testCatchUp();
+            await this.testRejoinLanguage();
+            await this.testLanguageDetection();
+            await this.testSessionOwnership();
+            await this.testListenerPasscode();
+            await this.testFloor();
+            await this.testModeChange();
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        this.sockets.forEach(socket => socket.disconnect());
+        io.close();
+        server.close();
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new SessionControlTester().run();
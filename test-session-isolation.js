@@ -0,0 +1,182 @@
+/**
+ * Session Isolation Test for WebSocket Streaming TTS
+ * Runs two concurrent sessions with the same target language and verifies
+ * each audience only hears audio synthesized for its own session.
+ *
+ * Runs fully in-process: a fake ElevenLabs WebSocket echoes the streamed text
+ * back as "audio", so every chunk can be traced to the session that produced it.
+ */
+
+import http from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { WebSocketServer } from 'ws';
+
+class SessionIsolationTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Start a fake ElevenLabs stream-input endpoint that echoes text as audio
+     */
+    async startFakeTTS() {
+        const wss = new WebSocketServer({ port: 0 });
+        await new Promise(resolve => wss.on('listening', resolve));
+
+        wss.on('connection', (ws) => {
+            ws.on('message', (raw) => {
+                const message = JSON.parse(raw.toString());
+                if (message.text && message.text.trim()) {
+                    ws.send(JSON.stringify({
+                        audio: Buffer.from(message.text).toString('base64'),
+                        isFinal: false
+                    }));
+                }
+            });
+        });
+
+        return wss;
+    }
+
+    /**
+     * Start the real socket handlers on an ephemeral port
+     */
+    async startServer() {
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const server = http.createServer();
+        const io = new Server(server);
+        initOptimizedSocket(io);
+        await new Promise(resolve => server.listen(0, resolve));
+        return { server, io, url: `http://localhost:${server.address().port}` };
+    }
+
+    /**
+     * Connect a speaker and a listener to a session
+     */
+    async setupSession(url, sessionCode, targetLang) {
+        const speaker = connect(url);
+        const listener = connect(url);
+
+        await new Promise(resolve => {
+            speaker.once('joined', resolve);
+            speaker.emit('streaming-speaker-join', {
+                sessionCode,
+                sourceLang: 'en',
+                targetLangs: [targetLang],
+                mode: 'continuous'
+            });
+        });
+
+        await new Promise(resolve => {
+            listener.once('joined', resolve);
+            listener.emit('streaming-listener-join', {
+                sessionCode,
+                preferredLanguage: targetLang
+            });
+        });
+
+        const heard = [];
+        listener.on('audio-stream', (data) => {
+            heard.push(Buffer.from(data.audio, 'base64').toString());
+        });
+
+        return { speaker, listener, heard };
+    }
+
+    /**
+     * Test: two sessions speaking Spanish at the same time stay isolated
+     */
+    async testConcurrentSessions(url) {
+        console.log('\n📝 Test: Concurrent sessions with the same language');
+
+        const roomA = await this.setupSession(url, 'ISOA', 'es');
+        const roomB = await this.setupSession(url, 'ISOB', 'es');
+
+        const textA = 'Bienvenidos a la sala A, hablamos de finanzas.';
+        const textB = 'Bienvenidos a la sala B, hablamos de medicina.';
+
+        roomA.speaker.emit('translation-stream', {
+            sessionCode: 'ISOA',
+            original: 'Welcome to room A, we are talking about finance.',
+            translations: { es: textA },
+            isFinal: true,
+            timestamp: Date.now()
+        });
+        roomB.speaker.emit('translation-stream', {
+            sessionCode: 'ISOB',
+            original: 'Welcome to room B, we are talking about medicine.',
+            translations: { es: textB },
+            isFinal: true,
+            timestamp: Date.now()
+        });
+
+        await this.delay(1000);
+
+        const heardA = roomA.heard.join('');
+        const heardB = roomB.heard.join('');
+        const passed = (
+            heardA.includes('sala A') && !heardA.includes('sala B') &&
+            heardB.includes('sala B') && !heardB.includes('sala A')
+        );
+
+        this.logResult('Concurrent Sessions Isolated', passed, {
+            roomA: JSON.stringify(heardA),
+            roomB: JSON.stringify(heardB)
+        });
+
+        [roomA, roomB].forEach(({ speaker, listener }) => {
+            speaker.disconnect();
+            listener.disconnect();
+        });
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        const fakeTTS = await this.startFakeTTS();
+        process.env.ELEVENLABS_WS_URL = `ws://localhost:${fakeTTS.address().port}`;
+        process.env.ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'test-key';
+
+        const { server, io, url } = await this.startServer();
+
+        try {
+            await this.testConcurrentSessions(url);
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        io.close();
+        server.close();
+        fakeTTS.close();
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new SessionIsolationTester().run();
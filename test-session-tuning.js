@@ -0,0 +1,192 @@
+/**
+ * Session Tuning Test
+ * Verifies that a speaker console can tune a session's extractor and streaming TTS parameters
+ * live over the socket, that invalid values are rejected with every problem listed, that the
+ * next utterance uses the new values, and that the admin REST API reads and resets them.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import express from 'express';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+
+class SessionTuningTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Start a server with the socket handlers and the admin API
+     */
+    async startServer() {
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const { createAdminRouter } = await import('./server/admin-route.js');
+        const app = express();
+        app.use(express.json());
+        const server = http.createServer(app);
+        const io = new Server(server);
+        this.control = initOptimizedSocket(io);
+        app.use('/api/admin', createAdminRouter(this.control));
+        await new Promise(resolve => server.listen(0, resolve));
+        this.url = `http://localhost:${server.address().port}`;
+        return { server, io };
+    }
+
+    /**
+     * Helper: emit set-tuning and wait for the answer
+     */
+    setTuning(speaker, tuning) {
+        return new Promise(resolve => {
+            const done = (data) => {
+                speaker.off('tuning-updated', done);
+                speaker.off('tuning-error', done);
+                resolve(data);
+            };
+            speaker.on('tuning-updated', done);
+            speaker.on('tuning-error', done);
+            speaker.emit('set-tuning', { sessionCode: 'TUN1', tuning });
+        });
+    }
+
+    /**
+     * Helper: admin API request
+     */
+    async admin(method, path, body) {
+        const response = await fetch(`${this.url}/api/admin${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${process.env.ADMIN_TOKEN}` },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    /**
+     * Test: socket tuning is validated, merged and used by the next final
+     */
+    async testSocketTuning(speaker) {
+        console.log('\n📝 Test: Tuning from the speaker console');
+
+        const rejected = await this.setTuning(speaker, {
+            conference: { minSentenceWords: -1 },
+            natural: { minChunkWords: 20 },
+            streaming: { stability: 0.2 },
+            pacing: { fast: true }
+        });
+        this.logResult('Invalid Tuning Rejected', (
+            rejected.ok === false &&
+            rejected.problems.length === 3 &&
+            rejected.problems.some(problem => problem.startsWith('conference.minSentenceWords')) &&
+            rejected.problems.some(problem => problem.startsWith('streaming.stability')) &&
+            rejected.problems.some(problem => problem.startsWith('pacing'))
+        ), {
+            problems: rejected.problems?.join(' | ')
+        });
+
+        await this.setTuning(speaker, { conference: { minSentenceWords: 2 } });
+        const updated = await this.setTuning(speaker, { streaming: { chunkSize: 60 }, stability: { threshold: 3 } });
+        this.logResult('Patches Merged', (
+            updated.ok === true &&
+            updated.tuning.conference.minSentenceWords === 2 &&
+            updated.tuning.streaming.chunkSize === 60 &&
+            updated.tuning.stability.threshold === 3 &&
+            updated.defaults.natural.minChunkWords === 5
+        ), {
+            tuning: JSON.stringify(updated.tuning)
+        });
+
+        // "Good morning." is below the default five words but passes the tuned two
+        speaker.emit('translation-stream', {
+            sessionCode: 'TUN1',
+            original: 'Buenos días.',
+            translations: { en: 'Good morning.' },
+            isFinal: true
+        });
+        await this.delay(300);
+        const stats = this.control.inspectSession('TUN1').pipelines[0].languages.en.extractor;
+        this.logResult('Next Final Uses Tuning', stats.spokenCount === 1, {
+            spokenCount: stats.spokenCount
+        });
+    }
+
+    /**
+     * Test: admin API reads, patches and resets the tuning; the console hears about it
+     */
+    async testAdminTuning(speaker) {
+        console.log('\n📝 Test: Tuning through the admin API');
+
+        const read = await this.admin('GET', '/sessions/TUN1/tuning');
+        const pushed = new Promise(resolve => speaker.once('tuning-updated', resolve));
+        const patched = await this.admin('PATCH', '/sessions/TUN1/tuning', { stability: null, continuous: { minNewChars: 8 } });
+        const notified = await Promise.race([pushed, this.delay(1000)]);
+        const invalid = await this.admin('PATCH', '/sessions/TUN1/tuning', { continuous: { minNewChars: 'many' } });
+        const reset = await this.admin('DELETE', '/sessions/TUN1/tuning');
+        const missing = await this.admin('GET', '/sessions/NONE/tuning');
+
+        this.logResult('Admin Tuning', (
+            read.status === 200 && read.body.tuning.stability.threshold === 3 &&
+            patched.status === 200 && !patched.body.tuning.stability && patched.body.tuning.continuous.minNewChars === 8 &&
+            notified?.tuning?.continuous?.minNewChars === 8 &&
+            invalid.status === 400 && invalid.body.error === 'invalid_tuning' &&
+            reset.status === 200 && Object.keys(reset.body.tuning).length === 0 &&
+            missing.status === 404
+        ), {
+            patched: JSON.stringify(patched.body.tuning),
+            invalid: invalid.body.problems?.join(' | ')
+        });
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        process.env.ADMIN_TOKEN = 'tuning-test-token';
+        process.env.AUDIT_LOG_PATH = `/tmp/tuning-test-audit-${process.pid}.log`;
+        const { server, io } = await this.startServer();
+        const speaker = connect(this.url);
+
+        try {
+            await new Promise(resolve => {
+                speaker.once('joined', resolve);
+                speaker.emit('streaming-speaker-join', { sessionCode: 'TUN1', sourceLang: 'es', targetLangs: ['en'], mode: 'conference' });
+            });
+            await this.testSocketTuning(speaker);
+            await this.testAdminTuning(speaker);
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        speaker.disconnect();
+        io.close();
+        server.close();
+        fs.rmSync(process.env.AUDIT_LOG_PATH, { force: true });
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new SessionTuningTester().run();
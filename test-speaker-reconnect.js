@@ -0,0 +1,196 @@
+/**
+ * Speaker Reconnect Test
+ * Verifies the grace window a session gets when its speaker drops: listeners hear that the
+ * speaker is reconnecting, the resume token from `joined` hands the same session (code, mode
+ * and listeners) to the new connection once, and a speaker who does not return in time ends it.
+ *
+ * SPEAKER_RECONNECT_GRACE_MS is shortened to 500ms before the socket handlers are loaded, and
+ * StreamingTTS.streamSynthesize returns the text as audio instead of calling a provider.
+ */
+
+import http from 'http';
+import { Readable } from 'stream';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { StreamingTTS } from './server/streaming-tts.js';
+
+const GRACE_MS = 500;
+
+class SpeakerReconnectTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+        this.sockets = [];
+    }
+
+    /**
+     * Start the real socket handlers on an ephemeral port
+     */
+    async startServer() {
+        process.env.SPEAKER_RECONNECT_GRACE_MS = String(GRACE_MS);
+        StreamingTTS.prototype.streamSynthesize = async (text) => Readable.from([Buffer.from(text)]);
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const server = http.createServer();
+        const io = new Server(server);
+        initOptimizedSocket(io);
+        await new Promise(resolve => server.listen(0, resolve));
+        this.url = `http://localhost:${server.address().port}`;
+        return { server, io };
+    }
+
+    /**
+     * Helper: connect a socket and wait for the answer to one event
+     */
+    async join(event, payload, replies = ['joined']) {
+        const socket = connect(this.url);
+        this.sockets.push(socket);
+        const reply = await new Promise(resolve => {
+            replies.forEach(name => socket.once(name, data => resolve({ event: name, ...data })));
+            socket.emit(event, payload);
+        });
+        return { socket, reply };
+    }
+
+    /**
+     * Helper: the next `event` a socket receives, or null after `ms`
+     */
+    next(socket, event, ms = 1000) {
+        return Promise.race([
+            new Promise(resolve => socket.once(event, resolve)),
+            this.delay(ms).then(() => null)
+        ]);
+    }
+
+    /**
+     * Test: a dropped speaker resumes the same session with its resume token, once
+     */
+    async testResume() {
+        console.log('\n📝 Test: Speaker resumes within the grace window');
+
+        const { socket: speaker, reply: created } = await this.join('streaming-speaker-join', {
+            sessionCode: 'REC1', sourceLang: 'en', targetLangs: ['es'], mode: 'natural'
+        });
+        const { socket: listener } = await this.join('streaming-listener-join', { sessionCode: 'REC1', preferredLanguage: 'es' });
+
+        const reconnecting = this.next(listener, 'speaker-reconnecting');
+        speaker.disconnect();
+        const notice = await reconnecting;
+
+        this.logResult('Listeners Told Speaker Is Reconnecting', notice?.graceMs === GRACE_MS, {
+            notice: JSON.stringify(notice)
+        });
+
+        const resumed = this.next(listener, 'speaker-resumed');
+        const { socket: returned, reply: rejoined } = await this.join('streaming-speaker-join', {
+            sessionCode: 'REC1', resumeToken: created.resumeToken
+        }, ['joined', 'join-error']);
+        const resumedNotice = await resumed;
+
+        const captions = [];
+        listener.on('translation-update', data => captions.push(data.text));
+        returned.emit('translation-stream', {
+            sessionCode: 'REC1',
+            original: 'We are back.',
+            translations: { es: 'Ya volvimos.' },
+            isFinal: true
+        });
+        await this.delay(300);
+
+        this.logResult('Resume Keeps The Session', (
+            rejoined.event === 'joined' &&
+            rejoined.resumed === true &&
+            rejoined.sessionCode === 'REC1' &&
+            rejoined.processingMode === 'natural' &&
+            rejoined.listeners === 1 &&
+            resumedNotice !== null &&
+            captions.some(text => text.includes('Ya volvimos'))
+        ), {
+            reply: JSON.stringify({ event: rejoined.event, resumed: rejoined.resumed, mode: rejoined.processingMode, listeners: rejoined.listeners }),
+            captions: JSON.stringify(captions)
+        });
+
+        const { reply: reused } = await this.join('streaming-speaker-join', {
+            sessionCode: 'REC1', resumeToken: created.resumeToken
+        }, ['joined', 'join-error']);
+
+        this.logResult('Resume Token Is Single-Use', (
+            reused.event === 'join-error' &&
+            reused.code === 'SESSION_CODE_TAKEN' &&
+            rejoined.resumeToken !== created.resumeToken
+        ), {
+            reply: reused.code || reused.event
+        });
+
+        return { speaker: returned, listener };
+    }
+
+    /**
+     * Test: a speaker who does not come back within the grace window ends the session
+     */
+    async testGraceExpiry({ speaker, listener }) {
+        console.log('\n📝 Test: Grace window expires');
+
+        const reconnecting = this.next(listener, 'speaker-reconnecting');
+        const ended = this.next(listener, 'session-ended', GRACE_MS + 1000);
+        speaker.disconnect();
+        const [notice, end] = await Promise.all([reconnecting, ended]);
+
+        const { reply: late } = await this.join('streaming-listener-join', {
+            sessionCode: 'REC1', preferredLanguage: 'es'
+        }, ['joined', 'session-not-found']);
+
+        this.logResult('Session Ended After Grace Window', (
+            notice !== null &&
+            end?.reason === 'grace-expired' &&
+            late.event === 'session-not-found'
+        ), {
+            ended: JSON.stringify(end),
+            lateJoin: late.event
+        });
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        const { server, io } = await this.startServer();
+
+        try {
+            const resumed = await this.testResume();
+            await this.testGraceExpiry(resumed);
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        this.sockets.forEach(socket => socket.disconnect());
+        io.close();
+        server.close();
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new SpeakerReconnectTester().run();
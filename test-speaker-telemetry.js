@@ -0,0 +1,172 @@
+/**
+ * Speaker Telemetry Test
+ * Verifies that the presenter's console is told when listeners join and leave, with the new
+ * counts per language, and gets periodic metrics snapshots with the latency of its recent
+ * finals and its TTS backlog per language.
+ */
+
+import http from 'http';
+import express from 'express';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+
+class SpeakerTelemetryTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Start a server with the socket handlers
+     */
+    async startServer() {
+        process.env.SPEAKER_METRICS_INTERVAL_MS = '200';
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const app = express();
+        const server = http.createServer(app);
+        const io = new Server(server);
+        initOptimizedSocket(io);
+        await new Promise(resolve => server.listen(0, resolve));
+        this.url = `http://localhost:${server.address().port}`;
+        return { server, io };
+    }
+
+    /**
+     * Helper: connect a listener to the session in a language
+     */
+    async joinListener(language) {
+        const listener = connect(this.url);
+        await new Promise(resolve => {
+            listener.once('joined', resolve);
+            listener.emit('streaming-listener-join', { sessionCode: 'TEL1', preferredLanguage: language });
+        });
+        return listener;
+    }
+
+    /**
+     * Test: joins and leaves reach the speaker with per-language counts
+     */
+    async testListenerEvents(speaker) {
+        console.log('\n📝 Test: Listener joins and leaves');
+
+        const joinedEvents = [];
+        speaker.on('listener-joined', data => joinedEvents.push(data));
+        const french = await this.joinListener('fr');
+        const german = await this.joinListener('de');
+        await this.delay(100);
+
+        this.logResult('Joins Reported', (
+            joinedEvents.length === 2 &&
+            joinedEvents[1].language === 'de' &&
+            joinedEvents[1].listeners === 2 &&
+            joinedEvents[1].listenersByLanguage.fr === 1 &&
+            joinedEvents[1].listenersByLanguage.de === 1
+        ), {
+            events: joinedEvents.map(data => `${data.language}:${data.listeners}`).join(', ')
+        });
+
+        const left = new Promise(resolve => speaker.once('listener-left', resolve));
+        german.disconnect();
+        const leftEvent = await Promise.race([left, this.delay(1000)]);
+        this.logResult('Leave Reported', (
+            leftEvent?.language === 'de' &&
+            leftEvent.listeners === 1 &&
+            leftEvent.listenersByLanguage.de === undefined
+        ), {
+            listeners: leftEvent?.listeners
+        });
+
+        return french;
+    }
+
+    /**
+     * Test: snapshots carry recent latency, listeners and the TTS backlog
+     */
+    async testSnapshots(speaker) {
+        console.log('\n📝 Test: Metrics snapshots');
+
+        speaker.emit('translation-stream', {
+            sessionCode: 'TEL1',
+            original: 'Welcome everyone.',
+            translations: { fr: 'Bienvenue à tous.' },
+            isFinal: true
+        });
+        const withLatency = await Promise.race([
+            new Promise(resolve => speaker.on('metrics', data => {
+                if (data.avgLatency !== undefined) resolve(data);
+            })),
+            this.delay(1500)
+        ]);
+        speaker.off('metrics');
+        const quiet = await Promise.race([new Promise(resolve => speaker.once('metrics', resolve)), this.delay(1000)]);
+
+        this.logResult('Snapshot After A Final', (
+            withLatency?.sessionCode === 'TEL1' &&
+            withLatency.avgLatency >= 0 &&
+            withLatency.listeners === 1 &&
+            withLatency.listenersByLanguage.fr === 1 &&
+            withLatency.tts.fr?.pending >= 0 &&
+            withLatency.tts.fr.bufferedChars === 0
+        ), {
+            avgLatency: withLatency?.avgLatency,
+            tts: JSON.stringify(withLatency?.tts)
+        });
+
+        this.logResult('Latency Only For New Finals', (
+            quiet?.sessionCode === 'TEL1' &&
+            quiet.avgLatency === undefined
+        ), {});
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        const { server, io } = await this.startServer();
+        const speaker = connect(this.url);
+        let listener = null;
+
+        try {
+            await new Promise(resolve => {
+                speaker.once('joined', resolve);
+                speaker.emit('streaming-speaker-join', { sessionCode: 'TEL1', sourceLang: 'en', targetLangs: ['fr', 'de'], mode: 'conference' });
+            });
+            listener = await this.testListenerEvents(speaker);
+            await this.testSnapshots(speaker);
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        speaker.disconnect();
+        listener?.disconnect();
+        io.close();
+        server.close();
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new SpeakerTelemetryTester().run();
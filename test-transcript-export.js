@@ -0,0 +1,247 @@
+/**
+ * Transcript Export Test
+ * Verifies that a transcript is exported in the language asked for however its code is written:
+ * the original for a listener of the speaker's language ('en' for an 'en-US' speaker), and
+ * stored translations under their closest code ('de' finds 'de-DE'). Also checks the SRT, WebVTT,
+ * text and JSON renderings (numbering, timestamps, escaping) and that the export route refuses
+ * malformed language codes, and wrong passcodes before rendering anything, answering codes
+ * without a transcript the same way.
+ */
+
+import http from 'http';
+import express from 'express';
+import { MemorySessionBackend, SessionStore } from './server/session-store.js';
+import { TranscriptArchive } from './server/transcript-archive.js';
+import { createTranscriptRouter } from './server/transcript-route.js';
+
+class TranscriptExportTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Archive a short session: two finals from an en-US speaker, translated into de-DE
+     */
+    async createArchive() {
+        const store = new SessionStore(new MemorySessionBackend());
+        const archive = new TranscriptArchive(store);
+        const sessionStart = Date.now() - 10000;
+        this.sessionStart = sessionStart;
+        archive.start('TRX1', { startTime: sessionStart, sourceLang: 'en-US', targetLangs: ['de-DE'] });
+        archive.record('TRX1', {
+            sessionStart,
+            timestamp: sessionStart + 3000,
+            offset: 10000000,
+            duration: 15000000,
+            speakerKey: 'TRX1',
+            speaker: 'Host',
+            sourceLang: 'en-US',
+            text: 'Welcome to the keynote.',
+            translations: { 'de-DE': 'Willkommen zur Keynote.' }
+        });
+        archive.record('TRX1', {
+            sessionStart,
+            timestamp: sessionStart + 5000,
+            offset: 30000000,
+            duration: 12000000,
+            speakerKey: 'TRX1',
+            speaker: 'Host',
+            sourceLang: 'en-US',
+            text: 'Let us begin.',
+            translations: { 'de-DE': 'Fangen wir an.' }
+        });
+        return archive;
+    }
+
+    /**
+     * Test: language codes are matched, not compared as strings
+     */
+    async testLanguageMatching(archive) {
+        console.log('\n📝 Test: Language codes in exports');
+
+        const cuesIn = async (language) => JSON.parse((await archive.export('TRX1', { language, format: 'json' })).body).cues;
+        const english = await cuesIn('en');
+        const german = await cuesIn('de');
+        const exact = await cuesIn('de-DE');
+        const missing = await cuesIn('fr');
+
+        this.logResult('Source Language Matched', (
+            english.length === 2 && english[0].text === 'Welcome to the keynote.'
+        ), {
+            cues: english.length
+        });
+        this.logResult('Translations Matched By Base Language', (
+            german.length === 2 && german[1].text === 'Fangen wir an.' &&
+            exact.length === 2 &&
+            missing.length === 0
+        ), {
+            de: german.map(cue => cue.text).join(' | ')
+        });
+    }
+
+    /**
+     * Test: every format numbers, times and escapes its cues
+     */
+    async testFormats(archive) {
+        console.log('\n📝 Test: Export formats');
+
+        // Markup characters and a blank line, which would end an SRT or WebVTT cue early
+        archive.record('TRX1', {
+            sessionStart: this.sessionStart,
+            timestamp: this.sessionStart + 7000,
+            offset: 50000000,
+            duration: 10000000,
+            speakerKey: 'TRX1',
+            speaker: 'Q&A',
+            sourceLang: 'en-US',
+            text: 'Is <b> bigger than a & b?\n\nYes.',
+            translations: {}
+        });
+        const bodyOf = async (format) => (await archive.export('TRX1', { format })).body;
+        const srt = await bodyOf('srt');
+        const vtt = await bodyOf('vtt');
+        const txt = await bodyOf('txt');
+        const json = JSON.parse(await bodyOf('json'));
+
+        this.logResult('SRT Numbered And Timed', (
+            srt === [
+                '1', '00:00:01,500 --> 00:00:03,000', 'Host: Welcome to the keynote.', '',
+                '2', '00:00:03,500 --> 00:00:04,700', 'Host: Let us begin.', '',
+                '3', '00:00:05,500 --> 00:00:06,500', 'Q&A: Is <b> bigger than a & b? Yes.', ''
+            ].join('\n')
+        ), {
+            srt: JSON.stringify(srt)
+        });
+        this.logResult('WebVTT Escaped', (
+            vtt.startsWith('WEBVTT\n\n00:00:01.500 --> 00:00:03.000\n<v Host>Welcome to the keynote.\n\n') &&
+            vtt.endsWith('00:00:05.500 --> 00:00:06.500\n<v Q&amp;A>Is &lt;b&gt; bigger than a &amp; b? Yes.\n')
+        ), {
+            vtt: JSON.stringify(vtt)
+        });
+        this.logResult('Text And JSON', (
+            txt.split('\n').length === 4 &&
+            txt.split('\n')[2] === '[00:00:05] Q&A: Is <b> bigger than a & b? Yes.' &&
+            json.sessionCode === 'TRX1' &&
+            json.language === 'source' &&
+            json.cues.length === 3 &&
+            json.cues[0].startMs === 1500 && json.cues[0].endMs === 3000 &&
+            json.cues[2].text === 'Is <b> bigger than a & b?\n\nYes.'
+        ), {
+            txt: JSON.stringify(txt)
+        });
+    }
+
+    /**
+     * Test: the export route validates its query and the session's passcode
+     */
+    async testRoute() {
+        console.log('\n📝 Test: Export route');
+
+        process.env.ADMIN_TOKEN = 'transcript-test-token';
+        const archive = await this.createArchive();
+        archive.start('TRX2', { startTime: this.sessionStart, sourceLang: 'en', targetLangs: [], listenerPasscode: 'open-sesame' });
+        archive.record('TRX2', { sessionStart: this.sessionStart, speakerKey: 'TRX2', sourceLang: 'en', text: 'Members only.', translations: {} });
+
+        const app = express();
+        const rendered = [];
+        app.use('/api/sessions', createTranscriptRouter({
+            getTranscriptMeta: (code) => archive.loadMeta(code),
+            exportTranscript: (code, options) => {
+                rendered.push(code);
+                return archive.export(code, options);
+            }
+        }));
+        const server = http.createServer(app);
+        await new Promise(resolve => server.listen(0, resolve));
+        const url = `http://localhost:${server.address().port}/api/sessions`;
+        const get = async (path, headers) => {
+            const response = await fetch(`${url}${path}`, { headers });
+            return { status: response.status, disposition: response.headers.get('content-disposition'), body: await response.text() };
+        };
+
+        try {
+            const german = await get('/trx1/transcript?lang=de-de&format=srt');
+            const injected = await get(`/TRX1/transcript?lang=${encodeURIComponent('de"\r\nX-Injected: 1')}`);
+            const repeated = await get('/TRX1/transcript?lang=de&lang=fr');
+            const format = await get('/TRX1/transcript?format=docx');
+            const unknown = await get('/NONE/transcript');
+            const unknownAsAdmin = await get('/NONE/transcript', { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` });
+
+            this.logResult('Language Codes Validated', (
+                german.status === 200 &&
+                german.disposition === 'attachment; filename="TRX1-de-DE.srt"' &&
+                german.body.includes('Willkommen zur Keynote.') &&
+                injected.status === 400 && JSON.parse(injected.body).error === 'invalid_language_code' &&
+                repeated.status === 400 &&
+                format.status === 400 &&
+                unknownAsAdmin.status === 404
+            ), {
+                statuses: [german, injected, repeated, format, unknownAsAdmin].map(response => response.status).join(', ')
+            });
+
+            const renderedBefore = rendered.length;
+            const locked = await get('/TRX2/transcript');
+            const wrong = await get('/TRX2/transcript?passcode=guess');
+            const renderedLocked = rendered.length - renderedBefore;
+            const opened = await get('/TRX2/transcript?passcode=open-sesame&format=txt');
+            const admin = await get('/TRX2/transcript', { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` });
+
+            this.logResult('Passcode Required', (
+                locked.status === 401 &&
+                wrong.status === 401 &&
+                opened.status === 200 && opened.body.includes('Members only.') &&
+                admin.status === 200 &&
+                renderedLocked === 0
+            ), {
+                statuses: [locked, wrong, opened, admin].map(response => response.status).join(', '),
+                renderedLocked
+            });
+
+            // Without the admin token a code without a transcript looks like a protected one
+            this.logResult('Unknown Code Indistinguishable', (
+                unknown.status === wrong.status &&
+                unknown.body === wrong.body
+            ), {
+                unknown: `${unknown.status} ${unknown.body}`,
+                wrong: `${wrong.status} ${wrong.body}`
+            });
+        } finally {
+            server.close();
+        }
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        try {
+            const archive = await this.createArchive();
+            await this.testLanguageMatching(archive);
+            await this.testFormats(archive);
+            await this.testRoute();
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new TranscriptExportTester().run();
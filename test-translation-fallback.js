@@ -0,0 +1,323 @@
+/**
+ * Translation Fallback Chain Test
+ * Runs the TextTranslator against fake providers to verify fallback order,
+ * per-provider timeouts, the circuit breaker, explicit failures, the cache,
+ * context/formality routing, usage reports and which provider streams.
+ */
+
+import { TextTranslator, TranslationError } from './server/text-translator.js';
+
+/**
+ * Fake provider with scripted behaviour: 'ok', 'fail', 'hang' or 'partial'
+ */
+class FakeProvider {
+    constructor(name, behaviour) {
+        this.name = name;
+        this.behaviour = behaviour;
+        this.calls = 0;
+        this.streamCalls = 0;
+        this.lastOptions = null;
+        this.requests = [];
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async translate(texts, targetLangs, sourceLang, options) {
+        this.calls++;
+        this.lastOptions = options;
+        this.requests.push({ texts, targetLangs });
+        if (this.behaviour === 'fail') {
+            throw new Error(`${this.name} unavailable`);
+        }
+        if (this.behaviour === 'hang') {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        const langs = this.behaviour === 'partial' ? targetLangs.slice(0, 1) : targetLangs;
+        return texts.map(text => Object.fromEntries(langs.map(lang => [lang, `${this.name}:${lang}:${text}`])));
+    }
+
+    async translateStream(text, lang, sourceLang, { onText }) {
+        this.streamCalls++;
+        const translated = `${this.name}:${lang}:${text}`;
+        onText(translated);
+        return translated;
+    }
+}
+
+class TranslationFallbackTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+    }
+
+    createTranslator(providers, config = {}) {
+        const translator = new TextTranslator({ providers: [], timeoutMs: 100, ...config });
+        providers.forEach(provider => translator.addProvider(provider));
+        return translator;
+    }
+
+    /**
+     * Test: a failing or hanging provider falls through to the next one
+     */
+    async testFallback() {
+        console.log('\n📝 Test: Fallback order and timeouts');
+
+        const failing = new FakeProvider('failing', 'fail');
+        const hanging = new FakeProvider('hanging', 'hang');
+        const good = new FakeProvider('good', 'ok');
+        const translator = this.createTranslator([failing, hanging, good]);
+
+        const start = Date.now();
+        const result = await translator.translate('hello', ['es', 'fr'], 'en');
+        const elapsed = Date.now() - start;
+
+        this.logResult('Falls Through To Working Provider', result.es === 'good:es:hello' && result.fr === 'good:fr:hello', {
+            result: JSON.stringify(result)
+        });
+        this.logResult('Hanging Provider Cut Off By Timeout', elapsed < 500, {
+            elapsed: `${elapsed}ms`
+        });
+    }
+
+    /**
+     * Test: languages one provider skips are taken by the next
+     */
+    async testPartialResults() {
+        console.log('\n📝 Test: Missing languages move down the chain');
+
+        const partial = new FakeProvider('partial', 'partial');
+        const good = new FakeProvider('good', 'ok');
+        const translator = this.createTranslator([partial, good]);
+
+        const result = await translator.translate('hello', ['es', 'fr'], 'en');
+        this.logResult('Languages Merged Across Providers', result.es === 'partial:es:hello' && result.fr === 'good:fr:hello', {
+            result: JSON.stringify(result)
+        });
+    }
+
+    /**
+     * Test: total failure is an error, never the source text
+     */
+    async testExplicitFailure() {
+        console.log('\n📝 Test: Explicit failure instead of source text');
+
+        const partial = new FakeProvider('partial', 'partial');
+        const failing = new FakeProvider('failing', 'fail');
+        const translator = this.createTranslator([partial, failing]);
+
+        try {
+            await translator.translate('hello', ['es', 'fr'], 'en');
+            this.logResult('Throws TranslationError', false, {});
+        } catch (error) {
+            this.logResult('Throws TranslationError', error instanceof TranslationError && error.failedLangs.join() === 'fr', {
+                failedLangs: error.failedLangs?.join(', '),
+                partial: JSON.stringify(error.partial)
+            });
+        }
+    }
+
+    /**
+     * Test: the breaker stops calling a failing provider and probes it again later
+     */
+    async testCircuitBreaker() {
+        console.log('\n📝 Test: Circuit breaker');
+
+        const failing = new FakeProvider('failing', 'fail');
+        const good = new FakeProvider('good', 'ok');
+        const translator = this.createTranslator([failing, good], { failureThreshold: 2, resetTimeoutMs: 200 });
+
+        for (let i = 0; i < 5; i++) {
+            await translator.translate(`text ${i}`, ['es'], 'en');
+        }
+        this.logResult('Open Circuit Skips Provider', failing.calls === 2, {
+            failingCalls: failing.calls,
+            state: translator.getStatus()[0].circuit.state
+        });
+
+        await this.delay(250);
+        failing.behaviour = 'ok';
+        const result = await translator.translate('again', ['es'], 'en');
+        this.logResult('Half-Open Trial Closes Circuit', result.es === 'failing:es:again' && translator.getStatus()[0].circuit.state === 'closed', {
+            result: JSON.stringify(result)
+        });
+    }
+
+    /**
+     * Test: repeated texts are served from the cache, per target language
+     */
+    async testCache() {
+        console.log('\n📝 Test: Translation cache');
+
+        const good = new FakeProvider('good', 'ok');
+        const translator = this.createTranslator([good]);
+
+        await translator.translate('the same prefix', ['es'], 'en');
+        await translator.translate('the same prefix', ['es'], 'en');
+        const mixed = await translator.translate('the same prefix', ['es', 'fr'], 'en');
+        const stats = translator.getCacheStats();
+
+        this.logResult('Repeated Text Skips Provider', good.calls === 2 && mixed.es === 'good:es:the same prefix', {
+            providerCalls: good.calls,
+            result: JSON.stringify(mixed)
+        });
+        this.logResult('Hit/Miss Counters', stats.hits === 2 && stats.misses === 2, {
+            hits: stats.hits,
+            misses: stats.misses,
+            hitRate: stats.hitRate
+        });
+    }
+
+    /**
+     * Test: context and formality only reach providers that declare them, and split the cache
+     */
+    async testContextOptions() {
+        console.log('\n📝 Test: Context and formality routing');
+
+        const plain = new FakeProvider('plain', 'fail');
+        const aware = new FakeProvider('aware', 'ok');
+        aware.capabilities = { context: true, formality: true };
+        const translator = this.createTranslator([plain, aware]);
+
+        const options = { context: [{ text: 'Hello.', translations: { fr: 'Bonjour.' } }], formality: { fr: 'formal' } };
+        await translator.translate('how are you', ['es', 'fr'], 'en', options);
+        this.logResult('Options Only Sent To Capable Providers', (
+            !plain.lastOptions.context && !plain.lastOptions.formality &&
+            aware.lastOptions.context === options.context && aware.lastOptions.formality === options.formality
+        ), {
+            plain: Object.keys(plain.lastOptions).join(', '),
+            aware: Object.keys(aware.lastOptions).join(', ')
+        });
+
+        await translator.translate('how are you', ['es', 'fr'], 'en', options);
+        const callsBefore = aware.calls;
+        await translator.translate('how are you', ['es', 'fr'], 'en', { ...options, formality: { fr: 'informal' } });
+        this.logResult('Cache Keyed By Context And Formality', callsBefore === 1 && aware.calls === 2, {
+            awareCalls: aware.calls
+        });
+    }
+
+    /**
+     * Test: a provider only reports the languages it returned
+     */
+    async testUsageReports() {
+        console.log('\n📝 Test: Usage reports');
+
+        const partial = new FakeProvider('partial', 'partial');
+        const good = new FakeProvider('good', 'ok');
+        const translator = this.createTranslator([partial, good]);
+
+        const reports = [];
+        await translator.translate('hello', ['es', 'fr'], 'en', { onUsage: usage => reports.push(usage) });
+        this.logResult('Only Delivered Languages Charged', (
+            reports.length === 2 &&
+            reports[0].provider === 'partial' && reports[0].languages.join() === 'es' &&
+            reports[1].provider === 'good' && reports[1].languages.join() === 'fr'
+        ), {
+            reports: JSON.stringify(reports.map(({ provider, languages }) => ({ provider, languages })))
+        });
+
+        // "hello" already has Spanish in the cache: only its French is requested and charged
+        const single = new FakeProvider('single', 'ok');
+        const cachedTranslator = this.createTranslator([single]);
+        await cachedTranslator.translate('hello', ['es'], 'en');
+        const batch = [];
+        const requestsBefore = single.requests.length;
+        const translated = await cachedTranslator.batchTranslate(['hello', 'world'], ['es', 'fr'], 'en', { onUsage: usage => batch.push(usage) });
+        const requests = single.requests.slice(requestsBefore);
+        this.logResult('Cached Pairs Not Re-Sent Or Charged', (
+            requests.length === 2 &&
+            requests.some(request => request.texts.join() === 'hello' && request.targetLangs.join() === 'fr') &&
+            requests.some(request => request.texts.join() === 'world' && request.targetLangs.join() === 'es,fr') &&
+            batch.length === 2 &&
+            batch.some(usage => usage.texts.join() === 'hello' && usage.languages.join() === 'fr') &&
+            batch.some(usage => usage.texts.join() === 'world' && usage.languages.join() === 'es,fr') &&
+            translated[0].es === 'single:es:hello' && translated[0].fr === 'single:fr:hello' &&
+            translated[1].es === 'single:es:world'
+        ), {
+            requests: JSON.stringify(requests),
+            reports: JSON.stringify(batch.map(({ texts, languages }) => ({ texts, languages })))
+        });
+    }
+
+    /**
+     * Test: streaming follows the chain order instead of jumping to the first streaming provider
+     */
+    async testStreamingOrder() {
+        console.log('\n📝 Test: Streaming provider order');
+
+        const plain = new FakeProvider('plain', 'ok');
+        const streaming = new FakeProvider('streaming', 'ok');
+        streaming.capabilities = { streaming: true };
+        const translator = this.createTranslator([plain, streaming], { failureThreshold: 1, resetTimeoutMs: 60000 });
+
+        const tokens = [];
+        const preferred = await translator.translateStream('hello', ['es'], 'en', {}, (lang, soFar) => tokens.push(soFar));
+        this.logResult('Non-Streaming Provider Keeps Precedence', (
+            preferred.es === 'plain:es:hello' &&
+            streaming.streamCalls === 0 &&
+            tokens.length === 0
+        ), {
+            result: JSON.stringify(preferred)
+        });
+
+        // Once the first provider's circuit is open, the streaming one is first in line
+        plain.behaviour = 'fail';
+        await translator.translate('break', ['es'], 'en');
+        const streamed = await translator.translateStream('world', ['es'], 'en', {}, (lang, soFar) => tokens.push(soFar));
+        this.logResult('Streams When First In Line', (
+            streamed.es === 'streaming:es:world' &&
+            streaming.streamCalls === 1 &&
+            tokens.join() === 'streaming:es:world'
+        ), {
+            result: JSON.stringify(streamed),
+            circuit: translator.getStatus()[0].circuit.state
+        });
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        try {
+            await this.testFallback();
+            await this.testPartialResults();
+            await this.testExplicitFailure();
+            await this.testCircuitBreaker();
+            await this.testCache();
+            await this.testContextOptions();
+            await this.testUsageReports();
+            await this.testStreamingOrder();
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new TranslationFallbackTester().run();
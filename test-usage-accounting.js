@@ -0,0 +1,331 @@
+/**
+ * Usage Accounting Test
+ * Verifies that translation providers report what they were paid to translate (cache hits and
+ * batch duplicates are not charged twice), that a session's translated and synthesized
+ * characters are priced with the configured table, that exhausting a budget warns the
+ * organizer once and leaves listeners with captions only, and that a session is only billed
+ * to a tenant whose key the speaker presents.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import express from 'express';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { WebSocketServer } from 'ws';
+import { ConfigLoader } from './config/config-loader.js';
+import { TextTranslator, getTranslator } from './server/text-translator.js';
+import { TranslationBatcher } from './server/translation-batcher.js';
+import { UsageMeter } from './server/usage-meter.js';
+
+/**
+ * Fake provider translating every text to "fake:<lang>:<text>"
+ */
+class FakeProvider {
+    constructor() {
+        this.name = 'fake';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async translate(texts, targetLangs) {
+        return texts.map(text => Object.fromEntries(targetLangs.map(lang => [lang, `fake:${lang}:${text}`])));
+    }
+}
+
+class UsageAccountingTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Price every character at 1 and give the acme tenant a budget of 100
+     */
+    configure() {
+        new ConfigLoader({
+            file: null,
+            env: {
+                HYBRID__USAGE__PRICES__TRANSLATION__FAKE: '1000000',
+                HYBRID__USAGE__PRICES__SYNTHESIS__ELEVENLABS: '1000000',
+                HYBRID__USAGE__TENANT_BUDGETS__ACME: '100'
+            }
+        });
+    }
+
+    /**
+     * Test: usage reports from the translator and the batcher
+     */
+    async testProviderUsage() {
+        console.log('\n📝 Test: Provider usage reports');
+
+        const translator = new TextTranslator({ providers: [], timeoutMs: 100 });
+        translator.addProvider(new FakeProvider());
+        const reports = [];
+        const onUsage = usage => reports.push(usage);
+        await translator.translate('hello', ['es', 'fr'], 'en', { onUsage });
+        await translator.translate('hello', ['es', 'fr'], 'en', { onUsage });
+
+        this.logResult('Cache Hits Are Free', (
+            reports.length === 1 &&
+            reports[0].provider === 'fake' &&
+            reports[0].texts.join() === 'hello' &&
+            reports[0].languages.join() === 'es,fr'
+        ), {
+            reports: JSON.stringify(reports)
+        });
+
+        // Two sessions' partials share a batch; a text both sent is charged to the first
+        getTranslator().addProvider(new FakeProvider());
+        const batcher = new TranslationBatcher({ enabled: true, windowMs: 20, maxBatchSize: 50 });
+        const charged = { A: [], B: [] };
+        await Promise.all([
+            batcher.translate(['one', 'two'], ['de'], 'en', { onUsage: usage => charged.A.push(...usage.texts) }),
+            batcher.translate(['two', 'three'], ['de'], 'en', { onUsage: usage => charged.B.push(...usage.texts) })
+        ]);
+
+        this.logResult('Batches Charged Per Session', (
+            charged.A.join() === 'one,two' &&
+            charged.B.join() === 'three'
+        ), {
+            charged: JSON.stringify(charged)
+        });
+    }
+
+    /**
+     * Test: tenant budgets warn, then exhaust, once per session
+     */
+    testBudgets() {
+        console.log('\n📝 Test: Budget thresholds');
+
+        const meter = new UsageMeter();
+        const first = { tenant: 'acme' };
+        const second = { tenant: 'acme' };
+        meter.recordTranslation(first, { provider: 'fake', language: 'fr', chars: 85 });
+        const warned = meter.checkBudgets(first);
+        const again = meter.checkBudgets(first);
+        meter.recordSynthesis(second, { provider: 'elevenlabs', voice: 'Rachel', chars: 20 });
+        const exhaustedSecond = meter.checkBudgets(second);
+        const exhaustedFirst = meter.checkBudgets(first);
+        const summary = meter.summarize(first);
+
+        this.logResult('Warned Then Exhausted Once', (
+            warned.length === 1 && warned[0].status === 'warning' && warned[0].scope === 'tenant' &&
+            again.length === 0 &&
+            exhaustedSecond[0]?.status === 'exhausted' && exhaustedSecond[0].degradedTo === 'text-only' &&
+            exhaustedFirst[0]?.status === 'exhausted' &&
+            meter.isExhausted(first) &&
+            meter.getTenants().find(entry => entry.tenant === 'acme').spent === 105
+        ), {
+            spent: exhaustedFirst[0]?.spent
+        });
+
+        this.logResult('Session Summary Priced', (
+            summary.translatedChars.fr === 85 &&
+            summary.cost.translation === 85 &&
+            summary.cost.total === 85 &&
+            summary.degraded === 'text-only'
+        ), {
+            cost: JSON.stringify(summary.cost)
+        });
+    }
+
+    /**
+     * Start a server with the socket handlers and the admin API
+     */
+    async startServer() {
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const { createAdminRouter } = await import('./server/admin-route.js');
+        const app = express();
+        app.use(express.json());
+        const server = http.createServer(app);
+        const io = new Server(server);
+        app.use('/api/admin', createAdminRouter(initOptimizedSocket(io)));
+        await new Promise(resolve => server.listen(0, resolve));
+        this.url = `http://localhost:${server.address().port}`;
+        return { server, io };
+    }
+
+    /**
+     * Helper: admin API call
+     */
+    async admin(path, { method = 'GET', body } = {}) {
+        const response = await fetch(`${this.url}/api/admin${path}`, {
+            method,
+            headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    /**
+     * Test: naming a tenant takes its key
+     */
+    async testTenantKeys() {
+        console.log('\n📝 Test: Tenant keys');
+
+        const attempt = async (payload) => {
+            const socket = connect(this.url);
+            const reply = await new Promise(resolve => {
+                socket.once('joined', data => resolve({ event: 'joined', ...data }));
+                socket.once('join-error', data => resolve({ event: 'join-error', ...data }));
+                socket.emit('streaming-speaker-join', { sessionCode: 'USG2', sourceLang: 'en', targetLangs: ['fr'], ...payload });
+            });
+            socket.disconnect();
+            return reply;
+        };
+        const missing = await attempt({ tenant: 'globex' });
+        const wrong = await attempt({ tenant: 'globex', tenantKey: 'guess' });
+        const otherTenant = await attempt({ tenant: 'acme', tenantKey: 'globex-test-key' });
+
+        this.logResult('Unproven Tenants Refused', (
+            [missing, wrong, otherTenant].every(reply => reply.event === 'join-error' && reply.code === 'INVALID_TENANT_KEY')
+        ), {
+            replies: [missing, wrong, otherTenant].map(reply => reply.code || reply.event).join(', ')
+        });
+    }
+
+    /**
+     * Helper: speak a final the server has to translate, and wait for the French caption
+     */
+    async speak(speaker, listener, original) {
+        const caption = new Promise(resolve => listener.once('translation-update', resolve));
+        speaker.emit('translation-stream', { sessionCode: 'USG1', original, isFinal: true });
+        const update = await Promise.race([caption, this.delay(2000)]);
+        await this.delay(300);
+        return update;
+    }
+
+    /**
+     * Test: a session's usage is counted and priced, and its budget takes the audio away
+     */
+    async testSession(speaker, listener, joined) {
+        console.log('\n📝 Test: Session usage and budget');
+
+        await this.speak(speaker, listener, 'Good morning everyone, and welcome.');
+        const { body: usage } = await this.admin('/sessions/USG1/usage');
+        const synthesized = Object.values(usage.synthesizedChars.elevenlabs || {}).reduce((sum, chars) => sum + chars, 0);
+        const { body: tenants } = await this.admin('/usage');
+
+        this.logResult('Characters Counted And Priced', (
+            joined.tenant === 'globex' &&
+            usage.tenant === 'globex' &&
+            usage.translatedChars.fr > 0 &&
+            usage.translation.fr.fake === usage.translatedChars.fr &&
+            synthesized > 0 &&
+            usage.cost.total === usage.translatedChars.fr + synthesized &&
+            tenants.tenants.find(entry => entry.tenant === 'globex')?.spent === usage.cost.total
+        ), {
+            translated: usage.translatedChars.fr,
+            synthesized,
+            cost: usage.cost.total
+        });
+
+        // The next final goes over the session's budget
+        const invalid = await this.admin('/sessions/USG1/budget', { method: 'PUT', body: { budget: -1 } });
+        await this.admin('/sessions/USG1/budget', { method: 'PUT', body: { budget: usage.cost.total + 1 } });
+        const alerted = new Promise(resolve => speaker.once('budget-alert', resolve));
+        const told = new Promise(resolve => listener.once('system-message', resolve));
+        await this.speak(speaker, listener, 'Let us begin with the first talk.');
+        const [alert, message] = await Promise.race([Promise.all([alerted, told]), this.delay(1000).then(() => [])]);
+        const { body: before } = await this.admin('/sessions/USG1/usage');
+
+        const caption = await this.speak(speaker, listener, 'Captions keep coming without audio.');
+        const { body: after } = await this.admin('/sessions/USG1/usage');
+        const recap = new Promise(resolve => listener.once('recap-unavailable', resolve));
+        listener.emit('request-recap', { sessionCode: 'USG1' });
+        const refused = await Promise.race([recap, this.delay(1000)]);
+
+        this.logResult('Budget Leaves Captions Only', (
+            invalid.status === 400 &&
+            alert?.status === 'exhausted' &&
+            alert.scope === 'session' &&
+            alert.degradedTo === 'text-only' &&
+            message?.level === 'warning' &&
+            before.degraded === 'text-only' &&
+            caption?.text?.startsWith('fake:fr:') &&
+            JSON.stringify(after.synthesizedChars) === JSON.stringify(before.synthesizedChars) &&
+            refused?.reason === 'budget-exhausted'
+        ), {
+            alert: alert && `${alert.status} ${alert.spent}/${alert.budget}`,
+            degraded: before.degraded
+        });
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        process.env.ADMIN_TOKEN = 'usage-test-token';
+        process.env.AUDIT_LOG_PATH = `/tmp/usage-test-audit-${process.pid}.log`;
+        process.env.TENANT_KEYS = 'globex:globex-test-key';
+        // Stands in for ElevenLabs: answers every text message with an audio chunk
+        const tts = new WebSocketServer({ port: 0 });
+        tts.on('connection', ws => ws.on('message', message => {
+            if (JSON.parse(message).text.trim()) {
+                setTimeout(() => ws.send(JSON.stringify({ audio: Buffer.from('mp3').toString('base64') })), 20);
+            }
+        }));
+        process.env.ELEVENLABS_WS_URL = `ws://localhost:${tts.address().port}`;
+        process.env.ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'usage-test-key';
+
+        this.configure();
+        const { server, io } = await this.startServer();
+        const speaker = connect(this.url);
+        const listener = connect(this.url);
+
+        try {
+            await this.testProviderUsage();
+            this.testBudgets();
+            await this.testTenantKeys();
+
+            const joined = await new Promise(resolve => {
+                speaker.once('joined', resolve);
+                speaker.emit('streaming-speaker-join', { sessionCode: 'USG1', sourceLang: 'en', targetLangs: ['fr'], mode: 'continuous', tenant: 'Globex', tenantKey: 'globex-test-key' });
+            });
+            await new Promise(resolve => {
+                listener.once('joined', resolve);
+                listener.emit('streaming-listener-join', { sessionCode: 'USG1', preferredLanguage: 'fr' });
+            });
+            await this.testSession(speaker, listener, joined);
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        speaker.disconnect();
+        listener.disconnect();
+        io.close();
+        server.close();
+        tts.close();
+        fs.rmSync(process.env.AUDIT_LOG_PATH, { force: true });
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new UsageAccountingTester().run();
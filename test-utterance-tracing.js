@@ -0,0 +1,258 @@
+/**
+ * Utterance Tracing Test
+ * Verifies that every incoming utterance gets a trace ID that reaches listeners, that its
+ * timeline lists the pipeline hops in order through the admin API, that streaming TTS hands
+ * the trace over to the audio answering it, and that traces are exported to an OTLP collector as one root span per utterance with a child span per hop.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import express from 'express';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { WebSocketServer } from 'ws';
+import { UtteranceTracer } from './server/utterance-tracer.js';
+
+class UtteranceTracingTester {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Start a server with the socket handlers and the admin API
+     */
+    async startServer() {
+        const { initOptimizedSocket } = await import('./server/websocket.js');
+        const { createAdminRouter } = await import('./server/admin-route.js');
+        const app = express();
+        app.use(express.json());
+        const server = http.createServer(app);
+        const io = new Server(server);
+        app.use('/api/admin', createAdminRouter(initOptimizedSocket(io)));
+        await new Promise(resolve => server.listen(0, resolve));
+        this.url = `http://localhost:${server.address().port}`;
+        return { server, io };
+    }
+
+    /**
+     * Helper: admin API GET
+     */
+    async admin(path) {
+        const response = await fetch(`${this.url}/api/admin${path}`, {
+            headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` }
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    /**
+     * Test: a final's trace ID reaches the listener and its timeline can be looked up
+     */
+    async testTimeline(speaker, listener) {
+        console.log('\n📝 Test: Timeline of a final');
+
+        const display = new Promise(resolve => listener.once('translation-update', resolve));
+        const broadcast = new Promise(resolve => listener.once('translation-broadcast', resolve));
+        speaker.emit('translation-stream', {
+            sessionCode: 'TRC1',
+            original: 'Buenos días a todos, bienvenidos a la conferencia.',
+            translations: { en: 'Good morning everyone, welcome to the conference.' },
+            isFinal: true,
+            timestamp: Date.now()
+        });
+        const [update, broadcasted] = await Promise.race([
+            Promise.all([display, broadcast]),
+            this.delay(2000).then(() => [])
+        ]);
+        await this.delay(200);
+
+        const traceId = update?.traceId;
+        const { status, body: timeline } = await this.admin(`/traces/${traceId}`);
+        const names = (timeline.hops || []).map(hop => hop.name);
+        const ordered = ['received', 'punctuated', 'emit:translation-broadcast', 'emit:translation-update', 'extract']
+            .map(name => names.indexOf(name));
+
+        this.logResult('Trace ID Delivered', (
+            /^[0-9a-f]{32}$/.test(traceId || '') &&
+            broadcasted?.traceId === traceId
+        ), {
+            traceId
+        });
+
+        this.logResult('Hops In Order', (
+            status === 200 &&
+            timeline.attributes.event === 'translation-stream' &&
+            timeline.attributes.isFinal === true &&
+            ordered.every((index, i) => index >= 0 && (i === 0 || index > ordered[i - 1])) &&
+            timeline.hops.find(hop => hop.name === 'extract').attributes.segments === 1
+        ), {
+            hops: names.join(' → ')
+        });
+
+        const { body: list } = await this.admin('/sessions/TRC1/traces?finals=true');
+        const missing = await this.admin('/traces/0123456789abcdef0123456789abcdef');
+        this.logResult('Traces Listed Per Session', (
+            list.traces.length === 1 &&
+            list.traces[0].traceId === traceId &&
+            list.traces[0].text === 'Buenos días a todos, bienvenidos a la conferencia.' &&
+            missing.status === 404
+        ), {
+            listed: list.traces.length
+        });
+    }
+
+    /**
+     * Test: continuous mode traces text sent to streaming TTS through to its audio
+     */
+    async testStreamingTts(speaker, listener) {
+        console.log('\n📝 Test: Streaming TTS hops');
+
+        await this.setMode(speaker, 'continuous');
+        const audio = new Promise(resolve => listener.once('audio-stream', resolve));
+        speaker.emit('translation-stream', {
+            sessionCode: 'TRC1',
+            original: 'Gracias por venir.',
+            translations: { en: 'Thank you for coming.' },
+            isFinal: true
+        });
+        const chunk = await Promise.race([audio, this.delay(3000)]);
+        await this.delay(100);
+
+        const { body: timeline } = await this.admin(`/traces/${chunk?.traceId}`);
+        const names = (timeline.hops || []).map(hop => hop.name);
+        this.logResult('Audio Carries The Trace', (
+            ['extract', 'tts.sent', 'tts.first-audio', 'emit:audio-stream'].every(name => names.includes(name)) &&
+            names.indexOf('tts.sent') < names.indexOf('tts.first-audio')
+        ), {
+            hops: names.join(' → ')
+        });
+    }
+
+    /**
+     * Helper: switch the session's processing mode
+     */
+    setMode(speaker, mode) {
+        return new Promise(resolve => {
+            speaker.once('mode-changed', resolve);
+            speaker.emit('change-mode', { sessionCode: 'TRC1', mode });
+        });
+    }
+
+    /**
+     * Test: idle traces are posted to the collector as OTLP JSON
+     */
+    async testOtlpExport() {
+        console.log('\n📝 Test: OTLP export');
+
+        const received = [];
+        const collector = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, body: JSON.parse(body) });
+                res.end('{}');
+            });
+        });
+        await new Promise(resolve => collector.listen(0, resolve));
+
+        const tracer = new UtteranceTracer({
+            otlpEndpoint: `http://localhost:${collector.address().port}/v1/traces`,
+            exportDelayMs: 50
+        });
+        const traceId = tracer.start({ session: 'OTL1', isFinal: true, event: 'stt-final' });
+        const started = Date.now();
+        tracer.hop(traceId, 'punctuated', { chars: 12 });
+        tracer.span(traceId, 'translate', started, { languages: ['fr', 'de'] });
+
+        await this.delay(400);
+        await tracer.exportIdle();
+        tracer.destroy();
+        collector.close();
+
+        const spans = received[0]?.body.resourceSpans[0].scopeSpans[0].spans || [];
+        const root = spans.find(span => span.name === 'utterance');
+        const translate = spans.find(span => span.name === 'translate');
+        this.logResult('Exported Once As OTLP', (
+            received.length === 1 &&
+            received[0].path === '/v1/traces' &&
+            spans.length === 4 &&
+            spans.every(span => span.traceId === traceId) &&
+            translate.parentSpanId === root.spanId &&
+            translate.attributes[0].value.arrayValue.values.length === 2 &&
+            root.attributes.some(attr => attr.key === 'isFinal' && attr.value.boolValue === true)
+        ), {
+            posts: received.length,
+            spans: spans.map(span => span.name).join(', ')
+        });
+    }
+
+    /**
+     * Helper: Delay function
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Helper: Log test result
+     */
+    logResult(testName, passed, details) {
+        console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}: ${testName}`);
+        Object.entries(details || {}).forEach(([key, value]) => {
+            console.log(`    ${key}: ${value}`);
+        });
+        if (passed) {
+            this.results.passed++;
+        } else {
+            this.results.failed++;
+        }
+    }
+
+    async run() {
+        process.env.ADMIN_TOKEN = 'tracing-test-token';
+        process.env.AUDIT_LOG_PATH = `/tmp/tracing-test-audit-${process.pid}.log`;
+        // Stands in for ElevenLabs: answers every text message with an audio chunk
+        const tts = new WebSocketServer({ port: 0 });
+        tts.on('connection', ws => ws.on('message', message => {
+            if (JSON.parse(message).text.trim()) {
+                setTimeout(() => ws.send(JSON.stringify({ audio: Buffer.from('mp3').toString('base64') })), 20);
+            }
+        }));
+        process.env.ELEVENLABS_WS_URL = `ws://localhost:${tts.address().port}`;
+        process.env.ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'tracing-test-key';
+        const { server, io } = await this.startServer();
+        const speaker = connect(this.url);
+        const listener = connect(this.url);
+
+        try {
+            await new Promise(resolve => {
+                speaker.once('joined', resolve);
+                speaker.emit('streaming-speaker-join', { sessionCode: 'TRC1', sourceLang: 'es', targetLangs: ['en'], mode: 'conference' });
+            });
+            await new Promise(resolve => {
+                listener.once('joined', resolve);
+                listener.emit('streaming-listener-join', { sessionCode: 'TRC1', preferredLanguage: 'en' });
+            });
+            await this.testTimeline(speaker, listener);
+            await this.testStreamingTts(speaker, listener);
+            await this.testOtlpExport();
+        } catch (error) {
+            console.error('Test error:', error);
+            this.results.failed++;
+        }
+
+        speaker.disconnect();
+        listener.disconnect();
+        io.close();
+        server.close();
+        tts.close();
+        fs.rmSync(process.env.AUDIT_LOG_PATH, { force: true });
+
+        console.log(`\n📊 ${this.results.passed} passed, ${this.results.failed} failed`);
+        process.exit(this.results.failed > 0 ? 1 : 0);
+    }
+}
+
+new UtteranceTracingTester().run();